@@ -6,7 +6,6 @@ const bodyParser = require('body-parser');
 const cookieParser = require('cookie-parser'); // ✅ ADD THIS
 const path = require('path');
 const http = require('http');
-const { Server } = require('socket.io');
 const listEndpoints = require('express-list-endpoints');
 
 const app = express();
@@ -32,8 +31,8 @@ app.use(cors({
   },
   credentials: true, // ✅ CRITICAL: Enable credentials (cookies)
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
-  exposedHeaders: ['set-cookie']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'Idempotency-Key'],
+  exposedHeaders: ['set-cookie', 'X-Export-Generated-At', 'Idempotent-Replayed']
 }));
 
 // ✅ Trust proxy (important for cookies behind reverse proxy/load balancer)
@@ -43,7 +42,13 @@ app.set('trust proxy', 1);
 app.use(cookieParser());
 
 // ✅ Body parser middleware (increase limit for image uploads)
-app.use(bodyParser.json({ limit: "50mb" }));
+app.use(bodyParser.json({
+  limit: "50mb",
+  // Stripe signs the exact bytes it sends - keep them for the webhook signature check
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payment/webhook')) req.rawBody = buf;
+  }
+}));
 app.use(bodyParser.urlencoded({ extended: true, limit: "50mb" }));
 
 // ✅ Request logging middleware
@@ -72,39 +77,33 @@ if (process.env.NODE_ENV === 'development') {
   app.use(debugMiddleware);
 }
 
-// ✅ Initialize Socket.IO
-const io = new Server(server, {
-  cors: {
-    origin: allowedOrigins,
-    methods: ["GET", "POST", "PUT", "DELETE", "PATCH"],
-    credentials: true
-  }
-});
-
-// ✅ Socket.IO connection handling
-io.on('connection', (socket) => {
-  console.log('✅ Client connected:', socket.id);
-  
-  socket.on('disconnect', () => {
-    console.log('❌ Client disconnected:', socket.id);
-  });
-});
+// ✅ Initialize Socket.IO (authenticated clients join a per-user room, see src/socket.js)
+const { initSocket } = require('./src/socket');
+const io = initSocket(server, { origins: allowedOrigins });
 
 // ✅ Attach io to app (so routes can use it)
 app.set("io", io);
 
 // ✅ Static file serving
+// Local storage driver files (property galleries etc.) - honours UPLOAD_DIR / UPLOADS_PUBLIC_PATH.
+// Private files (message attachments) live in PRIVATE_UPLOAD_DIR, which is never mounted.
+const localStorage = require("./src/utils/storage/localStorage");
+app.use(localStorage.PUBLIC_PATH, express.static(localStorage.ROOT_DIR));
 app.use("/uploads", express.static(path.join(__dirname, "uploads")));
 app.use("/uploads/profiles", express.static(path.join(__dirname, "uploads", "profiles")));
 app.use("/uploads/owners", express.static(path.join(__dirname, "uploads", "owners")));
 app.use("/uploads/properties", express.static(path.join(__dirname, "uploads", "properties")));
 
-// ✅ MongoDB Connection
+// ✅ MongoDB Connection (background jobs start once it is up)
+const { startJobs, stopJobs } = require('./src/jobs');
 mongoose.connect(process.env.MONGO_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-  .then(() => console.log('✅ MongoDB connected successfully'))
+  .then(() => {
+    console.log('✅ MongoDB connected successfully');
+    startJobs();
+  })
   .catch((err) => {
     console.error('❌ MongoDB connection error:', err);
     process.exit(1);
@@ -175,6 +174,7 @@ app.use((req, res) => {
 // ✅ Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('\n⚠️ Shutting down gracefully...');
+  stopJobs();
   server.close(() => {
     console.log('✅ HTTP server closed');
   });
@@ -1,5 +1,6 @@
 // backend/src/controllers/adminController.js
 const Admin = require('../models/Admin');
+const { storeImage, storeDataUrlImage, removeStoredImages } = require('../utils/imageUtils');
 
 /**
  * ✅ GET Admin Profile
@@ -46,7 +47,8 @@ exports.getProfile = async (req, res) => {
       profile: {
         name: admin.name || '',
         phone: admin.phone || '',
-        photo: admin.photo || ''
+        photo: admin.photo || '',
+        photoVariants: admin.photoVariants || null
       },
       isNewProfile: isNewProfile
     });
@@ -125,19 +127,34 @@ exports.updateProfile = async (req, res) => {
     admin.phone = req.body.phone.trim();
     console.log('✅ Fields updated - Name:', admin.name, 'Phone:', admin.phone);
 
-    // ✅ Handle photo upload
+    // ✅ Handle photo upload - stored as resized variants, not base64
+    const previousVariants = admin.photoVariants;
+    let storedPhoto = null;
     if (req.file) {
-      const base64Photo = `data:${req.file.mimetype};base64,${req.file.buffer.toString('base64')}`;
-      admin.photo = base64Photo;
+      storedPhoto = await storeImage(req.file.buffer, {
+        folder: `admins/${admin._id}`,
+        mimeType: req.file.mimetype,
+        originalName: req.file.originalname
+      });
       console.log('✅ Photo uploaded');
     } else if (req.body.photo && req.body.photo.startsWith('data:image')) {
-      admin.photo = req.body.photo;
+      storedPhoto = await storeDataUrlImage(req.body.photo, { folder: `admins/${admin._id}` });
       console.log('✅ Photo from body');
     }
+    if (storedPhoto) {
+      admin.photo = storedPhoto.url;
+      admin.photoVariants = storedPhoto.variants;
+    }
 
     // ✅ Save to database
     console.log('💾 Saving to database...');
-    await admin.save();
+    try {
+      await admin.save();
+    } catch (saveError) {
+      if (storedPhoto) await removeStoredImages([storedPhoto]);
+      throw saveError;
+    }
+    if (storedPhoto) await removeStoredImages([{ variants: previousVariants }]);
     console.log('✅ Profile saved successfully');
 
     res.status(200).json({
@@ -146,13 +163,21 @@ exports.updateProfile = async (req, res) => {
       profile: {
         name: admin.name,
         phone: admin.phone,
-        photo: admin.photo
+        photo: admin.photo,
+        photoVariants: admin.photoVariants || null
       }
     });
 
     console.log('===================\n');
 
   } catch (error) {
+    if (error.code === 'INVALID_IMAGE') {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Invalid photo',
+        message: error.message
+      });
+    }
     console.error('❌ Error updating profile:', error);
     console.error('❌ Error stack:', error.stack);
     res.status(500).json({ 
@@ -180,8 +205,11 @@ exports.deletePhoto = async (req, res) => {
       });
     }
 
+    const previousVariants = admin.photoVariants;
     admin.photo = '';
+    admin.photoVariants = undefined;
     await admin.save();
+    await removeStoredImages([{ variants: previousVariants }]);
 
     console.log('✅ Photo deleted');
 
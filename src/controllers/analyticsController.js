@@ -1,34 +1,23 @@
 // src/controllers/analyticsController.js
 const Transaction = require("../models/Transaction");
+const { DEFAULT_CURRENCY, fromMinorUnits } = require("../utils/money");
+const { monthlyNetRevenue } = require("../utils/ledger");
 
 // Get monthly sales/earnings for the current year
 const getMonthlySales = async (req, res) => {
   try {
     const year = new Date().getFullYear();
-    const salesData = await Transaction.aggregate([
-      {
-        $match: {
-          createdAt: {
-            $gte: new Date(`${year}-01-01`),
-            $lt: new Date(`${year + 1}-01-01`)
-          }
-        }
-      },
-      {
-        $group: {
-          _id: { $month: "$createdAt" },
-          totalEarnings: { $sum: "$amount" }
-        }
-      },
-      { $sort: { "_id": 1 } }
-    ]);
+    // Earnings come from the ledger: reporting currency only, net of refunds,
+    // rent invoices included
+    const salesData = await monthlyNetRevenue({ currency: DEFAULT_CURRENCY, year });
 
     // Format response for all 12 months
     const monthlyData = Array.from({ length: 12 }, (_, i) => {
-      const monthData = salesData.find((s) => s._id === i + 1);
+      const monthData = salesData.find((s) => s.month === i + 1);
       return {
         month: new Date(0, i).toLocaleString("en", { month: "short" }),
-        earnings: monthData ? monthData.totalEarnings : 0
+        earnings: monthData ? fromMinorUnits(monthData.total) : 0,
+        currency: DEFAULT_CURRENCY
       };
     });
 
@@ -755,8 +755,9 @@ exports.updateUserRole = async (req, res) => {
     const { userId } = req.params;
     const { role } = req.body;
     
-    if (!role || !['user', 'admin'].includes(role)) {
-      return sendError(res, 400, 'Invalid role. Must be "user" or "admin"');
+    const validRoles = ['user', 'owner', 'agent', 'admin'];
+    if (!role || !validRoles.includes(role)) {
+      return sendError(res, 400, `Invalid role. Must be one of: ${validRoles.join(', ')}`);
     }
 
     if (userId === req.user.id) {
@@ -0,0 +1,216 @@
+// controllers/commissionController.js
+// Commission rules (per owner, per agency or default; rent and buy apart) and
+// the commission worked out on each payment. Admins configure, owners read
+// their own; see utils/commissions.
+const mongoose = require('mongoose');
+const CommissionRule = require('../models/CommissionRule');
+const Commission = require('../models/Commission');
+const Owner = require('../models/Owner');
+const { parsePagination } = require('../utils/propertyQuery');
+const { actorFromRequest } = require('../utils/priceHistory');
+const { ownerIdsForUser } = require('../utils/listingWorkflow');
+const { parseMoney, DEFAULT_CURRENCY } = require('../utils/money');
+const { parseDay, addDays } = require('../utils/rentalCalendar');
+const { DEFAULT_COMMISSION_PERCENT, COMMISSIONS_START_DATE, agencyKey } = require('../utils/commissions');
+
+const PURCHASE_TYPES = ['rent', 'buy'];
+
+/**
+ * Parses the terms of one purchase type:
+ * { type: 'percent', percent } or { type: 'flat', amount, currency } (amount in major units)
+ */
+const parseTerms = (input, purchaseType, errors) => {
+  if (!input || typeof input !== 'object') {
+    errors.push(`${purchaseType} terms are required`);
+    return null;
+  }
+  if (input.type === 'percent') {
+    const percent = Number(input.percent);
+    if (input.percent === undefined || input.percent === null || !Number.isFinite(percent) || percent < 0 || percent > 100) {
+      errors.push(`${purchaseType}.percent must be between 0 and 100`);
+      return null;
+    }
+    return { type: 'percent', percent };
+  }
+  if (input.type === 'flat') {
+    const { money, error } = parseMoney(input.amount, input.currency || DEFAULT_CURRENCY);
+    if (error) errors.push(`${purchaseType}: ${error}`);
+    else if (!money) errors.push(`${purchaseType}.amount is required for a flat commission`);
+    else return { type: 'flat', flat: money };
+    return null;
+  }
+  errors.push(`${purchaseType}.type must be percent or flat`);
+  return null;
+};
+
+// Creates or replaces the rule matching `filter` from the request body
+const saveRule = async (req, res, filter) => {
+  const errors = [];
+  const terms = {};
+  PURCHASE_TYPES.forEach(purchaseType => {
+    terms[purchaseType] = parseTerms(req.body[purchaseType], purchaseType, errors);
+  });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Validation failed', message: errors.join('; '), errors });
+  }
+
+  const existing = await CommissionRule.findOne(filter);
+  const rule = existing || new CommissionRule(filter);
+  rule.rent = terms.rent;
+  rule.buy = terms.buy;
+  rule.note = typeof req.body.note === 'string' ? req.body.note.trim().slice(0, 500) : rule.note;
+  rule.updatedBy = actorFromRequest(req);
+  await rule.save();
+
+  console.log(`💼 Commission rule ${filter.scope}${filter.ownerId !== null ? ` ${filter.ownerId}` : ''}${filter.agency ? ` ${filter.agency}` : ''} saved by ${req.user.email}`);
+  res.status(existing ? 200 : 201).json({ success: true, rule });
+};
+
+// ============ RULES ============
+
+// GET /api/commissions/rules?scope= - every rule, and what applies when none does
+exports.getRules = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.scope) filter.scope = req.query.scope;
+    const rules = await CommissionRule.find(filter).sort({ scope: 1, agency: 1, ownerId: 1 });
+
+    res.json({
+      success: true,
+      rules,
+      fallback: { type: 'percent', percent: DEFAULT_COMMISSION_PERCENT },
+      startDate: COMMISSIONS_START_DATE
+    });
+  } catch (err) {
+    console.error('Error fetching commission rules:', err);
+    res.status(500).json({ error: 'Failed to fetch commission rules', details: err.message });
+  }
+};
+
+// PUT /api/commissions/rules/default - Body: { rent: terms, buy: terms, note }
+exports.setDefaultRule = async (req, res) => {
+  try {
+    await saveRule(req, res, { scope: 'default', ownerId: null, agency: null });
+  } catch (err) {
+    console.error('Error saving default commission rule:', err);
+    res.status(500).json({ error: 'Failed to save commission rule', details: err.message });
+  }
+};
+
+// PUT /api/commissions/rules/owners/:ownerId - Body: { rent: terms, buy: terms, note }
+exports.setOwnerRule = async (req, res) => {
+  try {
+    const ownerId = Number(req.params.ownerId);
+    if (!Number.isInteger(ownerId)) {
+      return res.status(400).json({ error: 'Validation failed', message: 'ownerId must be a number' });
+    }
+    const owner = await Owner.findOne({ ownerId: String(ownerId) }).select('_id');
+    if (!owner) return res.status(404).json({ error: 'Owner not found' });
+
+    await saveRule(req, res, { scope: 'owner', ownerId, agency: null });
+  } catch (err) {
+    console.error('Error saving owner commission rule:', err);
+    res.status(500).json({ error: 'Failed to save commission rule', details: err.message });
+  }
+};
+
+// PUT /api/commissions/rules/agencies/:agency - Body: { rent: terms, buy: terms, note }
+// Applies to every owner whose agency matches, case-insensitively
+exports.setAgencyRule = async (req, res) => {
+  try {
+    const agency = agencyKey(req.params.agency);
+    if (!agency) {
+      return res.status(400).json({ error: 'Validation failed', message: 'agency is required' });
+    }
+    await saveRule(req, res, { scope: 'agency', ownerId: null, agency });
+  } catch (err) {
+    console.error('Error saving agency commission rule:', err);
+    res.status(500).json({ error: 'Failed to save commission rule', details: err.message });
+  }
+};
+
+// DELETE /api/commissions/rules/:id - later payments fall back to the next rule
+exports.deleteRule = async (req, res) => {
+  try {
+    const rule = mongoose.isValidObjectId(req.params.id)
+      ? await CommissionRule.findByIdAndDelete(req.params.id)
+      : null;
+    if (!rule) return res.status(404).json({ error: 'Commission rule not found' });
+
+    console.log(`🗑️ Commission rule ${rule.scope} ${rule.ownerId || rule.agency || ''} deleted by ${req.user.email}`);
+    res.json({ success: true, message: 'Commission rule deleted', rule });
+  } catch (err) {
+    console.error('Error deleting commission rule:', err);
+    res.status(500).json({ error: 'Failed to delete commission rule', details: err.message });
+  }
+};
+
+// ============ COMMISSIONS ============
+
+// GET /api/commissions?ownerId=&purchaseType=&currency=&from=&to=&page=&limit=
+// Admins see every owner, owners their own
+exports.getCommissions = async (req, res) => {
+  try {
+    const { limit, page, errors } = parsePagination(req.query);
+    const from = req.query.from ? parseDay(req.query.from) : null;
+    const to = req.query.to ? parseDay(req.query.to) : null;
+    if (req.query.from && !from) errors.push('from must be a valid date (YYYY-MM-DD)');
+    if (req.query.to && !to) errors.push('to must be a valid date (YYYY-MM-DD)');
+    if (req.query.purchaseType && !PURCHASE_TYPES.includes(req.query.purchaseType)) {
+      errors.push('purchaseType must be rent or buy');
+    }
+    let ownerId;
+    if (req.query.ownerId !== undefined) {
+      ownerId = Number(req.query.ownerId);
+      if (!Number.isInteger(ownerId)) errors.push('ownerId must be a number');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', message: errors.join('; '), errors });
+    }
+
+    const filter = {};
+    if (req.user.role !== 'admin') {
+      const ownerIds = await ownerIdsForUser(req.user);
+      filter.ownerId = ownerId !== undefined && ownerIds.includes(ownerId) ? ownerId : { $in: ownerIds };
+    } else if (ownerId !== undefined) {
+      filter.ownerId = ownerId;
+    }
+    if (req.query.purchaseType) filter.purchaseType = req.query.purchaseType;
+    if (req.query.currency) filter.currency = String(req.query.currency).toUpperCase();
+    if (from || to) {
+      filter.occurredAt = { ...(from ? { $gte: from } : {}), ...(to ? { $lt: addDays(to, 1) } : {}) };
+    }
+
+    const [commissions, total, totals] = await Promise.all([
+      Commission.find(filter)
+        .sort({ occurredAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Commission.countDocuments(filter),
+      Commission.aggregate([
+        { $match: filter },
+        {
+          $group: {
+            _id: '$currency',
+            payments: { $sum: 1 },
+            grossAmount: { $sum: '$grossAmount' },
+            commissionAmount: { $sum: '$commissionAmount' },
+            ownerAmount: { $sum: '$ownerAmount' }
+          }
+        },
+        { $sort: { _id: 1 } },
+        { $project: { _id: 0, currency: '$_id', payments: 1, grossAmount: 1, commissionAmount: 1, ownerAmount: 1 } }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      commissions,
+      totals,
+      pagination: { total, limit, page, totalPages: Math.ceil(total / limit) }
+    });
+  } catch (err) {
+    console.error('Error fetching commissions:', err);
+    res.status(500).json({ error: 'Failed to fetch commissions', details: err.message });
+  }
+};
@@ -0,0 +1,411 @@
+// controllers/conversationController.js
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Property = require('../models/Property');
+const Owner = require('../models/Owner');
+const User = require('../models/User');
+const Profile = require('../models/Profile');
+const notificationController = require('./notificationController');
+const { isPublished } = require('../utils/listingWorkflow');
+const { storeImage, removeStoredImages } = require('../utils/imageUtils');
+const { PRIVATE_FOLDER, getStorage, generateFilename } = require('../utils/storage');
+const { emitToUsers } = require('../socket');
+
+const DEFAULT_MESSAGE_LIMIT = 30;
+const MAX_MESSAGE_LIMIT = 100;
+
+const sameId = (a, b) => !!a && !!b && a.toString() === b.toString();
+
+// Participants and admins can open a thread
+const canAccessConversation = (user, conversation) =>
+  user.role === 'admin' || conversation.isParticipant(user.id);
+
+const senderRoleFor = (user, conversation) => {
+  if (sameId(conversation.customer.userId, user.id)) return 'customer';
+  if (sameId(conversation.owner.userId, user.id)) return 'owner';
+  return 'admin';
+};
+
+// Unread messages per conversation for one user
+const unreadCountsFor = async (userId, conversationIds) => {
+  const counts = await Message.aggregate([
+    {
+      $match: {
+        conversationId: { $in: conversationIds },
+        recipients: userId,
+        readBy: { $nin: [userId] }
+      }
+    },
+    { $group: { _id: '$conversationId', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+};
+
+const loadConversation = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({ error: 'Conversation not found' });
+    return null;
+  }
+  const conversation = await Conversation.findById(req.params.id);
+  if (!conversation || !canAccessConversation(req.user, conversation)) {
+    res.status(404).json({ error: 'Conversation not found' });
+    return null;
+  }
+  return conversation;
+};
+
+/**
+ * Stores uploaded attachments under private/messages/<conversationId>, which
+ * is never served statically - downloadAttachment checks the participant.
+ * Images go through imageUtils (resized, EXIF removed); PDFs are stored as uploaded.
+ * @returns {Promise<Array>} - Attachment records for Message.attachments
+ */
+const storeAttachments = async (files = [], conversationId) => {
+  const folder = `${PRIVATE_FOLDER}/messages/${conversationId}`;
+  const stored = [];
+
+  try {
+    for (const file of files) {
+      if (file.mimetype === 'application/pdf') {
+        const saved = await getStorage().save(file.buffer, {
+          folder,
+          filename: generateFilename('pdf'),
+          contentType: 'application/pdf'
+        });
+        stored.push({ kind: 'file', fileName: file.originalname, mimeType: 'application/pdf', size: saved.size, key: saved.key });
+      } else {
+        const image = await storeImage(file.buffer, { folder, mimeType: file.mimetype, originalName: file.originalname });
+        stored.push({
+          kind: 'image',
+          fileName: file.originalname,
+          mimeType: image.mimeType,
+          size: image.size,
+          width: image.width,
+          height: image.height,
+          key: image.key,
+          variants: image.variants
+        });
+      }
+    }
+  } catch (err) {
+    await removeStoredImages(stored);
+    throw err;
+  }
+  return stored;
+};
+
+/**
+ * Saves a message, updates the thread summary and pushes it to the recipients'
+ * socket rooms together with their new unread totals
+ */
+const postMessage = async (conversation, user, { text, files }) => {
+  const attachments = await storeAttachments(files, conversation._id);
+  const recipients = conversation.participants.filter(id => !sameId(id, user.id));
+
+  const message = new Message({
+    conversationId: conversation._id,
+    senderId: user.id,
+    senderRole: senderRoleFor(user, conversation),
+    text: typeof text === 'string' ? text.trim() : undefined,
+    attachments,
+    recipients,
+    readBy: [user.id]
+  });
+
+  try {
+    await message.save();
+  } catch (err) {
+    await removeStoredImages(attachments);
+    throw err;
+  }
+
+  await Conversation.updateOne(
+    { _id: conversation._id },
+    {
+      $set: {
+        lastMessage: {
+          text: message.text ? message.text.slice(0, 200) : '',
+          senderId: user.id,
+          hasAttachments: attachments.length > 0,
+          sentAt: message.createdAt
+        },
+        lastMessageAt: message.createdAt
+      },
+      $inc: { messageCount: 1 }
+    }
+  );
+
+  const payload = message.toJSON();
+  for (const recipientId of recipients) {
+    const unreadCount = await Message.getUnreadCountForUser(recipientId);
+    emitToUsers(recipientId, 'new-message', {
+      conversationId: conversation._id,
+      propertyId: conversation.propertyId,
+      propertyName: conversation.propertyName,
+      message: payload,
+      unreadCount
+    });
+  }
+  // The sender's other devices
+  emitToUsers(user.id, 'message-sent', { conversationId: conversation._id, message: payload });
+
+  return message;
+};
+
+const sendMessageError = (res, err, fallback) => {
+  if (err.code === 'INVALID_IMAGE') {
+    return res.status(400).json({ error: 'Invalid attachment', message: err.message });
+  }
+  if (err.name === 'ValidationError') {
+    return res.status(400).json({ error: 'Validation failed', message: err.message });
+  }
+  console.error(`Error ${fallback}:`, err);
+  res.status(500).json({ error: `Failed ${fallback}`, details: err.message });
+};
+
+// ============ CONVERSATIONS ============
+
+// POST /api/conversations - JSON or multipart (up to 5 "attachments")
+// Body: { propertyId, text } - opens the thread with the property's owner, or
+// continues the caller's existing thread for that property
+exports.startConversation = async (req, res) => {
+  try {
+    const { propertyId, text } = req.body;
+    const property = mongoose.isValidObjectId(propertyId)
+      ? await Property.findById(propertyId).select('name ownerId ownerName listingStatus')
+      : null;
+    if (!property || !isPublished(property)) {
+      return res.status(404).json({ error: 'Property not found' });
+    }
+
+    let conversation = await Conversation.findOne({ propertyId: property._id, 'customer.userId': req.user.id });
+    let created = false;
+
+    if (!conversation) {
+      const owner = await Owner.findOne({ ownerId: String(property.ownerId) });
+      if (!owner) {
+        return res.status(409).json({ error: 'Owner not found', message: 'This listing has no owner to contact' });
+      }
+      const ownerUser = owner.email ? await User.findOne({ email: owner.email.toLowerCase() }).select('_id') : null;
+      if (ownerUser && sameId(ownerUser._id, req.user.id)) {
+        return res.status(400).json({ error: 'Invalid conversation', message: 'You cannot message yourself about your own listing' });
+      }
+
+      const profile = await Profile.findOne({ email: req.user.email.toLowerCase() }).select('firstName lastName');
+      const customerName = profile ? `${profile.firstName || ''} ${profile.lastName || ''}`.trim() : '';
+
+      try {
+        conversation = await Conversation.create({
+          propertyId: property._id,
+          propertyName: property.name,
+          customer: { userId: req.user.id, name: customerName || req.user.email, email: req.user.email },
+          owner: { ownerId: owner.ownerId, userId: ownerUser?._id || null, name: owner.name, email: owner.email },
+          participants: [req.user.id, ...(ownerUser ? [ownerUser._id] : [])]
+        });
+        created = true;
+      } catch (err) {
+        // Two first messages raced - continue in the thread the other one created
+        if (err.code !== 11000) throw err;
+        conversation = await Conversation.findOne({ propertyId: property._id, 'customer.userId': req.user.id });
+      }
+
+      if (created && !ownerUser) {
+        // Nobody can read the thread in the app yet - let the admins follow up
+        await notificationController.createNotification({
+          userId: req.user.id,
+          type: 'message',
+          target: 'admin',
+          title: 'Message for Owner Without Account',
+          message: `${conversation.customer.name} asked about "${property.name}" but owner ${owner.name} has no app account`,
+          propertyId: property._id,
+          propertyName: property.name,
+          relatedId: conversation._id,
+          metadata: { conversationId: conversation._id, ownerId: owner.ownerId, ownerEmail: owner.email || null }
+        });
+      }
+    }
+
+    const message = await postMessage(conversation, req.user, { text, files: req.files });
+    console.log(`💬 ${created ? 'New conversation' : 'Message'} about "${property.name}" from ${req.user.email}`);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      created,
+      conversation: await Conversation.findById(conversation._id),
+      message
+    });
+  } catch (err) {
+    sendMessageError(res, err, 'to start conversation');
+  }
+};
+
+// GET /api/conversations?page=&limit= - the caller's threads, latest activity first
+// Admins can pass all=true to list every thread
+exports.getConversations = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, MAX_MESSAGE_LIMIT);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const filter = req.user.role === 'admin' && req.query.all === 'true'
+      ? {}
+      : { participants: req.user.id };
+    if (req.query.propertyId && mongoose.isValidObjectId(req.query.propertyId)) {
+      filter.propertyId = req.query.propertyId;
+    }
+
+    const [conversations, total] = await Promise.all([
+      Conversation.find(filter).sort({ lastMessageAt: -1 }).skip((page - 1) * limit).limit(limit),
+      Conversation.countDocuments(filter)
+    ]);
+    const unread = await unreadCountsFor(req.user.id, conversations.map(conversation => conversation._id));
+
+    res.json({
+      success: true,
+      conversations: conversations.map(conversation => ({
+        ...conversation.toJSON(),
+        unreadCount: unread.get(conversation._id.toString()) || 0
+      })),
+      pagination: { total, limit, page, totalPages: Math.ceil(total / limit) }
+    });
+  } catch (err) {
+    console.error('Error fetching conversations:', err);
+    res.status(500).json({ error: 'Failed to fetch conversations', details: err.message });
+  }
+};
+
+// GET /api/conversations/unread-count
+exports.getUnreadCount = async (req, res) => {
+  try {
+    const count = await Message.getUnreadCountForUser(req.user.id);
+    res.json({ success: true, count });
+  } catch (err) {
+    console.error('Error counting unread messages:', err);
+    res.status(500).json({ error: 'Failed to get unread count', details: err.message });
+  }
+};
+
+// GET /api/conversations/:id
+exports.getConversationById = async (req, res) => {
+  try {
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    const unread = await unreadCountsFor(req.user.id, [conversation._id]);
+    res.json({
+      success: true,
+      conversation: { ...conversation.toJSON(), unreadCount: unread.get(conversation._id.toString()) || 0 }
+    });
+  } catch (err) {
+    console.error('Error fetching conversation:', err);
+    res.status(500).json({ error: 'Failed to fetch conversation', details: err.message });
+  }
+};
+
+// ============ MESSAGES ============
+
+// GET /api/conversations/:id/messages?before=<messageId>&limit=30
+// Newest first; pass the oldest id received as `before` to page back
+exports.getMessages = async (req, res) => {
+  try {
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    const limit = Math.min(parseInt(req.query.limit) || DEFAULT_MESSAGE_LIMIT, MAX_MESSAGE_LIMIT);
+    const filter = { conversationId: conversation._id };
+    if (req.query.before) {
+      if (!mongoose.isValidObjectId(req.query.before)) {
+        return res.status(400).json({ error: 'Validation failed', message: 'before must be a message id' });
+      }
+      filter._id = { $lt: req.query.before };
+    }
+
+    const messages = await Message.find(filter).sort({ _id: -1 }).limit(limit + 1);
+    const hasMore = messages.length > limit;
+
+    res.json({
+      success: true,
+      conversationId: conversation._id,
+      messages: messages.slice(0, limit),
+      hasMore,
+      // Read receipts - a message was seen by a participant if sent before their lastReadAt
+      reads: conversation.reads
+    });
+  } catch (err) {
+    console.error('Error fetching messages:', err);
+    res.status(500).json({ error: 'Failed to fetch messages', details: err.message });
+  }
+};
+
+// POST /api/conversations/:id/messages - JSON { text } or multipart with "attachments"
+exports.sendMessage = async (req, res) => {
+  try {
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    const message = await postMessage(conversation, req.user, { text: req.body.text, files: req.files });
+    res.status(201).json({ success: true, message });
+  } catch (err) {
+    sendMessageError(res, err, 'to send message');
+  }
+};
+
+// POST /api/conversations/:id/read - marks the thread read and sends a read receipt
+exports.markConversationAsRead = async (req, res) => {
+  try {
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    const readAt = new Date();
+    const result = await Message.markConversationAsRead(conversation._id, req.user.id);
+
+    if (conversation.isParticipant(req.user.id)) {
+      // Replace this participant's receipt
+      await Conversation.updateOne({ _id: conversation._id }, { $pull: { reads: { userId: req.user.id } } });
+      await Conversation.updateOne({ _id: conversation._id }, { $push: { reads: { userId: req.user.id, lastReadAt: readAt } } });
+
+      if (result.modifiedCount > 0) {
+        emitToUsers(
+          conversation.participants.filter(id => !sameId(id, req.user.id)),
+          'messages-read',
+          { conversationId: conversation._id, userId: req.user.id, readAt }
+        );
+      }
+    }
+
+    const unreadCount = await Message.getUnreadCountForUser(req.user.id);
+    emitToUsers(req.user.id, 'unread-count', { unreadCount });
+
+    res.json({ success: true, markedCount: result.modifiedCount, readAt, unreadCount });
+  } catch (err) {
+    console.error('Error marking conversation as read:', err);
+    res.status(500).json({ error: 'Failed to mark conversation as read', details: err.message });
+  }
+};
+
+// GET /api/conversations/:id/messages/:messageId/attachments/:attachmentId
+exports.downloadAttachment = async (req, res) => {
+  try {
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    const message = mongoose.isValidObjectId(req.params.messageId)
+      ? await Message.findOne({ _id: req.params.messageId, conversationId: conversation._id })
+      : null;
+    const attachment = message && message.attachments.id(req.params.attachmentId);
+    if (!attachment) return res.status(404).json({ error: 'Attachment not found' });
+
+    const buffer = await getStorage().read(attachment.key);
+    const fileName = (attachment.fileName || 'attachment').replace(/["\r\n]/g, '');
+    res.set({
+      'Content-Type': attachment.mimeType,
+      'Content-Length': buffer.length,
+      'Content-Disposition': `${attachment.kind === 'image' ? 'inline' : 'attachment'}; filename="${fileName}"`,
+      'Cache-Control': 'private, max-age=3600'
+    });
+    res.send(buffer);
+  } catch (err) {
+    if (err.code === 'ENOENT') return res.status(404).json({ error: 'Attachment not found' });
+    console.error('Error downloading attachment:', err);
+    res.status(500).json({ error: 'Failed to download attachment', details: err.message });
+  }
+};
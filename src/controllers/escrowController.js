@@ -0,0 +1,326 @@
+// controllers/escrowController.js
+// Escrow ledger: deposits and earnest money held for customers, and their
+// release or deduction. Owners ask, admins approve; see utils/escrow.
+const mongoose = require('mongoose');
+const EscrowAccount = require('../models/EscrowAccount');
+const EscrowEntry = require('../models/EscrowEntry');
+const Property = require('../models/Property');
+const Transaction = require('../models/Transaction');
+const { parsePagination } = require('../utils/propertyQuery');
+const { actorFromRequest } = require('../utils/priceHistory');
+const { ownerIdsForUser, canManageListing } = require('../utils/listingWorkflow');
+const { parseMoney, formatMoney } = require('../utils/money');
+const {
+  ESCROW_KINDS,
+  OUTFLOW_TYPES,
+  postHold,
+  requestOutflow,
+  decideEntry,
+  escrowTotals,
+  accountDetailsFor,
+  notifyEscrow
+} = require('../utils/escrow');
+
+const ESCROW_ERROR_STATUS = {
+  ESCROW_INSUFFICIENT: 409,
+  ESCROW_DECIDED: 409,
+  ESCROW_CURRENCY: 400
+};
+
+// Sends the response of a utils/escrow error, false when err is something else
+const sendEscrowError = (res, err) => {
+  const status = ESCROW_ERROR_STATUS[err.code];
+  if (!status) return false;
+  res.status(status).json({
+    error: err.code === 'ESCROW_INSUFFICIENT' ? 'Insufficient escrow balance' : 'Escrow entry rejected',
+    message: err.message,
+    ...(err.available !== undefined ? { available: err.available } : {})
+  });
+  return true;
+};
+
+const isCustomer = (user, account) =>
+  (account.customer.userId && String(account.customer.userId) === String(user.id)) ||
+  account.customer.email === String(user.email).toLowerCase();
+
+// Loads an account the caller manages (or, with allowCustomer, holds money in). Sends 404 otherwise.
+const loadAccount = async (req, res, { allowCustomer = false } = {}) => {
+  const account = mongoose.isValidObjectId(req.params.id) ? await EscrowAccount.findById(req.params.id) : null;
+  const allowed = account && (
+    (allowCustomer && isCustomer(req.user, account)) ||
+    await canManageListing(req.user, { ownerId: account.ownerId })
+  );
+  if (!allowed) {
+    res.status(404).json({ error: 'Escrow account not found' });
+    return null;
+  }
+  return account;
+};
+
+const paginationOf = (total, limit, page) => ({ total, limit, page, totalPages: Math.ceil(total / limit) });
+
+// ============ HOLDS ============
+
+// POST /api/escrow/holds - record money received into escrow (admin)
+// Body: { transactionId, kind, amount, currency, reference, note }
+// kind defaults to rental_deposit for rent purchases and earnest_money for sales.
+// Paid deposit invoices are held automatically.
+exports.recordHold = async (req, res) => {
+  try {
+    const { transactionId, reference, note } = req.body;
+    if (!transactionId) {
+      return res.status(400).json({ error: 'Validation failed', message: 'transactionId is required' });
+    }
+    const transaction = await Transaction.findOne(
+      mongoose.isValidObjectId(transactionId)
+        ? { $or: [{ _id: transactionId }, { customTransactionId: transactionId }] }
+        : { customTransactionId: String(transactionId) }
+    );
+    if (!transaction) return res.status(404).json({ error: 'Transaction not found' });
+    if (!['Completed', 'PartiallyRefunded'].includes(transaction.status)) {
+      return res.status(409).json({ error: 'Purchase not completed', message: `The purchase is ${transaction.status}` });
+    }
+
+    const errors = [];
+    const kind = req.body.kind || (transaction.purchaseType === 'rent' ? 'rental_deposit' : 'earnest_money');
+    if (!ESCROW_KINDS.includes(kind)) errors.push(`kind must be one of: ${ESCROW_KINDS.join(', ')}`);
+    const { money, error } = parseMoney(req.body.amount, req.body.currency || transaction.currency);
+    if (error) errors.push(error);
+    else if (!money || money.amount <= 0) errors.push('amount must be greater than zero');
+    else if (money.currency !== transaction.currency) errors.push(`amount must be in the purchase currency (${transaction.currency})`);
+    if (typeof reference !== 'string' || !reference.trim()) errors.push('reference (receipt or bank reference) is required');
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', message: errors.join('; '), errors });
+    }
+
+    const property = await Property.findById(transaction.property)
+      .setOptions({ withDeleted: true })
+      .select('name ownerId');
+    if (!property) return res.status(404).json({ error: 'Property not found' });
+
+    const { account, entry } = await postHold(await accountDetailsFor(transaction, property, kind), {
+      amount: money.amount,
+      reference: reference.trim(),
+      reason: typeof note === 'string' && note.trim() ? note.trim() : 'Recorded by admin',
+      source: 'admin',
+      actor: actorFromRequest(req)
+    });
+
+    console.log(`🔒 ${formatMoney(money.amount, money.currency)} held in escrow for ${transaction.customTransactionId} by ${req.user.email}`);
+    await notifyEscrow(account, entry, 'held');
+
+    res.status(201).json({ success: true, account, entry });
+  } catch (err) {
+    if (sendEscrowError(res, err)) return;
+    console.error('Error recording escrow hold:', err);
+    res.status(500).json({ error: 'Failed to record escrow hold', details: err.message });
+  }
+};
+
+// ============ ACCOUNTS ============
+
+// GET /api/escrow/accounts?propertyId=&customerEmail=&kind=&open=true&page=&limit=
+// Owners see the accounts of their listings
+exports.getAccounts = async (req, res) => {
+  try {
+    const { limit, page, errors } = parsePagination(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', message: errors.join('; '), errors });
+    }
+
+    const filter = {};
+    if (req.query.propertyId) filter.propertyId = req.query.propertyId;
+    if (req.query.customerEmail) filter['customer.email'] = String(req.query.customerEmail).toLowerCase();
+    if (req.query.kind) filter.kind = req.query.kind;
+    if (req.query.open === 'true') filter.$or = [{ balance: { $gt: 0 } }, { pendingOut: { $gt: 0 } }];
+    if (req.user.role === 'owner') {
+      filter.ownerId = { $in: await ownerIdsForUser(req.user) };
+    }
+
+    const [accounts, total] = await Promise.all([
+      EscrowAccount.find(filter)
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      EscrowAccount.countDocuments(filter)
+    ]);
+
+    res.json({ success: true, accounts, pagination: paginationOf(total, limit, page) });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid propertyId' });
+    }
+    console.error('Error fetching escrow accounts:', err);
+    res.status(500).json({ error: 'Failed to fetch escrow accounts', details: err.message });
+  }
+};
+
+// GET /api/escrow/accounts/:id - the account with its full ledger (managers and the customer)
+exports.getAccountById = async (req, res) => {
+  try {
+    const account = await loadAccount(req, res, { allowCustomer: true });
+    if (!account) return;
+    const entries = await EscrowEntry.find({ accountId: account._id }).sort({ createdAt: 1 });
+    res.json({ success: true, account, entries });
+  } catch (err) {
+    console.error('Error fetching escrow account:', err);
+    res.status(500).json({ error: 'Failed to fetch escrow account', details: err.message });
+  }
+};
+
+// POST /api/escrow/accounts/:id/releases   - Body: { amount, currency, reason, reference }
+// POST /api/escrow/accounts/:id/deductions - Body: { amount, currency, reason, reference }
+// Set aside until an admin approves it. A release without an amount asks for
+// everything available; a deduction needs an amount and a reason.
+const requestOutflowOfType = async (req, res, type) => {
+  try {
+    const account = await loadAccount(req, res);
+    if (!account) return;
+
+    const errors = [];
+    let amount = account.available;
+    if (req.body.amount !== undefined || type === 'deduction') {
+      const { money, error } = parseMoney(req.body.amount, req.body.currency || account.currency);
+      if (error) errors.push(error);
+      else if (!money || money.amount <= 0) errors.push('amount must be greater than zero');
+      else if (money.currency !== account.currency) errors.push(`amount must be in ${account.currency}`);
+      else amount = money.amount;
+    }
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim().slice(0, 1000) : '';
+    if (type === 'deduction' && !reason) errors.push('reason is required for a deduction');
+    if (errors.length === 0 && amount <= 0) errors.push('Nothing is available to release');
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', message: errors.join('; '), errors });
+    }
+
+    const result = await requestOutflow(account, {
+      type,
+      amount,
+      reason: reason || undefined,
+      reference: typeof req.body.reference === 'string' ? req.body.reference.trim() : undefined,
+      source: req.user.role === 'admin' ? 'admin' : 'manager',
+      actor: actorFromRequest(req)
+    });
+
+    console.log(`🔓 Escrow ${type} of ${formatMoney(amount, account.currency)} requested on ${account._id} by ${req.user.email}`);
+    await notifyEscrow(result.account, result.entry, 'requested');
+
+    res.status(201).json({ success: true, ...result });
+  } catch (err) {
+    if (sendEscrowError(res, err)) return;
+    console.error(`Error requesting escrow ${type}:`, err);
+    res.status(500).json({ error: `Failed to request escrow ${type}`, details: err.message });
+  }
+};
+
+exports.requestRelease = (req, res) => requestOutflowOfType(req, res, 'release');
+exports.requestDeduction = (req, res) => requestOutflowOfType(req, res, 'deduction');
+
+// ============ LEDGER & APPROVALS (admin) ============
+
+// GET /api/escrow/entries?status=pending&type=&propertyId=&customerEmail=&page=&limit=
+exports.getEntries = async (req, res) => {
+  try {
+    const { limit, page, errors } = parsePagination(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', message: errors.join('; '), errors });
+    }
+
+    const filter = {};
+    if (req.query.status) filter.status = { $in: String(req.query.status).split(',') };
+    if (req.query.type) filter.type = { $in: String(req.query.type).split(',') };
+    if (req.query.propertyId) filter.propertyId = req.query.propertyId;
+    if (req.query.customerEmail) filter.customerEmail = String(req.query.customerEmail).toLowerCase();
+
+    const [entries, total] = await Promise.all([
+      EscrowEntry.find(filter)
+        .sort({ createdAt: req.query.status === 'pending' ? 1 : -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      EscrowEntry.countDocuments(filter)
+    ]);
+
+    res.json({ success: true, entries, pagination: paginationOf(total, limit, page) });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid propertyId' });
+    }
+    console.error('Error fetching escrow entries:', err);
+    res.status(500).json({ error: 'Failed to fetch escrow entries', details: err.message });
+  }
+};
+
+// POST /api/escrow/entries/:entryId/approve - Body: { note }
+// POST /api/escrow/entries/:entryId/reject  - Body: { note } (required)
+const decide = async (req, res, approve) => {
+  try {
+    const entry = mongoose.isValidObjectId(req.params.entryId) ? await EscrowEntry.findById(req.params.entryId) : null;
+    if (!entry) return res.status(404).json({ error: 'Escrow entry not found' });
+    if (entry.status !== 'pending' || !OUTFLOW_TYPES.includes(entry.type)) {
+      return res.status(409).json({ error: 'Escrow entry rejected', message: `This ${entry.type} is already ${entry.status}` });
+    }
+
+    const note = typeof req.body.note === 'string' ? req.body.note.trim().slice(0, 1000) : '';
+    if (!approve && !note) {
+      return res.status(400).json({ error: 'Validation failed', message: 'note is required to reject an entry' });
+    }
+
+    const result = await decideEntry(entry, approve, { actor: actorFromRequest(req), note: note || undefined });
+
+    console.log(`${approve ? '✅' : '❌'} Escrow ${entry.type} of ${formatMoney(entry.amount, entry.currency)} ${approve ? 'approved' : 'rejected'} by ${req.user.email}`);
+    await notifyEscrow(result.account, result.entry, approve ? 'approved' : 'rejected');
+
+    res.json({ success: true, ...result });
+  } catch (err) {
+    if (sendEscrowError(res, err)) return;
+    console.error('Error deciding escrow entry:', err);
+    res.status(500).json({ error: 'Failed to decide escrow entry', details: err.message });
+  }
+};
+
+exports.approveEntry = (req, res) => decide(req, res, true);
+exports.rejectEntry = (req, res) => decide(req, res, false);
+
+// ============ BALANCES ============
+
+// GET /api/escrow/balances/properties/:propertyId - totals per currency and kind
+exports.getPropertyBalance = async (req, res) => {
+  try {
+    const property = mongoose.isValidObjectId(req.params.propertyId)
+      ? await Property.findById(req.params.propertyId).setOptions({ withDeleted: true }).select('name ownerId')
+      : null;
+    if (!property || !(await canManageListing(req.user, property))) {
+      return res.status(404).json({ error: 'Property not found' });
+    }
+
+    const totals = await escrowTotals({ propertyId: property._id });
+    res.json({
+      success: true,
+      propertyId: property._id,
+      propertyName: property.name,
+      totals
+    });
+  } catch (err) {
+    console.error('Error fetching property escrow balance:', err);
+    res.status(500).json({ error: 'Failed to fetch escrow balance', details: err.message });
+  }
+};
+
+// GET /api/escrow/balances/customers/:email - admins, or the customer themselves
+exports.getCustomerBalance = async (req, res) => {
+  try {
+    const email = String(req.params.email).toLowerCase();
+    if (req.user.role !== 'admin' && String(req.user.email).toLowerCase() !== email) {
+      return res.status(403).json({ error: 'Access denied', message: 'You can only see your own escrow balance' });
+    }
+
+    const [totals, accounts] = await Promise.all([
+      escrowTotals({ 'customer.email': email }),
+      EscrowAccount.find({ 'customer.email': email }).sort({ updatedAt: -1 })
+    ]);
+    res.json({ success: true, email, totals, accounts });
+  } catch (err) {
+    console.error('Error fetching customer escrow balance:', err);
+    res.status(500).json({ error: 'Failed to fetch escrow balance', details: err.message });
+  }
+};
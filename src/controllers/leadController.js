@@ -0,0 +1,382 @@
+// controllers/leadController.js
+const mongoose = require('mongoose');
+const Lead = require('../models/Lead');
+const Property = require('../models/Property');
+const Owner = require('../models/Owner');
+const User = require('../models/User');
+const notificationController = require('./notificationController');
+const { parsePagination } = require('../utils/propertyQuery');
+const { actorFromRequest } = require('../utils/priceHistory');
+const { isPublished, ownerIdsForUser } = require('../utils/listingWorkflow');
+const { validateAndNormalizeEmail } = require('../utils/emailUtils');
+const { sendMail } = require('../utils/mailer');
+const { emitToUsers } = require('../socket');
+const {
+  LEAD_STAGES,
+  OPEN_LEAD_STAGES,
+  normalizePhone,
+  contactMatchFilter,
+  stageChangeError
+} = require('../utils/leadPipeline');
+
+// Pipeline order used for funnel rates; lost leads count up to the stage they reached
+const FUNNEL_STAGES = ['new', 'contacted', 'viewing', 'negotiating', 'won'];
+
+const PHONE_PATTERN = /^\+?[\d\s\-()]+$/;
+
+const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0);
+
+// Owner.ownerId values whose leads the user may see (null = all)
+const visibleOwnerIds = async (user) => {
+  if (user.role !== 'owner') return null;
+  const ownerIds = await ownerIdsForUser(user);
+  return ownerIds.map(String);
+};
+
+const loadLead = async (req, res) => {
+  const lead = mongoose.isValidObjectId(req.params.id) ? await Lead.findById(req.params.id) : null;
+  const ownerIds = lead ? await visibleOwnerIds(req.user) : null;
+  if (!lead || (ownerIds && !ownerIds.includes(lead.ownerId))) {
+    res.status(404).json({ error: 'Lead not found' });
+    return null;
+  }
+  return lead;
+};
+
+/**
+ * Validates the contact details of an inquiry
+ * @returns {{ contact: Object, message: string, errors: string[] }}
+ */
+const parseInquiry = (body = {}) => {
+  const errors = [];
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  const message = typeof body.message === 'string' ? body.message.trim() : '';
+  let email = null;
+  let phone = null;
+
+  if (!name) errors.push('name is required');
+  if (name.length > 100) errors.push('name cannot exceed 100 characters');
+
+  if (body.email) {
+    const result = validateAndNormalizeEmail(body.email);
+    if (result.isValid) email = result.email;
+    else errors.push(result.error);
+  }
+  if (body.phone) {
+    phone = String(body.phone).trim();
+    const digits = phone.replace(/\D/g, '');
+    if (!PHONE_PATTERN.test(phone) || digits.length < 7 || digits.length > 15) {
+      errors.push('phone must be a valid phone number');
+    }
+  }
+  if (!body.email && !body.phone) errors.push('email or phone is required');
+  if (message.length > 2000) errors.push('message cannot exceed 2000 characters');
+
+  return {
+    contact: { name, email, phone, phoneNormalized: normalizePhone(phone) },
+    message,
+    errors
+  };
+};
+
+// Tells the owner (in-app, socket and email) and the admins about a new lead
+const routeLeadToOwner = async (lead, owner) => {
+  const contactLine = [lead.contact.email, lead.contact.phone].filter(Boolean).join(', ');
+  const latest = lead.inquiries[lead.inquiries.length - 1];
+  const base = {
+    type: 'lead_created',
+    title: 'New Inquiry',
+    message: `${lead.contact.name} is interested in "${lead.propertyName}"${latest?.message ? `: ${latest.message.slice(0, 140)}` : ''}`,
+    propertyId: lead.propertyId,
+    propertyName: lead.propertyName,
+    relatedId: lead._id,
+    metadata: { leadId: lead._id, ownerId: lead.ownerId, contact: contactLine }
+  };
+
+  await notificationController.createNotification({ ...base, target: 'admin' });
+  if (!owner) return;
+
+  const ownerUser = owner.email ? await User.findOne({ email: owner.email }).select('_id') : null;
+  await notificationController.createNotification({ ...base, target: 'owner', userId: ownerUser?._id || null });
+  if (ownerUser) emitToUsers(ownerUser._id, 'new-lead', { lead: lead.toJSON() });
+
+  if (owner.email) {
+    await sendMail({
+      to: owner.email,
+      subject: `New inquiry - ${lead.propertyName}`,
+      text: [
+        `${lead.contact.name} is interested in "${lead.propertyName}".`,
+        `Contact: ${contactLine}`,
+        latest?.message ? `\nMessage:\n${latest.message}` : ''
+      ].join('\n')
+    });
+  }
+};
+
+// ============ INQUIRIES ============
+
+// POST /api/property/:id/inquiries - "I'm interested" (public, rate limited)
+// Body: { name, email, phone, message } - email or phone required.
+// A repeat inquiry from the same contact is added to their open lead.
+exports.createInquiry = async (req, res) => {
+  try {
+    const property = mongoose.isValidObjectId(req.params.id)
+      ? await Property.findById(req.params.id).select('name ownerId status listingStatus')
+      : null;
+    if (!property || !isPublished(property)) {
+      return res.status(404).json({ error: 'Property not found' });
+    }
+    if (property.status === 'sold') {
+      return res.status(400).json({ error: 'Property already sold', message: 'This property is no longer available' });
+    }
+
+    const { contact, message, errors } = parseInquiry(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', message: errors.join('; '), errors });
+    }
+
+    const inquiry = { message: message || undefined, createdAt: new Date() };
+
+    const existing = await Lead.findOneAndUpdate(
+      { propertyId: property._id, stage: { $in: OPEN_LEAD_STAGES }, ...contactMatchFilter(contact) },
+      { $push: { inquiries: inquiry }, $set: { lastInquiryAt: inquiry.createdAt } },
+      { new: true }
+    );
+    if (existing) {
+      console.log(`📨 Repeat inquiry on lead ${existing._id} for "${property.name}"`);
+      return res.json({ success: true, leadId: existing._id, duplicate: true });
+    }
+
+    const owner = await Owner.findOne({ ownerId: String(property.ownerId) });
+    const lead = await Lead.create({
+      propertyId: property._id,
+      propertyName: property.name,
+      ownerId: String(property.ownerId),
+      contact,
+      userId: req.user?.id || null,
+      inquiries: [inquiry],
+      stageHistory: [{ from: null, to: 'new', reason: 'Inquiry', changedBy: actorFromRequest(req) }]
+    });
+
+    console.log(`📨 New lead ${lead._id} for "${property.name}" routed to owner ${lead.ownerId}`);
+
+    try {
+      await routeLeadToOwner(lead, owner);
+    } catch (notifError) {
+      console.error('⚠️ Lead notification failed:', notifError.message);
+    }
+
+    res.status(201).json({ success: true, leadId: lead._id, duplicate: false });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation failed', message: err.message });
+    }
+    console.error('Error creating inquiry:', err);
+    res.status(500).json({ error: 'Failed to send inquiry', details: err.message });
+  }
+};
+
+// ============ PIPELINE ============
+
+// GET /api/leads?stage=&propertyId=&q=&page=&limit= - owners see leads of their listings
+exports.getLeads = async (req, res) => {
+  try {
+    const { limit, page, errors } = parsePagination(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', message: errors.join('; '), errors });
+    }
+
+    const filter = {};
+    const ownerIds = await visibleOwnerIds(req.user);
+    if (ownerIds) filter.ownerId = { $in: ownerIds };
+    if (req.query.ownerId && (!ownerIds || ownerIds.includes(String(req.query.ownerId)))) {
+      filter.ownerId = String(req.query.ownerId);
+    }
+    if (req.query.stage) {
+      const stages = String(req.query.stage).split(',');
+      const invalid = stages.filter(stage => !LEAD_STAGES.includes(stage));
+      if (invalid.length > 0) {
+        return res.status(400).json({ error: 'Validation failed', message: `Unknown stage(s): ${invalid.join(', ')}` });
+      }
+      filter.stage = { $in: stages };
+    }
+    if (req.query.propertyId && mongoose.isValidObjectId(req.query.propertyId)) {
+      filter.propertyId = req.query.propertyId;
+    }
+    if (req.query.q) {
+      const pattern = new RegExp(String(req.query.q).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [{ 'contact.name': pattern }, { 'contact.email': pattern }, { 'contact.phone': pattern }, { propertyName: pattern }];
+    }
+
+    const [leads, total] = await Promise.all([
+      Lead.find(filter).sort({ updatedAt: -1 }).skip((page - 1) * limit).limit(limit),
+      Lead.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      leads,
+      pagination: { total, limit, page, totalPages: Math.ceil(total / limit) }
+    });
+  } catch (err) {
+    console.error('Error fetching leads:', err);
+    res.status(500).json({ error: 'Failed to fetch leads', details: err.message });
+  }
+};
+
+// GET /api/leads/:id
+exports.getLeadById = async (req, res) => {
+  try {
+    const lead = await loadLead(req, res);
+    if (!lead) return;
+    res.json({ success: true, lead });
+  } catch (err) {
+    console.error('Error fetching lead:', err);
+    res.status(500).json({ error: 'Failed to fetch lead', details: err.message });
+  }
+};
+
+// PATCH /api/leads/:id/stage - body: { stage, reason } (reason required for lost)
+exports.updateLeadStage = async (req, res) => {
+  try {
+    const lead = await loadLead(req, res);
+    if (!lead) return;
+
+    const stage = req.body.stage;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    const error = stageChangeError(lead.stage, stage, reason);
+    if (error) {
+      const invalidInput = !LEAD_STAGES.includes(stage) || (stage === 'lost' && !reason);
+      return res.status(invalidInput ? 400 : 409).json({
+        error: 'Invalid stage change',
+        message: error,
+        stage: lead.stage
+      });
+    }
+
+    const from = lead.stage;
+    const now = new Date();
+    lead.$where = { stage: from };
+    lead.stage = stage;
+    lead.stageHistory.push({ from, to: stage, reason: reason || undefined, changedBy: actorFromRequest(req), changedAt: now });
+    lead.lostReason = stage === 'lost' ? reason : undefined;
+    lead.closedAt = ['won', 'lost'].includes(stage) ? now : null;
+
+    try {
+      await lead.save();
+    } catch (saveError) {
+      if (saveError.name === 'DocumentNotFoundError') {
+        return res.status(409).json({
+          error: 'Invalid stage change',
+          message: 'The lead changed while this request was processed, reload and retry'
+        });
+      }
+      throw saveError;
+    }
+
+    console.log(`📈 Lead ${lead._id} ${from} -> ${stage} by ${req.user.email}`);
+
+    if (stage === 'won') {
+      await notificationController.createNotification({
+        userId: req.user.id,
+        type: 'lead_won',
+        target: 'admin',
+        title: 'Lead Won',
+        message: `Lead ${lead.contact.name} on "${lead.propertyName}" was marked as won by ${req.user.email}`,
+        propertyId: lead.propertyId,
+        propertyName: lead.propertyName,
+        relatedId: lead._id,
+        metadata: { leadId: lead._id, from }
+      });
+    }
+
+    res.json({ success: true, lead });
+  } catch (err) {
+    console.error('Error updating lead stage:', err);
+    res.status(500).json({ error: 'Failed to update lead stage', details: err.message });
+  }
+};
+
+// GET /api/leads/board?from=&to=&ownerId=&propertyId=&limit=20 (admin)
+// Leads grouped by stage with counts, plus funnel and conversion rates
+exports.getLeadBoard = async (req, res) => {
+  try {
+    const match = {};
+    if (req.query.from || req.query.to) {
+      const from = req.query.from ? new Date(req.query.from) : null;
+      const to = req.query.to ? new Date(req.query.to) : null;
+      if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+        return res.status(400).json({ error: 'Validation failed', message: 'from and to must be ISO 8601 dates' });
+      }
+      match.createdAt = { ...(from && { $gte: from }), ...(to && { $lt: to }) };
+    }
+    if (req.query.ownerId) match.ownerId = String(req.query.ownerId);
+    if (req.query.propertyId && mongoose.isValidObjectId(req.query.propertyId)) {
+      match.propertyId = new mongoose.Types.ObjectId(String(req.query.propertyId));
+    }
+    const cardLimit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const [stageCounts, reachedCounts, cards] = await Promise.all([
+      Lead.aggregate([{ $match: match }, { $group: { _id: '$stage', count: { $sum: 1 } } }]),
+      // Furthest pipeline stage each lead got to, from its history
+      Lead.aggregate([
+        { $match: match },
+        {
+          $project: {
+            furthest: {
+              $max: {
+                $map: {
+                  input: { $setUnion: ['$stageHistory.to', ['$stage']] },
+                  as: 'stage',
+                  in: { $indexOfArray: [FUNNEL_STAGES, '$$stage'] }
+                }
+              }
+            }
+          }
+        },
+        { $group: { _id: '$furthest', count: { $sum: 1 } } }
+      ]),
+      Promise.all(LEAD_STAGES.map(stage => Lead.find({ ...match, stage })
+        .sort({ updatedAt: -1 })
+        .limit(cardLimit)
+        .select('propertyId propertyName ownerId contact stage lastInquiryAt createdAt updatedAt')))
+    ]);
+
+    const counts = Object.fromEntries(LEAD_STAGES.map(stage => [stage, 0]));
+    stageCounts.forEach(({ _id, count }) => { counts[_id] = count; });
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+    // A lead reached a stage when its furthest stage is that one or later
+    const furthest = new Map(reachedCounts.map(({ _id, count }) => [_id, count]));
+    const reached = FUNNEL_STAGES.map((stage, index) => ({
+      stage,
+      count: [...furthest.entries()].filter(([position]) => position >= index).reduce((sum, [, count]) => sum + count, 0)
+    }));
+
+    const funnel = reached.map((entry, index) => ({
+      stage: entry.stage,
+      reached: entry.count,
+      reachedRate: rate(entry.count, total),
+      // Share of the previous stage's leads that made it here
+      stepRate: index === 0 ? 100 : rate(entry.count, reached[index - 1].count)
+    }));
+
+    res.json({
+      success: true,
+      total,
+      stages: LEAD_STAGES.map((stage, index) => ({ stage, count: counts[stage], leads: cards[index] })),
+      conversion: {
+        won: counts.won,
+        lost: counts.lost,
+        open: OPEN_LEAD_STAGES.reduce((sum, stage) => sum + counts[stage], 0),
+        // Won out of every lead, and out of the leads that are closed
+        conversionRate: rate(counts.won, total),
+        winRate: rate(counts.won, counts.won + counts.lost),
+        funnel
+      }
+    });
+  } catch (err) {
+    console.error('Error building lead board:', err);
+    res.status(500).json({ error: 'Failed to build lead board', details: err.message });
+  }
+};
@@ -0,0 +1,470 @@
+// controllers/leaseController.js
+// Leases created from rent purchases, their invoices and invoice payments.
+// Billing itself (periods, late fees, reminders) runs in jobs/leaseBilling.
+const mongoose = require('mongoose');
+const Lease = require('../models/Lease');
+const Invoice = require('../models/Invoice');
+const Property = require('../models/Property');
+const Transaction = require('../models/Transaction');
+const RentalBlock = require('../models/RentalBlock');
+const User = require('../models/User');
+const stripe = require('../utils/stripeClient');
+const { parsePagination } = require('../utils/propertyQuery');
+const { actorFromRequest } = require('../utils/priceHistory');
+const { ownerIdsForUser, canManageListing } = require('../utils/listingWorkflow');
+const { parseMoney, formatMoney } = require('../utils/money');
+const { parseDay, addDays, reserveRange } = require('../utils/rentalCalendar');
+const {
+  DEPOSIT_DUE_DAYS,
+  MAX_TERM_MONTHS,
+  OFFLINE_PAYMENT_METHODS,
+  firstBillingDateFrom,
+  addMonths,
+  createInvoice,
+  issueDueInvoices,
+  applyInvoicePayment,
+  createInvoicePaymentIntent,
+  recordInvoiceIntent,
+  notifyInvoice
+} = require('../utils/leaseBilling');
+
+const isTenant = (user, record) =>
+  (record.tenant.userId && String(record.tenant.userId) === String(user.id)) ||
+  (Boolean(record.tenant.email) && record.tenant.email === String(user.email).toLowerCase());
+
+const canManageLease = (user, lease) => canManageListing(user, { ownerId: lease.ownerId });
+
+/**
+ * Loads the lease and works out which side the caller is on: the tenant, or
+ * someone who manages the listing. Sends 404 when neither.
+ * @returns {Promise<{ lease, party }|null>}
+ */
+const loadLeaseForParty = async (req, res, leaseId) => {
+  const lease = mongoose.isValidObjectId(leaseId) ? await Lease.findById(leaseId) : null;
+
+  let party = null;
+  if (lease && isTenant(req.user, lease)) party = 'tenant';
+  else if (lease && await canManageLease(req.user, lease)) party = 'manager';
+
+  if (!party) {
+    res.status(404).json({ error: 'Lease not found' });
+    return null;
+  }
+  return { lease, party };
+};
+
+const loadInvoiceForParty = async (req, res) => {
+  const invoice = mongoose.isValidObjectId(req.params.invoiceId) ? await Invoice.findById(req.params.invoiceId) : null;
+  if (!invoice) {
+    res.status(404).json({ error: 'Invoice not found' });
+    return null;
+  }
+  const loaded = await loadLeaseForParty(req, res, invoice.leaseId);
+  return loaded ? { ...loaded, invoice } : null;
+};
+
+// Parses the lease terms of a create request
+const parseLeaseTerms = (body, transaction) => {
+  const errors = [];
+  const currency = transaction.currency;
+
+  const termMonths = Number(body.termMonths);
+  if (!Number.isInteger(termMonths) || termMonths < 1 || termMonths > MAX_TERM_MONTHS) {
+    errors.push(`termMonths must be a whole number between 1 and ${MAX_TERM_MONTHS}`);
+  }
+
+  const paidThrough = transaction.leaseEndDate;
+  const billingDay = body.billingDay !== undefined
+    ? Number(body.billingDay)
+    : Math.min(paidThrough.getUTCDate(), 28);
+  if (!Number.isInteger(billingDay) || billingDay < 1 || billingDay > 28) {
+    errors.push('billingDay must be a day of the month between 1 and 28');
+  }
+
+  let rent = { amount: transaction.amount, currency };
+  if (body.rent !== undefined) {
+    const parsed = parseMoney(body.rent, body.currency || currency);
+    if (parsed.error) errors.push(`rent: ${parsed.error}`);
+    else if (!parsed.money || parsed.money.amount <= 0) errors.push('rent must be greater than zero');
+    else rent = parsed.money;
+  }
+
+  const deposit = parseMoney(body.deposit, body.currency || currency);
+  if (deposit.error) errors.push(`deposit: ${deposit.error}`);
+
+  const lateFeeInput = body.lateFee || {};
+  const lateFeeAmount = parseMoney(lateFeeInput.amount, body.currency || currency);
+  if (lateFeeAmount.error) errors.push(`lateFee.amount: ${lateFeeAmount.error}`);
+  const percent = lateFeeInput.percent !== undefined ? Number(lateFeeInput.percent) : 0;
+  if (isNaN(percent) || percent < 0 || percent > 100) errors.push('lateFee.percent must be between 0 and 100');
+  const graceDays = lateFeeInput.graceDays !== undefined ? Number(lateFeeInput.graceDays) : 5;
+  if (!Number.isInteger(graceDays) || graceDays < 0 || graceDays > 30) errors.push('lateFee.graceDays must be between 0 and 30');
+
+  for (const money of [rent, deposit.money, lateFeeAmount.money]) {
+    if (money && money.currency !== currency) {
+      errors.push(`Amounts must be in the purchase currency (${currency})`);
+      break;
+    }
+  }
+
+  return {
+    errors,
+    terms: {
+      termMonths,
+      billingDay,
+      rent,
+      deposit: deposit.money && deposit.money.amount > 0 ? deposit.money : undefined,
+      lateFee: { amount: lateFeeAmount.money ? lateFeeAmount.money.amount : 0, percent, graceDays }
+    }
+  };
+};
+
+// ============ LEASES ============
+
+// POST /api/leases - create the lease of a completed rent purchase
+// Body: { transactionId, termMonths, billingDay, rent, deposit, currency,
+//         lateFee: { amount, percent, graceDays } }
+// transactionId is the customTransactionId or document id; money is in major
+// units. The purchase pays the booked dates, later periods are invoiced monthly.
+exports.createLease = async (req, res) => {
+  try {
+    const { transactionId } = req.body;
+    if (!transactionId) {
+      return res.status(400).json({ error: 'Validation failed', message: 'transactionId is required' });
+    }
+    const transaction = await Transaction.findOne(
+      mongoose.isValidObjectId(transactionId)
+        ? { $or: [{ _id: transactionId }, { customTransactionId: transactionId }] }
+        : { customTransactionId: String(transactionId) }
+    );
+    if (!transaction) return res.status(404).json({ error: 'Transaction not found' });
+    if (transaction.purchaseType !== 'rent' || !transaction.leaseStartDate || !transaction.leaseEndDate) {
+      return res.status(400).json({ error: 'Not a rent purchase', message: 'Leases are created from rent purchases with lease dates' });
+    }
+    if (transaction.status !== 'Completed') {
+      return res.status(409).json({ error: 'Purchase not completed', message: `The purchase is ${transaction.status}` });
+    }
+
+    const property = await Property.findById(transaction.property).select('name ownerId');
+    if (!property) return res.status(404).json({ error: 'Property not found' });
+    if (!(await canManageListing(req.user, property))) {
+      return res.status(403).json({ error: 'Access denied', message: 'You cannot manage leases of this listing' });
+    }
+
+    const existing = await Lease.findOne({ transactionId: transaction._id }).select('_id');
+    if (existing) {
+      return res.status(409).json({ error: 'Lease exists', message: 'This purchase already has a lease', leaseId: existing._id });
+    }
+
+    const { errors, terms } = parseLeaseTerms(req.body, transaction);
+    const startDate = parseDay(transaction.leaseStartDate);
+    const paidThrough = parseDay(transaction.leaseEndDate);
+    const endDate = addMonths(startDate, terms.termMonths || 0);
+    if (errors.length === 0 && endDate < paidThrough) {
+      errors.push('termMonths must cover at least the dates already paid for');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', message: errors.join('; '), errors });
+    }
+
+    const actor = actorFromRequest(req);
+
+    // The purchase only booked the dates it paid for - the rest of the term is reserved now
+    let extension = null;
+    if (endDate > paidThrough) {
+      try {
+        ({ block: extension } = await reserveRange({
+          propertyId: property._id,
+          startDate: paidThrough,
+          endDate,
+          type: 'lease',
+          transactionId: transaction._id,
+          note: `Lease term of ${transaction.customTransactionId}`,
+          createdBy: actor
+        }));
+      } catch (calendarError) {
+        if (!['CALENDAR_CONFLICT', 'CALENDAR_BUSY'].includes(calendarError.code)) throw calendarError;
+        return res.status(409).json({
+          error: calendarError.code === 'CALENDAR_BUSY' ? 'Calendar busy' : 'Dates unavailable',
+          message: calendarError.message,
+          conflicts: calendarError.conflicts || []
+        });
+      }
+    }
+
+    const tenantUser = transaction.customerEmail
+      ? await User.findOne({ email: transaction.customerEmail.toLowerCase() }).select('_id')
+      : null;
+    const firstPeriod = firstBillingDateFrom(paidThrough, terms.billingDay);
+
+    let lease;
+    try {
+      lease = await Lease.create({
+        transactionId: transaction._id,
+        propertyId: property._id,
+        propertyName: property.name,
+        ownerId: property.ownerId,
+        tenant: {
+          userId: tenantUser ? tenantUser._id : null,
+          name: transaction.customerName,
+          email: transaction.customerEmail,
+          phone: transaction.customerPhone
+        },
+        rent: terms.rent,
+        deposit: terms.deposit,
+        billingDay: terms.billingDay,
+        termMonths: terms.termMonths,
+        startDate,
+        endDate,
+        nextPeriodStart: firstPeriod < endDate ? firstPeriod : null,
+        lateFee: terms.lateFee,
+        createdBy: actor
+      });
+    } catch (err) {
+      if (extension) {
+        await RentalBlock.updateOne({ _id: extension._id }, { $set: { status: 'cancelled', cancelledAt: new Date() } });
+      }
+      if (err.code === 11000) {
+        return res.status(409).json({ error: 'Lease exists', message: 'This purchase already has a lease' });
+      }
+      throw err;
+    }
+
+    const invoices = [];
+    if (lease.deposit) {
+      const depositInvoice = await createInvoice(lease, {
+        kind: 'deposit',
+        dueDate: addDays(parseDay(new Date()), DEPOSIT_DUE_DAYS),
+        lines: [{ kind: 'deposit', description: 'Security deposit', amount: lease.deposit.amount }]
+      });
+      await notifyInvoice(depositInvoice, 'issued');
+      invoices.push(depositInvoice);
+    }
+    invoices.push(...await issueDueInvoices(lease));
+
+    console.log(`🔑 Lease ${lease._id} for "${lease.propertyName}" - ${formatMoney(lease.rent.amount, lease.rent.currency)}/month, ${lease.termMonths} month(s)`);
+
+    res.status(201).json({
+      success: true,
+      lease: await Lease.findById(lease._id),
+      invoices
+    });
+  } catch (err) {
+    console.error('Error creating lease:', err);
+    res.status(500).json({ error: 'Failed to create lease', details: err.message });
+  }
+};
+
+// GET /api/leases?status=&propertyId=&page=&limit= - owners see leases of their listings
+exports.getLeases = async (req, res) => {
+  try {
+    const { limit, page, errors } = parsePagination(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', message: errors.join('; '), errors });
+    }
+
+    const filter = {};
+    if (req.query.status) filter.status = { $in: String(req.query.status).split(',') };
+    if (req.query.propertyId) filter.propertyId = req.query.propertyId;
+    if (req.user.role === 'owner') {
+      filter.ownerId = { $in: await ownerIdsForUser(req.user) };
+    }
+
+    const [leases, total] = await Promise.all([
+      Lease.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Lease.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      leases,
+      pagination: { total, limit, page, totalPages: Math.ceil(total / limit) }
+    });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid propertyId' });
+    }
+    console.error('Error fetching leases:', err);
+    res.status(500).json({ error: 'Failed to fetch leases', details: err.message });
+  }
+};
+
+// GET /api/leases/mine - the caller's leases as a tenant, with their open invoices
+exports.getMyLeases = async (req, res) => {
+  try {
+    const tenantFilter = {
+      $or: [{ 'tenant.userId': req.user.id }, { 'tenant.email': String(req.user.email).toLowerCase() }]
+    };
+    const leases = await Lease.find(tenantFilter).sort({ startDate: -1 });
+    const openInvoices = await Invoice.find({ leaseId: { $in: leases.map(lease => lease._id) }, status: 'open' })
+      .sort({ dueDate: 1 });
+
+    res.json({ success: true, leases, openInvoices });
+  } catch (err) {
+    console.error('Error fetching leases:', err);
+    res.status(500).json({ error: 'Failed to fetch leases', details: err.message });
+  }
+};
+
+// GET /api/leases/:id - the tenant or someone managing the listing
+exports.getLeaseById = async (req, res) => {
+  try {
+    const loaded = await loadLeaseForParty(req, res, req.params.id);
+    if (!loaded) return;
+    const invoices = await Invoice.find({ leaseId: loaded.lease._id }).sort({ dueDate: -1 });
+    res.json({ success: true, lease: loaded.lease, invoices, party: loaded.party });
+  } catch (err) {
+    console.error('Error fetching lease:', err);
+    res.status(500).json({ error: 'Failed to fetch lease', details: err.message });
+  }
+};
+
+// ============ INVOICES ============
+
+// GET /api/leases/invoices/:invoiceId
+exports.getInvoice = async (req, res) => {
+  try {
+    const loaded = await loadInvoiceForParty(req, res);
+    if (!loaded) return;
+    res.json({ success: true, invoice: loaded.invoice, party: loaded.party });
+  } catch (err) {
+    console.error('Error fetching invoice:', err);
+    res.status(500).json({ error: 'Failed to fetch invoice', details: err.message });
+  }
+};
+
+// POST /api/leases/invoices/:invoiceId/pay - PaymentIntent for what is still due (tenant)
+exports.payInvoice = async (req, res) => {
+  try {
+    const loaded = await loadInvoiceForParty(req, res);
+    if (!loaded) return;
+    const { invoice, party } = loaded;
+    if (party !== 'tenant') {
+      return res.status(403).json({ error: 'Access denied', message: 'Only the tenant pays an invoice online' });
+    }
+    if (invoice.status !== 'open' || invoice.amountDue <= 0) {
+      return res.status(409).json({ error: 'Invoice closed', message: `Invoice ${invoice.number} is ${invoice.status}` });
+    }
+
+    let paymentIntent;
+    try {
+      paymentIntent = await createInvoicePaymentIntent(invoice);
+    } catch (stripeError) {
+      console.error('Stripe Error:', stripeError.message);
+      return res.status(502).json({ error: 'Payment setup failed', message: stripeError.message });
+    }
+    await Invoice.updateOne({ _id: invoice._id }, { $set: { paymentIntentId: paymentIntent.id } });
+
+    res.json({
+      success: true,
+      clientSecret: paymentIntent.client_secret,
+      paymentIntentId: paymentIntent.id,
+      amount: invoice.amountDue,
+      currency: invoice.currency,
+      amountFormatted: formatMoney(invoice.amountDue, invoice.currency)
+    });
+  } catch (err) {
+    console.error('Error paying invoice:', err);
+    res.status(500).json({ error: 'Failed to start invoice payment', details: err.message });
+  }
+};
+
+// POST /api/leases/invoices/:invoiceId/confirm - Body: { paymentIntentId } (tenant)
+// The payment is checked with Stripe; the webhook records it as well if this call never comes
+exports.confirmInvoicePayment = async (req, res) => {
+  try {
+    const loaded = await loadInvoiceForParty(req, res);
+    if (!loaded) return;
+    const { invoice } = loaded;
+
+    const { paymentIntentId } = req.body;
+    if (!paymentIntentId || typeof paymentIntentId !== 'string') {
+      return res.status(400).json({ error: 'Payment missing', message: 'paymentIntentId is required' });
+    }
+
+    let intent;
+    try {
+      intent = await stripe.paymentIntents.retrieve(paymentIntentId);
+    } catch (err) {
+      if (err.type === 'StripeInvalidRequestError') {
+        return res.status(400).json({ error: 'Unknown payment', message: `No PaymentIntent ${paymentIntentId}` });
+      }
+      throw err;
+    }
+    if (!intent.metadata || intent.metadata.invoiceId !== String(invoice._id)) {
+      return res.status(400).json({ error: 'Payment mismatch', message: 'This payment was made for another invoice' });
+    }
+
+    const result = await recordInvoiceIntent(intent, 'client');
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, message: result.message });
+    }
+    res.json({ success: true, invoice: result.invoice, duplicate: Boolean(result.duplicate) });
+  } catch (err) {
+    console.error('Error confirming invoice payment:', err);
+    res.status(500).json({ error: 'Failed to confirm invoice payment', details: err.message });
+  }
+};
+
+// POST /api/leases/invoices/:invoiceId/payments - record an offline payment
+// Body: { amount, currency, method, reference, note, paidAt } (someone managing the listing)
+exports.recordOfflinePayment = async (req, res) => {
+  try {
+    const loaded = await loadInvoiceForParty(req, res);
+    if (!loaded) return;
+    const { invoice, party } = loaded;
+    if (party !== 'manager') {
+      return res.status(403).json({ error: 'Access denied', message: 'Offline payments are recorded by the listing owner' });
+    }
+    if (invoice.status !== 'open') {
+      return res.status(409).json({ error: 'Invoice closed', message: `Invoice ${invoice.number} is ${invoice.status}` });
+    }
+
+    const errors = [];
+    const { money, error } = parseMoney(req.body.amount, req.body.currency || invoice.currency);
+    if (error) errors.push(error);
+    else if (!money || money.amount <= 0) errors.push('amount must be greater than zero');
+    else if (money.currency !== invoice.currency) errors.push(`amount must be in ${invoice.currency}`);
+    else if (money.amount > invoice.amountDue) errors.push(`At most ${formatMoney(invoice.amountDue, invoice.currency)} is due`);
+
+    const method = req.body.method || 'cash';
+    if (!OFFLINE_PAYMENT_METHODS.includes(method)) {
+      errors.push(`method must be one of: ${OFFLINE_PAYMENT_METHODS.join(', ')}`);
+    }
+    const paidAt = req.body.paidAt ? new Date(req.body.paidAt) : new Date();
+    if (isNaN(paidAt.getTime()) || paidAt > new Date()) errors.push('paidAt must be a date that is not in the future');
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', message: errors.join('; '), errors });
+    }
+
+    const reference = typeof req.body.reference === 'string' && req.body.reference.trim()
+      ? req.body.reference.trim()
+      : `${method}-${new mongoose.Types.ObjectId()}`;
+
+    const updated = await applyInvoicePayment(invoice, {
+      method,
+      amount: money.amount,
+      reference,
+      note: typeof req.body.note === 'string' ? req.body.note.trim().slice(0, 500) : undefined,
+      source: 'admin',
+      recordedBy: actorFromRequest(req),
+      paidAt
+    });
+    if (!updated) {
+      return res.status(409).json({
+        error: 'Payment not recorded',
+        message: 'The invoice was closed meanwhile or this reference is already recorded'
+      });
+    }
+
+    console.log(`🧾 ${method} payment of ${formatMoney(money.amount, money.currency)} recorded on ${invoice.number} by ${req.user.email}`);
+    res.status(201).json({ success: true, invoice: updated });
+  } catch (err) {
+    console.error('Error recording invoice payment:', err);
+    res.status(500).json({ error: 'Failed to record payment', details: err.message });
+  }
+};
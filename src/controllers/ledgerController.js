@@ -0,0 +1,204 @@
+// controllers/ledgerController.js
+// Read side of the double-entry ledger (utils/ledger): chart of accounts,
+// trial balance, account statements and journal entries. Admin only.
+const mongoose = require('mongoose');
+const JournalEntry = require('../models/JournalEntry');
+const { parsePagination } = require('../utils/propertyQuery');
+const { actorFromRequest } = require('../utils/priceHistory');
+const { parseDay, addDays } = require('../utils/rentalCalendar');
+const { DEFAULT_CURRENCY, isValidCurrency } = require('../utils/money');
+const {
+  LEDGER_ACCOUNTS,
+  trialBalance,
+  accountStatement,
+  reverseEntry,
+  syncLedger
+} = require('../utils/ledger');
+
+// from / to are YYYY-MM-DD days; `to` is inclusive
+const parsePeriod = (query, errors) => {
+  const from = query.from ? parseDay(query.from) : null;
+  const to = query.to ? parseDay(query.to) : null;
+  if (query.from && !from) errors.push('from must be a valid date (YYYY-MM-DD)');
+  if (query.to && !to) errors.push('to must be a valid date (YYYY-MM-DD)');
+  if (from && to && to < from) errors.push('to must not be before from');
+  return { from, to: to ? addDays(to, 1) : null };
+};
+
+const parseCurrency = (query, errors, fallback = null) => {
+  if (!query.currency) return fallback;
+  const currency = String(query.currency).toUpperCase();
+  if (!isValidCurrency(currency)) errors.push(`${query.currency} is not a supported currency`);
+  return currency;
+};
+
+// GET /api/ledger/accounts - chart of accounts
+exports.getAccounts = (req, res) => {
+  res.json({
+    success: true,
+    accounts: Object.entries(LEDGER_ACCOUNTS).map(([account, info]) => ({ account, ...info }))
+  });
+};
+
+// GET /api/ledger/trial-balance?asOf=YYYY-MM-DD&currency= - totals up to the end of asOf
+exports.getTrialBalance = async (req, res) => {
+  try {
+    const errors = [];
+    const asOf = req.query.asOf ? parseDay(req.query.asOf) : null;
+    if (req.query.asOf && !asOf) errors.push('asOf must be a valid date (YYYY-MM-DD)');
+    const currency = parseCurrency(req.query, errors);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', message: errors.join('; '), errors });
+    }
+
+    const { accounts, totals } = await trialBalance({ asOf: asOf ? addDays(asOf, 1) : null, currency });
+    const unbalanced = totals.filter(total => !total.balanced);
+    if (unbalanced.length > 0) {
+      console.error(`❌ Trial balance does not balance in ${unbalanced.map(total => total.currency).join(', ')}`);
+    }
+
+    res.json({
+      success: true,
+      asOf: asOf || new Date(),
+      accounts,
+      totals,
+      balanced: unbalanced.length === 0
+    });
+  } catch (err) {
+    console.error('Error building trial balance:', err);
+    res.status(500).json({ error: 'Failed to build trial balance', details: err.message });
+  }
+};
+
+// GET /api/ledger/accounts/:account/statement?from=&to=&currency=&ownerId=&customerEmail=&page=&limit=
+// currency defaults to the reporting currency; ownerId / customerEmail narrow it to one party
+exports.getAccountStatement = async (req, res) => {
+  try {
+    const { account } = req.params;
+    if (!LEDGER_ACCOUNTS[account]) {
+      return res.status(404).json({
+        error: 'Account not found',
+        message: `account must be one of: ${Object.keys(LEDGER_ACCOUNTS).join(', ')}`
+      });
+    }
+
+    const { limit, page, errors } = parsePagination(req.query);
+    const { from, to } = parsePeriod(req.query, errors);
+    const currency = parseCurrency(req.query, errors, DEFAULT_CURRENCY);
+    let ownerId;
+    if (req.query.ownerId !== undefined) {
+      ownerId = Number(req.query.ownerId);
+      if (!Number.isInteger(ownerId)) errors.push('ownerId must be a number');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', message: errors.join('; '), errors });
+    }
+
+    const statement = await accountStatement(account, {
+      currency,
+      from,
+      to,
+      ownerId,
+      customerEmail: req.query.customerEmail ? String(req.query.customerEmail).toLowerCase() : undefined,
+      page,
+      limit
+    });
+
+    res.json({
+      success: true,
+      account,
+      ...LEDGER_ACCOUNTS[account],
+      currency,
+      from,
+      to,
+      openingBalance: statement.openingBalance,
+      closingBalance: statement.closingBalance,
+      lines: statement.lines,
+      pagination: { total: statement.total, limit, page, totalPages: Math.ceil(statement.total / limit) }
+    });
+  } catch (err) {
+    console.error('Error building account statement:', err);
+    res.status(500).json({ error: 'Failed to build account statement', details: err.message });
+  }
+};
+
+// GET /api/ledger/entries?kind=&transactionId=&from=&to=&page=&limit=
+exports.getEntries = async (req, res) => {
+  try {
+    const { limit, page, errors } = parsePagination(req.query);
+    const { from, to } = parsePeriod(req.query, errors);
+    if (req.query.transactionId && !mongoose.isValidObjectId(req.query.transactionId)) {
+      errors.push('transactionId must be a transaction document id');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', message: errors.join('; '), errors });
+    }
+
+    const filter = {};
+    if (req.query.kind) filter.kind = { $in: String(req.query.kind).split(',') };
+    if (req.query.transactionId) filter.transactionId = req.query.transactionId;
+    if (from || to) filter.date = { ...(from ? { $gte: from } : {}), ...(to ? { $lt: to } : {}) };
+
+    const [entries, total] = await Promise.all([
+      JournalEntry.find(filter)
+        .sort({ date: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      JournalEntry.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      entries,
+      pagination: { total, limit, page, totalPages: Math.ceil(total / limit) }
+    });
+  } catch (err) {
+    console.error('Error fetching journal entries:', err);
+    res.status(500).json({ error: 'Failed to fetch journal entries', details: err.message });
+  }
+};
+
+// POST /api/ledger/entries/:id/reverse - Body: { reason }
+// Entries are never edited; a wrong one is cancelled by its mirror image
+exports.reverseEntry = async (req, res) => {
+  try {
+    const entry = mongoose.isValidObjectId(req.params.id) ? await JournalEntry.findById(req.params.id) : null;
+    if (!entry) return res.status(404).json({ error: 'Journal entry not found' });
+    if (entry.kind === 'reversal') {
+      return res.status(409).json({ error: 'Cannot reverse', message: 'A reversal cannot itself be reversed' });
+    }
+
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim().slice(0, 500) : '';
+    if (!reason) {
+      return res.status(400).json({ error: 'Validation failed', message: 'reason is required' });
+    }
+
+    const reversal = await JournalEntry.exists({ reverses: entry._id })
+      ? null
+      : await reverseEntry(entry, { reason, actor: actorFromRequest(req) });
+    if (!reversal) {
+      return res.status(409).json({ error: 'Already reversed', message: `Entry ${entry.key} has already been reversed` });
+    }
+
+    console.log(`↩️ Journal entry ${entry.key} reversed by ${req.user.email}: ${reason}`);
+    res.status(201).json({ success: true, reversal });
+  } catch (err) {
+    console.error('Error reversing journal entry:', err);
+    res.status(500).json({ error: 'Failed to reverse journal entry', details: err.message });
+  }
+};
+
+// POST /api/ledger/sync - Body: { full } - posts whatever is missing; full checks every record
+exports.syncLedger = async (req, res) => {
+  try {
+    const full = req.body.full === true || req.body.full === 'true';
+    const since = full ? null : new Date(Date.now() - 48 * 60 * 60 * 1000);
+    const posted = await syncLedger({ since });
+
+    console.log(`📒 Ledger ${full ? 'full ' : ''}sync by ${req.user.email}:`, posted);
+    res.json({ success: true, full, posted });
+  } catch (err) {
+    console.error('Error syncing ledger:', err);
+    res.status(500).json({ error: 'Failed to sync ledger', details: err.message });
+  }
+};
@@ -0,0 +1,249 @@
+// controllers/listingController.js
+const Property = require('../models/Property');
+const Owner = require('../models/Owner');
+const notificationController = require('./notificationController');
+const { priceMetadata, populateOwnerDetails } = require('../utils/propertyUtils');
+const { PRICE_VALUE_FIELDS, buildPropertyFilters, parsePagination } = require('../utils/propertyQuery');
+const { actorFromRequest } = require('../utils/priceHistory');
+const {
+  LISTING_TRANSITIONS,
+  transitionError,
+  ownerIdsForUser,
+  canManageListing
+} = require('../utils/listingWorkflow');
+
+// action -> admin notification
+const TRANSITION_NOTIFICATIONS = {
+  submit: { type: 'listing_submitted', title: 'Listing Submitted for Review', verb: 'was submitted for review' },
+  approve: { type: 'listing_approved', title: 'Listing Approved', verb: 'was approved and published' },
+  reject: { type: 'listing_rejected', title: 'Listing Rejected', verb: 'was rejected' },
+  archive: { type: 'listing_archived', title: 'Listing Archived', verb: 'was archived' },
+  reopen: { type: 'listing_reopened', title: 'Listing Reopened', verb: 'was reopened as a draft' }
+};
+
+// Tells mobile users about a listing that just went live
+const broadcastPublishedListing = async (property) => {
+  const owner = await Owner.findOne({ ownerId: property.ownerId });
+  const payload = {
+    propertyId: property._id,
+    propertyName: property.name,
+    userName: owner?.name || property.ownerName,
+    userImage: owner?.photo || null,
+    metadata: {
+      propertyType: property.type,
+      propertyStatus: property.status,
+      propertyImage: property.photo || null,
+      ...priceMetadata(property)
+    }
+  };
+
+  await notificationController.broadcastNotification({ type: 'property_created', ...payload });
+  if (property.type) {
+    await notificationController.broadcastNotification({ type: property.type, ...payload });
+  }
+  console.log(`📱 Broadcast published listing "${property.name}" to mobile users`);
+};
+
+// ============ LISTING TRANSITIONS ============
+
+/**
+ * Builds the handler for one workflow action (see LISTING_TRANSITIONS).
+ * The save is guarded on the status that was read so two reviewers acting
+ * on the same listing cannot both succeed.
+ */
+const transitionHandler = (action) => async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.id);
+    if (!property) return res.status(404).json({ error: 'Property not found' });
+
+    const transition = LISTING_TRANSITIONS[action];
+    const allowed = transition.adminOnly
+      ? req.user.role === 'admin'
+      : await canManageListing(req.user, property);
+    if (!allowed) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: transition.adminOnly ? 'Admin privileges required' : 'You cannot manage this listing'
+      });
+    }
+
+    const error = transitionError(action, property.listingStatus);
+    if (error) {
+      return res.status(409).json({
+        error: 'Invalid listing transition',
+        message: error,
+        listingStatus: property.listingStatus || 'published'
+      });
+    }
+
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+    if (action === 'reject' && !reason) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'A rejection reason is required',
+        field: 'reason'
+      });
+    }
+
+    const from = property.listingStatus || 'published';
+    const now = new Date();
+    const actor = actorFromRequest(req);
+
+    property.$where = { listingStatus: property.listingStatus ?? null };
+    property.listingStatus = transition.to;
+    property.statusHistory.push({ from, to: transition.to, reason: reason || undefined, changedBy: actor, changedAt: now });
+
+    if (action === 'submit') {
+      property.submittedAt = now;
+      property.rejectionReason = undefined;
+    }
+    if (action === 'approve' || action === 'reject') {
+      property.reviewedBy = { userId: actor.userId, email: actor.email };
+      property.reviewedAt = now;
+      property.rejectionReason = action === 'reject' ? reason : undefined;
+    }
+    if (action === 'approve') property.publishedAt = now;
+    if (action === 'archive') property.archivedAt = now;
+
+    try {
+      await property.save();
+    } catch (saveError) {
+      if (saveError.name === 'DocumentNotFoundError') {
+        return res.status(409).json({
+          error: 'Invalid listing transition',
+          message: 'The listing status changed while this request was processed, reload and retry'
+        });
+      }
+      throw saveError;
+    }
+
+    console.log(`📋 Listing "${property.name}" ${from} -> ${transition.to} by ${actor.email}`);
+
+    const notification = TRANSITION_NOTIFICATIONS[action];
+    try {
+      await notificationController.createNotification({
+        userId: actor.userId,
+        type: notification.type,
+        target: 'admin',
+        title: notification.title,
+        message: `Listing "${property.name}" ${notification.verb}${reason ? `: ${reason}` : ''}`,
+        propertyName: property.name,
+        propertyId: property._id,
+        relatedId: property._id,
+        metadata: { from, to: transition.to, reason: reason || null, by: actor.email }
+      });
+
+      if (action === 'approve') await broadcastPublishedListing(property);
+    } catch (notifError) {
+      console.error('⚠️ Notification creation failed:', notifError.message);
+    }
+
+    res.json({
+      success: true,
+      message: `Listing is now ${transition.to}`,
+      property: await populateOwnerDetails(property)
+    });
+  } catch (err) {
+    console.error(`Error running listing action "${action}":`, err);
+    res.status(500).json({ error: 'Failed to update listing status', details: err.message });
+  }
+};
+
+// POST /api/property/:id/submit - draft or rejected -> pending_review
+exports.submitListing = transitionHandler('submit');
+
+// POST /api/property/:id/approve - pending_review -> published (admin)
+exports.approveListing = transitionHandler('approve');
+
+// POST /api/property/:id/reject - body: { reason } - pending_review -> rejected (admin)
+exports.rejectListing = transitionHandler('reject');
+
+// POST /api/property/:id/archive - published -> archived
+exports.archiveListing = transitionHandler('archive');
+
+// POST /api/property/:id/reopen - archived -> draft
+exports.reopenListing = transitionHandler('reopen');
+
+// ============ MANAGEMENT VIEWS ============
+
+// GET /api/property/review-queue - pending listings, oldest submission first (admin)
+exports.getReviewQueue = async (req, res) => {
+  try {
+    const { limit, page, errors } = parsePagination(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', message: errors.join('; '), errors });
+    }
+
+    const filter = { listingStatus: 'pending_review' };
+    const [properties, total] = await Promise.all([
+      Property.find(filter)
+        .sort({ submittedAt: 1, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Property.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      properties: await populateOwnerDetails(properties),
+      pagination: { total, limit, page, totalPages: Math.ceil(total / limit) }
+    });
+  } catch (err) {
+    console.error('Error fetching review queue:', err);
+    res.status(500).json({ error: 'Failed to fetch review queue', details: err.message });
+  }
+};
+
+// GET /api/property/manage?listingStatus=draft,rejected - listings in any status.
+// Owners only see their own; agents and admins see everything.
+exports.getManagedListings = async (req, res) => {
+  try {
+    const { baseFilter, priceFilter, errors: filterErrors } = buildPropertyFilters(req.query, { publishedOnly: false });
+    const { limit, page, errors: pageErrors } = parsePagination(req.query);
+    const errors = [...filterErrors, ...pageErrors];
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', message: errors.join('; '), errors });
+    }
+
+    const filter = { ...baseFilter };
+    if (req.user.role === 'owner') {
+      const ownerIds = await ownerIdsForUser(req.user);
+      if (baseFilter.ownerId === undefined) {
+        filter.ownerId = { $in: ownerIds };
+      } else if (!ownerIds.includes(baseFilter.ownerId)) {
+        filter.ownerId = { $in: [] };
+      }
+    }
+
+    // Price ranges match the amounts lifted out of the money fields, as in getAllProperties.
+    // The page is resolved to ids so the listings go out as documents.
+    const matchStages = [
+      { $match: filter },
+      { $addFields: PRICE_VALUE_FIELDS },
+      { $match: priceFilter }
+    ];
+    const [pageIds, countResult] = await Promise.all([
+      Property.aggregate([
+        ...matchStages,
+        { $sort: { createdAt: -1, _id: -1 } },
+        { $skip: (page - 1) * limit },
+        { $limit: limit },
+        { $project: { _id: 1 } }
+      ]),
+      Property.aggregate([...matchStages, { $count: 'total' }])
+    ]);
+    const documents = await Property.find({ _id: { $in: pageIds.map(item => item._id) } });
+    const byId = new Map(documents.map(property => [String(property._id), property]));
+    const properties = pageIds.map(item => byId.get(String(item._id))).filter(Boolean);
+    const total = countResult.length > 0 ? countResult[0].total : 0;
+
+    res.json({
+      success: true,
+      properties: await populateOwnerDetails(properties),
+      pagination: { total, limit, page, totalPages: Math.ceil(total / limit) }
+    });
+  } catch (err) {
+    console.error('Error fetching managed listings:', err);
+    res.status(500).json({ error: 'Failed to fetch listings', details: err.message });
+  }
+};
@@ -9,7 +9,16 @@ const NOTIFICATION_TARGETS = {
     'transaction', 'propertySale', 'system', 'review', 'property',
     'transaction_created', 'transaction_updated', 'transaction_completed',
     'transaction_failed', 'review_added', 'review_updated', 'review_deleted',
-    'Review', 'Sold', 'property_updated'
+    'Review', 'Sold', 'property_updated',
+    'listing_submitted', 'listing_approved', 'listing_rejected',
+    'listing_archived', 'listing_reopened',
+    'lead_created', 'lead_won',
+    'offer_submitted', 'offer_countered', 'offer_accepted', 'offer_rejected',
+    'offer_withdrawn', 'offer_expired', 'offer_completed',
+    'record_restored',
+    'invoice_issued', 'invoice_overdue', 'invoice_paid',
+    'escrow_held', 'escrow_requested', 'escrow_approved', 'escrow_rejected',
+    'payout_batch_created', 'payout_batch_approved', 'payout_batch_paid'
   ],
   MOBILE_ONLY: [
     'owner', 'property_created', 'House', 'Villa', 'Rental', 
@@ -0,0 +1,479 @@
+// controllers/offerController.js
+const mongoose = require('mongoose');
+const Offer = require('../models/Offer');
+const Property = require('../models/Property');
+const Profile = require('../models/Profile');
+const stripe = require('../utils/stripeClient');
+const { parsePagination } = require('../utils/propertyQuery');
+const { actorFromRequest } = require('../utils/priceHistory');
+const { isPublished, ownerIdsForUser, canManageListing } = require('../utils/listingWorkflow');
+const { DEFAULT_CURRENCY, parseMoney, serializeMoney } = require('../utils/money');
+const {
+  OPEN_OFFER_STATUSES,
+  OFFER_PAYMENT_HOURS,
+  parseOfferExpiry,
+  isUnderOffer,
+  lockPropertyForOffer,
+  releaseOfferLock,
+  createOfferPaymentIntent,
+  cancelOfferPaymentIntent,
+  notifyOffer,
+  expireOffer
+} = require('../utils/offerNegotiation');
+
+const HOUR_MS = 60 * 60 * 1000;
+const PROPERTY_FIELDS = 'name ownerId status listingStatus salePrice offerLock';
+
+const isBuyer = (user, offer) => String(offer.buyer.userId) === String(user.id);
+
+/**
+ * Loads the offer and works out which side the caller is on: the buyer, or the
+ * seller (someone who manages the listing). Sends 404 when neither.
+ * @returns {Promise<{ offer, property, party }|null>}
+ */
+const loadOfferForParty = async (req, res) => {
+  const offer = mongoose.isValidObjectId(req.params.id) ? await Offer.findById(req.params.id) : null;
+  const property = offer ? await Property.findById(offer.propertyId).select(PROPERTY_FIELDS) : null;
+
+  let party = null;
+  if (offer && isBuyer(req.user, offer)) party = 'buyer';
+  else if (offer && property && await canManageListing(req.user, property)) party = 'seller';
+
+  if (!party) {
+    res.status(404).json({ error: 'Offer not found' });
+    return null;
+  }
+  return { offer, property, party };
+};
+
+// Answers with 409 and closes the offer when its round has run out
+const rejectIfExpired = async (offer, res) => {
+  if (!OPEN_OFFER_STATUSES.includes(offer.status) || offer.expiresAt > new Date()) return false;
+  await expireOffer(offer, 'No response before the offer expired');
+  res.status(409).json({ error: 'Offer expired', message: 'This offer expired before it was answered' });
+  return true;
+};
+
+// Counter, accept and reject are only open to the side the latest round waits on
+const rejectIfNotYourTurn = (offer, party, res) => {
+  if (!OPEN_OFFER_STATUSES.includes(offer.status)) {
+    res.status(409).json({ error: 'Offer closed', message: `This offer is ${offer.status}` });
+    return true;
+  }
+  if (offer.awaiting !== party) {
+    res.status(409).json({ error: 'Not your turn', message: `Waiting for the ${offer.awaiting} to respond` });
+    return true;
+  }
+  return false;
+};
+
+// Saves a change guarded on the status and turn that were read, so two answers
+// to the same round cannot both succeed. Returns false on a lost race.
+const saveGuarded = async (offer, previous) => {
+  offer.$where = { status: previous.status, awaiting: previous.awaiting };
+  try {
+    await offer.save();
+    return true;
+  } catch (err) {
+    if (err.name === 'DocumentNotFoundError') return false;
+    throw err;
+  }
+};
+
+const staleOffer = (res) => res.status(409).json({
+  error: 'Offer changed',
+  message: 'The offer was updated while this request was processed, reload and retry'
+});
+
+/**
+ * Amount of an offer or counter-offer, in the listing's currency
+ * @returns {{ money: Object|null, error: string|null }}
+ */
+const parseOfferAmount = (body, currency) => {
+  const { money, error } = parseMoney(body.amount, body.currency || currency);
+  if (error) return { money: null, error };
+  if (!money || money.amount <= 0) return { money: null, error: 'amount must be greater than zero' };
+  if (money.currency !== currency) return { money: null, error: `Offers on this listing must be in ${currency}` };
+  return { money, error: null };
+};
+
+const parseMessage = (value) => {
+  const message = typeof value === 'string' ? value.trim() : '';
+  return message.length > 1000 ? { error: 'message cannot exceed 1000 characters' } : { message: message || undefined };
+};
+
+// Offer with the agreed or proposed amount relative to the listed price
+const offerResponse = (offer) => {
+  const json = offer.toJSON();
+  if (offer.listPrice && offer.listPrice.amount > 0) {
+    json.percentOfListPrice = Math.round((offer.amount.amount / offer.listPrice.amount) * 1000) / 10;
+  }
+  return json;
+};
+
+// ============ BUYER ============
+
+// POST /api/offers
+// Body: { propertyId, amount, currency, message, expiresInHours, name, phone }
+// amount is in major units (or a { amount, currency } money object) and may be
+// below or above the listed sale price
+exports.submitOffer = async (req, res) => {
+  try {
+    const { propertyId } = req.body;
+    const property = mongoose.isValidObjectId(propertyId)
+      ? await Property.findById(propertyId).select(PROPERTY_FIELDS)
+      : null;
+    if (!property || !isPublished(property)) {
+      return res.status(404).json({ error: 'Property not found' });
+    }
+    if (!['sale', 'both'].includes(property.status)) {
+      return res.status(400).json({
+        error: 'Property not for sale',
+        message: property.status === 'sold' ? 'This property has already been sold' : 'This property is only available for rent'
+      });
+    }
+    if (req.user.role === 'owner' && await canManageListing(req.user, property)) {
+      return res.status(400).json({ error: 'Own listing', message: 'You cannot make an offer on your own listing' });
+    }
+    if (isUnderOffer(property)) {
+      return res.status(409).json({ error: 'Property under offer', message: 'An accepted offer reserves this property until it is paid' });
+    }
+
+    const currency = property.salePrice?.currency || DEFAULT_CURRENCY;
+    const { money, error: amountError } = parseOfferAmount(req.body, currency);
+    const { message, error: messageError } = parseMessage(req.body.message);
+    const { expiresAt, error: expiryError } = parseOfferExpiry(req.body.expiresInHours);
+    const errors = [amountError, messageError, expiryError].filter(Boolean);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', message: errors.join('; '), errors });
+    }
+
+    const profile = await Profile.findOne({ email: req.user.email.toLowerCase() });
+    const profileName = profile ? `${profile.firstName || ''} ${profile.lastName || ''}`.trim() : '';
+    const name = profileName || (typeof req.body.name === 'string' ? req.body.name.trim() : '');
+    if (!name) {
+      return res.status(400).json({ error: 'Validation failed', message: 'name is required when you have no profile' });
+    }
+
+    const actor = actorFromRequest(req);
+    const offer = await Offer.create({
+      propertyId: property._id,
+      propertyName: property.name,
+      ownerId: String(property.ownerId),
+      buyer: {
+        userId: req.user.id,
+        name,
+        email: req.user.email,
+        phone: profile?.phone || req.body.phone
+      },
+      listPrice: property.salePrice || undefined,
+      amount: money,
+      status: 'pending',
+      awaiting: 'seller',
+      expiresAt,
+      rounds: [{ by: 'buyer', amount: money, message, expiresAt, actor }],
+      history: [{ action: 'submit', from: null, to: 'pending', changedBy: actor }]
+    });
+
+    console.log(`💰 Offer ${offer._id} on "${property.name}" by ${req.user.email}`);
+    await notifyOffer(offer, 'submitted', { actor });
+
+    res.status(201).json({ success: true, offer: offerResponse(offer) });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({
+        error: 'Offer already open',
+        message: 'You already have an open offer on this property - counter or withdraw it instead'
+      });
+    }
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation failed', message: err.message });
+    }
+    console.error('Error submitting offer:', err);
+    res.status(500).json({ error: 'Failed to submit offer', details: err.message });
+  }
+};
+
+// GET /api/offers/mine?status=
+exports.getMyOffers = async (req, res) => {
+  try {
+    const filter = { 'buyer.userId': req.user.id };
+    if (req.query.status) filter.status = { $in: String(req.query.status).split(',') };
+
+    const offers = await Offer.find(filter)
+      .sort({ updatedAt: -1 })
+      .populate('propertyId', 'name address city images photo status');
+
+    res.json({ success: true, offers: offers.map(offerResponse) });
+  } catch (err) {
+    console.error('Error fetching offers:', err);
+    res.status(500).json({ error: 'Failed to fetch offers', details: err.message });
+  }
+};
+
+// ============ SELLER ============
+
+// GET /api/offers?status=&propertyId=&page=&limit= - owners see offers on their listings
+exports.getOffers = async (req, res) => {
+  try {
+    const { limit, page, errors } = parsePagination(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', message: errors.join('; '), errors });
+    }
+
+    const filter = {};
+    if (req.query.status) filter.status = { $in: String(req.query.status).split(',') };
+    if (req.query.propertyId) filter.propertyId = req.query.propertyId;
+    if (req.user.role === 'owner') {
+      const ownerIds = await ownerIdsForUser(req.user);
+      filter.ownerId = { $in: ownerIds.map(String) };
+    }
+
+    const [offers, total] = await Promise.all([
+      Offer.find(filter)
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Offer.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      offers: offers.map(offerResponse),
+      pagination: { total, limit, page, totalPages: Math.ceil(total / limit) }
+    });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid propertyId' });
+    }
+    console.error('Error fetching offers:', err);
+    res.status(500).json({ error: 'Failed to fetch offers', details: err.message });
+  }
+};
+
+// ============ EITHER SIDE ============
+
+// GET /api/offers/:id - the buyer or someone managing the listing
+exports.getOfferById = async (req, res) => {
+  try {
+    const loaded = await loadOfferForParty(req, res);
+    if (!loaded) return;
+    res.json({ success: true, offer: offerResponse(loaded.offer), party: loaded.party });
+  } catch (err) {
+    console.error('Error fetching offer:', err);
+    res.status(500).json({ error: 'Failed to fetch offer', details: err.message });
+  }
+};
+
+// POST /api/offers/:id/counter
+// Body: { amount, currency, message, expiresInHours } - answers the latest round
+// with new terms and hands the turn to the other side
+exports.counterOffer = async (req, res) => {
+  try {
+    const loaded = await loadOfferForParty(req, res);
+    if (!loaded) return;
+    const { offer, party } = loaded;
+    if (rejectIfNotYourTurn(offer, party, res) || await rejectIfExpired(offer, res)) return;
+
+    const { money, error: amountError } = parseOfferAmount(req.body, offer.amount.currency);
+    const { message, error: messageError } = parseMessage(req.body.message);
+    const { expiresAt, error: expiryError } = parseOfferExpiry(req.body.expiresInHours);
+    const errors = [amountError, messageError, expiryError].filter(Boolean);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', message: errors.join('; '), errors });
+    }
+    if (money.amount === offer.amount.amount) {
+      return res.status(400).json({ error: 'Same amount', message: 'Accept the offer to agree to the current amount' });
+    }
+
+    const previous = { status: offer.status, awaiting: offer.awaiting };
+    const actor = actorFromRequest(req);
+    const nextStatus = party === 'seller' ? 'countered' : 'pending';
+
+    offer.amount = money;
+    offer.status = nextStatus;
+    offer.awaiting = party === 'seller' ? 'buyer' : 'seller';
+    offer.expiresAt = expiresAt;
+    offer.rounds.push({ by: party, amount: money, message, expiresAt, actor });
+    offer.history.push({ action: 'counter', from: previous.status, to: nextStatus, changedBy: actor });
+
+    if (!(await saveGuarded(offer, previous))) return staleOffer(res);
+
+    console.log(`🔁 Offer ${offer._id} countered by the ${party}`);
+    await notifyOffer(offer, 'countered', { actor });
+
+    res.json({ success: true, offer: offerResponse(offer) });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation failed', message: err.message });
+    }
+    console.error('Error countering offer:', err);
+    res.status(500).json({ error: 'Failed to counter offer', details: err.message });
+  }
+};
+
+// POST /api/offers/:id/accept - agrees to the latest round. The property is
+// reserved for the buyer and a PaymentIntent is created for the agreed amount.
+exports.acceptOffer = async (req, res) => {
+  try {
+    const loaded = await loadOfferForParty(req, res);
+    if (!loaded) return;
+    const { offer, party } = loaded;
+    if (rejectIfNotYourTurn(offer, party, res) || await rejectIfExpired(offer, res)) return;
+
+    const now = new Date();
+    const paymentDueAt = new Date(now.getTime() + OFFER_PAYMENT_HOURS * HOUR_MS);
+
+    try {
+      await lockPropertyForOffer(offer, paymentDueAt, now);
+    } catch (lockError) {
+      if (!['PROPERTY_UNDER_OFFER', 'NOT_FOR_SALE'].includes(lockError.code)) throw lockError;
+      return res.status(409).json({
+        error: lockError.code === 'NOT_FOR_SALE' ? 'Property not for sale' : 'Property under offer',
+        code: lockError.code,
+        message: lockError.message
+      });
+    }
+
+    let paymentIntent;
+    try {
+      paymentIntent = await createOfferPaymentIntent(offer);
+    } catch (stripeError) {
+      console.error('Stripe Error:', stripeError.message);
+      await releaseOfferLock(offer.propertyId, offer._id);
+      return res.status(502).json({ error: 'Payment setup failed', message: stripeError.message });
+    }
+
+    const previous = { status: offer.status, awaiting: offer.awaiting };
+    const actor = actorFromRequest(req);
+    offer.status = 'accepted';
+    offer.awaiting = null;
+    offer.acceptedAt = now;
+    offer.acceptedBy = actor;
+    offer.paymentIntentId = paymentIntent.id;
+    offer.paymentDueAt = paymentDueAt;
+    offer.history.push({ action: 'accept', from: previous.status, to: 'accepted', changedBy: actor });
+
+    if (!(await saveGuarded(offer, previous))) {
+      // A duplicate accept shares the lock and intent; anything else undoes them
+      const current = await Offer.findById(offer._id).select('status');
+      if (!current || current.status !== 'accepted') {
+        await releaseOfferLock(offer.propertyId, offer._id);
+        await cancelOfferPaymentIntent(paymentIntent.id);
+      }
+      return staleOffer(res);
+    }
+
+    console.log(`🤝 Offer ${offer._id} accepted by the ${party} - property reserved until ${paymentDueAt.toISOString()}`);
+    await notifyOffer(offer, 'accepted', { actor });
+
+    res.json({
+      success: true,
+      offer: offerResponse(offer),
+      payment: {
+        // Only the buyer pays; the seller side gets the terms without the secret
+        clientSecret: party === 'buyer' ? paymentIntent.client_secret : undefined,
+        ...serializeMoney(offer.amount),
+        dueAt: paymentDueAt
+      }
+    });
+  } catch (err) {
+    console.error('Error accepting offer:', err);
+    res.status(500).json({ error: 'Failed to accept offer', details: err.message });
+  }
+};
+
+// POST /api/offers/:id/reject - Body: { reason }
+exports.rejectOffer = async (req, res) => {
+  try {
+    const loaded = await loadOfferForParty(req, res);
+    if (!loaded) return;
+    const { offer, party } = loaded;
+    if (rejectIfNotYourTurn(offer, party, res) || await rejectIfExpired(offer, res)) return;
+
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim().slice(0, 500) : '';
+    const previous = { status: offer.status, awaiting: offer.awaiting };
+    const actor = actorFromRequest(req);
+    offer.status = 'rejected';
+    offer.awaiting = null;
+    offer.closedAt = new Date();
+    offer.closeReason = reason || undefined;
+    offer.history.push({ action: 'reject', from: previous.status, to: 'rejected', reason: reason || undefined, changedBy: actor });
+
+    if (!(await saveGuarded(offer, previous))) return staleOffer(res);
+
+    console.log(`🚫 Offer ${offer._id} rejected by the ${party}`);
+    await notifyOffer(offer, 'rejected', { actor, reason });
+
+    res.json({ success: true, offer: offerResponse(offer) });
+  } catch (err) {
+    console.error('Error rejecting offer:', err);
+    res.status(500).json({ error: 'Failed to reject offer', details: err.message });
+  }
+};
+
+// POST /api/offers/:id/withdraw - Body: { reason }. The buyer can pull an open
+// offer at any time, and an accepted one until it is paid.
+exports.withdrawOffer = async (req, res) => {
+  try {
+    const loaded = await loadOfferForParty(req, res);
+    if (!loaded) return;
+    const { offer, party } = loaded;
+    if (party !== 'buyer') {
+      return res.status(403).json({ error: 'Access denied', message: 'Only the buyer can withdraw an offer' });
+    }
+    if (![...OPEN_OFFER_STATUSES, 'accepted'].includes(offer.status)) {
+      return res.status(409).json({ error: 'Offer closed', message: `This offer is ${offer.status}` });
+    }
+    if (offer.status === 'accepted' && !(await cancelOfferPaymentIntent(offer.paymentIntentId))) {
+      return res.status(409).json({ error: 'Offer paid', message: 'The payment for this offer has already gone through or is being processed' });
+    }
+
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim().slice(0, 500) : '';
+    const previous = { status: offer.status, awaiting: offer.awaiting };
+    const actor = actorFromRequest(req);
+    offer.status = 'withdrawn';
+    offer.awaiting = null;
+    offer.closedAt = new Date();
+    offer.closeReason = reason || undefined;
+    offer.history.push({ action: 'withdraw', from: previous.status, to: 'withdrawn', reason: reason || undefined, changedBy: actor });
+
+    if (!(await saveGuarded(offer, previous))) return staleOffer(res);
+    if (previous.status === 'accepted') await releaseOfferLock(offer.propertyId, offer._id);
+
+    console.log(`↩️ Offer ${offer._id} withdrawn by the buyer`);
+    await notifyOffer(offer, 'withdrawn', { actor, reason });
+
+    res.json({ success: true, offer: offerResponse(offer) });
+  } catch (err) {
+    console.error('Error withdrawing offer:', err);
+    res.status(500).json({ error: 'Failed to withdraw offer', details: err.message });
+  }
+};
+
+// GET /api/offers/:id/payment - PaymentIntent client secret of an accepted offer (buyer only)
+exports.getOfferPayment = async (req, res) => {
+  try {
+    const loaded = await loadOfferForParty(req, res);
+    if (!loaded) return;
+    const { offer, party } = loaded;
+    if (party !== 'buyer') {
+      return res.status(403).json({ error: 'Access denied', message: 'Only the buyer can pay for an offer' });
+    }
+    if (offer.status !== 'accepted' || !offer.paymentIntentId) {
+      return res.status(409).json({ error: 'Offer not payable', message: `This offer is ${offer.status}` });
+    }
+
+    const paymentIntent = await stripe.paymentIntents.retrieve(offer.paymentIntentId);
+    res.json({
+      success: true,
+      clientSecret: paymentIntent.client_secret,
+      paymentStatus: paymentIntent.status,
+      ...serializeMoney(offer.amount),
+      dueAt: offer.paymentDueAt
+    });
+  } catch (err) {
+    console.error('Error fetching offer payment:', err);
+    res.status(500).json({ error: 'Failed to fetch offer payment', details: err.message });
+  }
+};
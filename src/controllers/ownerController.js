@@ -5,6 +5,8 @@ const Transaction = require('../models/Transaction');
 const Counter = require('../models/Counter');
 const Notification = require('../models/Notification');
 const { emitNotification } = require('../utils/socketUtils');
+const { parseDataUrl, storeDataUrlImage, removeStoredImages } = require('../utils/imageUtils');
+const { actorFromRequest } = require('../utils/priceHistory');
 
 // --- Helper: Generate Sequential ID ---
 async function getNextSequenceValue(sequenceName) {
@@ -231,8 +233,7 @@ const addOwner = async (req, res) => {
     const {
       name, email, contact, address, doj, status, city,
       agency, licenseNumber, textNumber, servicesArea, about,
-      photo,
-      photoInfo
+      photo
     } = req.body;
 
     console.log('📝 Adding new owner...');
@@ -248,10 +249,10 @@ const addOwner = async (req, res) => {
       return res.status(400).json({ error: 'Owner photo is required' });
     }
 
-    // Validate base64 format
-    if (!photo.startsWith('data:image/')) {
+    // Validate base64 format and image type before an ownerId is used up
+    if (!parseDataUrl(photo)) {
       return res.status(400).json({ 
-        error: 'Invalid photo format. Must be a base64 data URL.' 
+        error: 'Invalid photo format. Must be a base64 JPEG, PNG, GIF or WebP data URL.' 
       });
     }
 
@@ -277,7 +278,9 @@ const addOwner = async (req, res) => {
     // Generate next sequential ownerId
     const nextOwnerId = await getNextSequenceValue('ownerId');
 
-    // Create Owner with base64 photo
+    // Resized variants go to file storage; only their URLs are kept on the owner
+    const storedPhoto = await storeDataUrlImage(photo, { folder: `owners/${nextOwnerId}` });
+
     // Property stats will be 0 initially and auto-calculated when properties are added
     const newOwner = new Owner({
       name,
@@ -293,11 +296,8 @@ const addOwner = async (req, res) => {
       textNumber,
       servicesArea,
       about,
-      photo: photo,
-      photoInfo: photoInfo || {
-        uploadDate: new Date(),
-        size: Buffer.byteLength(photo, 'utf8')
-      },
+      photo: storedPhoto.url,
+      photoVariants: storedPhoto.variants,
       // Stats start at 0
       propertySold: 0,
       propertyRent: 0,
@@ -305,10 +305,15 @@ const addOwner = async (req, res) => {
       totalListing: 0
     });
 
-    await newOwner.save();
+    try {
+      await newOwner.save();
+    } catch (saveError) {
+      await removeStoredImages([storedPhoto]);
+      throw saveError;
+    }
 
     console.log(`✅ Owner created with ID: ${newOwner.ownerId}`);
-    console.log(`📸 Photo stored as base64 (${photo.length} characters)`);
+    console.log(`📸 Photo stored at ${storedPhoto.url}`);
 
     // Create notification for new owner
     try {
@@ -352,6 +357,9 @@ const addOwner = async (req, res) => {
         error: 'An owner with a similar unique field already exists.' 
       });
     }
+    if (error.code === 'INVALID_IMAGE') {
+      return res.status(400).json({ error: 'Invalid photo', details: error.message });
+    }
     console.error('❌ Error adding owner:', error);
     res.status(500).json({ 
       error: 'Internal server error',
@@ -434,8 +442,7 @@ const updateOwner = async (req, res) => {
     const {
       name, email, contact, address, doj, status, city,
       agency, licenseNumber, textNumber, servicesArea, about,
-      photo,
-      photoInfo
+      photo
     } = req.body;
 
     // Validate email if being updated
@@ -476,28 +483,34 @@ const updateOwner = async (req, res) => {
       about: about || owner.about
     };
 
-    // Handle photo update
-    if (photo) {
+    // Handle photo update (the stored URL sent back unchanged is not a new photo)
+    let storedPhoto = null;
+    if (photo && photo !== owner.photo) {
       if (!photo.startsWith('data:image/')) {
         return res.status(400).json({ 
           error: 'Invalid photo format. Must be a base64 data URL.' 
         });
       }
       
-      updateData.photo = photo;
-      updateData.photoInfo = photoInfo || {
-        uploadDate: new Date(),
-        size: Buffer.byteLength(photo, 'utf8')
-      };
+      storedPhoto = await storeDataUrlImage(photo, { folder: `owners/${ownerId}` });
+      updateData.photo = storedPhoto.url;
+      updateData.photoVariants = storedPhoto.variants;
       
-      console.log(`📸 New photo uploaded (${photo.length} characters)`);
+      console.log(`📸 New photo stored at ${storedPhoto.url}`);
     }
 
-    const updatedOwner = await Owner.findOneAndUpdate(
-      { ownerId },
-      updateData,
-      { new: true, runValidators: true }
-    );
+    let updatedOwner;
+    try {
+      updatedOwner = await Owner.findOneAndUpdate(
+        { ownerId },
+        updateData,
+        { new: true, runValidators: true }
+      );
+    } catch (updateError) {
+      if (storedPhoto) await removeStoredImages([storedPhoto]);
+      throw updateError;
+    }
+    if (storedPhoto) await removeStoredImages([{ variants: owner.photoVariants }]);
 
     console.log(`✅ Owner updated: ${ownerId}`);
 
@@ -538,6 +551,9 @@ const updateOwner = async (req, res) => {
     });
 
   } catch (error) {
+    if (error.code === 'INVALID_IMAGE') {
+      return res.status(400).json({ error: 'Invalid photo', details: error.message });
+    }
     console.error('❌ Error updating owner:', error);
     res.status(500).json({ 
       error: 'Failed to update owner',
@@ -572,7 +588,10 @@ const deleteOwner = async (req, res) => {
       });
     }
 
-    await Owner.findOneAndDelete({ ownerId });
+    // Soft delete - the photo is kept so the owner can be restored until the purge job runs
+    if (!(await owner.softDelete(actorFromRequest(req)))) {
+      return res.status(404).json({ error: 'Owner not found' });
+    }
     console.log('✅ Owner deleted successfully:', ownerId);
 
     // Create notification for deleted owner
@@ -615,6 +634,55 @@ const deleteOwner = async (req, res) => {
   }
 };
 
+// Restore a soft-deleted owner (admin)
+const restoreOwner = async (req, res) => {
+  try {
+    const { ownerId } = req.params;
+    const owner = await Owner.findOne({ ownerId, deletedAt: { $ne: null } });
+
+    if (!owner) {
+      return res.status(404).json({ error: 'Deleted owner not found' });
+    }
+    if (!(await owner.restore())) {
+      return res.status(409).json({ error: 'Owner already restored' });
+    }
+    console.log(`♻️ Owner restored: ${owner.name} (ID: ${owner.ownerId}) by ${req.user.email}`);
+
+    try {
+      const notification = new Notification({
+        userId: null,
+        type: 'record_restored',
+        target: 'admin',
+        message: `Owner "${owner.name}" (ID: ${owner.ownerId}) was restored.`,
+        relatedId: owner._id
+      });
+      await notification.save();
+
+      if (req.app && req.app.get('io')) {
+        req.app.get('io').emit('update-analytics', {
+          type: 'owner-restored',
+          ownerId: owner.ownerId,
+          name: owner.name
+        });
+        emitNotification(req, notification);
+      }
+    } catch (notifError) {
+      console.error('⚠️ Notification creation failed (non-critical):', notifError.message);
+    }
+
+    res.status(200).json({
+      message: 'Owner restored successfully',
+      owner: {
+        ...owner.toObject(),
+        hasPhoto: !!owner.photo
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error restoring owner:', error);
+    res.status(500).json({ error: 'Failed to restore owner' });
+  }
+};
+
 // --- Photo-specific Controllers ---
 
 // Get owner photo only
@@ -624,7 +692,7 @@ const getOwnerPhoto = async (req, res) => {
     console.log(`📸 Fetching photo for owner: ${ownerId}`);
 
     const owner = await Owner.findOne({ ownerId })
-      .select('photo photoInfo name ownerId');
+      .select('photo photoVariants photoInfo name ownerId');
 
     if (!owner) {
       console.log(`❌ Owner not found: ${ownerId}`);
@@ -642,6 +710,7 @@ const getOwnerPhoto = async (req, res) => {
       ownerId: owner.ownerId,
       name: owner.name,
       photo: owner.photo,
+      photoVariants: owner.photoVariants,
       photoInfo: owner.photoInfo
     });
 
@@ -672,22 +741,25 @@ const updateOwnerPhoto = async (req, res) => {
       });
     }
 
+    const previousOwner = await Owner.findOne({ ownerId }).select('photoVariants');
+    if (!previousOwner) {
+      console.log(`❌ Owner not found: ${ownerId}`);
+      return res.status(404).json({
+        error: 'Owner not found'
+      });
+    }
+
+    const storedPhoto = await storeDataUrlImage(photo, { folder: `owners/${ownerId}` });
     const updatedOwner = await Owner.findOneAndUpdate(
       { ownerId },
       { 
-        photo: photo,
-        'photoInfo.uploadDate': new Date(),
-        'photoInfo.size': Buffer.byteLength(photo, 'utf8')
+        photo: storedPhoto.url,
+        photoVariants: storedPhoto.variants
       },
       { new: true }
     );
 
-    if (!updatedOwner) {
-      console.log(`❌ Owner not found: ${ownerId}`);
-      return res.status(404).json({
-        error: 'Owner not found'
-      });
-    }
+    await removeStoredImages([{ variants: previousOwner.photoVariants }]);
 
     console.log(`✅ Photo updated for owner: ${ownerId} - ${updatedOwner.name}`);
 
@@ -705,10 +777,15 @@ const updateOwnerPhoto = async (req, res) => {
       message: 'Owner photo updated successfully',
       ownerId: updatedOwner.ownerId,
       name: updatedOwner.name,
-      hasPhoto: !!updatedOwner.photo
+      hasPhoto: !!updatedOwner.photo,
+      photo: updatedOwner.photo,
+      photoVariants: updatedOwner.photoVariants
     });
 
   } catch (error) {
+    if (error.code === 'INVALID_IMAGE') {
+      return res.status(400).json({ error: 'Invalid photo', details: error.message });
+    }
     console.error('❌ Error updating owner photo:', error);
     res.status(500).json({
       error: 'Failed to update owner photo',
@@ -724,23 +801,27 @@ const removeOwnerPhoto = async (req, res) => {
     
     console.log(`🗑️ Removing photo for owner: ${ownerId}`);
     
+    const previousOwner = await Owner.findOne({ ownerId }).select('photoVariants');
+    if (!previousOwner) {
+      console.log(`❌ Owner not found: ${ownerId}`);
+      return res.status(404).json({
+        error: 'Owner not found'
+      });
+    }
+
     const updatedOwner = await Owner.findOneAndUpdate(
       { ownerId },
       { 
         $unset: { 
           photo: 1,
-          photoInfo: 1
+          photoInfo: 1,
+          photoVariants: 1
         }
       },
       { new: true, runValidators: false }
     );
 
-    if (!updatedOwner) {
-      console.log(`❌ Owner not found: ${ownerId}`);
-      return res.status(404).json({
-        error: 'Owner not found'
-      });
-    }
+    await removeStoredImages([{ variants: previousOwner.photoVariants }]);
 
     console.log(`✅ Photo removed for owner: ${ownerId} - ${updatedOwner.name}`);
 
@@ -783,6 +864,7 @@ module.exports = {
   getOwnerById,
   updateOwner,
   deleteOwner,
+  restoreOwner,
   
   // Photo-specific operations
   getOwnerPhoto,
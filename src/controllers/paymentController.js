@@ -1,14 +1,36 @@
 // src/controllers/paymentController.js
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const stripe = require('../utils/stripeClient');
 const Transaction = require('../models/Transaction');
 const Property = require('../models/Property');
 const Owner = require('../models/Owner');
 const Profile = require('../models/Profile');
 const Notification = require('../models/Notification');
 const Counter = require('../models/Counter');
+const mongoose = require('mongoose');
 const { emitNotification } = require('../utils/socketUtils');
 const PendingReview = require('../models/PendingReview');
 const Review = require('../models/Review');
+const {
+  DEFAULT_CURRENCY,
+  parseMoney,
+  formatMoney,
+  fromMinorUnits,
+  toMajorUnitsExpr
+} = require('../utils/money');
+const { parseDateRange, formatDay, reserveRange } = require('../utils/rentalCalendar');
+const { closeLeadsForTransaction } = require('../utils/leadPipeline');
+const { isUnderOffer, checkOfferPurchase, closeOffersForSale } = require('../utils/offerNegotiation');
+const { purchaseMetadata, listedPrice, retrievePaidIntent, priceMismatch } = require('../utils/paymentVerification');
+const { canTransition, statusChange, netAmountExpr } = require('../utils/paymentStateMachine');
+const { actorFromRequest } = require('../utils/priceHistory');
+const { postTransactionEntries, reverseTransactionEntries, reinstateTransactionEntries } = require('../utils/ledger');
+const { issueReceipt } = require('../utils/receipts');
+
+// Report totals are in the reporting currency (DEFAULT_CURRENCY) and net of
+// refunds; amounts in other currencies are not summed into them
+const isReportingCurrency = { $eq: ['$currency', DEFAULT_CURRENCY] };
+const reportingAmount = { $cond: [isReportingCurrency, netAmountExpr, 0] };
+const reportingAmountOrNull = { $cond: [isReportingCurrency, netAmountExpr, null] };
 
 // ============ HELPER: UPDATE OWNER STATS AFTER TRANSACTION ============
 async function updateOwnerStatsAfterTransaction(propertyId, purchaseType) {
@@ -134,287 +156,531 @@ async function getProfileByEmailAndPhone(email, phoneNumber) {
   }
 }
 
+// Helper function to queue the customer's review request - skipped when they
+// already reviewed the property or have one pending. Pass the sale's session
+// to make it part of the sale.
+async function createPendingReview({ propertyId, transactionId, customerData, purchaseType }, session = null) {
+  console.log('\n📝 Creating pending review entry...');
+
+  // Check if customer already reviewed this property
+  const existingReview = await Review.findOne({
+    propertyId,
+    $or: [
+      { customerPhone: customerData.customerPhone },
+      ...(customerData.customerEmail ? [{ customerEmail: customerData.customerEmail }] : [])
+    ]
+  }).session(session);
+
+  if (existingReview) {
+    console.log('ℹ️ Customer already reviewed this property, skipping pending review');
+    return null;
+  }
+
+  // Check if customer already has a pending review for this property
+  const existingPendingReview = await PendingReview.findOne({
+    propertyId,
+    customerPhone: customerData.customerPhone,
+    status: 'pending'
+  }).session(session);
+
+  if (existingPendingReview) {
+    console.log('ℹ️ Pending review already exists for this customer and property');
+    return null;
+  }
+
+  const pendingReview = new PendingReview({
+    propertyId,
+    transactionId,
+    customerEmail: customerData.customerEmail,
+    customerPhone: customerData.customerPhone,
+    customerName: customerData.customerName,
+    purchaseType: purchaseType,
+    status: 'pending'
+  });
+
+  await pendingReview.save({ session });
+  console.log('✅ Pending review created successfully');
+  console.log(`   Customer: ${customerData.customerName}`);
+  console.log(`   Phone: ${customerData.customerPhone}`);
+  console.log(`   Property ID: ${propertyId}`);
+  return pendingReview;
+}
+
 // Create payment intent
+// Body: { amount, currency, propertyId, purchaseType, customerName, customerPhone, customerEmail,
+//   leaseStartDate, leaseEndDate } - amount in major units (or a { amount, currency } money object).
+// With propertyId, the intent is tagged with the property (saveTransaction checks it) and a
+// property reserved for an accepted offer is refused up front; the offer's own
+// PaymentIntent comes from GET /api/offers/:id/payment. With the purchase details as
+// well, the Stripe webhook can record the purchase if save-transaction never arrives.
 const createPaymentIntent = async (req, res) => {
-  const { amount } = req.body;
-  if (!amount || amount <= 0) {
-    return res.status(400).send({ error: 'Invalid amount provided.' });
+  const { money, error } = parseMoney(req.body.amount, req.body.currency || DEFAULT_CURRENCY);
+  if (error || !money || money.amount <= 0) {
+    return res.status(400).send({ error: error || 'Invalid amount provided.' });
   }
   try {
+    const propertyId = mongoose.isValidObjectId(req.body.propertyId) ? String(req.body.propertyId) : null;
+    if (propertyId) {
+      const property = await Property.findById(propertyId).select('offerLock');
+      if (property && isUnderOffer(property)) {
+        return res.status(409).send({
+          error: 'Property under offer',
+          message: 'An accepted offer reserves this property until it is paid'
+        });
+      }
+    }
+
+    // Stripe takes the amount in the currency's smallest unit and a lower-case code
     const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(amount * 100),
-      currency: 'inr',
+      amount: money.amount,
+      currency: money.currency.toLowerCase(),
       automatic_payment_methods: { enabled: true },
+      metadata: purchaseMetadata(req.body, propertyId)
+    }, req.idempotencyKey ? { idempotencyKey: `payment-intent-${req.idempotencyKey}` } : {});
+    res.send({
+      clientSecret: paymentIntent.client_secret,
+      amount: money.amount,
+      currency: money.currency
     });
-    res.send({ clientSecret: paymentIntent.client_secret });
   } catch (error) {
     console.error('Stripe Error:', error.message);
     res.status(500).send({ error: error.message });
   }
 };
 
-// ✅ UPDATED: Save transaction and mark property as sold if purchaseType is 'buy'
-const saveTransaction = async (req, res) => {
-  console.log('\n' + '='.repeat(60));
-  console.log('📥 NEW TRANSACTION REQUEST');
-  console.log('='.repeat(60));
-  console.log('📄 Request body:', JSON.stringify(req.body, null, 2));
+// Outcome of recordPurchase: the HTTP status and body for the caller
+const purchaseResult = (status, body) => ({ status, body });
+
+/**
+ * ✅ Records a paid purchase and applies it: marks the property sold or reserves
+ * the lease dates, closes offers and leads, queues the review and notifies admins.
+ * Shared by save-transaction (the client) and the Stripe webhook - whichever
+ * comes second finds the payment already recorded. A PaymentIntent that is
+ * still processing is recorded as Pending and applied once it succeeds.
+ * @param {Object} transactionDetails - { id (PaymentIntent id), purchaseType, property: { id },
+ *   customerName, customerPhone, customerEmail, leaseStartDate, leaseEndDate, paymentMethod }
+ * @param {Object} options - { io, intent (PaymentIntent already at hand), source: client | webhook, eventId }
+ * @returns {Promise<{ status: number, body: Object }>}
+ */
+async function recordPurchase(transactionDetails, { io = null, intent = null, source = 'client', eventId } = {}) {
+  // Validate purchase type
+  const purchaseType = transactionDetails.purchaseType || 'buy';
+  if (!['buy', 'rent'].includes(purchaseType)) {
+    return purchaseResult(400, {
+      error: 'Invalid purchase type. Must be either "buy" or "rent".'
+    });
+  }
 
-  const { transactionDetails } = req.body;
-  if (!transactionDetails) {
-    return res.status(400).send({ error: 'Transaction details are missing.' });
+  console.log(`\n🏠 Purchase Type: ${purchaseType.toUpperCase()}`);
+
+  // ✅ CHECK: Verify property exists and is available for sale
+  const propertyId = transactionDetails.property && transactionDetails.property.id;
+  const property = mongoose.isValidObjectId(propertyId) ? await Property.findById(propertyId) : null;
+  if (!property) {
+    return purchaseResult(404, {
+      error: 'Property not found',
+      message: 'The property you are trying to purchase does not exist.'
+    });
   }
 
-  try {
-    // Validate purchase type
-    const purchaseType = transactionDetails.purchaseType || 'buy';
-    if (!['buy', 'rent'].includes(purchaseType)) {
-      return res.status(400).send({ 
-        error: 'Invalid purchase type. Must be either "buy" or "rent".' 
+  // ✅ CHECK: If buying, verify property is not already sold
+  if (purchaseType === 'buy') {
+    if (property.status === 'sold') {
+      console.log('❌ Property already sold!');
+      return purchaseResult(409, {
+        error: 'Property already sold',
+        message: 'This property has already been purchased and is no longer available.',
+        stripePaymentId: transactionDetails.id
       });
     }
 
-    console.log(`\n🏠 Purchase Type: ${purchaseType.toUpperCase()}`);
-
-    // ✅ CHECK: Verify property exists and is available for sale
-    const property = await Property.findById(transactionDetails.property.id);
-    if (!property) {
-      return res.status(404).send({ 
-        error: 'Property not found',
-        message: 'The property you are trying to purchase does not exist.'
+    // Check if property can be sold
+    if (!['sale', 'both'].includes(property.status)) {
+      console.log('❌ Property not available for sale!');
+      return purchaseResult(400, {
+        error: 'Property not for sale',
+        message: 'This property is only available for rent.'
       });
     }
+  }
 
-    // ✅ CHECK: If buying, verify property is not already sold
-    if (purchaseType === 'buy') {
-      if (property.status === 'sold') {
-        console.log('❌ Property already sold!');
-        return res.status(400).send({ 
-          error: 'Property already sold',
-          message: 'This property has already been purchased and is no longer available.'
-        });
-      }
-
-      // Check if property can be sold
-      if (!['sale', 'both'].includes(property.status)) {
-        console.log('❌ Property not available for sale!');
-        return res.status(400).send({ 
-          error: 'Property not for sale',
-          message: 'This property is only available for rent.'
-        });
-      }
+  // ✅ CHECK: If renting, the property must be for rent and the lease needs dates
+  let lease = null;
+  if (purchaseType === 'rent') {
+    if (!['rent', 'both'].includes(property.status)) {
+      console.log('❌ Property not available for rent!');
+      return purchaseResult(400, {
+        error: 'Property not for rent',
+        message: property.status === 'sold'
+          ? 'This property has been sold and can no longer be rented.'
+          : 'This property is only available for sale.'
+      });
     }
 
-    // Fetch profile using EMAIL first, then validate phone
-    const profile = await getProfileByEmailAndPhone(
-      transactionDetails.customerEmail,
-      transactionDetails.customerPhone
+    const { start, end, error: leaseError } = parseDateRange(
+      transactionDetails.leaseStartDate,
+      transactionDetails.leaseEndDate,
+      { startKey: 'leaseStartDate', endKey: 'leaseEndDate' }
     );
+    if (leaseError) {
+      return purchaseResult(400, { error: 'Invalid lease dates', message: leaseError });
+    }
+    lease = { start, end };
+    console.log(`📅 Lease: ${formatDay(start)} → ${formatDay(end)}`);
+  }
 
-    // Prepare customer data with profile information
-    let customerData = {
-      customerName: transactionDetails.customerName,
-      customerPhone: transactionDetails.customerPhone,
-      customerEmail: transactionDetails.customerEmail || null,
-      customerPhoto: null
+  // Fetch profile using EMAIL first, then validate phone
+  const profile = await getProfileByEmailAndPhone(
+    transactionDetails.customerEmail,
+    transactionDetails.customerPhone
+  );
+
+  // Prepare customer data with profile information
+  let customerData = {
+    customerName: transactionDetails.customerName,
+    customerPhone: transactionDetails.customerPhone,
+    customerEmail: transactionDetails.customerEmail || null,
+    customerPhoto: null
+  };
+
+  if (profile) {
+    const profileFullName = `${profile.firstName || ''} ${profile.lastName || ''}`.trim();
+
+    customerData = {
+      customerName: profileFullName || transactionDetails.customerName,
+      customerPhone: profile.phone || transactionDetails.customerPhone,
+      customerEmail: profile.email,
+      customerPhoto: profile.photo || null
     };
 
-    if (profile) {
-      const profileFullName = `${profile.firstName || ''} ${profile.lastName || ''}`.trim();
-      
-      customerData = {
-        customerName: profileFullName || transactionDetails.customerName,
-        customerPhone: profile.phone || transactionDetails.customerPhone,
-        customerEmail: profile.email,
-        customerPhoto: profile.photo || null
-      };
-      
-      console.log('✅ Using profile data for transaction');
-      console.log(`   Name from profile: ${customerData.customerName}`);
-      console.log(`   Phone from profile: ${customerData.customerPhone}`);
-      console.log(`   Email from profile: ${customerData.customerEmail}`);
-      console.log(`   Has photo: ${!!customerData.customerPhoto}`);
-    } else {
-      console.log('⚠️ No profile found for email, using transaction details only');
-      console.log(`   Email searched: ${transactionDetails.customerEmail}`);
+    console.log('✅ Using profile data for transaction');
+    console.log(`   Name from profile: ${customerData.customerName}`);
+    console.log(`   Phone from profile: ${customerData.customerPhone}`);
+    console.log(`   Email from profile: ${customerData.customerEmail}`);
+    console.log(`   Has photo: ${!!customerData.customerPhoto}`);
+  } else {
+    console.log('⚠️ No profile found for email, using transaction details only');
+    console.log(`   Email searched: ${transactionDetails.customerEmail}`);
+  }
+
+  // ✅ CHECK: The amount is what Stripe captured, not what the client reports
+  const payment = await retrievePaidIntent(transactionDetails.id, property, intent);
+  if (payment.error) {
+    console.log(`❌ ${payment.error}: ${payment.message}`);
+    return purchaseResult(payment.status, {
+      error: payment.error,
+      message: payment.message,
+      stripePaymentId: transactionDetails.id
+    });
+  }
+  const money = payment.money;
+
+  // A Pending (or Failed) record of the same payment is completed in place;
+  // anything further along means this payment was already applied
+  const existing = await Transaction.findOne({ stripePaymentId: transactionDetails.id });
+  if (existing && !canTransition(existing.status, 'Completed')) {
+    console.log('ℹ️ Payment already recorded');
+    return purchaseResult(409, {
+      error: 'Payment already recorded',
+      message: 'A transaction for this payment already exists.',
+      transactionId: existing.customTransactionId
+    });
+  }
+  if (existing && payment.pending) {
+    return purchaseResult(202, { success: true, pending: true, transaction: existing.toJSON() });
+  }
+
+  // ✅ CHECK: A property reserved for an accepted offer can only be bought with
+  // that offer's payment, for the agreed amount
+  let paidOffer = null;
+  if (purchaseType === 'buy') {
+    const offerCheck = await checkOfferPurchase(property, transactionDetails.id, money);
+    if (offerCheck.error) {
+      console.log(`❌ ${offerCheck.error}: ${offerCheck.message}`);
+      return purchaseResult(offerCheck.status, {
+        error: offerCheck.error,
+        message: offerCheck.message,
+        stripePaymentId: transactionDetails.id
+      });
     }
+    paidOffer = offerCheck.offer;
+    if (paidOffer) console.log(`🤝 Payment for accepted offer ${paidOffer._id}`);
+  }
 
+  // ✅ CHECK: Without an offer the payment must match the current listed price
+  if (!paidOffer) {
+    const mismatch = priceMismatch(money, listedPrice(property, purchaseType));
+    if (mismatch) {
+      console.log(`❌ ${mismatch.error}: ${mismatch.message}`);
+      return purchaseResult(mismatch.status, {
+        error: mismatch.error,
+        message: mismatch.message,
+        stripePaymentId: transactionDetails.id
+      });
+    }
+  }
+  console.log(`✅ Payment verified: ${formatMoney(money.amount, money.currency)} (${transactionDetails.id}, ${payment.intent.status})`);
+
+  const status = payment.pending ? 'Pending' : 'Completed';
+  const fields = {
+    customerName: customerData.customerName,
+    customerPhone: customerData.customerPhone,
+    customerEmail: customerData.customerEmail,
+    customerPhoto: customerData.customerPhoto,
+    amount: money.amount,
+    currency: money.currency,
+    purchaseType: purchaseType,
+    property: property._id,
+    ownerName: property.ownerName,
+    paymentMethod: transactionDetails.paymentMethod,
+    status,
+    failureReason: null,
+    leaseStartDate: lease ? lease.start : null,
+    leaseEndDate: lease ? lease.end : null,
+    rentalBlockId: lease && !payment.pending ? new mongoose.Types.ObjectId() : null,
+  };
+
+  let newTransaction;
+  if (existing) {
+    // Guarded on the status it was read in, so the client and the webhook
+    // cannot both complete it
+    newTransaction = existing;
+    newTransaction.set(fields);
+    newTransaction.$where = { status: existing.status };
+    newTransaction.statusHistory.push(statusChange(existing.status, status, { source, eventId }));
+  } else {
     // Generate custom transaction ID
     const sequenceNumber = await getNextSequenceValue('customTransactionId');
-    const customId = `TNX#${String(sequenceNumber).padStart(3, '0')}`;
-
-    // Create new transaction with purchase type
-    const newTransaction = new Transaction({
-      customTransactionId: customId,
+    newTransaction = new Transaction({
+      customTransactionId: `TNX#${String(sequenceNumber).padStart(3, '0')}`,
       stripePaymentId: transactionDetails.id,
-      customerName: customerData.customerName,
-      customerPhone: customerData.customerPhone,
-      customerEmail: customerData.customerEmail,
-      customerPhoto: customerData.customerPhoto,
-      amount: transactionDetails.amount,
-      purchaseType: purchaseType,
-      property: transactionDetails.property.id,
-      ownerName: transactionDetails.ownerName,
-      paymentMethod: transactionDetails.paymentMethod,
-      status: 'Completed',
+      ...fields,
+      statusHistory: [statusChange(null, status, { source, eventId })]
     });
+  }
+  const customId = newTransaction.customTransactionId;
+
+  // A lost race on the transaction itself means the other caller recorded the payment
+  const saveRecord = async (session = null) => {
+    try {
+      await newTransaction.save({ session });
+      return newTransaction;
+    } catch (err) {
+      if (err.name === 'DocumentNotFoundError') err.code = 'ALREADY_RECORDED';
+      throw err;
+    }
+  };
+  const alreadyRecorded = () => purchaseResult(409, {
+    error: 'Payment already recorded',
+    message: 'A transaction for this payment already exists.',
+    transactionId: customId
+  });
+
+  try {
+    // ========== PAYMENT STILL PROCESSING: RECORD ONLY ==========
+    if (payment.pending) {
+      await saveRecord();
+      console.log(`⏳ Transaction ${customId} recorded as Pending until Stripe confirms the payment`);
+      return purchaseResult(202, { success: true, pending: true, transaction: newTransaction.toJSON() });
+    }
 
-    await newTransaction.save();
-    console.log('\n✅ Transaction saved to DB:', newTransaction.customTransactionId);
-    console.log('🏠 Purchase type:', newTransaction.purchaseType);
-    console.log('💰 Amount: ₹', newTransaction.amount);
-    console.log('📧 Customer email:', newTransaction.customerEmail || 'N/A');
-    console.log('📸 Customer photo saved:', !!newTransaction.customerPhoto);
-
-    // ========== MARK PROPERTY AS SOLD IF PURCHASE TYPE IS 'BUY' ==========
-    if (purchaseType === 'buy') {
-      console.log('\n🔒 MARKING PROPERTY AS SOLD...');
-      
+    if (lease) {
+      // The overlap check runs under the property's calendar lock, and the
+      // transaction and its block commit together
       try {
-        await property.markAsSold({
-          customerName: customerData.customerName,
-          transactionId: newTransaction._id
+        await reserveRange({
+          _id: newTransaction.rentalBlockId,
+          propertyId: property._id,
+          startDate: lease.start,
+          endDate: lease.end,
+          type: 'lease',
+          note: `Lease ${customId} - ${customerData.customerName}`
+        }, (session) => saveRecord(session));
+      } catch (calendarError) {
+        if (!['CALENDAR_CONFLICT', 'CALENDAR_BUSY'].includes(calendarError.code)) throw calendarError;
+        console.log(`❌ Lease dates unavailable: ${calendarError.message}`);
+        // The payment has already been captured - keep its id for the refund
+        return purchaseResult(409, {
+          error: calendarError.code === 'CALENDAR_BUSY' ? 'Calendar busy' : 'Dates unavailable',
+          message: calendarError.message,
+          conflicts: calendarError.conflicts || [],
+          stripePaymentId: transactionDetails.id
+        });
+      }
+    } else {
+      // The transaction, the sold status and the pending review commit together.
+      // markAsSold only matches a property that is still for sale, so when a
+      // concurrent purchase got there first the whole sale rolls back.
+      try {
+        await mongoose.connection.transaction(async (session) => {
+          await saveRecord(session);
+          await property.markAsSold({
+            customerName: customerData.customerName,
+            transactionId: newTransaction._id
+          }, { session });
+          await createPendingReview({
+            propertyId: property._id,
+            transactionId: newTransaction._id,
+            customerData,
+            purchaseType
+          }, session);
+        });
+      } catch (saleError) {
+        if (saleError.name !== 'DocumentNotFoundError' || saleError.code === 'ALREADY_RECORDED') throw saleError;
+        console.log('❌ Property was sold by a concurrent purchase!');
+        // The payment has already been captured - keep its id for the refund
+        return purchaseResult(409, {
+          error: 'Property already sold',
+          message: 'This property has already been purchased and is no longer available.',
+          stripePaymentId: transactionDetails.id
         });
-        
-        console.log('✅ Property successfully marked as SOLD');
-        console.log(`   Property: "${property.name}"`);
-        console.log(`   Sold to: ${customerData.customerName}`);
-        console.log(`   Transaction ID: ${customId}`);
-        console.log(`   Sold Date: ${property.soldDate}`);
-        
-        // Emit socket event for property sold
-        if (req.app && req.app.get('io')) {
-          const io = req.app.get('io');
-          io.emit('property-sold', {
-            propertyId: property._id.toString(),
-            propertyName: property.name,
-            soldTo: customerData.customerName,
-            soldDate: property.soldDate,
-            transactionId: customId
-          });
-          console.log('🔔 Property sold event emitted via socket');
-        }
-        
-      } catch (markSoldError) {
-        console.error('❌ Failed to mark property as sold:', markSoldError.message);
-        // Don't fail the transaction if this fails, but log it
       }
     }
-
-    // ========== CREATE PENDING REVIEW ENTRY ==========
-    try {
-      console.log('\n📝 Creating pending review entry...');
-      
-      // Check if customer already reviewed this property
-      const existingReview = await Review.findOne({
-        propertyId: transactionDetails.property.id,
-        $or: [
-          { customerPhone: customerData.customerPhone },
-          ...(customerData.customerEmail ? [{ customerEmail: customerData.customerEmail }] : [])
-        ]
+  } catch (err) {
+    const duplicate = err.code === 11000 && err.keyPattern && err.keyPattern.stripePaymentId;
+    if (err.code === 'ALREADY_RECORDED' || duplicate) {
+      console.log('ℹ️ Payment recorded by a concurrent request');
+      return alreadyRecorded();
+    }
+    throw err;
+  }
+  console.log('\n✅ Transaction saved to DB:', newTransaction.customTransactionId);
+  console.log('🏠 Purchase type:', newTransaction.purchaseType);
+  console.log('💰 Amount:', formatMoney(newTransaction.amount, newTransaction.currency));
+  console.log('📧 Customer email:', newTransaction.customerEmail || 'N/A');
+  console.log('📸 Customer photo saved:', !!newTransaction.customerPhoto);
+  console.log('🧾 Recorded by:', source);
+
+  // ========== ANNOUNCE THE SALE ==========
+  if (purchaseType === 'buy') {
+    console.log('✅ Property successfully marked as SOLD');
+    console.log(`   Property: "${property.name}"`);
+    console.log(`   Sold to: ${customerData.customerName}`);
+    console.log(`   Transaction ID: ${customId}`);
+    console.log(`   Sold Date: ${property.soldDate}`);
+
+    // Emit socket event for property sold
+    if (io) {
+      io.emit('property-sold', {
+        propertyId: property._id.toString(),
+        propertyName: property.name,
+        soldTo: customerData.customerName,
+        soldDate: property.soldDate,
+        transactionId: customId
       });
+      console.log('🔔 Property sold event emitted via socket');
+    }
 
-      if (existingReview) {
-        console.log('ℹ️ Customer already reviewed this property, skipping pending review');
-      } else {
-        // Check if customer already has a pending review for this property
-        const existingPendingReview = await PendingReview.findOne({
-          propertyId: transactionDetails.property.id,
-          customerPhone: customerData.customerPhone,
-          status: 'pending'
-        });
+    // ========== COMPLETE THE PAID OFFER, CLOSE THE OTHERS ==========
+    await closeOffersForSale(property, newTransaction, paidOffer);
+  }
 
-        if (!existingPendingReview) {
-          const pendingReview = new PendingReview({
-            propertyId: transactionDetails.property.id,
-            transactionId: newTransaction._id,
-            customerEmail: customerData.customerEmail,
-            customerPhone: customerData.customerPhone,
-            customerName: customerData.customerName,
-            purchaseType: purchaseType,
-            status: 'pending'
-          });
-
-          await pendingReview.save();
-          console.log('✅ Pending review created successfully');
-          console.log(`   Customer: ${customerData.customerName}`);
-          console.log(`   Phone: ${customerData.customerPhone}`);
-          console.log(`   Property ID: ${transactionDetails.property.id}`);
-        } else {
-          console.log('ℹ️ Pending review already exists for this customer and property');
-        }
-      }
+  // ========== CLOSE MATCHING LEADS AS WON ==========
+  await closeLeadsForTransaction(newTransaction);
+
+  // ========== CREATE PENDING REVIEW ENTRY (rentals - sales did it in their session) ==========
+  if (lease) {
+    try {
+      await createPendingReview({
+        propertyId: property._id,
+        transactionId: newTransaction._id,
+        customerData,
+        purchaseType
+      });
     } catch (reviewError) {
       console.error('⚠️ Failed to create pending review:', reviewError.message);
       // Don't fail the transaction if pending review creation fails
     }
+  }
 
-    // ========== UPDATE OWNER STATS AFTER TRANSACTION ==========
-    const updatedOwner = await updateOwnerStatsAfterTransaction(
-      transactionDetails.property.id,
-      purchaseType
-    );
+  // ========== UPDATE OWNER STATS AFTER TRANSACTION ==========
+  const updatedOwner = await updateOwnerStatsAfterTransaction(property._id, purchaseType);
 
+  if (updatedOwner) {
+    console.log(`\n✅ Owner stats successfully updated for: ${updatedOwner.name}`);
+  } else {
+    console.warn('\n⚠️ Warning: Owner stats could not be updated');
+  }
+
+  // ========== POST TO THE LEDGER (the ledger-sync job retries a failed posting) ==========
+  await postTransactionEntries(newTransaction)
+    .catch(err => console.error('⚠️ Ledger posting failed:', err.message));
+
+  // ========== ISSUE AND EMAIL THE RECEIPT (downloading it issues a missed one) ==========
+  await issueReceipt(newTransaction)
+    .catch(err => console.error('⚠️ Receipt failed:', err.message));
+
+  // Save Notification in DB
+  const transactionType = purchaseType === 'rent' ? 'Rental' : 'Purchase';
+  const formattedAmount = formatMoney(newTransaction.amount, newTransaction.currency);
+  const notificationMessage = purchaseType === 'buy'
+    ? `🏠 Property "${property.name}" SOLD! Transaction ${newTransaction.customTransactionId} - ${formattedAmount} by ${newTransaction.customerName}`
+    : `New ${transactionType} transaction ${newTransaction.customTransactionId} - ${formattedAmount} by ${newTransaction.customerName}`;
+
+  const notification = new Notification({
+    userId: null,
+    type: purchaseType === 'buy' ? 'property_sold' : 'transaction',
+    message: notificationMessage,
+    relatedId: newTransaction._id,
+  });
+  await notification.save();
+
+  // Emit Socket.io notification
+  if (io) {
+    io.emit('new-notification', notification);
+
+    // Emit owner stats update event
     if (updatedOwner) {
-      console.log(`\n✅ Owner stats successfully updated for: ${updatedOwner.name}`);
-    } else {
-      console.warn('\n⚠️ Warning: Owner stats could not be updated');
+      io.emit('update-analytics', {
+        type: 'owner-stats-updated',
+        ownerId: updatedOwner.ownerId,
+        name: updatedOwner.name,
+        stats: {
+          propertyOwned: updatedOwner.propertyOwned,
+          propertyRent: updatedOwner.propertyRent,
+          propertySold: updatedOwner.propertySold,
+          totalListing: updatedOwner.totalListing
+        }
+      });
+      console.log('🔔 Owner stats update event emitted via socket');
     }
+  } else {
+    console.warn('⚠️ Socket.io instance not found. Notification not emitted via socket.');
+  }
 
-    // Save Notification in DB
-    const transactionType = purchaseType === 'rent' ? 'Rental' : 'Purchase';
-    const notificationMessage = purchaseType === 'buy' 
-      ? `🏠 Property "${property.name}" SOLD! Transaction ${newTransaction.customTransactionId} - ₹${newTransaction.amount} by ${newTransaction.customerName}`
-      : `New ${transactionType} transaction ${newTransaction.customTransactionId} - ₹${newTransaction.amount} by ${newTransaction.customerName}`;
-    
-    const notification = new Notification({
-      userId: null,
-      type: purchaseType === 'buy' ? 'property_sold' : 'transaction',
-      message: notificationMessage,
-      relatedId: newTransaction._id,
-    });
-    await notification.save();
-
-    // Emit Socket.io notification
-    if (req.app && req.app.get('io')) {
-      emitNotification(req, notification);
-      
-      // Emit owner stats update event
-      if (updatedOwner) {
-        const io = req.app.get('io');
-        io.emit('update-analytics', {
-          type: 'owner-stats-updated',
-          ownerId: updatedOwner.ownerId,
-          name: updatedOwner.name,
-          stats: {
-            propertyOwned: updatedOwner.propertyOwned,
-            propertyRent: updatedOwner.propertyRent,
-            propertySold: updatedOwner.propertySold,
-            totalListing: updatedOwner.totalListing
-          }
-        });
-        console.log('🔔 Owner stats update event emitted via socket');
-      }
-    } else {
-      console.warn('⚠️ Socket.io instance not found. Notification not emitted via socket.');
+  console.log('\n' + '='.repeat(60));
+  console.log('✅✅✅ TRANSACTION COMPLETED SUCCESSFULLY ✅✅✅');
+  console.log('='.repeat(60) + '\n');
+
+  return purchaseResult(200, {
+    success: true,
+    transaction: {
+      ...newTransaction.toJSON(),
+      profileFound: !!profile,
+      profileMatchedByEmail: !!profile,
+      hasPhoto: !!newTransaction.customerPhoto,
+      ownerStatsUpdated: !!updatedOwner,
+      propertyMarkedAsSold: purchaseType === 'buy'
     }
+  });
+}
 
-    console.log('\n' + '='.repeat(60));
-    console.log('✅✅✅ TRANSACTION COMPLETED SUCCESSFULLY ✅✅✅');
-    console.log('='.repeat(60) + '\n');
+// ✅ UPDATED: Save transaction and mark property as sold if purchaseType is 'buy'
+// Body: { transactionDetails } - see recordPurchase. Answers 202 while the payment is still processing.
+const saveTransaction = async (req, res) => {
+  console.log('\n' + '='.repeat(60));
+  console.log('📥 NEW TRANSACTION REQUEST');
+  console.log('='.repeat(60));
+  console.log('📄 Request body:', JSON.stringify(req.body, null, 2));
 
-    res.status(200).send({
-      success: true,
-      transaction: {
-        ...newTransaction.toObject(),
-        profileFound: !!profile,
-        profileMatchedByEmail: !!profile,
-        hasPhoto: !!newTransaction.customerPhoto,
-        ownerStatsUpdated: !!updatedOwner,
-        propertyMarkedAsSold: purchaseType === 'buy'
-      }
-    });
+  const { transactionDetails } = req.body;
+  if (!transactionDetails) {
+    return res.status(400).send({ error: 'Transaction details are missing.' });
+  }
 
+  try {
+    const result = await recordPurchase(transactionDetails, { io: req.app.get('io'), source: 'client' });
+    res.status(result.status).send(result.body);
   } catch (error) {
     console.error('\n💥 CRITICAL ERROR:', error.message);
     console.error('Stack:', error.stack);
@@ -427,12 +693,12 @@ const saveTransaction = async (req, res) => {
 const getAllTransactions = async (req, res) => {
   try {
     const transactions = await Transaction.find()
-      .populate('property', 'name type status')
+      .populate({ path: 'property', select: 'name type status', options: { withDeleted: true } })
       .sort({ createdAt: -1 });
 
     // Add hasPhoto flag for frontend
     const enhancedTransactions = transactions.map(t => ({
-      ...t.toObject(),
+      ...t.toJSON(),
       hasPhoto: !!t.customerPhoto
     }));
 
@@ -508,7 +774,7 @@ const getAllCustomers = async (req, res) => {
           photo: { $first: "$customerPhoto" },
           lastTransaction: { $max: "$createdAt" },
           totalTransactions: { $sum: 1 },
-          totalAmount: { $sum: "$amount" },
+          totalAmount: { $sum: reportingAmount },
           purchaseTypes: { $addToSet: "$purchaseType" },
           rentTransactions: { 
             $sum: { $cond: [{ $eq: ["$purchaseType", "rent"] }, 1, 0] } 
@@ -543,7 +809,11 @@ const getAllCustomers = async (req, res) => {
                 "Apartment"
               ]
           },
-          averageAmount: { $round: [{ $divide: ["$totalAmount", "$totalTransactions"] }, 0] },
+          averageAmount: {
+            $round: [toMajorUnitsExpr({ $divide: ["$totalAmount", "$totalTransactions"] }), 2]
+          },
+          totalAmount: toMajorUnitsExpr("$totalAmount"),
+          currency: DEFAULT_CURRENCY,
           hasPhoto: { $cond: [{ $ifNull: ["$photo", false] }, true, false] }
         }
       },
@@ -561,6 +831,7 @@ const getAllCustomers = async (req, res) => {
           totalTransactions: 1,
           totalAmount: 1,
           averageAmount: 1,
+          currency: 1,
           ownerName: 1,
           purchaseTypes: 1,
           rentTransactions: 1,
@@ -605,12 +876,18 @@ const getCustomerByPhone = async (req, res) => {
 
     const latestTransaction = customerTransactions[0];
     const totalTransactions = customerTransactions.length;
-    const totalAmount = customerTransactions.reduce((sum, t) => sum + t.amount, 0);
+    // Totals in major units of the reporting currency
+    const sumAmounts = (transactions) => fromMinorUnits(
+      transactions
+        .filter(t => t.currency === DEFAULT_CURRENCY)
+        .reduce((sum, t) => sum + t.amount, 0)
+    );
+    const totalAmount = sumAmounts(customerTransactions);
     
     const rentTransactions = customerTransactions.filter(t => t.purchaseType === 'rent');
     const buyTransactions = customerTransactions.filter(t => t.purchaseType === 'buy');
-    const rentAmount = rentTransactions.reduce((sum, t) => sum + t.amount, 0);
-    const buyAmount = buyTransactions.reduce((sum, t) => sum + t.amount, 0);
+    const rentAmount = sumAmounts(rentTransactions);
+    const buyAmount = sumAmounts(buyTransactions);
     
     const propertyTypes = [...new Set(customerTransactions
       .map(t => t.property?.type)
@@ -638,7 +915,8 @@ const getCustomerByPhone = async (req, res) => {
       address: latestTransaction.property?.location || 'N/A',
       totalTransactions,
       totalAmount,
-      averageAmount: Math.round(totalAmount / totalTransactions),
+      averageAmount: Math.round((totalAmount / totalTransactions) * 100) / 100,
+      currency: DEFAULT_CURRENCY,
       purchaseTypeStats: {
         rentCount: rentTransactions.length,
         buyCount: buyTransactions.length,
@@ -681,7 +959,7 @@ const deleteCustomer = async (req, res) => {
 
     const customerTransactions = await Transaction.find({
       customerPhone: decodedPhone
-    }).populate('property');
+    }).populate({ path: 'property', options: { withDeleted: true } });
 
     if (customerTransactions.length === 0) {
       return res.status(404).json({ error: 'Customer not found' });
@@ -699,11 +977,19 @@ const deleteCustomer = async (req, res) => {
 
     console.log(`🔄 Will recalculate stats for ${affectedOwnerIds.length} owners`);
 
-    const deleteResult = await Transaction.deleteMany({
-      customerPhone: decodedPhone
-    });
+    // Soft delete - each transaction can be restored until the purge job removes it
+    const deletedCount = await Transaction.softDeleteMany(
+      { customerPhone: decodedPhone },
+      actorFromRequest(req)
+    );
 
-    console.log(`✅ Deleted ${deleteResult.deletedCount} transactions for customer: ${customerName}`);
+    console.log(`✅ Deleted ${deletedCount} transactions for customer: ${customerName}`);
+
+    // Out of the books too (the ledger-sync job retries a failed reversal)
+    for (const customerTransaction of customerTransactions) {
+      await reverseTransactionEntries(customerTransaction, { actor: actorFromRequest(req) })
+        .catch(err => console.error('⚠️ Ledger reversal failed:', err.message));
+    }
 
     // Recalculate stats for all affected owners
     for (const ownerId of affectedOwnerIds) {
@@ -724,8 +1010,8 @@ const deleteCustomer = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: `Successfully deleted customer ${customerName} and ${deleteResult.deletedCount} associated transactions`,
-      deletedCount: deleteResult.deletedCount,
+      message: `Successfully deleted customer ${customerName} and ${deletedCount} associated transactions`,
+      deletedCount,
       affectedOwners: affectedOwnerIds.length
     });
 
@@ -746,10 +1032,10 @@ const getCustomerStats = async (req, res) => {
         $group: {
           _id: null,
           totalTransactions: { $sum: 1 },
-          totalAmount: { $sum: "$amount" },
-          averageAmount: { $avg: "$amount" },
-          maxAmount: { $max: "$amount" },
-          minAmount: { $min: "$amount" },
+          totalAmount: { $sum: reportingAmount },
+          averageAmount: { $avg: reportingAmountOrNull },
+          maxAmount: { $max: reportingAmountOrNull },
+          minAmount: { $min: reportingAmountOrNull },
           firstTransaction: { $min: "$createdAt" },
           lastTransaction: { $max: "$createdAt" },
           rentCount: { 
@@ -759,10 +1045,10 @@ const getCustomerStats = async (req, res) => {
             $sum: { $cond: [{ $eq: ["$purchaseType", "buy"] }, 1, 0] } 
           },
           rentAmount: {
-            $sum: { $cond: [{ $eq: ["$purchaseType", "rent"] }, "$amount", 0] }
+            $sum: { $cond: [{ $eq: ["$purchaseType", "rent"] }, reportingAmount, 0] }
           },
           buyAmount: {
-            $sum: { $cond: [{ $eq: ["$purchaseType", "buy"] }, "$amount", 0] }
+            $sum: { $cond: [{ $eq: ["$purchaseType", "buy"] }, reportingAmount, 0] }
           }
         }
       },
@@ -770,10 +1056,11 @@ const getCustomerStats = async (req, res) => {
         $project: {
           _id: 0,
           totalTransactions: 1,
-          totalAmount: 1,
-          averageAmount: { $round: ["$averageAmount", 2] },
-          maxAmount: 1,
-          minAmount: 1,
+          totalAmount: toMajorUnitsExpr("$totalAmount"),
+          averageAmount: { $round: [toMajorUnitsExpr("$averageAmount"), 2] },
+          maxAmount: toMajorUnitsExpr("$maxAmount"),
+          minAmount: toMajorUnitsExpr("$minAmount"),
+          currency: DEFAULT_CURRENCY,
           firstTransaction: 1,
           lastTransaction: 1,
           customerLifetime: {
@@ -785,8 +1072,8 @@ const getCustomerStats = async (req, res) => {
           },
           rentCount: 1,
           buyCount: 1,
-          rentAmount: 1,
-          buyAmount: 1
+          rentAmount: toMajorUnitsExpr("$rentAmount"),
+          buyAmount: toMajorUnitsExpr("$buyAmount")
         }
       }
     ]);
@@ -818,7 +1105,7 @@ const deleteTransaction = async (req, res) => {
     }
 
     const transaction = await Transaction.findOne({ customTransactionId: transactionId })
-                                       .populate('property', 'name ownerId');
+                                       .populate({ path: 'property', select: 'name ownerId', options: { withDeleted: true } });
 
     if (!transaction) {
       console.log(`❌ Transaction not found with customTransactionId: "${transactionId}"`);
@@ -830,10 +1117,20 @@ const deleteTransaction = async (req, res) => {
 
     const propertyOwnerId = transaction.property?.ownerId;
 
-    await Transaction.deleteOne({ customTransactionId: transactionId });
+    // Soft delete - kept out of reports, restorable until the purge job removes it
+    if (!(await transaction.softDelete(actorFromRequest(req)))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found or already deleted.'
+      });
+    }
 
     console.log(`✅ Transaction successfully deleted: "${transaction.customTransactionId}"`);
 
+    // Out of the books too (the ledger-sync job retries a failed reversal)
+    await reverseTransactionEntries(transaction, { actor: actorFromRequest(req) })
+      .catch(err => console.error('⚠️ Ledger reversal failed:', err.message));
+
     // Recalculate owner stats after transaction deletion
     if (propertyOwnerId) {
       console.log(`🔄 Recalculating stats for owner ID: ${propertyOwnerId}`);
@@ -868,7 +1165,7 @@ const deleteTransaction = async (req, res) => {
     const notification = new Notification({
       userId: null,
       type: 'transaction_deletion',
-      message: `Transaction "${transaction.customTransactionId}" (${transaction.property?.name || 'N/A'}) - ₹${transaction.amount} by ${transaction.customerName} was deleted.`,
+      message: `Transaction "${transaction.customTransactionId}" (${transaction.property?.name || 'N/A'}) - ${formatMoney(transaction.amount, transaction.currency)} by ${transaction.customerName} was deleted.`,
       relatedId: transaction._id,
     });
     await notification.save();
@@ -884,6 +1181,8 @@ const deleteTransaction = async (req, res) => {
         transactionId: transaction.customTransactionId,
         customerName: transaction.customerName,
         amount: transaction.amount,
+        currency: transaction.currency,
+        amountFormatted: formatMoney(transaction.amount, transaction.currency),
         propertyName: transaction.property?.name || 'N/A'
       }
     });
@@ -898,11 +1197,59 @@ const deleteTransaction = async (req, res) => {
   }
 };
 
+// Restore a soft-deleted transaction by customTransactionId (admin)
+const restoreTransaction = async (req, res) => {
+  try {
+    const { transactionId } = req.params;
+    const transaction = await Transaction.findOne({
+      customTransactionId: transactionId,
+      deletedAt: { $ne: null }
+    });
+
+    if (!transaction) {
+      return res.status(404).json({ error: 'Deleted transaction not found' });
+    }
+    if (!(await transaction.restore())) {
+      return res.status(409).json({ error: 'Transaction already restored' });
+    }
+
+    console.log(`♻️ Transaction restored: "${transaction.customTransactionId}" by ${req.user.email}`);
+
+    // Back in the books (the ledger-sync job retries a failed posting)
+    await reinstateTransactionEntries(transaction, { actor: actorFromRequest(req) })
+      .catch(err => console.error('⚠️ Ledger posting failed:', err.message));
+
+    const notification = new Notification({
+      userId: null,
+      type: 'record_restored',
+      message: `Transaction "${transaction.customTransactionId}" - ${formatMoney(transaction.amount, transaction.currency)} by ${transaction.customerName} was restored.`,
+      relatedId: transaction._id,
+    });
+    await notification.save();
+
+    if (req.app && req.app.get('io')) {
+      emitNotification(req, notification);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Transaction restored successfully',
+      transaction
+    });
+  } catch (error) {
+    console.error('Error restoring transaction:', error);
+    res.status(500).json({ error: 'Failed to restore transaction', details: error.message });
+  }
+};
+
 module.exports = {
   createPaymentIntent,
   saveTransaction,
+  recordPurchase,
+  updateOwnerStatsAfterTransaction,
   getAllTransactions,
   deleteTransaction,
+  restoreTransaction,
   getMonthlyBuyers,
   getAllCustomers,
   getCustomerByPhone,
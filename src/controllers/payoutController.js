@@ -0,0 +1,520 @@
+// controllers/payoutController.js
+// Owner payouts: batches of what the platform owes owners (owner payable in
+// the ledger), approved and marked paid by admins and exported as a CSV for
+// the bank; owners read their own statement.
+const mongoose = require('mongoose');
+const PayoutBatch = require('../models/PayoutBatch');
+const Owner = require('../models/Owner');
+const Counter = require('../models/Counter');
+const notificationController = require('./notificationController');
+const { parsePagination } = require('../utils/propertyQuery');
+const { actorFromRequest } = require('../utils/priceHistory');
+const { ownerIdsForUser } = require('../utils/listingWorkflow');
+const { parseDay, addDays } = require('../utils/rentalCalendar');
+const { DEFAULT_CURRENCY, isValidCurrency, parseMoney, formatMoney, fromMinorUnits } = require('../utils/money');
+const { ownerPayableBalances, accountStatement, postPayout } = require('../utils/ledger');
+const { csvCell } = require('../utils/propertyFeeds');
+const { sendMail } = require('../utils/mailer');
+
+const EXPORT_COLUMNS = [
+  'batch', 'ownerId', 'ownerName', 'accountName', 'accountNumber', 'bankCode', 'bankName', 'amount', 'currency', 'reference'
+];
+
+const ACCOUNT_FIELDS = ['accountName', 'accountNumber', 'bankCode', 'bankName'];
+
+const nextBatchNumber = async () => {
+  const counter = await Counter.findByIdAndUpdate(
+    'payoutBatchNumber',
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return `PAY-${counter.seq}`;
+};
+
+const historyEntry = (from, to, actor, note) => ({ from, to, changedBy: actor, note, changedAt: new Date() });
+
+const loadBatch = async (req, res) => {
+  const batch = mongoose.isValidObjectId(req.params.id) ? await PayoutBatch.findById(req.params.id) : null;
+  if (!batch) res.status(404).json({ error: 'Payout batch not found' });
+  return batch;
+};
+
+// Admins may act for any owner, owners only for themselves. Sends 404 otherwise.
+const resolveOwnerId = async (req, res) => {
+  const ownerId = Number(req.params.ownerId);
+  if (!Number.isInteger(ownerId)) {
+    res.status(400).json({ error: 'Validation failed', message: 'ownerId must be a number' });
+    return null;
+  }
+  if (req.user.role !== 'admin' && !(await ownerIdsForUser(req.user)).includes(ownerId)) {
+    res.status(404).json({ error: 'Owner not found' });
+    return null;
+  }
+  return ownerId;
+};
+
+const parseCurrency = (value, errors) => {
+  const currency = String(value || DEFAULT_CURRENCY).toUpperCase();
+  if (!isValidCurrency(currency)) errors.push(`${value} is not a supported currency`);
+  return currency;
+};
+
+// Moves a batch from one of `from` to `to`; null when it was no longer in `from`
+const transition = (batch, from, to, set, actor, note, session = null) => PayoutBatch.findOneAndUpdate(
+  { _id: batch._id, status: { $in: from } },
+  {
+    $set: { status: to, ...set },
+    $push: { history: historyEntry(batch.status, to, actor, note) }
+  },
+  { new: true, session }
+);
+
+const notifyBatch = async (batch, type, title, message) => {
+  try {
+    await notificationController.createNotification({
+      type,
+      target: 'admin',
+      title,
+      message,
+      relatedId: batch._id,
+      metadata: {
+        batchId: batch._id,
+        number: batch.number,
+        currency: batch.currency,
+        total: batch.total,
+        owners: batch.items.length
+      }
+    });
+  } catch (err) {
+    console.error(`⚠️ Payout ${type} notification failed:`, err.message);
+  }
+};
+
+// Tells each owner of a paid batch what was sent to them
+const emailOwners = async (batch) => {
+  for (const item of batch.items) {
+    if (!item.ownerEmail) continue;
+    try {
+      await sendMail({
+        to: item.ownerEmail,
+        subject: `Payout ${batch.number} - ${formatMoney(item.amount, batch.currency)}`,
+        text: [
+          `Hello ${item.ownerName || ''},`.trim(),
+          '',
+          `We have paid ${formatMoney(item.amount, batch.currency)} to your account ending ${String(item.account.accountNumber || '').slice(-4)}.`,
+          `Bank reference: ${batch.bankReference}`,
+          'Your payout statement lists the payments it covers.'
+        ].join('\n')
+      });
+    } catch (err) {
+      console.error(`⚠️ Payout email to owner ${item.ownerId} failed:`, err.message);
+    }
+  }
+};
+
+// ============ BATCHES ============
+
+// POST /api/payouts/batches - Body: { currency, ownerIds, minimumAmount }
+// Everyone owed at least minimumAmount (major units) in the currency, or just ownerIds.
+// Owners without a payout account are left out and listed under `skipped`.
+exports.createBatch = async (req, res) => {
+  try {
+    const errors = [];
+    const currency = parseCurrency(req.body.currency, errors);
+    let ownerIds = null;
+    if (req.body.ownerIds !== undefined) {
+      ownerIds = Array.isArray(req.body.ownerIds) ? req.body.ownerIds.map(Number) : [];
+      if (ownerIds.length === 0 || ownerIds.some(id => !Number.isInteger(id))) {
+        errors.push('ownerIds must be a non-empty array of owner ids');
+      }
+    }
+    const { money: minimum, error } = parseMoney(req.body.minimumAmount, currency);
+    if (error) errors.push(error);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', message: errors.join('; '), errors });
+    }
+
+    const open = await PayoutBatch.findOne({ currency, open: true }).select('number status');
+    if (open) {
+      return res.status(409).json({
+        error: 'Payout batch already open',
+        message: `Batch ${open.number} (${open.status}) must be paid or cancelled first`
+      });
+    }
+
+    const minimumAmount = minimum ? Math.max(minimum.amount, 1) : 1;
+    const balances = (await ownerPayableBalances({ currency, ownerIds }))
+      .filter(row => row.balance >= minimumAmount);
+    if (balances.length === 0) {
+      return res.status(409).json({ error: 'Nothing to pay', message: `No owner is owed at least ${formatMoney(minimumAmount, currency)}` });
+    }
+
+    const owners = await Owner.find({ ownerId: { $in: balances.map(row => String(row.ownerId)) } })
+      .setOptions({ withDeleted: true })
+      .select('+payoutAccount ownerId name email');
+    const ownersById = new Map(owners.map(owner => [Number(owner.ownerId), owner]));
+
+    const items = [];
+    const skipped = [];
+    balances.forEach(({ ownerId, balance }) => {
+      const owner = ownersById.get(ownerId);
+      if (!owner || !owner.payoutAccount || !owner.payoutAccount.accountNumber) {
+        skipped.push({ ownerId, amount: balance, reason: owner ? 'No payout account' : 'Owner not found' });
+        return;
+      }
+      items.push({
+        ownerId,
+        ownerName: owner.name,
+        ownerEmail: owner.email,
+        amount: balance,
+        account: ACCOUNT_FIELDS.reduce((account, field) => ({ ...account, [field]: owner.payoutAccount[field] }), {})
+      });
+    });
+    if (items.length === 0) {
+      return res.status(409).json({ error: 'Nothing to pay', message: 'No owner owed money has a payout account', skipped });
+    }
+
+    const actor = actorFromRequest(req);
+    let batch;
+    try {
+      batch = await PayoutBatch.create({
+        number: await nextBatchNumber(),
+        currency,
+        items,
+        total: items.reduce((sum, item) => sum + item.amount, 0),
+        createdBy: actor,
+        history: [historyEntry(null, 'draft', actor, null)]
+      });
+    } catch (err) {
+      if (err.code === 11000 && err.keyPattern && err.keyPattern.currency) {
+        return res.status(409).json({ error: 'Payout batch already open', message: `A ${currency} payout batch is already open` });
+      }
+      throw err;
+    }
+
+    console.log(`💸 Payout batch ${batch.number} of ${formatMoney(batch.total, currency)} for ${items.length} owners created by ${req.user.email}`);
+    await notifyBatch(batch, 'payout_batch_created', 'Payout Batch Created',
+      `${batch.number}: ${formatMoney(batch.total, currency)} to ${items.length} owner(s) awaits approval`);
+
+    res.status(201).json({ success: true, batch, skipped });
+  } catch (err) {
+    console.error('Error creating payout batch:', err);
+    res.status(500).json({ error: 'Failed to create payout batch', details: err.message });
+  }
+};
+
+// GET /api/payouts/batches?status=&currency=&ownerId=&page=&limit=
+exports.getBatches = async (req, res) => {
+  try {
+    const { limit, page, errors } = parsePagination(req.query);
+    if (req.query.ownerId !== undefined && !Number.isInteger(Number(req.query.ownerId))) {
+      errors.push('ownerId must be a number');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', message: errors.join('; '), errors });
+    }
+
+    const filter = {};
+    if (req.query.status) filter.status = { $in: String(req.query.status).split(',') };
+    if (req.query.currency) filter.currency = String(req.query.currency).toUpperCase();
+    if (req.query.ownerId !== undefined) filter['items.ownerId'] = Number(req.query.ownerId);
+
+    const [batches, total] = await Promise.all([
+      PayoutBatch.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      PayoutBatch.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      batches,
+      pagination: { total, limit, page, totalPages: Math.ceil(total / limit) }
+    });
+  } catch (err) {
+    console.error('Error fetching payout batches:', err);
+    res.status(500).json({ error: 'Failed to fetch payout batches', details: err.message });
+  }
+};
+
+// GET /api/payouts/batches/:id
+exports.getBatchById = async (req, res) => {
+  try {
+    const batch = await loadBatch(req, res);
+    if (!batch) return;
+    res.json({ success: true, batch });
+  } catch (err) {
+    console.error('Error fetching payout batch:', err);
+    res.status(500).json({ error: 'Failed to fetch payout batch', details: err.message });
+  }
+};
+
+// POST /api/payouts/batches/:id/approve - Body: { note }
+exports.approveBatch = async (req, res) => {
+  try {
+    const batch = await loadBatch(req, res);
+    if (!batch) return;
+
+    const actor = actorFromRequest(req);
+    const note = typeof req.body.note === 'string' ? req.body.note.trim().slice(0, 500) : undefined;
+    const approved = await transition(batch, ['draft'], 'approved', { approvedBy: actor, approvedAt: new Date() }, actor, note);
+    if (!approved) {
+      return res.status(409).json({ error: 'Cannot approve', message: `Batch ${batch.number} is ${batch.status}` });
+    }
+
+    console.log(`✅ Payout batch ${approved.number} approved by ${req.user.email}`);
+    await notifyBatch(approved, 'payout_batch_approved', 'Payout Batch Approved',
+      `${approved.number}: ${formatMoney(approved.total, approved.currency)} approved - export it for the bank`);
+
+    res.json({ success: true, batch: approved });
+  } catch (err) {
+    console.error('Error approving payout batch:', err);
+    res.status(500).json({ error: 'Failed to approve payout batch', details: err.message });
+  }
+};
+
+// POST /api/payouts/batches/:id/paid - Body: { bankReference }
+// Posts each owner's payout to the ledger with the status change
+exports.markBatchPaid = async (req, res) => {
+  try {
+    const batch = await loadBatch(req, res);
+    if (!batch) return;
+
+    const bankReference = typeof req.body.bankReference === 'string' ? req.body.bankReference.trim().slice(0, 200) : '';
+    if (!bankReference) {
+      return res.status(400).json({ error: 'Validation failed', message: 'bankReference is required' });
+    }
+
+    const actor = actorFromRequest(req);
+    const paid = await mongoose.connection.transaction(async (session) => {
+      const updated = await transition(batch, ['approved'], 'paid', {
+        open: false,
+        paidBy: actor,
+        paidAt: new Date(),
+        bankReference
+      }, actor, bankReference, session);
+      if (!updated) return null;
+      for (const item of updated.items) {
+        await postPayout(updated, item, session);
+      }
+      return updated;
+    });
+    if (!paid) {
+      return res.status(409).json({
+        error: 'Cannot mark paid',
+        message: `Batch ${batch.number} is ${batch.status}${batch.status === 'draft' ? ' - approve it first' : ''}`
+      });
+    }
+
+    console.log(`💸 Payout batch ${paid.number} paid (${bankReference}) by ${req.user.email}`);
+    await notifyBatch(paid, 'payout_batch_paid', 'Payout Batch Paid',
+      `${paid.number}: ${formatMoney(paid.total, paid.currency)} paid to ${paid.items.length} owner(s)`);
+    await emailOwners(paid);
+
+    res.json({ success: true, batch: paid });
+  } catch (err) {
+    console.error('Error marking payout batch paid:', err);
+    res.status(500).json({ error: 'Failed to mark payout batch paid', details: err.message });
+  }
+};
+
+// POST /api/payouts/batches/:id/cancel - Body: { reason }
+// Nothing was posted, so the balances stay owed for the next batch
+exports.cancelBatch = async (req, res) => {
+  try {
+    const batch = await loadBatch(req, res);
+    if (!batch) return;
+
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim().slice(0, 500) : '';
+    if (!reason) {
+      return res.status(400).json({ error: 'Validation failed', message: 'reason is required' });
+    }
+
+    const actor = actorFromRequest(req);
+    const cancelled = await transition(batch, ['draft', 'approved'], 'cancelled', {
+      open: false,
+      cancelledBy: actor,
+      cancelledAt: new Date(),
+      cancelReason: reason
+    }, actor, reason);
+    if (!cancelled) {
+      return res.status(409).json({ error: 'Cannot cancel', message: `Batch ${batch.number} is ${batch.status}` });
+    }
+
+    console.log(`🚫 Payout batch ${cancelled.number} cancelled by ${req.user.email}: ${reason}`);
+    res.json({ success: true, batch: cancelled });
+  } catch (err) {
+    console.error('Error cancelling payout batch:', err);
+    res.status(500).json({ error: 'Failed to cancel payout batch', details: err.message });
+  }
+};
+
+// GET /api/payouts/batches/:id/export.csv - bank transfer file of an approved or paid batch
+exports.exportBatch = async (req, res) => {
+  try {
+    const batch = await loadBatch(req, res);
+    if (!batch) return;
+    if (!['approved', 'paid'].includes(batch.status)) {
+      return res.status(409).json({ error: 'Cannot export', message: `Batch ${batch.number} is ${batch.status}` });
+    }
+
+    const rows = batch.items.map(item => ({
+      batch: batch.number,
+      ownerId: item.ownerId,
+      ownerName: item.ownerName,
+      ...item.account,
+      amount: fromMinorUnits(item.amount, batch.currency),
+      currency: batch.currency,
+      reference: `${batch.number}-${item.ownerId}`
+    }));
+    const csv = [EXPORT_COLUMNS, ...rows.map(row => EXPORT_COLUMNS.map(column => row[column]))]
+      .map(row => row.map(csvCell).join(','))
+      .join('\r\n');
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${batch.number}.csv"`,
+      'Cache-Control': 'no-store'
+    });
+    res.send(`${csv}\r\n`);
+  } catch (err) {
+    console.error('Error exporting payout batch:', err);
+    res.status(500).json({ error: 'Failed to export payout batch', details: err.message });
+  }
+};
+
+// ============ OWNERS ============
+
+// PUT /api/payouts/owners/:ownerId/account - Body: { accountName, accountNumber, bankCode, bankName }
+// Admins or the owner; batches already created keep the details they were made with
+exports.setPayoutAccount = async (req, res) => {
+  try {
+    const ownerId = await resolveOwnerId(req, res);
+    if (ownerId === null) return;
+
+    const errors = [];
+    const account = {};
+    ACCOUNT_FIELDS.forEach(field => {
+      const value = req.body[field];
+      if (value !== undefined && value !== null && typeof value !== 'string') errors.push(`${field} must be a string`);
+      else if (value && value.trim()) account[field] = value.trim().slice(0, 100);
+    });
+    ['accountName', 'accountNumber', 'bankCode'].forEach(field => {
+      if (!account[field] && !errors.some(error => error.startsWith(field))) errors.push(`${field} is required`);
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', message: errors.join('; '), errors });
+    }
+
+    const owner = await Owner.findOneAndUpdate(
+      { ownerId: String(ownerId) },
+      { $set: { payoutAccount: account } },
+      { new: true, runValidators: true }
+    ).select('+payoutAccount ownerId name');
+    if (!owner) return res.status(404).json({ error: 'Owner not found' });
+
+    console.log(`🏦 Payout account of owner ${ownerId} updated by ${req.user.email}`);
+    res.json({ success: true, ownerId, payoutAccount: owner.payoutAccount });
+  } catch (err) {
+    console.error('Error saving payout account:', err);
+    res.status(500).json({ error: 'Failed to save payout account', details: err.message });
+  }
+};
+
+// GET /api/payouts/owners/:ownerId/statement?currency=&from=&to=&page=&limit=
+// Commissions earned, refunds shared and payouts made, with the running balance owed
+exports.getOwnerStatement = async (req, res) => {
+  try {
+    const ownerId = await resolveOwnerId(req, res);
+    if (ownerId === null) return;
+
+    const { limit, page, errors } = parsePagination(req.query);
+    const currency = parseCurrency(req.query.currency, errors);
+    const from = req.query.from ? parseDay(req.query.from) : null;
+    const to = req.query.to ? parseDay(req.query.to) : null;
+    if (req.query.from && !from) errors.push('from must be a valid date (YYYY-MM-DD)');
+    if (req.query.to && !to) errors.push('to must be a valid date (YYYY-MM-DD)');
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', message: errors.join('; '), errors });
+    }
+
+    const [statement, payouts] = await Promise.all([
+      accountStatement('owner_payable', {
+        currency,
+        from,
+        to: to ? addDays(to, 1) : null,
+        ownerId,
+        page,
+        limit
+      }),
+      PayoutBatch.find({ currency, status: 'paid', 'items.ownerId': ownerId })
+        .sort({ paidAt: -1 })
+        .limit(12)
+        .select('number paidAt bankReference items')
+    ]);
+
+    res.json({
+      success: true,
+      ownerId,
+      currency,
+      from,
+      to,
+      openingBalance: statement.openingBalance,
+      closingBalance: statement.closingBalance,
+      lines: statement.lines,
+      recentPayouts: payouts.map(batch => {
+        const item = batch.items.find(entry => entry.ownerId === ownerId);
+        return { batchId: batch._id, number: batch.number, paidAt: batch.paidAt, bankReference: batch.bankReference, amount: item.amount };
+      }),
+      pagination: { total: statement.total, limit, page, totalPages: Math.ceil(statement.total / limit) }
+    });
+  } catch (err) {
+    console.error('Error building payout statement:', err);
+    res.status(500).json({ error: 'Failed to build payout statement', details: err.message });
+  }
+};
+
+// GET /api/payouts/mine?currency= - what the signed-in owner is owed, per owner profile
+exports.getMyPayouts = async (req, res) => {
+  try {
+    const errors = [];
+    const currency = parseCurrency(req.query.currency, errors);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', message: errors.join('; '), errors });
+    }
+
+    const ownerIds = await ownerIdsForUser(req.user);
+    if (ownerIds.length === 0) {
+      return res.json({ success: true, currency, owners: [] });
+    }
+
+    const [balances, openBatch, owners] = await Promise.all([
+      ownerPayableBalances({ currency, ownerIds }),
+      PayoutBatch.findOne({ currency, open: true, 'items.ownerId': { $in: ownerIds } }).select('number status items'),
+      Owner.find({ ownerId: { $in: ownerIds.map(String) } }).select('+payoutAccount ownerId name')
+    ]);
+    const balanceOf = new Map(balances.map(row => [row.ownerId, row.balance]));
+
+    res.json({
+      success: true,
+      currency,
+      owners: owners.map(owner => {
+        const ownerId = Number(owner.ownerId);
+        const pending = openBatch && openBatch.items.find(item => item.ownerId === ownerId);
+        return {
+          ownerId,
+          name: owner.name,
+          balance: balanceOf.get(ownerId) || 0,
+          hasPayoutAccount: Boolean(owner.payoutAccount && owner.payoutAccount.accountNumber),
+          pendingPayout: pending
+            ? { batchId: openBatch._id, number: openBatch.number, status: openBatch.status, amount: pending.amount }
+            : null
+        };
+      })
+    });
+  } catch (err) {
+    console.error('Error fetching payouts:', err);
+    res.status(500).json({ error: 'Failed to fetch payouts', details: err.message });
+  }
+};
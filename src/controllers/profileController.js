@@ -1,4 +1,7 @@
+const mongoose = require("mongoose");
 const Profile = require("../models/Profile");
+const { storeDataUrlImage, removeStoredImages } = require("../utils/imageUtils");
+const { actorFromRequest } = require("../utils/priceHistory");
 
 // ✅ SINGLE utility function for processing dates of birth
 const processDateOfBirth = (dob) => {
@@ -54,6 +57,35 @@ const processDateOfBirth = (dob) => {
   }
 };
 
+// Turns a requested photo into update fields. Base64 photos are stored as
+// resized variants under profiles/<id>; an empty value clears the photo.
+const buildPhotoUpdate = async (photo, profileId) => {
+  if (!photo) {
+    return { storedPhoto: null, fields: { photo: '', $unset: { photoVariants: 1 } } };
+  }
+
+  const storedPhoto = await storeDataUrlImage(photo, { folder: `profiles/${profileId}` });
+  return { storedPhoto, fields: { photo: storedPhoto.url, photoVariants: storedPhoto.variants } };
+};
+
+// Runs a photo-changing update and removes whichever stored files end up unreferenced
+const runPhotoUpdate = async (update, previousProfile, storedPhoto) => {
+  let updatedProfile;
+  try {
+    updatedProfile = await update();
+  } catch (error) {
+    if (storedPhoto) await removeStoredImages([storedPhoto]);
+    throw error;
+  }
+
+  if (!updatedProfile) {
+    if (storedPhoto) await removeStoredImages([storedPhoto]);
+  } else if (previousProfile) {
+    await removeStoredImages([{ variants: previousProfile.photoVariants }]);
+  }
+  return updatedProfile;
+};
+
 // Add new profile
 const addProfile = async (req, res) => {
   try {
@@ -70,11 +102,23 @@ const addProfile = async (req, res) => {
       });
     }
 
-    // Check if profile exists
+    // Check if profile exists (deleted profiles still hold their email until purged)
     const existingProfile = await Profile.findOne({ 
       email: email.trim().toLowerCase() 
-    });
+    }).setOptions({ withDeleted: true });
     
+    if (existingProfile && existingProfile.deletedAt) {
+      console.log(`Deleted profile exists for email: ${email}`);
+      return res.status(409).json({
+        error: "A deleted profile with this email exists",
+        message: "Restore the deleted profile instead of creating a new one",
+        deletedProfile: {
+          id: existingProfile._id,
+          deletedAt: existingProfile.deletedAt
+        }
+      });
+    }
+
     if (existingProfile) {
       console.log(`Profile already exists for email: ${email}`);
       return res.status(409).json({ 
@@ -93,7 +137,7 @@ const addProfile = async (req, res) => {
       console.log('Photo format:', photoPrefix + '...');
       console.log('Photo size:', photo.length, 'characters');
       
-      const base64Regex = /^data:image\/(jpeg|jpg|png|gif|webp|bmp|svg\+xml);base64,/i;
+      const base64Regex = /^data:image\/(jpeg|jpg|png|gif|webp);base64,/i;
       if (!base64Regex.test(photo)) {
         console.error('Invalid photo format:', photoPrefix);
         return res.status(400).json({ 
@@ -117,23 +161,36 @@ const addProfile = async (req, res) => {
       phone: phone ? phone.trim() : '',
       dob: processedDob,
       gender: gender ? gender.toLowerCase() : '',
-      photo: photo || null,
       userId: userId || null
     };
 
     console.log('Creating profile with processed data:', {
       ...profileData,
-      photo: !!profileData.photo ? '[BASE64_DATA]' : null,
+      photo: photo ? '[BASE64_DATA]' : null,
       dob: profileData.dob
     });
 
     const newProfile = new Profile(profileData);
-    const savedProfile = await newProfile.save();
+
+    let storedPhoto = null;
+    if (photo) {
+      storedPhoto = await storeDataUrlImage(photo, { folder: `profiles/${newProfile._id}` });
+      newProfile.photo = storedPhoto.url;
+      newProfile.photoVariants = storedPhoto.variants;
+    }
+
+    let savedProfile;
+    try {
+      savedProfile = await newProfile.save();
+    } catch (saveError) {
+      if (storedPhoto) await removeStoredImages([storedPhoto]);
+      throw saveError;
+    }
     
     console.log(`New profile created with ID: ${savedProfile._id}`);
     console.log(`Email: ${savedProfile.email}`);
     console.log(`DOB stored as: ${savedProfile.dob} (type: ${typeof savedProfile.dob})`);
-    console.log(`Photo stored as base64: ${!!savedProfile.photo}`);
+    console.log(`Photo stored: ${savedProfile.photo || 'none'}`);
     
     res.status(201).json({
       message: "Profile created successfully",
@@ -146,7 +203,9 @@ const addProfile = async (req, res) => {
   } catch (err) {
     console.error("Error creating profile:", err.message);
     
-    if (err.name === 'ValidationError') {
+    if (err.code === 'INVALID_IMAGE') {
+      res.status(400).json({ error: err.message });
+    } else if (err.name === 'ValidationError') {
       const errors = Object.values(err.errors).map(e => e.message);
       res.status(400).json({ error: errors.join(', ') });
     } else if (err.code === 11000) {
@@ -262,7 +321,7 @@ const getAllProfiles = async (req, res) => {
 const updateProfileByEmail = async (req, res) => {
   try {
     const { email } = req.params;
-    const { firstName, lastName, dob, phone, gender, photo } = req.body;
+    const { firstName, lastName, dob, phone, gender, photo: requestedPhoto } = req.body;
 
     const decodedEmail = decodeURIComponent(email).toLowerCase();
     console.log(`Updating profile with email: ${decodedEmail}`);
@@ -277,9 +336,12 @@ const updateProfileByEmail = async (req, res) => {
       });
     }
 
+    // Clients often send the stored photo URL back unchanged - that is not a new photo
+    const photo = requestedPhoto === existingProfile.photo ? undefined : requestedPhoto;
+
     // Validate photo
     if (photo) {
-      const base64Regex = /^data:image\/(jpeg|jpg|png|gif|webp|bmp|svg\+xml);base64,/i;
+      const base64Regex = /^data:image\/(jpeg|jpg|png|gif|webp);base64,/i;
       if (!base64Regex.test(photo)) {
         return res.status(400).json({ 
           error: "Invalid photo format. Expected: data:image/[type];base64,[data]" 
@@ -313,8 +375,11 @@ const updateProfileByEmail = async (req, res) => {
     if (gender !== undefined && gender !== null) {
       updateData.gender = gender.toLowerCase();
     }
+    let storedPhoto = null;
     if (photo !== undefined && photo !== null) {
-      updateData.photo = photo;
+      const photoUpdate = await buildPhotoUpdate(photo, existingProfile._id);
+      storedPhoto = photoUpdate.storedPhoto;
+      Object.assign(updateData, photoUpdate.fields);
     }
     if (dob !== undefined) {
       updateData.dob = processedDob;
@@ -323,10 +388,14 @@ const updateProfileByEmail = async (req, res) => {
     console.log('Update data keys:', Object.keys(updateData));
     console.log('DOB value:', updateData.dob);
 
-    const updatedProfile = await Profile.findOneAndUpdate(
-      { email: decodedEmail },
-      updateData,
-      { new: true, runValidators: true }
+    const updatedProfile = await runPhotoUpdate(
+      () => Profile.findOneAndUpdate(
+        { email: decodedEmail },
+        updateData,
+        { new: true, runValidators: true }
+      ),
+      photo !== undefined && photo !== null ? existingProfile : null,
+      storedPhoto
     );
 
     if (!updatedProfile) {
@@ -349,6 +418,9 @@ const updateProfileByEmail = async (req, res) => {
   } catch (err) {
     console.error("Error updating profile by email:", err);
     
+    if (err.code === 'INVALID_IMAGE') {
+      return res.status(400).json({ error: err.message });
+    }
     if (err.name === 'ValidationError') {
       const errors = Object.values(err.errors).map(e => e.message);
       return res.status(400).json({ error: errors.join(', ') });
@@ -375,7 +447,7 @@ const updateProfilePhotoByEmail = async (req, res) => {
     }
 
     // Validate photo format
-    const base64Regex = /^data:image\/(jpeg|jpg|png|gif|webp|bmp|svg\+xml);base64,/i;
+    const base64Regex = /^data:image\/(jpeg|jpg|png|gif|webp);base64,/i;
     if (!base64Regex.test(photo)) {
       return res.status(400).json({ 
         error: "Invalid photo format. Expected: data:image/[type];base64,[data]" 
@@ -384,10 +456,23 @@ const updateProfilePhotoByEmail = async (req, res) => {
 
     console.log(`Valid photo format detected (${photo.length} characters)`);
 
-    const updatedProfile = await Profile.findOneAndUpdate(
-      { email: decodedEmail },
-      { photo: photo },
-      { new: true, runValidators: true }
+    const existingProfile = await Profile.findOne({ email: decodedEmail }).select('photoVariants');
+    if (!existingProfile) {
+      return res.status(404).json({ 
+        error: "Profile not found for this email",
+        email: decodedEmail
+      });
+    }
+
+    const { storedPhoto, fields } = await buildPhotoUpdate(photo, existingProfile._id);
+    const updatedProfile = await runPhotoUpdate(
+      () => Profile.findOneAndUpdate(
+        { email: decodedEmail },
+        fields,
+        { new: true, runValidators: true }
+      ),
+      existingProfile,
+      storedPhoto
     );
 
     if (!updatedProfile) {
@@ -405,12 +490,17 @@ const updateProfilePhotoByEmail = async (req, res) => {
         id: updatedProfile._id,
         name: `${updatedProfile.firstName} ${updatedProfile.lastName}`,
         email: updatedProfile.email,
-        hasPhoto: !!updatedProfile.photo
+        hasPhoto: !!updatedProfile.photo,
+        photo: updatedProfile.photo,
+        photoVariants: updatedProfile.photoVariants
       }
     });
 
   } catch (err) {
     console.error("Error updating profile photo:", err);
+    if (err.code === 'INVALID_IMAGE') {
+      return res.status(400).json({ error: err.message });
+    }
     res.status(500).json({ 
       error: "Internal server error",
       message: err.message 
@@ -422,7 +512,7 @@ const updateProfilePhotoByEmail = async (req, res) => {
 const updateProfile = async (req, res) => {
   try {
     const profileId = req.params.id;
-    const { firstName, lastName, dob, email, phone, gender, photo } = req.body;
+    const { firstName, lastName, dob, email, phone, gender, photo: requestedPhoto } = req.body;
 
     console.log(`Updating profile with ID: ${profileId}`);
 
@@ -446,9 +536,12 @@ const updateProfile = async (req, res) => {
       }
     }
 
+    // Clients often send the stored photo URL back unchanged - that is not a new photo
+    const photo = requestedPhoto === existingProfile.photo ? undefined : requestedPhoto;
+
     // Validate photo
     if (photo) {
-      const base64Regex = /^data:image\/(jpeg|jpg|png|gif|webp|bmp|svg\+xml);base64,/i;
+      const base64Regex = /^data:image\/(jpeg|jpg|png|gif|webp);base64,/i;
       if (!base64Regex.test(photo)) {
         return res.status(400).json({ 
           error: "Invalid photo format. Expected: data:image/[type];base64,[data]" 
@@ -473,14 +566,24 @@ const updateProfile = async (req, res) => {
       ...(email && { email: email.trim().toLowerCase() }),
       ...(phone !== undefined && { phone: phone ? phone.trim() : '' }),
       ...(dob !== undefined && { dob: processedDob }),
-      ...(gender !== undefined && { gender: gender ? gender.toLowerCase() : '' }),
-      ...(photo !== undefined && { photo: photo })
+      ...(gender !== undefined && { gender: gender ? gender.toLowerCase() : '' })
     };
 
-    const updatedProfile = await Profile.findByIdAndUpdate(
-      profileId,
-      updateData,
-      { new: true, runValidators: true }
+    let storedPhoto = null;
+    if (photo !== undefined) {
+      const photoUpdate = await buildPhotoUpdate(photo, existingProfile._id);
+      storedPhoto = photoUpdate.storedPhoto;
+      Object.assign(updateData, photoUpdate.fields);
+    }
+
+    const updatedProfile = await runPhotoUpdate(
+      () => Profile.findByIdAndUpdate(
+        profileId,
+        updateData,
+        { new: true, runValidators: true }
+      ),
+      photo !== undefined ? existingProfile : null,
+      storedPhoto
     );
 
     console.log(`Profile updated: ${profileId}`);
@@ -497,6 +600,9 @@ const updateProfile = async (req, res) => {
 
   } catch (err) {
     console.error("Error updating profile:", err);
+    if (err.code === 'INVALID_IMAGE') {
+      return res.status(400).json({ error: err.message });
+    }
     if (err.name === 'ValidationError') {
       const errors = Object.values(err.errors).map(e => e.message);
       return res.status(400).json({ error: errors.join(', ') });
@@ -511,9 +617,10 @@ const deleteProfile = async (req, res) => {
     const profileId = req.params.id;
     console.log('Attempting to delete profile with ID:', profileId);
 
-    const deletedProfile = await Profile.findByIdAndDelete(profileId);
+    const deletedProfile = await Profile.findById(profileId);
     
-    if (!deletedProfile) {
+    // Soft delete - the photo stays until the purge job removes the profile
+    if (!deletedProfile || !(await deletedProfile.softDelete(actorFromRequest(req)))) {
       console.log('Profile not found with ID:', profileId);
       return res.status(404).json({ error: "Profile not found" });
     }
@@ -534,6 +641,32 @@ const deleteProfile = async (req, res) => {
   }
 };
 
+// Restore a soft-deleted profile (admin)
+const restoreProfile = async (req, res) => {
+  try {
+    const profileId = req.params.id;
+    const profile = mongoose.isValidObjectId(profileId)
+      ? await Profile.findOne({ _id: profileId, deletedAt: { $ne: null } })
+      : null;
+
+    if (!profile) {
+      return res.status(404).json({ error: "Deleted profile not found" });
+    }
+    if (!(await profile.restore())) {
+      return res.status(409).json({ error: "Profile already restored" });
+    }
+    console.log('Profile restored successfully:', profileId);
+
+    res.status(200).json({
+      message: "Profile restored successfully",
+      profile
+    });
+  } catch (err) {
+    console.error('Error restoring profile:', err);
+    res.status(500).json({ error: err.message });
+  }
+};
+
 // Check if email exists
 const checkEmailExists = async (req, res) => {
   try {
@@ -568,7 +701,7 @@ const getProfilePhoto = async (req, res) => {
     const profileId = req.params.id;
     console.log(`Fetching photo for profile: ${profileId}`);
 
-    const profile = await Profile.findById(profileId).select('photo firstName lastName');
+    const profile = await Profile.findById(profileId).select('photo photoVariants firstName lastName');
 
     if (!profile) {
       return res.status(404).json({ error: 'Profile not found' });
@@ -583,7 +716,8 @@ const getProfilePhoto = async (req, res) => {
     res.status(200).json({
       id: profile._id,
       name: `${profile.firstName} ${profile.lastName}`,
-      photo: profile.photo
+      photo: profile.photo,
+      photoVariants: profile.photoVariants
     });
 
   } catch (error) {
@@ -605,7 +739,7 @@ const updateProfilePhotoById = async (req, res) => {
     }
 
     // Validate base64 format
-    const base64Regex = /^data:image\/(jpeg|jpg|png|gif|webp|bmp|svg\+xml);base64,/i;
+    const base64Regex = /^data:image\/(jpeg|jpg|png|gif|webp);base64,/i;
     if (!base64Regex.test(photo)) {
       return res.status(400).json({
         error: 'Invalid photo format. Must be a valid base64 data URL.'
@@ -614,10 +748,22 @@ const updateProfilePhotoById = async (req, res) => {
 
     console.log(`Updating photo for profile: ${profileId} (${photo.length} characters)`);
 
-    const updatedProfile = await Profile.findByIdAndUpdate(
-      profileId,
-      { photo: photo },
-      { new: true, runValidators: true }
+    const existingProfile = await Profile.findById(profileId).select('photoVariants');
+    if (!existingProfile) {
+      return res.status(404).json({
+        error: 'Profile not found'
+      });
+    }
+
+    const { storedPhoto, fields } = await buildPhotoUpdate(photo, existingProfile._id);
+    const updatedProfile = await runPhotoUpdate(
+      () => Profile.findByIdAndUpdate(
+        profileId,
+        fields,
+        { new: true, runValidators: true }
+      ),
+      existingProfile,
+      storedPhoto
     );
 
     if (!updatedProfile) {
@@ -633,11 +779,16 @@ const updateProfilePhotoById = async (req, res) => {
       profileId: updatedProfile.profileId || updatedProfile._id,
       mongoId: updatedProfile._id,
       name: `${updatedProfile.firstName} ${updatedProfile.lastName}`,
-      hasPhoto: !!updatedProfile.photo
+      hasPhoto: !!updatedProfile.photo,
+      photo: updatedProfile.photo,
+      photoVariants: updatedProfile.photoVariants
     });
 
   } catch (error) {
     console.error('Error updating profile photo:', error);
+    if (error.code === 'INVALID_IMAGE') {
+      return res.status(400).json({ error: error.message });
+    }
     if (error.name === 'ValidationError') {
       const errors = Object.values(error.errors).map(e => e.message);
       return res.status(400).json({ error: errors.join(', ') });
@@ -653,19 +804,22 @@ const removeProfilePhoto = async (req, res) => {
   try {
     const profileId = req.params.id;
     
+    const existingProfile = await Profile.findById(profileId).select('photoVariants');
+    if (!existingProfile) {
+      return res.status(404).json({
+        error: 'Profile not found'
+      });
+    }
+
     const updatedProfile = await Profile.findByIdAndUpdate(
       profileId,
       { 
-        $unset: { photo: 1 }
+        $unset: { photo: 1, photoVariants: 1 }
       },
       { new: true, runValidators: false }
     );
 
-    if (!updatedProfile) {
-      return res.status(404).json({
-        error: 'Profile not found'
-      });
-    }
+    await removeStoredImages([{ variants: existingProfile.photoVariants }]);
 
     console.log(`Removed photo for profile: ${profileId}`);
 
@@ -851,17 +1005,18 @@ const bulkDeleteProfiles = async (req, res) => {
 
     console.log(`Bulk deleting ${profileIds.length} profiles:`, profileIds);
     
-    // Delete by MongoDB ObjectId
-    const result = await Profile.deleteMany({
-      _id: { $in: profileIds }
-    });
+    // Soft delete by MongoDB ObjectId
+    const deleted = await Profile.softDeleteMany(
+      { _id: { $in: profileIds } },
+      actorFromRequest(req)
+    );
 
-    console.log(`Bulk delete completed. Deleted: ${result.deletedCount} profiles`);
+    console.log(`Bulk delete completed. Deleted: ${deleted} profiles`);
 
     res.status(200).json({
       message: `Bulk delete completed`,
       requested: profileIds.length,
-      deleted: result.deletedCount,
+      deleted,
       profileIds: profileIds
     });
 
@@ -883,6 +1038,7 @@ module.exports = {
   updateProfilePhotoByEmail,
   updateProfilePhotoById,
   deleteProfile,
+  restoreProfile,
   checkEmailExists,
   getProfilePhoto,
   removeProfilePhoto,
@@ -1,9 +1,67 @@
 // controllers/propertyController.js
+const mongoose = require('mongoose');
 const Property = require('../models/Property');
 const Owner = require('../models/Owner');
 const Transaction = require('../models/Transaction');
+const PriceHistory = require('../models/PriceHistory');
+const RentalBlock = require('../models/RentalBlock');
 const notificationController = require('./notificationController');
-const { cleanPrice, populateOwnerDetails } = require('../utils/propertyUtils');
+const listingController = require('./listingController');
+const {
+  PRICE_FIELDS,
+  parsePriceFields,
+  serializePropertyPrices,
+  priceMetadata,
+  populateOwnerDetails
+} = require('../utils/propertyUtils');
+const {
+  PRICE_VALUE_FIELDS,
+  buildPropertyFilters,
+  buildSort,
+  parsePagination,
+  encodeCursor,
+  decodeCursor,
+  buildCursorMatch,
+  ownerLookupStages
+} = require('../utils/propertyQuery');
+const { parseCoordinates, geocodeAddress, validateLatLng, toPoint, boundsToPolygon } = require('../utils/geoUtils');
+const {
+  isImageDataUrl,
+  extensionForMimeType,
+  storeImage,
+  storeDataUrlImage,
+  removeStoredImages
+} = require('../utils/imageUtils');
+const {
+  actorFromRequest,
+  diffPrices,
+  priceTrackingFields,
+  recordPriceChanges
+} = require('../utils/priceHistory');
+const {
+  PUBLISHED_FILTER,
+  isPublished,
+  ownerIdsForUser,
+  canManageListing
+} = require('../utils/listingWorkflow');
+const { diffProperties, recordRevision } = require('../utils/propertyRevisions');
+const {
+  MAX_QUERY_DAYS,
+  parseDay,
+  formatDay,
+  addDays,
+  parseDateRange,
+  freeRanges
+} = require('../utils/rentalCalendar');
+
+// Offline geocoding fallback used when a request carries no coordinates
+const geocodeFields = (addressFields) => {
+  const match = geocodeAddress(addressFields);
+  if (!match) return {};
+
+  console.log(`🗺️ Geocoded "${addressFields.city || addressFields.zip}" via gazetteer (${match.matchedOn}: ${match.place})`);
+  return { geoLocation: match.point, geocodeSource: 'gazetteer' };
+};
 
 // ============ AVAILABILITY CHECK CONTROLLERS ============
 
@@ -80,9 +138,10 @@ exports.getAvailableProperties = async (req, res) => {
 
     const soldPropertyIds = soldProperties.map(p => p._id);
 
-    // Get all properties that are NOT in the sold list
+    // Get all published properties that are NOT in the sold list
     const availableProperties = await Property.find({
-      _id: { $nin: soldPropertyIds }
+      _id: { $nin: soldPropertyIds },
+      ...PUBLISHED_FILTER
     });
 
     console.log(`✅ Found ${availableProperties.length} available properties`);
@@ -105,17 +164,29 @@ exports.getAvailableProperties = async (req, res) => {
   }
 };
 
-// Check if a specific property is available for purchase
+// Availability of a property for purchase and, for rent listings, over a date range
+// Usage: GET /property/:id/availability?from=2025-01-01&to=2025-04-01
+// from defaults to today and to to 90 days after from; to is exclusive
 exports.checkPropertyAvailability = async (req, res) => {
   try {
     const { id } = req.params;
-    
-    console.log(`🔍 Checking availability for property: ${id}`);
+
+    const from = req.query.from ? parseDay(req.query.from) : parseDay(new Date());
+    const { start, end, error } = parseDateRange(from, req.query.to || addDays(from || new Date(), 90), {
+      startKey: 'from',
+      endKey: 'to',
+      maxDays: MAX_QUERY_DAYS,
+      allowPast: true
+    });
+    if (error) {
+      return res.status(400).json({ success: false, error: 'Invalid date range', message: error });
+    }
+
+    console.log(`🔍 Checking availability for property: ${id} (${formatDay(start)} → ${formatDay(end)})`);
 
     // Check if property exists first
     const property = await Property.findById(id);
-    
-    if (!property) {
+    if (!property || !(await canViewListing(req.user, property))) {
       return res.status(404).json({
         success: false,
         error: 'Property not found'
@@ -129,18 +200,37 @@ exports.checkPropertyAvailability = async (req, res) => {
       status: 'Completed'
     }).sort({ createdAt: -1 }); // Get the most recent purchase
 
-    const isAvailable = !purchaseTransaction;
-    
-    console.log(`${isAvailable ? '✅' : '❌'} Property ${id} is ${isAvailable ? 'AVAILABLE' : 'SOLD'}`);
-    
+    const isSold = !!purchaseTransaction || property.status === 'sold';
+    const rentable = !isSold && ['rent', 'both'].includes(property.status);
+    const blocks = rentable ? await RentalBlock.findOverlapping(property._id, start, end) : [];
+
+    const forSale = { available: !isSold && ['sale', 'both'].includes(property.status) };
+    const forRent = {
+      available: rentable && blocks.length === 0,
+      blockedRanges: blocks.map(block => ({
+        start: formatDay(block.startDate),
+        end: formatDay(block.endDate),
+        type: block.type
+      })),
+      availableRanges: rentable ? freeRanges(blocks, start, end) : []
+    };
+    const isAvailable = forSale.available || forRent.available;
+
+    console.log(`${isAvailable ? '✅' : '❌'} Property ${id} is ${isSold ? 'SOLD' : isAvailable ? 'AVAILABLE' : 'BOOKED'}`);
+
     res.status(200).json({
       success: true,
       propertyId: id,
       propertyName: property.name,
+      status: property.status,
+      from: formatDay(start),
+      to: formatDay(end),
       isAvailable,
-      isSold: !isAvailable,
-      soldDate: purchaseTransaction?.createdAt || null,
-      soldTo: purchaseTransaction?.customerName || null,
+      isSold,
+      forSale,
+      forRent,
+      soldDate: purchaseTransaction?.createdAt || property.soldDate || null,
+      soldTo: purchaseTransaction?.customerName || property.soldTo || null,
       transactionId: purchaseTransaction?.customTransactionId || null
     });
 
@@ -154,14 +244,273 @@ exports.checkPropertyAvailability = async (req, res) => {
   }
 };
 
+// ============ GEOSPATIAL SEARCH CONTROLLERS ============
+
+// Parses a required latitude/longitude pair from the query string
+const parseQueryPoint = (query, latKey = 'lat', lngKey = 'lng') => {
+  const latitude = Number(query[latKey]);
+  const longitude = Number(query[lngKey]);
+  if (query[latKey] === undefined || query[lngKey] === undefined) {
+    return { error: `${latKey} and ${lngKey} query parameters are required` };
+  }
+  const error = validateLatLng(latitude, longitude);
+  return error ? { error } : { latitude, longitude };
+};
+
+// GET properties within N km of a point, nearest first
+// Usage: GET /property/nearby?lat=13.08&lng=80.27&radiusKm=5&status=rent&limit=20
+exports.getNearbyProperties = async (req, res) => {
+  try {
+    const includePhotos = req.query.includePhotos !== 'false';
+    const center = parseQueryPoint(req.query);
+    const radiusKm = req.query.radiusKm !== undefined ? Number(req.query.radiusKm) : 10;
+
+    const { baseFilter, priceFilter, errors: filterErrors } = buildPropertyFilters(req.query);
+    const { limit, page, errors: pageErrors } = parsePagination(req.query);
+    const errors = [...filterErrors, ...pageErrors];
+
+    if (center.error) errors.push(center.error);
+    if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > 500) {
+      errors.push('radiusKm must be a number between 0 and 500');
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: errors.join('; '),
+        errors
+      });
+    }
+
+    // $geoNear must be the first stage; it sorts by distance on its own
+    const properties = await Property.aggregate([
+      {
+        $geoNear: {
+          near: toPoint(center.latitude, center.longitude),
+          distanceField: 'distanceMeters',
+          maxDistance: radiusKm * 1000,
+          spherical: true,
+          query: baseFilter
+        }
+      },
+      { $addFields: PRICE_VALUE_FIELDS },
+      { $match: priceFilter },
+      { $skip: (page - 1) * limit },
+      { $limit: limit },
+      ...ownerLookupStages(includePhotos),
+      {
+        $addFields: {
+          distanceKm: { $round: [{ $divide: ['$distanceMeters', 1000] }, 2] },
+          isSold: { $eq: ['$status', 'sold'] }
+        }
+      },
+      {
+        $project: {
+          __v: 0,
+          distanceMeters: 0,
+          rentPriceValue: 0,
+          salePriceValue: 0,
+          ...(includePhotos ? {} : { photo: 0 })
+        }
+      }
+    ]);
+
+    console.log(`📍 Found ${properties.length} properties within ${radiusKm}km of [${center.latitude}, ${center.longitude}]`);
+
+    res.json({
+      success: true,
+      center: { lat: center.latitude, lng: center.longitude },
+      radiusKm,
+      page,
+      limit,
+      count: properties.length,
+      properties: properties.map(serializePropertyPrices)
+    });
+  } catch (err) {
+    console.error('❌ Error fetching nearby properties:', err);
+    res.status(500).json({ error: 'Failed to fetch nearby properties', details: err.message });
+  }
+};
+
+// GET properties inside a map viewport
+// Usage: GET /property/within-bounds?swLat=12.9&swLng=80.1&neLat=13.2&neLng=80.3&limit=200
+exports.getPropertiesInBounds = async (req, res) => {
+  try {
+    // Map markers rarely need photos, so they are opt-in here
+    const includePhotos = req.query.includePhotos === 'true';
+    const southWest = parseQueryPoint(req.query, 'swLat', 'swLng');
+    const northEast = parseQueryPoint(req.query, 'neLat', 'neLng');
+
+    const { baseFilter, priceFilter, errors } = buildPropertyFilters(req.query);
+    const limit = Math.min(parseInt(req.query.limit) || 200, 500);
+
+    if (southWest.error) errors.push(southWest.error);
+    if (northEast.error) errors.push(northEast.error);
+    if (!southWest.error && !northEast.error) {
+      if (southWest.latitude >= northEast.latitude) errors.push('swLat must be lower than neLat');
+      if (southWest.longitude >= northEast.longitude) errors.push('swLng must be lower than neLng');
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: errors.join('; '),
+        errors
+      });
+    }
+
+    const viewport = boundsToPolygon({
+      swLat: southWest.latitude,
+      swLng: southWest.longitude,
+      neLat: northEast.latitude,
+      neLng: northEast.longitude
+    });
+
+    const properties = await Property.aggregate([
+      { $match: { ...baseFilter, geoLocation: { $geoWithin: { $geometry: viewport } } } },
+      { $addFields: PRICE_VALUE_FIELDS },
+      { $match: priceFilter },
+      { $sort: { createdAt: -1 } },
+      { $limit: limit },
+      ...ownerLookupStages(includePhotos),
+      { $addFields: { isSold: { $eq: ['$status', 'sold'] } } },
+      {
+        $project: {
+          __v: 0,
+          rentPriceValue: 0,
+          salePriceValue: 0,
+          ...(includePhotos ? {} : { photo: 0 })
+        }
+      }
+    ]);
+
+    console.log(`🗺️ Found ${properties.length} properties inside viewport`);
+
+    res.json({
+      success: true,
+      bounds: {
+        sw: { lat: southWest.latitude, lng: southWest.longitude },
+        ne: { lat: northEast.latitude, lng: northEast.longitude }
+      },
+      limit,
+      count: properties.length,
+      truncated: properties.length === limit,
+      properties: properties.map(serializePropertyPrices)
+    });
+  } catch (err) {
+    console.error('❌ Error fetching properties in bounds:', err);
+    res.status(500).json({ error: 'Failed to fetch properties in bounds', details: err.message });
+  }
+};
+
 // ============ EXISTING PROPERTY CONTROLLERS ============
 
-// GET all properties
+// Unpublished listings are only visible to the people who manage them
+const canViewListing = async (user, property) =>
+  isPublished(property) || canManageListing(user, property);
+
+// GET all properties (search, filters, sorting and page/cursor pagination)
+// Usage: GET /property?city=Chennai&status=rent,both&minBedrooms=2&sortBy=rentPrice&order=asc&limit=20&page=2
+//        GET /property?cursor=<nextCursor from previous page>
+// Without page, limit or cursor every match is returned as a bare array, as
+// before pagination existed; with any of them the paginated envelope is sent.
 exports.getAllProperties = async (req, res) => {
   try {
-    const properties = await Property.find();
-    const propertiesWithOwners = await populateOwnerDetails(properties);
-    res.json(propertiesWithOwners);
+    const includePhotos = req.query.includePhotos !== 'false';
+    const paginated = ['page', 'limit', 'cursor'].some(key => req.query[key] !== undefined);
+
+    const { baseFilter, priceFilter, errors: filterErrors } = buildPropertyFilters(req.query);
+    const { sortKeys, sortBy, order, errors: sortErrors } = buildSort(req.query);
+    const { limit, page, cursor, errors: pageErrors } = parsePagination(req.query);
+
+    const errors = [...filterErrors, ...sortErrors, ...pageErrors];
+
+    let cursorValues = null;
+    if (cursor) {
+      cursorValues = decodeCursor(cursor, sortKeys);
+      if (!cursorValues) errors.push('cursor is invalid');
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: errors.join('; '),
+        errors
+      });
+    }
+
+    const sortField = sortKeys[1].field;
+    const matchStages = [
+      { $match: baseFilter },
+      { $addFields: PRICE_VALUE_FIELDS },
+      { $match: priceFilter }
+    ];
+
+    const dataPipeline = [
+      ...matchStages,
+      {
+        $addFields: {
+          _sortMissing: { $cond: [{ $eq: [{ $ifNull: [`$${sortField}`, null] }, null] }, 1, 0] }
+        }
+      },
+      ...(cursorValues ? [{ $match: buildCursorMatch(sortKeys, cursorValues) }] : []),
+      { $sort: Object.fromEntries(sortKeys.map(key => [key.field, key.direction])) },
+      ...(paginated && !cursorValues ? [{ $skip: (page - 1) * limit }] : []),
+      ...(paginated ? [{ $limit: limit + 1 }] : []),
+      ...ownerLookupStages(includePhotos),
+      {
+        $addFields: {
+          hasPhoto: { $gt: [{ $strLenCP: { $ifNull: ['$photo', ''] } }, 0] },
+          isSold: { $eq: ['$status', 'sold'] }
+        }
+      },
+      {
+        $project: {
+          __v: 0,
+          ...(includePhotos ? {} : { photo: 0 })
+        }
+      }
+    ];
+
+    // The count runs as its own aggregation: a single $facet document would
+    // hit the 16MB BSON limit as soon as a page carries a few base64 photos
+    const [results, countResult] = await Promise.all([
+      Property.aggregate(dataPipeline),
+      paginated ? Property.aggregate([...matchStages, { $count: 'total' }]) : []
+    ]);
+
+    // Sort helper fields are only needed to build the cursor
+    const toResponse = ({ _sortMissing, rentPriceValue, salePriceValue, ...property }) =>
+      serializePropertyPrices(property);
+
+    if (!paginated) {
+      const properties = results.map(toResponse);
+      console.log(`📋 Property search returned ${properties.length} properties`);
+      return res.json(properties);
+    }
+
+    const hasNextPage = results.length > limit;
+    const pageItems = hasNextPage ? results.slice(0, limit) : results;
+    const nextCursor = hasNextPage ? encodeCursor(pageItems[pageItems.length - 1], sortKeys) : null;
+    const properties = pageItems.map(toResponse);
+    const total = countResult.length > 0 ? countResult[0].total : 0;
+
+    console.log(`📋 Property search returned ${properties.length} of ${total} properties`);
+
+    res.json({
+      success: true,
+      properties,
+      pagination: {
+        total,
+        limit,
+        page: cursorValues ? null : page,
+        totalPages: Math.ceil(total / limit),
+        hasNextPage,
+        nextCursor
+      },
+      sort: { sortBy, order },
+      includePhotos
+    });
   } catch (err) {
     console.error('Error fetching properties:', err);
     res.status(500).json({ error: 'Failed to fetch all properties' });
@@ -172,7 +521,9 @@ exports.getAllProperties = async (req, res) => {
 exports.getPropertiesByCategory = async (req, res) => {
   try {
     const { type } = req.params;
-    const query = type === 'All' ? {} : { type: new RegExp(`^${type}$`, 'i') };
+    const query = type === 'All'
+      ? { ...PUBLISHED_FILTER }
+      : { ...PUBLISHED_FILTER, type: new RegExp(`^${type}$`, 'i') };
     const properties = await Property.find(query);
     const propertiesWithOwners = await populateOwnerDetails(properties);
     res.json(propertiesWithOwners);
@@ -195,7 +546,7 @@ exports.getPropertiesByOwner = async (req, res) => {
     const owner = await Owner.findOne({ ownerId: numericOwnerId });
     if (!owner) return res.status(404).json({ error: 'Owner not found' });
 
-    const properties = await Property.find({ ownerId: numericOwnerId });
+    const properties = await Property.find({ ownerId: numericOwnerId, ...PUBLISHED_FILTER });
     const propertiesWithOwners = await populateOwnerDetails(properties);
 
     res.json(propertiesWithOwners);
@@ -209,7 +560,9 @@ exports.getPropertiesByOwner = async (req, res) => {
 exports.getPropertyById = async (req, res) => {
   try {
     const property = await Property.findById(req.params.id);
-    if (!property) return res.status(404).json({ error: 'Property not found' });
+    if (!property || !(await canViewListing(req.user, property))) {
+      return res.status(404).json({ error: 'Property not found' });
+    }
 
     const propertyWithOwner = await populateOwnerDetails(property);
     res.json(propertyWithOwner);
@@ -223,12 +576,14 @@ exports.getPropertyById = async (req, res) => {
 exports.getPropertyWithOwner = async (req, res) => {
   try {
     const property = await Property.findById(req.params.id);
-    if (!property) return res.status(404).json({ error: 'Property not found' });
+    if (!property || !(await canViewListing(req.user, property))) {
+      return res.status(404).json({ error: 'Property not found' });
+    }
 
     const owner = property.ownerId ? await Owner.findOne({ ownerId: property.ownerId }) : null;
 
     res.json({
-      ...property.toObject(),
+      ...serializePropertyPrices(property.toObject()),
       ownerDetails: owner ? {
         ownerId: owner.ownerId,
         name: owner.name,
@@ -245,6 +600,44 @@ exports.getPropertyWithOwner = async (req, res) => {
   }
 };
 
+// GET /api/property/:id/price-history?field=rentPrice|salePrice|price
+exports.getPriceHistory = async (req, res) => {
+  try {
+    const { field } = req.query;
+    if (field && !PRICE_FIELDS.includes(field)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: `field must be one of: ${PRICE_FIELDS.join(', ')}`
+      });
+    }
+
+    const property = await Property.findById(req.params.id)
+      .select('name createdAt price rentPrice salePrice listingPrices priceReduction priceChangedAt listingStatus ownerId');
+    if (!property || !(await canViewListing(req.user, property))) {
+      return res.status(404).json({ error: 'Property not found' });
+    }
+
+    const history = await PriceHistory.findByProperty(property._id, field);
+    const { price, rentPrice, salePrice, listingPrices } = serializePropertyPrices(property.toObject());
+
+    res.json({
+      success: true,
+      propertyId: property._id,
+      name: property.name,
+      listedAt: property.createdAt,
+      priceChangedAt: property.priceChangedAt || null,
+      currentPrices: { price, rentPrice, salePrice },
+      listingPrices: listingPrices || {},
+      priceReduction: property.priceReduction || {},
+      count: history.length,
+      history
+    });
+  } catch (err) {
+    console.error('Error fetching price history:', err);
+    res.status(500).json({ error: 'Failed to fetch price history', details: err.message });
+  }
+};
+
 // POST new property
 exports.createProperty = async (req, res) => {
   try {
@@ -252,10 +645,11 @@ exports.createProperty = async (req, res) => {
     console.log('📥 Timestamp:', new Date().toISOString());
     
     const {
-      name, type, price, rentPrice, salePrice, status,
+      name, type, status,
       bedrooms, bath, size, floor, address, zip, country,
       city, rating, ownerId, about, facility, photo
     } = req.body;
+    const submitForReview = req.body.submitForReview === true || req.body.submitForReview === 'true';
 
     // Validate required fields
     if (!name) {
@@ -299,6 +693,17 @@ exports.createProperty = async (req, res) => {
       });
     }
 
+    // Owner accounts can only list their own properties
+    if (req.user.role === 'owner') {
+      const ownerIds = await ownerIdsForUser(req.user);
+      if (!ownerIds.includes(numericOwnerId)) {
+        return res.status(403).json({ 
+          error: 'Access denied',
+          message: 'Owners can only create listings for their own owner record'
+        });
+      }
+    }
+
     // Validate status
     const validStatuses = ['rent', 'sale', 'both'];
     const normalizedStatus = status.toLowerCase();
@@ -310,12 +715,27 @@ exports.createProperty = async (req, res) => {
       });
     }
 
-    // Clean prices
-    const cleanedPrices = {
-      price: cleanPrice(price),
-      rentPrice: cleanPrice(rentPrice),
-      salePrice: cleanPrice(salePrice)
-    };
+    // Resolve map position: explicit coordinates win over the gazetteer
+    const { point, error: coordinatesError } = parseCoordinates(req.body);
+    if (coordinatesError) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: coordinatesError,
+        field: 'location'
+      });
+    }
+    const geoFields = point
+      ? { geoLocation: point, geocodeSource: 'manual' }
+      : geocodeFields({ city, zip, country });
+
+    // Parse prices into { amount, currency } money values
+    const { prices, errors: priceErrors } = parsePriceFields(req.body);
+    if (priceErrors.length > 0) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: priceErrors.join('; ')
+      });
+    }
 
     // Handle facilities
     let facilitiesArray = [];
@@ -356,6 +776,12 @@ exports.createProperty = async (req, res) => {
             message: 'Photo must contain "base64," marker'
           });
         }
+        if (!extensionForMimeType(photo.slice(5, photo.indexOf(';')))) {
+          return res.status(400).json({ 
+            error: 'Unsupported image type',
+            message: 'Photo must be a JPEG, PNG, GIF or WebP image'
+          });
+        }
         
         const sizeInMB = Buffer.byteLength(photo, 'utf8') / (1024 * 1024);
         if (sizeInMB > 15) {
@@ -374,9 +800,14 @@ exports.createProperty = async (req, res) => {
     const propertyData = {
       name: name.trim(),
       type: type || 'Apartment',
-      price: cleanedPrices.price,
-      rentPrice: cleanedPrices.rentPrice,
-      salePrice: cleanedPrices.salePrice,
+      price: prices.price || undefined,
+      rentPrice: prices.rentPrice || undefined,
+      salePrice: prices.salePrice || undefined,
+      listingPrices: {
+        price: prices.price || undefined,
+        rentPrice: prices.rentPrice || undefined,
+        salePrice: prices.salePrice || undefined
+      },
       status: normalizedStatus,
       bedrooms: bedrooms ? parseInt(bedrooms) : undefined,
       bath: bath ? parseInt(bath) : undefined,
@@ -387,18 +818,62 @@ exports.createProperty = async (req, res) => {
       country: country || undefined,
       city: city || undefined,
       rating: rating ? parseFloat(rating) : 4.5,
-      photo: validatedPhoto,
       facility: facilitiesArray,
       about: about || undefined,
       ownerId: numericOwnerId,
-      ownerName: owner.name
+      ownerName: owner.name,
+      ...geoFields,
+      // New listings start as drafts; submitForReview sends them straight to the admin queue
+      listingStatus: submitForReview ? 'pending_review' : 'draft',
+      submittedAt: submitForReview ? new Date() : undefined,
+      statusHistory: [{
+        from: null,
+        to: submitForReview ? 'pending_review' : 'draft',
+        changedBy: actorFromRequest(req)
+      }]
     };
 
-    // Save to database
     const newProperty = new Property(propertyData);
-    await newProperty.save();
+
+    // Store the photo as the gallery cover instead of inlining base64 in the document
+    let storedPhoto = null;
+    if (req.photoUpload) {
+      storedPhoto = await storeImage(req.photoUpload.buffer, {
+        folder: `properties/${newProperty._id}`,
+        mimeType: req.photoUpload.mimeType,
+        originalName: req.photoUpload.originalName
+      });
+    } else if (validatedPhoto) {
+      storedPhoto = await storeDataUrlImage(validatedPhoto, {
+        folder: `properties/${newProperty._id}`
+      });
+    }
+    if (storedPhoto) newProperty.images.push({ ...storedPhoto, isCover: true });
+
+    // Save to database
+    try {
+      await newProperty.save();
+    } catch (saveError) {
+      if (storedPhoto) await removeStoredImages([storedPhoto]);
+      throw saveError;
+    }
     console.log('✅ Property saved successfully!');
 
+    // Listing prices open the price history, the initial values the revision log
+    try {
+      await recordPriceChanges(newProperty._id, diffPrices({}, prices), {
+        actor: actorFromRequest(req),
+        source: 'listing',
+        changedAt: newProperty.createdAt
+      });
+      await recordRevision(newProperty._id, diffProperties(null, newProperty), {
+        action: 'create',
+        actor: actorFromRequest(req)
+      });
+    } catch (historyError) {
+      console.error('⚠️ Price history / revision entry failed:', historyError.message);
+    }
+
     // Update owner property count
     owner.propertyOwned = (owner.propertyOwned || 0) + 1;
     await owner.save();
@@ -410,11 +885,11 @@ exports.createProperty = async (req, res) => {
       // 1. ADMIN NOTIFICATION
       console.log('📢 Creating admin notification...');
       await notificationController.createNotification({
-        userId: req.user?._id || null,
+        userId: req.user?.id || null,
         type: 'property_created',
         target: 'admin',
         title: 'New Property Created',
-        message: `New property "${newProperty.name}" was added by ${owner.name}`,
+        message: `New ${newProperty.listingStatus === 'draft' ? 'draft' : 'listing awaiting review'} "${newProperty.name}" was added by ${owner.name}`,
         propertyName: newProperty.name,
         propertyId: newProperty._id,
         userName: owner.name,
@@ -422,45 +897,7 @@ exports.createProperty = async (req, res) => {
       });
       console.log('✅ Admin notification created');
 
-      // 2. MOBILE BROADCAST - Property Created
-      console.log('📱 Broadcasting property creation to mobile users...');
-      await notificationController.broadcastNotification({
-        type: 'property_created',
-        propertyId: newProperty._id,
-        propertyName: newProperty.name,
-        userName: owner.name,
-        userImage: owner.photo || null,
-        metadata: {
-          propertyType: newProperty.type,
-          propertyStatus: newProperty.status,
-          propertyImage: newProperty.photo || null,
-          price: newProperty.price,
-          rentPrice: newProperty.rentPrice,
-          salePrice: newProperty.salePrice,
-        }
-      });
-      console.log('✅ Mobile broadcast notification sent');
-
-      // 3. MOBILE BROADCAST - Property Type Specific
-      if (newProperty.type) {
-        console.log(`📱 Broadcasting ${newProperty.type} notification...`);
-        await notificationController.broadcastNotification({
-          type: newProperty.type,
-          propertyId: newProperty._id,
-          propertyName: newProperty.name,
-          userName: owner.name,
-          userImage: owner.photo || null,
-          metadata: {
-            propertyType: newProperty.type,
-            propertyStatus: newProperty.status,
-            propertyImage: newProperty.photo || null,
-            price: newProperty.price,
-            rentPrice: newProperty.rentPrice,
-            salePrice: newProperty.salePrice,
-          }
-        });
-        console.log(`✅ ${newProperty.type} notification sent`);
-      }
+      // Mobile users are notified once an admin publishes the listing
 
     } catch (notifError) {
       console.error('❌ Notification creation failed:', notifError.message);
@@ -479,6 +916,9 @@ exports.createProperty = async (req, res) => {
     });
     
   } catch (err) {
+    if (err.code === 'INVALID_IMAGE') {
+      return res.status(400).json({ error: 'Invalid photo', message: err.message });
+    }
     console.error('\n💥 CRITICAL ERROR:', err.message);
     console.error('Stack:', err.stack);
     res.status(500).json({ 
@@ -494,10 +934,15 @@ exports.updateProperty = async (req, res) => {
   try {
     const property = await Property.findById(req.params.id);
     if (!property) return res.status(404).json({ error: 'Property not found' });
+    if (!(await canManageListing(req.user, property))) {
+      return res.status(403).json({ error: 'Access denied', message: 'You cannot edit this listing' });
+    }
+    const previousVersion = property.toObject();
 
     const updateFields = {};
+    const unsetFields = {};
     const {
-      name, type, price, rentPrice, salePrice, status,
+      name, type, status,
       bedrooms, bath, size, floor, address, zip, country,
       city, rating, about, facility, photo
     } = req.body;
@@ -508,9 +953,14 @@ exports.updateProperty = async (req, res) => {
       updateFields.status = status.toLowerCase();
     }
 
-    if (price !== undefined) updateFields.price = cleanPrice(price);
-    if (rentPrice !== undefined) updateFields.rentPrice = cleanPrice(rentPrice);
-    if (salePrice !== undefined) updateFields.salePrice = cleanPrice(salePrice);
+    const { prices, errors: priceErrors } = parsePriceFields(req.body);
+    if (priceErrors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', message: priceErrors.join('; ') });
+    }
+    Object.assign(updateFields, prices);
+    const priceChanges = diffPrices(property, prices);
+    const priceChangedAt = new Date();
+    Object.assign(updateFields, priceTrackingFields(property, priceChanges, priceChangedAt));
     if (bedrooms) updateFields.bedrooms = parseInt(bedrooms);
     if (bath) updateFields.bath = parseInt(bath);
     if (size) updateFields.size = size;
@@ -522,6 +972,29 @@ exports.updateProperty = async (req, res) => {
     if (rating) updateFields.rating = parseFloat(rating);
     if (about) updateFields.about = about;
 
+    const { point, error: coordinatesError } = parseCoordinates(req.body);
+    if (coordinatesError) {
+      return res.status(400).json({ error: 'Validation failed', message: coordinatesError });
+    }
+    if (point) {
+      updateFields.geoLocation = point;
+      updateFields.geocodeSource = 'manual';
+    } else if ((city || zip || country) && property.geocodeSource !== 'manual') {
+      // Address changed and the position was never set by hand - re-geocode it.
+      // Without a match the old position would point at the previous address.
+      const geocoded = geocodeFields({
+        city: city || property.city,
+        zip: zip || property.zip,
+        country: country || property.country
+      });
+      if (geocoded.geoLocation) {
+        Object.assign(updateFields, geocoded);
+      } else {
+        unsetFields.geoLocation = 1;
+        unsetFields.geocodeSource = 1;
+      }
+    }
+
     if (facility) {
       try {
         updateFields.facility = Array.isArray(facility) ? facility : JSON.parse(facility);
@@ -530,17 +1003,69 @@ exports.updateProperty = async (req, res) => {
       }
     }
 
-    if (photo && typeof photo === 'string' && photo.length > 0) {
-      if (photo.startsWith('data:image/') && photo.includes('base64,')) {
-        updateFields.photo = photo;
-      }
+    // A new photo replaces the current gallery cover
+    let storedPhoto = null;
+    let replacedCover = null;
+    if (req.photoUpload || isImageDataUrl(photo)) {
+      storedPhoto = req.photoUpload
+        ? await storeImage(req.photoUpload.buffer, {
+          folder: `properties/${property._id}`,
+          mimeType: req.photoUpload.mimeType,
+          originalName: req.photoUpload.originalName
+        })
+        : await storeDataUrlImage(photo, { folder: `properties/${property._id}` });
+      replacedCover = property.images.find(image => image.isCover) || null;
+      if (replacedCover) property.images.pull(replacedCover._id);
+      property.images.push({ ...storedPhoto, isCover: true, order: -1 });
+      property.syncGallery();
+
+      updateFields.images = property.images.map(image => image.toObject());
+      updateFields.photo = property.photo;
+      updateFields.photoVariants = property.photoVariants;
+    }
+
+    // Guarded on the version read above: the price history diff and the
+    // rewritten gallery are only right if nobody saved the property meanwhile
+    let updatedProperty;
+    try {
+      updatedProperty = await Property.findOneAndUpdate(
+        { _id: property._id, updatedAt: property.updatedAt || null },
+        Object.keys(unsetFields).length > 0 ? { $set: updateFields, $unset: unsetFields } : updateFields, 
+        { new: true, runValidators: true }
+      );
+    } catch (updateError) {
+      if (storedPhoto) await removeStoredImages([storedPhoto]);
+      throw updateError;
     }
+    if (!updatedProperty) {
+      if (storedPhoto) await removeStoredImages([storedPhoto]);
+      return res.status(409).json({
+        error: 'Property changed',
+        message: 'The property was updated while this request was processed, reload and retry'
+      });
+    }
+    if (replacedCover) await removeStoredImages([replacedCover]);
+
+    // The update is saved; a failed history entry is logged, not reported
+    try {
+      if (priceChanges.length > 0) {
+        await recordPriceChanges(updatedProperty._id, priceChanges, {
+          actor: actorFromRequest(req),
+          changedAt: priceChangedAt
+        });
+        console.log(`💲 Recorded ${priceChanges.length} price change(s) for property ${updatedProperty._id}`);
+      }
 
-    const updatedProperty = await Property.findByIdAndUpdate(
-      req.params.id, 
-      updateFields, 
-      { new: true, runValidators: true }
-    );
+      const revision = await recordRevision(updatedProperty._id, diffProperties(previousVersion, updatedProperty), {
+        actor: actorFromRequest(req)
+      });
+      if (revision) {
+        updatedProperty.revision = revision.revision;
+        console.log(`📝 Recorded revision ${revision.revision} (${revision.changes.length} field(s)) for property ${updatedProperty._id}`);
+      }
+    } catch (historyError) {
+      console.error('⚠️ Price history / revision entry failed:', historyError.message);
+    }
     
     const propertyWithOwner = await populateOwnerDetails(updatedProperty);
 
@@ -548,7 +1073,7 @@ exports.updateProperty = async (req, res) => {
     try {
       console.log('📢 Creating property update notification...');
       await notificationController.createNotification({
-        userId: req.user?._id || null,
+        userId: req.user?.id || null,
         type: 'property_updated',
         target: 'admin',
         title: 'Property Updated',
@@ -567,16 +1092,34 @@ exports.updateProperty = async (req, res) => {
       property: propertyWithOwner 
     });
   } catch (err) {
+    if (err.code === 'INVALID_IMAGE') {
+      return res.status(400).json({ error: 'Invalid photo', message: err.message });
+    }
     console.error('Error updating property:', err);
     res.status(500).json({ error: 'Failed to update property', details: err.message });
   }
 };
 
 // DELETE property
+// Published listings are archived instead; admins can pass ?permanent=true
 exports.deleteProperty = async (req, res) => {
   try {
     const property = await Property.findById(req.params.id);
     if (!property) return res.status(404).json({ error: 'Property not found' });
+    if (!(await canManageListing(req.user, property))) {
+      return res.status(403).json({ error: 'Access denied', message: 'You cannot delete this listing' });
+    }
+
+    const permanent = req.query.permanent === 'true' && req.user.role === 'admin';
+    if (isPublished(property) && !permanent) {
+      return listingController.archiveListing(req, res);
+    }
+
+    // Soft delete - images, price history and calendar blocks are kept so the
+    // listing can be restored; the purge job removes them with the property
+    if (!(await property.softDelete(actorFromRequest(req)))) {
+      return res.status(404).json({ error: 'Property not found' });
+    }
 
     const owner = await Owner.findOne({ ownerId: property.ownerId });
     if (owner && owner.propertyOwned > 0) {
@@ -584,13 +1127,11 @@ exports.deleteProperty = async (req, res) => {
       await owner.save();
     }
 
-    await Property.findByIdAndDelete(req.params.id);
-
     // Create admin notification
     try {
       console.log('📢 Creating property deletion notification...');
       await notificationController.createNotification({
-        userId: req.user?._id || null,
+        userId: req.user?.id || null,
         type: 'property_deleted',
         target: 'admin',
         title: 'Property Deleted',
@@ -612,4 +1153,53 @@ exports.deleteProperty = async (req, res) => {
     console.error('Error deleting property:', err);
     res.status(500).json({ error: 'Failed to delete property' });
   }
+};
+
+// POST /api/property/:id/restore - brings back a deleted property (admin)
+exports.restoreProperty = async (req, res) => {
+  try {
+    const property = mongoose.isValidObjectId(req.params.id)
+      ? await Property.findOne({ _id: req.params.id, deletedAt: { $ne: null } })
+      : null;
+    if (!property) return res.status(404).json({ error: 'Deleted property not found' });
+
+    const owner = await Owner.findOne({ ownerId: property.ownerId });
+    if (!owner) {
+      return res.status(409).json({
+        error: 'Owner not found',
+        message: `Owner ${property.ownerId} is deleted or missing - restore the owner first`
+      });
+    }
+
+    if (!(await property.restore())) {
+      return res.status(409).json({ error: 'Property already restored' });
+    }
+    owner.propertyOwned += 1;
+    await owner.save();
+
+    try {
+      await notificationController.createNotification({
+        userId: req.user?.id || null,
+        type: 'record_restored',
+        target: 'admin',
+        title: 'Property Restored',
+        message: `Property "${property.name}" was restored`,
+        propertyName: property.name,
+        propertyId: property._id,
+        relatedId: property._id,
+      });
+    } catch (notifError) {
+      console.error('⚠️ Notification creation failed:', notifError.message);
+    }
+
+    console.log(`♻️ Property "${property.name}" restored by ${req.user.email}`);
+    res.json({
+      success: true,
+      message: 'Property restored successfully',
+      property
+    });
+  } catch (err) {
+    console.error('Error restoring property:', err);
+    res.status(500).json({ error: 'Failed to restore property' });
+  }
 };
\ No newline at end of file
@@ -0,0 +1,177 @@
+// controllers/propertyExportController.js
+const { once } = require('events');
+const Property = require('../models/Property');
+const Owner = require('../models/Owner');
+const { PRICE_VALUE_FIELDS, buildPropertyFilters } = require('../utils/propertyQuery');
+const { PUBLISHED_FILTER } = require('../utils/listingWorkflow');
+const { csvHeader, toCsvRow, toJsonFeedItem, toResoListing } = require('../utils/propertyFeeds');
+
+/**
+ * Resolves filters for an export. Without updatedSince only published
+ * listings are exported; with it, listings changed since that time that are
+ * or once were published are included, deleted ones too, so those no longer
+ * live can be flagged as removed. Listings that never went live are never exported.
+ * @returns {{ baseFilter, priceFilter, updatedSince, errors }}
+ */
+const parseExportQuery = (query) => {
+  const errors = [];
+  let updatedSince = null;
+
+  if (query.updatedSince) {
+    updatedSince = new Date(query.updatedSince);
+    if (isNaN(updatedSince.getTime())) {
+      errors.push('updatedSince must be an ISO 8601 date');
+      updatedSince = null;
+    }
+  }
+
+  // listingStatus is decided by the export mode, not the caller
+  const { listingStatus, ...listQuery } = query;
+  const { baseFilter, priceFilter, errors: filterErrors } = buildPropertyFilters(listQuery, {
+    publishedOnly: !updatedSince
+  });
+  errors.push(...filterErrors);
+
+  if (updatedSince) {
+    // Records not saved since updatedAt was introduced fall back to createdAt
+    baseFilter.$and = [
+      ...(baseFilter.$and || []),
+      {
+        $or: [
+          { updatedAt: { $gte: updatedSince } },
+          { updatedAt: { $exists: false }, createdAt: { $gte: updatedSince } }
+        ]
+      },
+      // Approval sets publishedAt; only published listings can be archived
+      { $or: [PUBLISHED_FILTER, { publishedAt: { $ne: null } }, { archivedAt: { $ne: null } }] }
+    ];
+  }
+
+  return { baseFilter, priceFilter, updatedSince, errors };
+};
+
+const exportContext = (req) => ({
+  baseUrl: process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`,
+  siteUrl: process.env.PUBLIC_SITE_URL || null
+});
+
+/**
+ * Streams matching properties through a formatter. Owners are loaded once up
+ * front and documents are read through a cursor so memory stays flat however
+ * large the export is; writes wait for the socket to drain.
+ * @param {Object} options - { contentType, filename, open(meta), item(property, owner, index), close(meta) }
+ */
+const streamExport = (options) => async (req, res) => {
+  const { baseFilter, priceFilter, updatedSince, errors } = parseExportQuery(req.query);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Validation failed', message: errors.join('; '), errors });
+  }
+
+  const generatedAt = new Date();
+  const meta = { generatedAt, updatedSince, context: exportContext(req) };
+  let count = 0;
+  let clientGone = false;
+  res.on('close', () => { clientGone = !res.writableFinished; });
+
+  try {
+    // Incremental syncs also read deleted listings to report them removed
+    const withDeleted = Boolean(updatedSince);
+    const ownerIds = await Property.distinct('ownerId', baseFilter).setOptions({ withDeleted });
+    const owners = await Owner.find({ ownerId: { $in: ownerIds.map(String) } }).lean();
+    const ownersById = new Map(owners.map(owner => [String(owner.ownerId), owner]));
+
+    const cursor = Property.aggregate([
+      { $match: baseFilter },
+      { $addFields: PRICE_VALUE_FIELDS },
+      { $match: priceFilter },
+      { $sort: { updatedAt: 1, _id: 1 } },
+      { $project: { rentPriceValue: 0, salePriceValue: 0, statusHistory: 0, __v: 0 } }
+    ]).option({ withDeleted }).cursor({ batchSize: 200 });
+
+    res.status(200);
+    res.set({
+      'Content-Type': options.contentType,
+      'Content-Disposition': `attachment; filename="${options.filename}"`,
+      'Cache-Control': 'no-store',
+      // Pass this back as updatedSince on the next incremental sync
+      'X-Export-Generated-At': generatedAt.toISOString()
+    });
+
+    const write = async (chunk) => {
+      if (!res.write(chunk)) await Promise.race([once(res, 'drain'), once(res, 'close')]);
+    };
+
+    await write(options.open(meta));
+
+    for await (const property of cursor) {
+      if (clientGone) break;
+      const owner = ownersById.get(String(property.ownerId)) || null;
+      await write(options.item(property, owner, count, meta.context));
+      count++;
+    }
+
+    if (clientGone) {
+      await cursor.close();
+      console.log(`⚠️ ${options.filename} export aborted by client after ${count} listings`);
+      return;
+    }
+
+    res.end(options.close(meta));
+    console.log(`📤 Exported ${count} listings as ${options.filename}${updatedSince ? ` (updated since ${updatedSince.toISOString()})` : ''}`);
+  } catch (err) {
+    console.error(`❌ Error exporting ${options.filename}:`, err);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: 'Failed to export properties', details: err.message });
+    }
+    // The status line is gone - cut the stream so the client sees a truncated download
+    res.destroy(err);
+  }
+};
+
+// GET /api/property/export/csv
+exports.exportCsv = streamExport({
+  contentType: 'text/csv; charset=utf-8',
+  filename: 'properties.csv',
+  open: () => `\uFEFF${csvHeader()}`, // BOM so spreadsheet apps read UTF-8
+  item: (property, owner, index, context) => toCsvRow(property, owner, context),
+  close: () => ''
+});
+
+// GET /api/property/export/json-feed - JSON Feed 1.1 (https://jsonfeed.org/version/1.1)
+exports.exportJsonFeed = streamExport({
+  contentType: 'application/feed+json; charset=utf-8',
+  filename: 'properties.json',
+  open: ({ generatedAt, updatedSince, context }) => {
+    const header = JSON.stringify({
+      version: 'https://jsonfeed.org/version/1.1',
+      title: process.env.FEED_TITLE || 'Property listings',
+      home_page_url: context.siteUrl || context.baseUrl,
+      feed_url: `${context.baseUrl}/api/property/export/json-feed`,
+      _export: {
+        generatedAt: generatedAt.toISOString(),
+        updatedSince: updatedSince ? updatedSince.toISOString() : null
+      }
+    });
+    return `${header.slice(0, -1)},"items":[`;
+  },
+  item: (property, owner, index, context) =>
+    `${index > 0 ? ',' : ''}${JSON.stringify(toJsonFeedItem(property, owner, context))}`,
+  close: () => ']}'
+});
+
+// GET /api/property/export/reso - RESO Data Dictionary property resource, OData-style envelope
+exports.exportReso = streamExport({
+  contentType: 'application/json; charset=utf-8',
+  filename: 'properties-reso.json',
+  open: ({ generatedAt, updatedSince }) => {
+    const header = JSON.stringify({
+      '@odata.context': '$metadata#Property',
+      '@export.generatedAt': generatedAt.toISOString(),
+      '@export.updatedSince': updatedSince ? updatedSince.toISOString() : null
+    });
+    return `${header.slice(0, -1)},"value":[`;
+  },
+  item: (property, owner, index, context) =>
+    `${index > 0 ? ',' : ''}${JSON.stringify(toResoListing(property, owner, context))}`,
+  close: () => ']}'
+});
@@ -0,0 +1,260 @@
+// controllers/propertyImageController.js
+const Property = require('../models/Property');
+const { parseDataUrl, storeImage, removeStoredImages } = require('../utils/imageUtils');
+const { isPublished, canManageListing } = require('../utils/listingWorkflow');
+
+const MAX_GALLERY_IMAGES = 30;
+const MAX_IMAGE_SIZE = 10 * 1024 * 1024; // Same limit as multipart uploads
+
+const sortedImages = (property) => [...property.images].sort((a, b) => a.order - b.order);
+
+const galleryResponse = (property) => ({
+  success: true,
+  propertyId: property._id,
+  cover: property.photo || null,
+  coverVariants: property.photoVariants || null,
+  count: property.images.length,
+  images: sortedImages(property)
+});
+
+// Multipart captions arrive as a JSON array or as one string per file
+const parseCaptions = (captions) => {
+  if (captions === undefined || captions === null) return [];
+  if (Array.isArray(captions)) return captions;
+  try {
+    const parsed = JSON.parse(captions);
+    return Array.isArray(parsed) ? parsed : [String(parsed)];
+  } catch {
+    return [captions];
+  }
+};
+
+/**
+ * Collects uploads from either multipart files (field "images") or a JSON body
+ * of { images: [{ data: "data:image/...;base64,...", caption }] }
+ * @returns {{ uploads: Array<{ buffer, mimeType, originalName, caption }>, error: string|null }}
+ */
+const collectUploads = (req) => {
+  if (req.files && req.files.length > 0) {
+    const captions = parseCaptions(req.body.captions);
+    return {
+      uploads: req.files.map((file, index) => ({
+        buffer: file.buffer,
+        mimeType: file.mimetype,
+        originalName: file.originalname,
+        caption: captions[index] || ''
+      })),
+      error: null
+    };
+  }
+
+  const images = Array.isArray(req.body.images) ? req.body.images : [];
+  const uploads = [];
+
+  for (const [index, image] of images.entries()) {
+    const parsed = parseDataUrl(image && image.data);
+    if (!parsed) {
+      return { uploads: [], error: `images[${index}].data must be a JPEG, PNG, GIF or WebP base64 data URL` };
+    }
+    if (parsed.buffer.length > MAX_IMAGE_SIZE) {
+      return { uploads: [], error: `images[${index}] exceeds the 10MB limit` };
+    }
+    uploads.push({
+      buffer: parsed.buffer,
+      mimeType: parsed.mimeType,
+      originalName: image.originalName || null,
+      caption: image.caption || ''
+    });
+  }
+
+  return { uploads, error: null };
+};
+
+// Loads a listing the caller manages. Sends 404 / 403 otherwise.
+const loadManagedProperty = async (req, res) => {
+  const property = await Property.findById(req.params.id);
+  if (!property) {
+    res.status(404).json({ error: 'Property not found' });
+    return null;
+  }
+  if (!(await canManageListing(req.user, property))) {
+    res.status(403).json({ error: 'Access denied', message: 'You cannot edit this listing' });
+    return null;
+  }
+  return property;
+};
+
+// ============ GALLERY READ ============
+
+// GET /api/property/:id/images
+exports.getPropertyImages = async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.id).select('images photo photoVariants listingStatus ownerId');
+    // Unpublished galleries are only visible to the people who manage the listing
+    if (!property || !(isPublished(property) || await canManageListing(req.user, property))) {
+      return res.status(404).json({ error: 'Property not found' });
+    }
+
+    res.json(galleryResponse(property));
+  } catch (err) {
+    console.error('Error fetching property images:', err);
+    res.status(500).json({ error: 'Failed to fetch property images', details: err.message });
+  }
+};
+
+// ============ GALLERY WRITE ============
+
+// POST /api/property/:id/images
+exports.addPropertyImages = async (req, res) => {
+  try {
+    const property = await loadManagedProperty(req, res);
+    if (!property) return;
+
+    const { uploads, error } = collectUploads(req);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid image', message: error });
+    }
+    if (uploads.length === 0) {
+      return res.status(400).json({
+        error: 'No images provided',
+        message: 'Send files in the "images" field or a JSON "images" array of { data, caption }'
+      });
+    }
+    if (property.images.length + uploads.length > MAX_GALLERY_IMAGES) {
+      return res.status(400).json({
+        error: 'Gallery limit reached',
+        message: `A property can have at most ${MAX_GALLERY_IMAGES} images (currently ${property.images.length})`
+      });
+    }
+
+    const folder = `properties/${property._id}`;
+    const stored = [];
+
+    try {
+      for (const upload of uploads) {
+        const image = await storeImage(upload.buffer, {
+          folder,
+          mimeType: upload.mimeType,
+          originalName: upload.originalName
+        });
+        stored.push(image);
+        property.images.push({
+          ...image,
+          caption: upload.caption,
+          order: property.images.length
+        });
+      }
+
+      await property.save();
+    } catch (saveError) {
+      await removeStoredImages(stored);
+      throw saveError;
+    }
+
+    console.log(`📸 Added ${stored.length} image(s) to property ${property._id}`);
+    res.status(201).json(galleryResponse(property));
+  } catch (err) {
+    if (err.code === 'INVALID_IMAGE') {
+      return res.status(400).json({ error: 'Invalid image', message: err.message });
+    }
+    console.error('Error adding property images:', err);
+    res.status(500).json({ error: 'Failed to add property images', details: err.message });
+  }
+};
+
+// PATCH /api/property/:id/images/reorder - body: { imageIds: [...] } in the new order
+exports.reorderPropertyImages = async (req, res) => {
+  try {
+    const property = await loadManagedProperty(req, res);
+    if (!property) return;
+
+    const { imageIds } = req.body;
+    const currentIds = property.images.map(image => image._id.toString());
+
+    if (!Array.isArray(imageIds) ||
+        imageIds.length !== currentIds.length ||
+        new Set(imageIds.map(String)).size !== currentIds.length ||
+        !imageIds.every(id => currentIds.includes(String(id)))) {
+      return res.status(400).json({
+        error: 'Invalid order',
+        message: 'imageIds must list every image of the property exactly once'
+      });
+    }
+
+    imageIds.forEach((id, index) => {
+      property.images.id(id).order = index;
+    });
+
+    await property.save();
+    res.json(galleryResponse(property));
+  } catch (err) {
+    console.error('Error reordering property images:', err);
+    res.status(500).json({ error: 'Failed to reorder property images', details: err.message });
+  }
+};
+
+// PATCH /api/property/:id/images/:imageId - body: { caption, isCover }
+exports.updatePropertyImage = async (req, res) => {
+  try {
+    const property = await loadManagedProperty(req, res);
+    if (!property) return;
+
+    const image = property.images.id(req.params.imageId);
+    if (!image) return res.status(404).json({ error: 'Image not found' });
+
+    const { caption, isCover } = req.body;
+
+    if (caption !== undefined) image.caption = String(caption);
+    if (isCover === true || isCover === 'true') {
+      property.images.forEach((item) => { item.isCover = item === image; });
+    }
+
+    await property.save();
+    res.json(galleryResponse(property));
+  } catch (err) {
+    console.error('Error updating property image:', err);
+    res.status(500).json({ error: 'Failed to update property image', details: err.message });
+  }
+};
+
+// PUT /api/property/:id/images/:imageId/cover
+exports.setCoverImage = async (req, res) => {
+  try {
+    const property = await loadManagedProperty(req, res);
+    if (!property) return;
+
+    const image = property.images.id(req.params.imageId);
+    if (!image) return res.status(404).json({ error: 'Image not found' });
+
+    property.images.forEach((item) => { item.isCover = item === image; });
+
+    await property.save();
+    res.json(galleryResponse(property));
+  } catch (err) {
+    console.error('Error setting cover image:', err);
+    res.status(500).json({ error: 'Failed to set cover image', details: err.message });
+  }
+};
+
+// DELETE /api/property/:id/images/:imageId
+exports.deletePropertyImage = async (req, res) => {
+  try {
+    const property = await loadManagedProperty(req, res);
+    if (!property) return;
+
+    const image = property.images.id(req.params.imageId);
+    if (!image) return res.status(404).json({ error: 'Image not found' });
+
+    property.images.pull(image._id);
+    await property.save();
+
+    // Only drop the file once the document no longer references it
+    await removeStoredImages([image]);
+
+    console.log(`🗑️ Removed image ${image._id} from property ${property._id}`);
+    res.json(galleryResponse(property));
+  } catch (err) {
+    console.error('Error deleting property image:', err);
+    res.status(500).json({ error: 'Failed to delete property image', details: err.message });
+  }
+};
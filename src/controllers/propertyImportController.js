@@ -0,0 +1,151 @@
+// controllers/propertyImportController.js
+const Property = require('../models/Property');
+const Owner = require('../models/Owner');
+const notificationController = require('./notificationController');
+const { recalculateOwnerStats } = require('./ownerController');
+const { PRICE_FIELDS } = require('../utils/propertyUtils');
+const { readSpreadsheet, buildPropertyFromRow } = require('../utils/propertyImport');
+const { actorFromRequest, diffPrices, recordPriceChanges } = require('../utils/priceHistory');
+const { diffProperties, recordRevision } = require('../utils/propertyRevisions');
+const { ownerIdsForUser } = require('../utils/listingWorkflow');
+
+const isTrue = (value) => value === true || value === 'true';
+
+// POST /api/property/import - multipart "file" (.csv or .xlsx)
+// Query/body: dryRun=true validates only, skipInvalid=true imports the valid
+// rows of a file that has errors, submitForReview=true queues them for approval.
+exports.importProperties = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'No file provided',
+        message: 'Upload a .csv or .xlsx file in the "file" field'
+      });
+    }
+
+    const dryRun = isTrue(req.query.dryRun ?? req.body?.dryRun);
+    const skipInvalid = isTrue(req.query.skipInvalid ?? req.body?.skipInvalid);
+    const submitForReview = isTrue(req.query.submitForReview ?? req.body?.submitForReview);
+
+    console.log(`\n📥 Property import: ${req.file.originalname} (${req.file.size} bytes)${dryRun ? ' [dry run]' : ''}`);
+
+    const { rows, unknownColumns } = await readSpreadsheet(req.file);
+
+    // Every owner referenced by the file is loaded in one query
+    const referencedOwnerIds = [...new Set(rows
+      .map(row => parseInt(row.values.ownerId))
+      .filter(id => !isNaN(id)))];
+    const owners = await Owner.find({ ownerId: { $in: referencedOwnerIds.map(String) } });
+    const ownersById = new Map(owners.map(owner => [parseInt(owner.ownerId), owner]));
+
+    const allowedOwnerIds = req.user.role === 'owner' ? await ownerIdsForUser(req.user) : null;
+
+    const valid = [];
+    const errors = [];
+    rows.forEach(({ rowNumber, values }) => {
+      const { data, errors: rowErrors } = buildPropertyFromRow(values, ownersById);
+      if (data && allowedOwnerIds && !allowedOwnerIds.includes(data.ownerId)) {
+        rowErrors.push('Owners can only import listings for their own owner record');
+      }
+      if (rowErrors.length > 0) {
+        errors.push({ row: rowNumber, name: values.name || null, errors: rowErrors });
+      } else {
+        valid.push({ rowNumber, data });
+      }
+    });
+
+    const report = {
+      file: req.file.originalname,
+      totalRows: rows.length,
+      validRows: valid.length,
+      invalidRows: errors.length,
+      ignoredColumns: unknownColumns,
+      errors
+    };
+
+    console.log(`📊 Import validation: ${valid.length} valid, ${errors.length} invalid of ${rows.length} rows`);
+
+    if (dryRun) {
+      return res.json({ success: errors.length === 0, dryRun: true, ...report });
+    }
+
+    if (errors.length > 0 && !skipInvalid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: `${errors.length} row(s) have errors - fix them or pass skipInvalid=true`,
+        ...report
+      });
+    }
+
+    if (valid.length === 0) {
+      return res.status(400).json({ success: false, error: 'No valid rows to import', ...report });
+    }
+
+    // ========== COMMIT ==========
+    const actor = actorFromRequest(req);
+    const listingStatus = submitForReview ? 'pending_review' : 'draft';
+    const now = new Date();
+
+    const inserted = await Property.insertMany(valid.map(({ data }) => ({
+      ...data,
+      listingPrices: Object.fromEntries(PRICE_FIELDS
+        .filter(field => data[field])
+        .map(field => [field, data[field]])),
+      listingStatus,
+      submittedAt: submitForReview ? now : undefined,
+      statusHistory: [{ from: null, to: listingStatus, reason: 'Bulk import', changedBy: actor, changedAt: now }]
+    })));
+
+    for (const property of inserted) {
+      await recordPriceChanges(property._id, diffPrices({}, property), {
+        actor,
+        source: 'listing',
+        changedAt: property.createdAt
+      });
+      await recordRevision(property._id, diffProperties(null, property), { action: 'create', actor });
+    }
+
+    // Owner counters are rebuilt once per affected owner instead of per row
+    const affectedOwnerIds = [...new Set(inserted.map(property => property.ownerId))];
+    for (const ownerId of affectedOwnerIds) {
+      await recalculateOwnerStats(String(ownerId));
+    }
+
+    console.log(`✅ Imported ${inserted.length} properties for ${affectedOwnerIds.length} owner(s)`);
+
+    try {
+      await notificationController.createNotification({
+        userId: actor.userId,
+        type: 'property_created',
+        target: 'admin',
+        title: 'Properties Imported',
+        message: `${inserted.length} ${listingStatus === 'draft' ? 'draft' : 'pending'} listing(s) were imported from ${req.file.originalname} by ${actor.email}`,
+        metadata: {
+          file: req.file.originalname,
+          imported: inserted.length,
+          skipped: errors.length,
+          listingStatus
+        }
+      });
+    } catch (notifError) {
+      console.error('⚠️ Notification creation failed:', notifError.message);
+    }
+
+    res.status(201).json({
+      success: true,
+      dryRun: false,
+      ...report,
+      imported: inserted.length,
+      skipped: errors.length,
+      listingStatus,
+      propertyIds: inserted.map(property => property._id)
+    });
+  } catch (err) {
+    if (err.code === 'INVALID_IMPORT') {
+      return res.status(400).json({ error: 'Invalid import file', message: err.message });
+    }
+    console.error('Error importing properties:', err);
+    res.status(500).json({ error: 'Failed to import properties', details: err.message });
+  }
+};
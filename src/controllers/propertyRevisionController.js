@@ -0,0 +1,180 @@
+// controllers/propertyRevisionController.js
+const Property = require('../models/Property');
+const Owner = require('../models/Owner');
+const PropertyRevision = require('../models/PropertyRevision');
+const notificationController = require('./notificationController');
+const { recalculateOwnerStats } = require('./ownerController');
+const { PRICE_FIELDS, populateOwnerDetails } = require('../utils/propertyUtils');
+const { parsePagination } = require('../utils/propertyQuery');
+const { canManageListing } = require('../utils/listingWorkflow');
+const { isUnderOffer } = require('../utils/offerNegotiation');
+const {
+  actorFromRequest,
+  diffPrices,
+  priceTrackingFields,
+  recordPriceChanges
+} = require('../utils/priceHistory');
+const { diffProperties, recordRevision, stateAtRevision } = require('../utils/propertyRevisions');
+
+// GET /api/property/:id/revisions?field=address&page=1&limit=20 - newest first
+exports.getPropertyRevisions = async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.id).select('name ownerId revision');
+    if (!property) return res.status(404).json({ error: 'Property not found' });
+    if (!(await canManageListing(req.user, property))) {
+      return res.status(403).json({ error: 'Access denied', message: 'You cannot view this listing\'s history' });
+    }
+
+    const { limit, page, errors } = parsePagination(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', message: errors.join('; '), errors });
+    }
+
+    const filter = { propertyId: property._id };
+    if (req.query.field) filter['changes.field'] = String(req.query.field);
+
+    const [revisions, total] = await Promise.all([
+      PropertyRevision.find(filter)
+        .sort({ revision: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      PropertyRevision.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      propertyId: property._id,
+      name: property.name,
+      currentRevision: property.revision || 0,
+      revisions,
+      pagination: { total, limit, page, totalPages: Math.ceil(total / limit) }
+    });
+  } catch (err) {
+    console.error('Error fetching property revisions:', err);
+    res.status(500).json({ error: 'Failed to fetch property revisions', details: err.message });
+  }
+};
+
+// POST /api/property/:id/revisions/:revision/revert (admin)
+// Restores the tracked fields to their values right after the given revision.
+// The revert is itself recorded as a new revision, so it can be undone too.
+// Sales go through transactions, so a sold or reserved property is not
+// reverted, and no revert marks a property sold.
+exports.revertToRevision = async (req, res) => {
+  try {
+    const targetRevision = parseInt(req.params.revision);
+    if (isNaN(targetRevision) || targetRevision < 1) {
+      return res.status(400).json({ error: 'Validation failed', message: 'revision must be a positive integer' });
+    }
+
+    const property = await Property.findById(req.params.id);
+    if (!property) return res.status(404).json({ error: 'Property not found' });
+
+    const target = await PropertyRevision.findOne({ propertyId: property._id, revision: targetRevision });
+    if (!target) return res.status(404).json({ error: 'Revision not found' });
+
+    if (property.status === 'sold' || isUnderOffer(property)) {
+      return res.status(409).json({
+        error: 'Property cannot be reverted',
+        message: property.status === 'sold'
+          ? 'This property has been sold'
+          : 'This property is reserved for an accepted offer'
+      });
+    }
+
+    const state = await stateAtRevision(property._id, targetRevision);
+    if (state.status === 'sold') {
+      return res.status(409).json({
+        error: 'Property cannot be reverted',
+        message: `The property was sold at revision ${targetRevision}; sales are only recorded by transactions`
+      });
+    }
+    const ownerChanged = 'ownerId' in state && state.ownerId !== null && String(state.ownerId) !== String(property.ownerId);
+    if (ownerChanged && !(await Owner.exists({ ownerId: state.ownerId }))) {
+      return res.status(409).json({
+        error: 'Property cannot be reverted',
+        message: `Owner ${state.ownerId} is deleted or missing - restore the owner first`
+      });
+    }
+
+    const previousVersion = property.toObject();
+
+    const $set = {};
+    const $unset = {};
+    Object.entries(state).forEach(([field, value]) => {
+      if (value === null) {
+        $unset[field] = 1;
+      } else {
+        $set[field] = value;
+      }
+    });
+
+    const prices = Object.fromEntries(PRICE_FIELDS
+      .filter(field => field in state)
+      .map(field => [field, state[field]]));
+    const priceChanges = diffPrices(property, prices);
+    const priceChangedAt = new Date();
+    Object.assign($set, priceTrackingFields(property, priceChanges, priceChangedAt));
+
+    if (diffProperties(previousVersion, { ...previousVersion, ...state }).length === 0) {
+      return res.json({
+        success: true,
+        message: `Property already matches revision ${targetRevision}`,
+        property: await populateOwnerDetails(property)
+      });
+    }
+
+    const update = {};
+    if (Object.keys($set).length > 0) update.$set = $set;
+    if (Object.keys($unset).length > 0) update.$unset = $unset;
+    const updatedProperty = await Property.findByIdAndUpdate(property._id, update, { new: true, runValidators: true });
+
+    const actor = actorFromRequest(req);
+    await recordPriceChanges(property._id, priceChanges, { actor, changedAt: priceChangedAt });
+    const revision = await recordRevision(property._id, diffProperties(previousVersion, updatedProperty), {
+      action: 'revert',
+      actor,
+      revertedTo: targetRevision
+    });
+    if (revision) updatedProperty.revision = revision.revision;
+
+    // Listing counters of both owners when the owner or status changed
+    if (ownerChanged || String(updatedProperty.status) !== String(property.status)) {
+      const affectedOwnerIds = [...new Set([property.ownerId, updatedProperty.ownerId].map(String))];
+      for (const ownerId of affectedOwnerIds) {
+        await recalculateOwnerStats(ownerId);
+      }
+    }
+
+    console.log(`⏪ Property ${property._id} reverted to revision ${targetRevision} by ${actor.email}`);
+
+    try {
+      await notificationController.createNotification({
+        userId: actor.userId,
+        type: 'property_updated',
+        target: 'admin',
+        title: 'Property Reverted',
+        message: `Property "${updatedProperty.name}" was reverted to revision ${targetRevision}`,
+        propertyName: updatedProperty.name,
+        propertyId: updatedProperty._id,
+        relatedId: updatedProperty._id,
+        metadata: { revertedTo: targetRevision, revision: revision?.revision || null }
+      });
+    } catch (notifError) {
+      console.error('⚠️ Notification creation failed:', notifError.message);
+    }
+
+    res.json({
+      success: true,
+      message: `Property reverted to revision ${targetRevision}`,
+      revision,
+      property: await populateOwnerDetails(updatedProperty)
+    });
+  } catch (err) {
+    if (err.name === 'ValidationError' || err.name === 'CastError') {
+      return res.status(400).json({ error: 'Revert failed validation', message: err.message });
+    }
+    console.error('Error reverting property:', err);
+    res.status(500).json({ error: 'Failed to revert property', details: err.message });
+  }
+};
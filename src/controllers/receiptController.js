@@ -0,0 +1,115 @@
+// controllers/receiptController.js
+// PDF receipts of completed transactions and credit notes of their refunds
+// (utils/receipts). Available to the customer, the listing's managers and admins.
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const Property = require('../models/Property');
+const Receipt = require('../models/Receipt');
+const { canManageListing } = require('../utils/listingWorkflow');
+const { RECEIPTED_STATUSES, pdfFileName, issueReceipt, issueCreditNotes } = require('../utils/receipts');
+const { renderReceiptPdf } = require('../utils/receiptPdf');
+
+// :transactionId is the customTransactionId (URL-encoded) or the document id
+const findTransaction = (transactionId) => Transaction.findOne(
+  mongoose.isValidObjectId(transactionId)
+    ? { $or: [{ _id: transactionId }, { customTransactionId: transactionId }] }
+    : { customTransactionId: transactionId }
+);
+
+const canAccessTransaction = async (user, transaction) => {
+  if (user.role === 'admin') return true;
+  if (transaction.customerEmail && transaction.customerEmail === String(user.email).toLowerCase()) return true;
+  const property = await Property.findById(transaction.property)
+    .setOptions({ withDeleted: true })
+    .select('ownerId');
+  return Boolean(property) && await canManageListing(user, property);
+};
+
+// Loads a completed transaction the caller may see. Sends the error response otherwise.
+const loadTransaction = async (req, res) => {
+  const transaction = await findTransaction(req.params.transactionId);
+  if (!transaction || !(await canAccessTransaction(req.user, transaction))) {
+    res.status(404).json({ error: 'Transaction not found' });
+    return null;
+  }
+  if (!RECEIPTED_STATUSES.includes(transaction.status)) {
+    res.status(409).json({
+      error: 'Transaction not completed',
+      message: `A receipt is issued once the payment completes (the transaction is ${transaction.status})`
+    });
+    return null;
+  }
+  return transaction;
+};
+
+const sendPdf = async (res, document) => {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${pdfFileName(document)}"`,
+    'Cache-Control': 'private, no-store'
+  });
+  res.send(await renderReceiptPdf(document));
+};
+
+// GET /api/payment/transactions/:transactionId/receipt - receipt PDF
+// Transactions completed before receipts existed get theirs now, without an email
+exports.downloadReceipt = async (req, res) => {
+  try {
+    const transaction = await loadTransaction(req, res);
+    if (!transaction) return;
+
+    const receipt = await issueReceipt(transaction, { email: false });
+    await sendPdf(res, receipt);
+  } catch (err) {
+    console.error('Error building receipt:', err);
+    res.status(500).json({ error: 'Failed to build receipt', details: err.message });
+  }
+};
+
+// GET /api/payment/transactions/:transactionId/credit-notes/:refundId - credit note PDF of a refund
+exports.downloadCreditNote = async (req, res) => {
+  try {
+    const transaction = await loadTransaction(req, res);
+    if (!transaction) return;
+    if (!mongoose.isValidObjectId(req.params.refundId)) {
+      return res.status(404).json({ error: 'Credit note not found' });
+    }
+
+    const filter = { transactionId: transaction._id, refundId: req.params.refundId, kind: 'credit_note' };
+    let note = await Receipt.findOne(filter);
+    if (!note) {
+      await issueCreditNotes(transaction, { email: false });
+      note = await Receipt.findOne(filter);
+    }
+    if (!note) {
+      return res.status(404).json({ error: 'Credit note not found', message: 'Credit notes are issued for succeeded refunds' });
+    }
+    await sendPdf(res, note);
+  } catch (err) {
+    console.error('Error building credit note:', err);
+    res.status(500).json({ error: 'Failed to build credit note', details: err.message });
+  }
+};
+
+// GET /api/payment/transactions/:transactionId/documents - receipt and credit notes issued
+exports.getDocuments = async (req, res) => {
+  try {
+    const transaction = await loadTransaction(req, res);
+    if (!transaction) return;
+
+    const documents = await Receipt.find({ transactionId: transaction._id }).sort({ issuedAt: 1 });
+    res.json({
+      success: true,
+      transactionId: transaction.customTransactionId,
+      documents: documents.map(document => ({
+        ...document.toJSON(),
+        downloadPath: document.kind === 'receipt'
+          ? `/api/payment/transactions/${transaction._id}/receipt`
+          : `/api/payment/transactions/${transaction._id}/credit-notes/${document.refundId}`
+      }))
+    });
+  } catch (err) {
+    console.error('Error fetching receipts:', err);
+    res.status(500).json({ error: 'Failed to fetch receipts', details: err.message });
+  }
+};
@@ -0,0 +1,193 @@
+// controllers/refundController.js
+// Admin refunds of recorded transactions through the Stripe API, full or partial.
+// The transaction's status and refunded total are synced from the charge, the
+// same way the charge.refunded webhook does (utils/refunds).
+const mongoose = require('mongoose');
+const stripe = require('../utils/stripeClient');
+const Transaction = require('../models/Transaction');
+const Refund = require('../models/Refund');
+const { actorFromRequest } = require('../utils/priceHistory');
+const { parseMoney, formatMoney } = require('../utils/money');
+const { REFUNDABLE_STATUSES, syncRefundedTotal } = require('../utils/refunds');
+const { postTransactionEntries } = require('../utils/ledger');
+const { issueCreditNotes } = require('../utils/receipts');
+
+const STRIPE_REFUND_REASONS = ['duplicate', 'fraudulent', 'requested_by_customer'];
+
+// :transactionId is the customTransactionId (URL-encoded) or the document id
+const findTransaction = (transactionId) => Transaction.findOne(
+  mongoose.isValidObjectId(transactionId)
+    ? { $or: [{ _id: transactionId }, { customTransactionId: transactionId }] }
+    : { customTransactionId: transactionId }
+);
+
+const refundResponse = (refund) => ({
+  ...refund.toJSON(),
+  amountFormatted: formatMoney(refund.amount, refund.currency)
+});
+
+const refundSummary = (transaction) => {
+  const refundedAmount = transaction.refundedAmount || 0;
+  return {
+    transactionId: transaction.customTransactionId,
+    status: transaction.status,
+    amount: transaction.amount,
+    refundedAmount,
+    refundableAmount: REFUNDABLE_STATUSES.includes(transaction.status) ? transaction.amount - refundedAmount : 0,
+    currency: transaction.currency,
+    refundedFormatted: formatMoney(refundedAmount, transaction.currency)
+  };
+};
+
+/**
+ * Amount to refund: the whole remaining amount when none is given
+ * @returns {{ amount: number|null, error: string|null }}
+ */
+const parseRefundAmount = (body, transaction, remaining) => {
+  if (body.amount === undefined || body.amount === null || body.amount === '') {
+    return { amount: remaining, error: null };
+  }
+  const { money, error } = parseMoney(body.amount, body.currency || transaction.currency);
+  if (error) return { amount: null, error };
+  if (money.currency !== transaction.currency) {
+    return { amount: null, error: `Refunds of this transaction must be in ${transaction.currency}` };
+  }
+  if (money.amount <= 0) return { amount: null, error: 'amount must be greater than zero' };
+  if (money.amount > remaining) {
+    return { amount: null, error: `At most ${formatMoney(remaining, transaction.currency)} can still be refunded` };
+  }
+  return { amount: money.amount, error: null };
+};
+
+// POST /api/payment/transactions/:transactionId/refunds (admin, accepts Idempotency-Key)
+// Body: { amount, currency, reason, stripeReason } - amount in major units (or a
+// { amount, currency } money object), the remaining amount when omitted
+exports.createRefund = async (req, res) => {
+  try {
+    const transaction = await findTransaction(req.params.transactionId);
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+    if (!REFUNDABLE_STATUSES.includes(transaction.status)) {
+      return res.status(409).json({
+        error: 'Not refundable',
+        message: `A ${transaction.status} transaction cannot be refunded`
+      });
+    }
+    if (!transaction.stripePaymentId) {
+      return res.status(409).json({ error: 'Not refundable', message: 'This transaction has no Stripe payment' });
+    }
+
+    const remaining = transaction.amount - (transaction.refundedAmount || 0);
+    const { amount, error } = parseRefundAmount(req.body, transaction, remaining);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid amount', message: error });
+    }
+
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason || reason.length > 500) {
+      return res.status(400).json({ error: 'Invalid reason', message: 'reason is required (max 500 characters)' });
+    }
+    const stripeReason = req.body.stripeReason || null;
+    if (stripeReason && !STRIPE_REFUND_REASONS.includes(stripeReason)) {
+      return res.status(400).json({
+        error: 'Invalid stripeReason',
+        message: `stripeReason must be one of: ${STRIPE_REFUND_REASONS.join(', ')}`
+      });
+    }
+
+    // Recorded first so Stripe's refund carries its id, and a failed call is kept too
+    const refund = await Refund.create({
+      transactionId: transaction._id,
+      paymentIntentId: transaction.stripePaymentId,
+      amount,
+      currency: transaction.currency,
+      reason,
+      stripeReason,
+      source: 'admin',
+      actor: actorFromRequest(req)
+    });
+
+    let stripeRefund;
+    try {
+      stripeRefund = await stripe.refunds.create({
+        payment_intent: transaction.stripePaymentId,
+        amount,
+        reason: stripeReason || undefined,
+        metadata: {
+          refundId: String(refund._id),
+          transactionId: transaction.customTransactionId,
+          reason: reason.slice(0, 500)
+        }
+      }, { idempotencyKey: `refund-${refund._id}` });
+    } catch (stripeError) {
+      console.error('Stripe Error:', stripeError.message);
+      refund.status = 'failed';
+      refund.failureReason = stripeError.message;
+      await refund.save();
+      return res.status(stripeError.type === 'StripeInvalidRequestError' ? 400 : 502).json({
+        error: 'Refund failed',
+        message: stripeError.message,
+        refund: refundResponse(refund)
+      });
+    }
+
+    refund.stripeRefundId = stripeRefund.id;
+    refund.status = stripeRefund.status;
+    refund.failureReason = stripeRefund.failure_reason || undefined;
+    await refund.save();
+
+    if (['failed', 'canceled'].includes(stripeRefund.status)) {
+      return res.status(502).json({
+        error: 'Refund failed',
+        message: `Stripe refund ${stripeRefund.id} is ${stripeRefund.status}`,
+        refund: refundResponse(refund)
+      });
+    }
+
+    // The charge's total also covers refunds made concurrently or in the Stripe dashboard
+    const charge = await stripe.charges.retrieve(stripeRefund.charge);
+    const result = await syncRefundedTotal(transaction, charge.amount_refunded, {
+      source: 'admin',
+      reason: `${formatMoney(amount, transaction.currency)} refunded: ${reason}`,
+      io: req.app.get('io')
+    });
+    const updated = result ? result.transaction : await Transaction.findById(transaction._id);
+    await postTransactionEntries(updated)
+      .catch(err => console.error('⚠️ Ledger posting failed:', err.message));
+    await issueCreditNotes(updated)
+      .catch(err => console.error('⚠️ Credit note failed:', err.message));
+
+    console.log(`💸 Refund ${stripeRefund.id} of ${formatMoney(amount, transaction.currency)} on ${transaction.customTransactionId} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      refund: refundResponse(refund),
+      transaction: refundSummary(updated),
+      reversed: result ? result.undone : null
+    });
+  } catch (err) {
+    console.error('Error creating refund:', err);
+    res.status(500).json({ error: 'Failed to create refund', details: err.message });
+  }
+};
+
+// GET /api/payment/transactions/:transactionId/refunds (admin)
+exports.getRefunds = async (req, res) => {
+  try {
+    const transaction = await findTransaction(req.params.transactionId);
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    const refunds = await Refund.find({ transactionId: transaction._id }).sort({ createdAt: -1 });
+    res.json({
+      success: true,
+      transaction: refundSummary(transaction),
+      refunds: refunds.map(refundResponse)
+    });
+  } catch (err) {
+    console.error('Error fetching refunds:', err);
+    res.status(500).json({ error: 'Failed to fetch refunds', details: err.message });
+  }
+};
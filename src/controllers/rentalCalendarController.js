@@ -0,0 +1,145 @@
+// controllers/rentalCalendarController.js
+const Property = require('../models/Property');
+const RentalBlock = require('../models/RentalBlock');
+const { actorFromRequest } = require('../utils/priceHistory');
+const { canManageListing } = require('../utils/listingWorkflow');
+const {
+  MAX_QUERY_DAYS,
+  parseDay,
+  formatDay,
+  addDays,
+  parseDateRange,
+  reserveRange
+} = require('../utils/rentalCalendar');
+
+// Block types owners set by hand; 'lease' blocks come from rent transactions
+const MANUAL_BLOCK_TYPES = ['owner_block', 'maintenance'];
+
+// Loads the property and checks the caller manages it; sends the error response otherwise
+const loadManagedProperty = async (req, res) => {
+  const property = await Property.findById(req.params.id).select('name ownerId status');
+  if (!property) {
+    res.status(404).json({ error: 'Property not found' });
+    return null;
+  }
+  if (!(await canManageListing(req.user, property))) {
+    res.status(403).json({ error: 'Access denied', message: 'You cannot manage this listing\'s calendar' });
+    return null;
+  }
+  return property;
+};
+
+// GET /api/property/:id/calendar?from=&to=&includeCancelled=true
+// Every block with its details (lease transaction, notes) for the listing's managers
+exports.getCalendar = async (req, res) => {
+  try {
+    const property = await loadManagedProperty(req, res);
+    if (!property) return;
+
+    const from = req.query.from ? parseDay(req.query.from) : parseDay(new Date());
+    const { start, end, error } = parseDateRange(from, req.query.to || addDays(from || new Date(), 365), {
+      startKey: 'from',
+      endKey: 'to',
+      maxDays: MAX_QUERY_DAYS,
+      allowPast: true
+    });
+    if (error) return res.status(400).json({ error: 'Invalid date range', message: error });
+
+    const filter = {
+      propertyId: property._id,
+      startDate: { $lt: end },
+      endDate: { $gt: start }
+    };
+    if (req.query.includeCancelled !== 'true') filter.status = 'active';
+
+    const blocks = await RentalBlock.find(filter)
+      .sort({ startDate: 1 })
+      .populate('transactionId', 'customTransactionId customerName customerEmail amount currency status');
+
+    res.json({
+      success: true,
+      propertyId: property._id,
+      name: property.name,
+      from: start,
+      to: end,
+      blocks
+    });
+  } catch (err) {
+    console.error('Error fetching rental calendar:', err);
+    res.status(500).json({ error: 'Failed to fetch rental calendar', details: err.message });
+  }
+};
+
+// POST /api/property/:id/calendar/blocks
+// Body: { startDate, endDate, type: 'owner_block' | 'maintenance', note } - endDate exclusive
+exports.createCalendarBlock = async (req, res) => {
+  try {
+    const property = await loadManagedProperty(req, res);
+    if (!property) return;
+
+    const type = req.body.type || 'owner_block';
+    if (!MANUAL_BLOCK_TYPES.includes(type)) {
+      return res.status(400).json({
+        error: 'Invalid block type',
+        message: `type must be one of: ${MANUAL_BLOCK_TYPES.join(', ')}`
+      });
+    }
+
+    const { start, end, error } = parseDateRange(req.body.startDate, req.body.endDate);
+    if (error) return res.status(400).json({ error: 'Invalid date range', message: error });
+
+    const { block } = await reserveRange({
+      propertyId: property._id,
+      startDate: start,
+      endDate: end,
+      type,
+      note: typeof req.body.note === 'string' ? req.body.note.trim() : undefined,
+      createdBy: actorFromRequest(req)
+    });
+
+    console.log(`📅 Blocked "${property.name}" ${formatDay(start)} → ${formatDay(end)} (${type})`);
+
+    res.status(201).json({ success: true, block });
+  } catch (err) {
+    if (err.code === 'CALENDAR_CONFLICT' || err.code === 'CALENDAR_BUSY') {
+      return res.status(409).json({
+        error: err.code === 'CALENDAR_BUSY' ? 'Calendar busy' : 'Dates unavailable',
+        message: err.message,
+        conflicts: err.conflicts || []
+      });
+    }
+    console.error('Error creating calendar block:', err);
+    res.status(500).json({ error: 'Failed to create calendar block', details: err.message });
+  }
+};
+
+// DELETE /api/property/:id/calendar/blocks/:blockId
+// Frees the dates again; the block is kept as cancelled for the record
+exports.deleteCalendarBlock = async (req, res) => {
+  try {
+    const property = await loadManagedProperty(req, res);
+    if (!property) return;
+
+    const block = await RentalBlock.findOne({ _id: req.params.blockId, propertyId: property._id });
+    if (!block || block.status !== 'active') {
+      return res.status(404).json({ error: 'Calendar block not found' });
+    }
+    if (block.type === 'lease') {
+      return res.status(409).json({
+        error: 'Lease block',
+        message: 'Lease dates belong to a rent transaction and cannot be removed from the calendar'
+      });
+    }
+
+    block.status = 'cancelled';
+    block.cancelledAt = new Date();
+    await block.save();
+
+    console.log(`🗑️ Calendar block ${block._id} on "${property.name}" cancelled`);
+
+    res.json({ success: true, block });
+  } catch (err) {
+    console.error('Error deleting calendar block:', err);
+    res.status(500).json({ error: 'Failed to delete calendar block', details: err.message });
+  }
+};
@@ -1,6 +1,8 @@
 const Property = require("../models/Property");
 const Owner = require("../models/Owner");
 const Transaction = require("../models/Transaction");
+const { DEFAULT_CURRENCY, fromMinorUnits } = require("../utils/money");
+const { netRevenue } = require("../utils/ledger");
 
 // Get dashboard statistics
 const getDashboardStats = async (req, res) => {
@@ -10,7 +12,7 @@ const getDashboardStats = async (req, res) => {
       propertiesCount,
       ownersCount,
       customersAgg,
-      revenueAgg
+      revenueTotal
     ] = await Promise.all([
       // 1. Count properties
       Property.countDocuments(),
@@ -21,20 +23,20 @@ const getDashboardStats = async (req, res) => {
       // 3. Count unique customers by phone (since no Customer model yet)
       Transaction.distinct("customerPhone"),
       
-      // 4. Calculate total revenue
-      Transaction.aggregate([
-        { $group: { _id: null, total: { $sum: "$amount" } } }
-      ])
+      // 4. Total revenue from the ledger (minor units, reporting currency only, net of refunds;
+      //    deleted transactions are reversed out of it)
+      netRevenue({ currency: DEFAULT_CURRENCY })
     ]);
 
     const customersCount = customersAgg.length;
-    const totalRevenue = revenueAgg.length > 0 ? revenueAgg[0].total : 0;
+    const totalRevenue = fromMinorUnits(revenueTotal);
 
     res.json({
       properties: propertiesCount,
       owners: ownersCount,
       customers: customersCount,
-      revenue: totalRevenue
+      revenue: totalRevenue,
+      currency: DEFAULT_CURRENCY
     });
   } catch (error) {
     console.error("Error fetching stats:", error);
@@ -0,0 +1,277 @@
+// controllers/stripeWebhookController.js
+// Stripe webhook: payments are recorded even when the browser never reaches
+// save-transaction, and refunds, failures and disputes update the transaction.
+const stripe = require('../utils/stripeClient');
+const Transaction = require('../models/Transaction');
+const StripeEvent = require('../models/StripeEvent');
+const notificationController = require('./notificationController');
+const { recordPurchase } = require('./paymentController');
+const { detailsFromIntent } = require('../utils/paymentVerification');
+const { transitionTransaction } = require('../utils/paymentStateMachine');
+const { syncRefundedTotal, recordStripeRefunds } = require('../utils/refunds');
+const { formatDay } = require('../utils/rentalCalendar');
+const { formatMoney } = require('../utils/money');
+const { recordInvoiceIntent } = require('../utils/leaseBilling');
+const { postTransactionEntries } = require('../utils/ledger');
+const { issueCreditNotes } = require('../utils/receipts');
+
+// save-transaction details of a recorded (Pending or Failed) transaction
+const detailsFromTransaction = (transaction) => ({
+  id: transaction.stripePaymentId,
+  purchaseType: transaction.purchaseType,
+  property: { id: String(transaction.property) },
+  customerName: transaction.customerName,
+  customerPhone: transaction.customerPhone,
+  customerEmail: transaction.customerEmail,
+  leaseStartDate: transaction.leaseStartDate ? formatDay(transaction.leaseStartDate) : undefined,
+  leaseEndDate: transaction.leaseEndDate ? formatDay(transaction.leaseEndDate) : undefined,
+  paymentMethod: transaction.paymentMethod
+});
+
+const notifyAdmins = (type, title, message, transaction, metadata = {}) =>
+  notificationController.createNotification({
+    type,
+    target: 'admin',
+    title,
+    message,
+    relatedId: transaction ? transaction._id : null,
+    propertyId: transaction ? transaction.property : undefined,
+    metadata
+  });
+
+// ============ EVENT HANDLERS ============
+// Each returns { outcome, paymentIntentId, transactionId } for the StripeEvent log
+
+// Rent invoice payments carry the invoice in their metadata - no transaction involved
+const onInvoicePaymentSucceeded = async (intent) => {
+  const base = { paymentIntentId: intent.id, transactionId: null };
+  const result = await recordInvoiceIntent(intent, 'webhook');
+  if (result.invoice) {
+    return { ...base, outcome: result.duplicate ? 'invoice payment already recorded' : `invoice ${result.invoice.number} ${result.invoice.status}` };
+  }
+
+  await notifyAdmins(
+    'transaction_failed',
+    'Payment Needs Attention',
+    `Payment ${intent.id} for invoice ${intent.metadata.invoiceNumber || intent.metadata.invoiceId} could not be applied: ${result.error} - ${result.message}`,
+    null,
+    { stripePaymentId: intent.id, invoiceId: intent.metadata.invoiceId, error: result.error }
+  );
+  return { ...base, outcome: `rejected: ${result.error}` };
+};
+
+const onPaymentSucceeded = async (event, { io }) => {
+  const intent = event.data.object;
+  if (intent.metadata && intent.metadata.invoiceId) return onInvoicePaymentSucceeded(intent);
+
+  const existing = await Transaction.findOne({ stripePaymentId: intent.id });
+  const base = { paymentIntentId: intent.id, transactionId: existing ? existing._id : null };
+
+  if (existing && ['Completed', 'PartiallyRefunded', 'Refunded'].includes(existing.status)) {
+    return { ...base, outcome: `already ${existing.status}` };
+  }
+
+  const details = existing ? detailsFromTransaction(existing) : detailsFromIntent(intent);
+  if (!details) {
+    // Paid but nothing says what for - needs a person to match it up
+    await notifyAdmins(
+      'payment',
+      'Unmatched Payment',
+      `Payment ${intent.id} of ${formatMoney(intent.amount, intent.currency.toUpperCase())} succeeded without purchase details`,
+      null,
+      { stripePaymentId: intent.id }
+    );
+    return { ...base, outcome: 'unmatched' };
+  }
+
+  const result = await recordPurchase(details, { io, intent, source: 'webhook', eventId: event.id });
+  const recorded = await Transaction.findOne({ stripePaymentId: intent.id }).select('_id');
+  base.transactionId = recorded ? recorded._id : base.transactionId;
+
+  if (result.status < 300) {
+    return { ...base, outcome: existing ? `${existing.status} -> Completed` : 'recorded' };
+  }
+  if (result.body.error === 'Payment already recorded') {
+    return { ...base, outcome: 'already recorded' };
+  }
+
+  // The money was taken but the purchase cannot go through (sold meanwhile,
+  // dates taken, wrong amount) - flag it for a refund
+  await notifyAdmins(
+    'transaction_failed',
+    'Payment Needs Attention',
+    `Payment ${intent.id} succeeded but could not be applied: ${result.body.error}${result.body.message ? ` - ${result.body.message}` : ''}`,
+    existing,
+    { stripePaymentId: intent.id, error: result.body.error }
+  );
+  return { ...base, outcome: `rejected: ${result.body.error}` };
+};
+
+const onPaymentFailed = async (event) => {
+  const intent = event.data.object;
+  const transaction = await Transaction.findOne({ stripePaymentId: intent.id });
+  const base = { paymentIntentId: intent.id, transactionId: transaction ? transaction._id : null };
+  if (!transaction) return { ...base, outcome: 'no transaction' };
+
+  const reason = (intent.last_payment_error && intent.last_payment_error.message) || 'Payment failed';
+  const updated = await transitionTransaction(transaction, 'Failed', {
+    source: 'webhook',
+    eventId: event.id,
+    reason,
+    set: { failureReason: reason }
+  });
+  if (!updated) return { ...base, outcome: `unchanged (${transaction.status})` };
+
+  await notifyAdmins(
+    'transaction_failed',
+    'Payment Failed',
+    `Transaction ${transaction.customTransactionId} - ${reason}`,
+    updated,
+    { stripePaymentId: intent.id }
+  );
+  return { ...base, outcome: `${transaction.status} -> Failed` };
+};
+
+const onChargeRefunded = async (event, { io }) => {
+  const charge = event.data.object;
+  const transaction = charge.payment_intent
+    ? await Transaction.findOne({ stripePaymentId: charge.payment_intent })
+    : null;
+  const base = { paymentIntentId: charge.payment_intent || null, transactionId: transaction ? transaction._id : null };
+  if (!transaction) return { ...base, outcome: 'no transaction' };
+
+  // Newer API versions leave the refunds list off the charge
+  await recordStripeRefunds(transaction, charge.refunds ? charge.refunds.data : []);
+
+  const result = await syncRefundedTotal(transaction, charge.amount_refunded, {
+    source: 'webhook',
+    eventId: event.id,
+    io
+  });
+  // Refunds that were still pending when the total first changed are posted now
+  await postTransactionEntries(result ? result.transaction : transaction)
+    .catch(err => console.error('⚠️ Ledger posting failed:', err.message));
+  // Same for their credit notes
+  await issueCreditNotes(result ? result.transaction : transaction)
+    .catch(err => console.error('⚠️ Credit note failed:', err.message));
+  if (!result) return { ...base, outcome: `unchanged (${transaction.status})` };
+
+  const { status } = result.transaction;
+  return { ...base, outcome: `${transaction.status} -> ${status}${result.undone ? `, ${result.undone}` : ''}` };
+};
+
+const onDisputeCreated = async (event) => {
+  const dispute = event.data.object;
+  const transaction = dispute.payment_intent
+    ? await Transaction.findOne({ stripePaymentId: dispute.payment_intent })
+    : null;
+  const base = { paymentIntentId: dispute.payment_intent || null, transactionId: transaction ? transaction._id : null };
+
+  if (transaction) {
+    await Transaction.updateOne(
+      { _id: transaction._id },
+      {
+        $set: {
+          dispute: {
+            id: dispute.id,
+            status: dispute.status,
+            reason: dispute.reason,
+            amount: dispute.amount,
+            openedAt: new Date(dispute.created * 1000)
+          }
+        }
+      }
+    );
+  }
+
+  await notifyAdmins(
+    'alert',
+    'Payment Disputed',
+    `${transaction ? `Transaction ${transaction.customTransactionId}` : `Payment ${dispute.payment_intent}`} disputed (${dispute.reason}) - ${formatMoney(dispute.amount, dispute.currency.toUpperCase())}`,
+    transaction,
+    { disputeId: dispute.id, stripePaymentId: dispute.payment_intent }
+  );
+  return { ...base, outcome: transaction ? 'dispute recorded' : 'dispute without transaction' };
+};
+
+const STRIPE_EVENT_HANDLERS = {
+  'payment_intent.succeeded': onPaymentSucceeded,
+  'payment_intent.payment_failed': onPaymentFailed,
+  'charge.refunded': onChargeRefunded,
+  'charge.dispute.created': onDisputeCreated
+};
+
+/**
+ * Applies a verified Stripe event once. Redelivered events that were already
+ * processed are acknowledged without running again; failed ones are retried.
+ * Exported so recorded event fixtures can be replayed without a signature.
+ * @param {Object} event - Stripe Event object
+ * @param {Object} options - { io }
+ * @returns {Promise<{ duplicate?: boolean, ignored?: boolean, outcome?: string }>}
+ */
+const processStripeEvent = async (event, { io = null } = {}) => {
+  const record = await StripeEvent.findOneAndUpdate(
+    { eventId: event.id },
+    {
+      $setOnInsert: {
+        type: event.type,
+        livemode: event.livemode,
+        stripeCreatedAt: event.created ? new Date(event.created * 1000) : undefined
+      },
+      $inc: { attempts: 1 }
+    },
+    { upsert: true, new: true }
+  );
+  if (['processed', 'ignored'].includes(record.status) && record.attempts > 1) {
+    console.log(`ℹ️ Stripe event ${event.id} already handled`);
+    return { duplicate: true, outcome: record.outcome };
+  }
+
+  const handler = STRIPE_EVENT_HANDLERS[event.type];
+  if (!handler) {
+    record.status = 'ignored';
+    await record.save();
+    return { ignored: true };
+  }
+
+  try {
+    const result = await handler(event, { io });
+    record.set({ ...result, status: 'processed', error: undefined, processedAt: new Date() });
+    await record.save();
+    console.log(`💳 Stripe ${event.type} (${event.id}): ${result.outcome}`);
+    return { outcome: result.outcome };
+  } catch (err) {
+    record.set({ status: 'failed', error: err.message });
+    await record.save();
+    throw err;
+  }
+};
+
+// POST /api/payment/webhook - called by Stripe, authenticated by the
+// Stripe-Signature header over the raw request body (STRIPE_WEBHOOK_SECRET)
+exports.handleStripeWebhook = async (req, res) => {
+  const secret = process.env.STRIPE_WEBHOOK_SECRET;
+  if (!secret) {
+    console.error('❌ STRIPE_WEBHOOK_SECRET is not set');
+    return res.status(503).json({ error: 'Webhook not configured' });
+  }
+
+  let event;
+  try {
+    event = stripe.webhooks.constructEvent(req.rawBody, req.headers['stripe-signature'], secret);
+  } catch (err) {
+    console.log(`❌ Stripe webhook rejected: ${err.message}`);
+    return res.status(400).json({ error: 'Invalid signature', message: err.message });
+  }
+
+  try {
+    const result = await processStripeEvent(event, { io: req.app.get('io') });
+    res.json({ received: true, ...result });
+  } catch (err) {
+    // A non-2xx answer makes Stripe deliver the event again later
+    console.error(`❌ Stripe webhook ${event.type} (${event.id}) failed:`, err);
+    res.status(500).json({ error: 'Failed to process webhook', details: err.message });
+  }
+};
+
+exports.processStripeEvent = processStripeEvent;
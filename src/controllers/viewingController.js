@@ -0,0 +1,463 @@
+// controllers/viewingController.js
+const Property = require('../models/Property');
+const Profile = require('../models/Profile');
+const Viewing = require('../models/Viewing');
+const ViewingSlot = require('../models/ViewingSlot');
+const { parsePagination } = require('../utils/propertyQuery');
+const { actorFromRequest } = require('../utils/priceHistory');
+const { isPublished, ownerIdsForUser, canManageListing } = require('../utils/listingWorkflow');
+const {
+  OPEN_VIEWING_STATUSES,
+  parseViewingTime,
+  parseSlotWindow,
+  overlapFilter,
+  freeIntervals,
+  reserveViewingTime
+} = require('../utils/viewingSchedule');
+const { loadViewingContext, viewingCalendar, notifyViewing } = require('../utils/viewingNotifications');
+
+const SCHEDULE_ERROR_CODES = ['OUTSIDE_AVAILABILITY', 'VIEWING_CONFLICT', 'CUSTOMER_CONFLICT', 'CALENDAR_BUSY'];
+
+const sendScheduleError = (res, err) => res.status(409).json({
+  error: err.code === 'OUTSIDE_AVAILABILITY' ? 'Time not available' : 'Scheduling conflict',
+  code: err.code,
+  message: err.message,
+  conflicts: err.conflicts || []
+});
+
+const isCustomer = (user, viewing) => !!user && String(viewing.customer.userId) === String(user.id);
+
+// Customers see their own viewings, managers those of listings they manage
+const canAccessViewing = async (user, viewing) => {
+  if (isCustomer(user, viewing) || user.role === 'admin') return true;
+  const property = await Property.findById(viewing.propertyId).select('ownerId');
+  return !!property && canManageListing(user, property);
+};
+
+// Loads the property and checks the caller manages it; sends the error response otherwise
+const loadManagedProperty = async (req, res, propertyId) => {
+  const property = await Property.findById(propertyId).select('name ownerId');
+  if (!property) {
+    res.status(404).json({ error: 'Property not found' });
+    return null;
+  }
+  if (!(await canManageListing(req.user, property))) {
+    res.status(403).json({ error: 'Access denied', message: 'You cannot manage viewings for this listing' });
+    return null;
+  }
+  return property;
+};
+
+// Saves a status change guarded on the status that was read, so two admins
+// acting on the same viewing cannot both succeed. Returns false on a lost race.
+const saveGuarded = async (viewing, previousStatus) => {
+  viewing.$where = { status: previousStatus };
+  try {
+    await viewing.save();
+    return true;
+  } catch (err) {
+    if (err.name === 'DocumentNotFoundError') return false;
+    throw err;
+  }
+};
+
+const staleViewing = (res) => res.status(409).json({
+  error: 'Viewing changed',
+  message: 'The viewing was updated while this request was processed, reload and retry'
+});
+
+// ============ AVAILABILITY WINDOWS ============
+
+// GET /api/viewings/property/:propertyId/slots?from=&to=
+// Published windows from now on with the times still free in each
+exports.getPropertySlots = async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.propertyId).select('name ownerId listingStatus');
+    if (!property || !isPublished(property)) {
+      return res.status(404).json({ error: 'Property not found' });
+    }
+
+    const now = new Date();
+    const from = req.query.from ? new Date(req.query.from) : now;
+    const to = req.query.to ? new Date(req.query.to) : new Date(now.getTime() + 30 * 24 * 60 * 60 * 1000);
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || to <= from) {
+      return res.status(400).json({ error: 'Invalid date range', message: 'from and to must be ISO 8601 dates with from before to' });
+    }
+    const start = from < now ? now : from;
+
+    const [slots, booked] = await Promise.all([
+      ViewingSlot.find({ propertyId: property._id, status: 'active', ...overlapFilter(start, to) }).sort({ startTime: 1 }),
+      Viewing.find({ propertyId: property._id, status: { $in: OPEN_VIEWING_STATUSES }, ...overlapFilter(start, to) })
+        .select('startTime endTime')
+        .sort({ startTime: 1 })
+    ]);
+
+    res.json({
+      success: true,
+      propertyId: property._id,
+      propertyName: property.name,
+      slots: slots.map(slot => ({
+        _id: slot._id,
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        note: slot.note || null,
+        available: freeIntervals(slot.startTime < start ? start : slot.startTime, slot.endTime, booked)
+      }))
+    });
+  } catch (err) {
+    console.error('Error fetching viewing slots:', err);
+    res.status(500).json({ error: 'Failed to fetch viewing slots', details: err.message });
+  }
+};
+
+// POST /api/viewings/property/:propertyId/slots
+// Body: { startTime, endTime, note } - a window in which viewings can be requested
+exports.createSlot = async (req, res) => {
+  try {
+    const property = await loadManagedProperty(req, res, req.params.propertyId);
+    if (!property) return;
+
+    const { start, end, error } = parseSlotWindow(req.body.startTime, req.body.endTime);
+    if (error) return res.status(400).json({ error: 'Validation failed', message: error });
+
+    const overlapping = await ViewingSlot.findOne({ propertyId: property._id, status: 'active', ...overlapFilter(start, end) });
+    if (overlapping) {
+      return res.status(409).json({
+        error: 'Overlapping window',
+        message: 'This window overlaps one already published for the property',
+        slot: overlapping
+      });
+    }
+
+    const slot = await ViewingSlot.create({
+      propertyId: property._id,
+      startTime: start,
+      endTime: end,
+      note: typeof req.body.note === 'string' ? req.body.note.trim() : undefined,
+      createdBy: actorFromRequest(req)
+    });
+
+    console.log(`🗓️ Viewing window published for "${property.name}": ${start.toISOString()} → ${end.toISOString()}`);
+    res.status(201).json({ success: true, slot });
+  } catch (err) {
+    console.error('Error creating viewing slot:', err);
+    res.status(500).json({ error: 'Failed to create viewing slot', details: err.message });
+  }
+};
+
+// DELETE /api/viewings/slots/:slotId - only while no open viewing falls inside it
+exports.deleteSlot = async (req, res) => {
+  try {
+    const slot = await ViewingSlot.findById(req.params.slotId);
+    if (!slot || slot.status !== 'active') return res.status(404).json({ error: 'Viewing slot not found' });
+
+    const property = await loadManagedProperty(req, res, slot.propertyId);
+    if (!property) return;
+
+    const booked = await Viewing.countDocuments({
+      propertyId: slot.propertyId,
+      status: { $in: OPEN_VIEWING_STATUSES },
+      ...overlapFilter(slot.startTime, slot.endTime)
+    });
+    if (booked > 0) {
+      return res.status(409).json({
+        error: 'Window has viewings',
+        message: `${booked} viewing(s) are booked in this window - cancel or reschedule them first`
+      });
+    }
+
+    slot.status = 'cancelled';
+    slot.cancelledAt = new Date();
+    await slot.save();
+
+    res.json({ success: true, slot });
+  } catch (err) {
+    console.error('Error deleting viewing slot:', err);
+    res.status(500).json({ error: 'Failed to delete viewing slot', details: err.message });
+  }
+};
+
+// ============ VIEWING REQUESTS ============
+
+// POST /api/viewings
+// Body: { propertyId, startTime, durationMinutes (default 30), name, phone, message }
+exports.requestViewing = async (req, res) => {
+  try {
+    const { propertyId, startTime, durationMinutes } = req.body;
+    const property = propertyId ? await Property.findById(propertyId).select('name ownerId status listingStatus') : null;
+    if (!property || !isPublished(property)) {
+      return res.status(404).json({ error: 'Property not found' });
+    }
+    if (property.status === 'sold') {
+      return res.status(400).json({ error: 'Property already sold', message: 'Viewings cannot be booked for sold properties' });
+    }
+
+    const { start, end, error } = parseViewingTime(startTime, durationMinutes);
+    if (error) return res.status(400).json({ error: 'Validation failed', message: error });
+
+    const profile = await Profile.findOne({ email: req.user.email.toLowerCase() });
+    const profileName = profile ? `${profile.firstName || ''} ${profile.lastName || ''}`.trim() : '';
+    const name = profileName || (typeof req.body.name === 'string' ? req.body.name.trim() : '');
+    if (!name) {
+      return res.status(400).json({ error: 'Validation failed', message: 'name is required when you have no profile' });
+    }
+
+    const actor = actorFromRequest(req);
+    const viewing = new Viewing({
+      propertyId: property._id,
+      customer: {
+        userId: req.user.id,
+        name,
+        email: req.user.email,
+        phone: profile?.phone || req.body.phone
+      },
+      startTime: start,
+      endTime: end,
+      message: req.body.message,
+      history: [{ action: 'request', from: null, to: 'requested', startTime: start, endTime: end, changedBy: actor }]
+    });
+
+    await reserveViewingTime(
+      { propertyId: property._id, customerId: req.user.id, start, end },
+      { requireSlot: true },
+      () => viewing.save()
+    );
+
+    console.log(`🏠 Viewing requested for "${property.name}" by ${req.user.email} at ${start.toISOString()}`);
+    await notifyViewing(viewing, 'requested', { actor });
+
+    res.status(201).json({ success: true, viewing });
+  } catch (err) {
+    if (SCHEDULE_ERROR_CODES.includes(err.code)) return sendScheduleError(res, err);
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation failed', message: err.message });
+    }
+    console.error('Error requesting viewing:', err);
+    res.status(500).json({ error: 'Failed to request viewing', details: err.message });
+  }
+};
+
+// GET /api/viewings/mine?status=&upcoming=true - the caller's own viewings
+exports.getMyViewings = async (req, res) => {
+  try {
+    const filter = { 'customer.userId': req.user.id };
+    if (req.query.status) filter.status = { $in: String(req.query.status).split(',') };
+    if (req.query.upcoming === 'true') filter.endTime = { $gte: new Date() };
+
+    const viewings = await Viewing.find(filter)
+      .sort({ startTime: req.query.upcoming === 'true' ? 1 : -1 })
+      .limit(100)
+      .populate('propertyId', 'name address city status');
+
+    res.json({ success: true, viewings });
+  } catch (err) {
+    console.error('Error fetching viewings:', err);
+    res.status(500).json({ error: 'Failed to fetch viewings', details: err.message });
+  }
+};
+
+// GET /api/viewings?status=&propertyId=&from=&to=&page=&limit=
+// Admins and agents see every viewing, owners those of their own listings
+exports.getViewings = async (req, res) => {
+  try {
+    const { limit, page, errors } = parsePagination(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', message: errors.join('; '), errors });
+    }
+
+    const filter = {};
+    if (req.query.status) filter.status = { $in: String(req.query.status).split(',') };
+    if (req.query.from || req.query.to) {
+      const from = req.query.from ? new Date(req.query.from) : null;
+      const to = req.query.to ? new Date(req.query.to) : null;
+      if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+        return res.status(400).json({ error: 'Validation failed', message: 'from and to must be ISO 8601 dates' });
+      }
+      filter.startTime = { ...(from && { $gte: from }), ...(to && { $lt: to }) };
+    }
+
+    if (req.user.role === 'owner') {
+      const ownerIds = await ownerIdsForUser(req.user);
+      const propertyIds = await Property.distinct('_id', { ownerId: { $in: ownerIds } });
+      filter.propertyId = { $in: propertyIds };
+    }
+    if (req.query.propertyId) {
+      const allowed = !filter.propertyId || filter.propertyId.$in.some(id => String(id) === String(req.query.propertyId));
+      filter.propertyId = allowed ? req.query.propertyId : { $in: [] };
+    }
+
+    const [viewings, total] = await Promise.all([
+      Viewing.find(filter)
+        .sort({ startTime: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('propertyId', 'name address city ownerId ownerName'),
+      Viewing.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      viewings,
+      pagination: { total, limit, page, totalPages: Math.ceil(total / limit) }
+    });
+  } catch (err) {
+    console.error('Error fetching viewings:', err);
+    res.status(500).json({ error: 'Failed to fetch viewings', details: err.message });
+  }
+};
+
+// GET /api/viewings/:id
+exports.getViewingById = async (req, res) => {
+  try {
+    const viewing = await Viewing.findById(req.params.id).populate('propertyId', 'name address city zip country ownerId');
+    if (!viewing) return res.status(404).json({ error: 'Viewing not found' });
+
+    const property = viewing.propertyId;
+    const allowed = isCustomer(req.user, viewing) || req.user.role === 'admin'
+      || (property && await canManageListing(req.user, property));
+    if (!allowed) return res.status(404).json({ error: 'Viewing not found' });
+
+    res.json({ success: true, viewing });
+  } catch (err) {
+    console.error('Error fetching viewing:', err);
+    res.status(500).json({ error: 'Failed to fetch viewing', details: err.message });
+  }
+};
+
+// GET /api/viewings/:id/ics - calendar file for a confirmed (or cancelled) viewing
+exports.downloadViewingIcs = async (req, res) => {
+  try {
+    const viewing = await Viewing.findById(req.params.id);
+    if (!viewing || !(await canAccessViewing(req.user, viewing))) {
+      return res.status(404).json({ error: 'Viewing not found' });
+    }
+    if (!['confirmed', 'cancelled'].includes(viewing.status)) {
+      return res.status(409).json({
+        error: 'Viewing not confirmed',
+        message: 'A calendar invitation is available once the viewing is confirmed'
+      });
+    }
+
+    const context = await loadViewingContext(viewing);
+    const method = viewing.status === 'cancelled' ? 'CANCEL' : 'REQUEST';
+    res.set({
+      'Content-Type': `text/calendar; charset=utf-8; method=${method}`,
+      'Content-Disposition': `attachment; filename="viewing-${viewing._id}.ics"`
+    });
+    res.send(viewingCalendar(viewing, context, method));
+  } catch (err) {
+    console.error('Error building viewing calendar:', err);
+    res.status(500).json({ error: 'Failed to build calendar file', details: err.message });
+  }
+};
+
+// ============ ADMIN ACTIONS ============
+
+// POST /api/viewings/:id/confirm (admin)
+exports.confirmViewing = async (req, res) => {
+  try {
+    const viewing = await Viewing.findById(req.params.id);
+    if (!viewing) return res.status(404).json({ error: 'Viewing not found' });
+    if (viewing.status !== 'requested') {
+      return res.status(409).json({ error: 'Invalid viewing status', message: `Cannot confirm a ${viewing.status} viewing` });
+    }
+    if (viewing.startTime <= new Date()) {
+      return res.status(409).json({ error: 'Viewing in the past', message: 'Reschedule the viewing before confirming it' });
+    }
+
+    const actor = actorFromRequest(req);
+    viewing.status = 'confirmed';
+    viewing.confirmedAt = new Date();
+    viewing.sequence += 1;
+    viewing.history.push({ action: 'confirm', from: 'requested', to: 'confirmed', changedBy: actor });
+
+    if (!(await saveGuarded(viewing, 'requested'))) return staleViewing(res);
+
+    console.log(`✅ Viewing ${viewing._id} confirmed by ${actor.email}`);
+    await notifyViewing(viewing, 'confirmed', { actor });
+
+    res.json({ success: true, viewing });
+  } catch (err) {
+    console.error('Error confirming viewing:', err);
+    res.status(500).json({ error: 'Failed to confirm viewing', details: err.message });
+  }
+};
+
+// POST /api/viewings/:id/reschedule (admin)
+// Body: { startTime, durationMinutes, reason } - may fall outside the owner's published windows
+exports.rescheduleViewing = async (req, res) => {
+  try {
+    const viewing = await Viewing.findById(req.params.id);
+    if (!viewing) return res.status(404).json({ error: 'Viewing not found' });
+    if (!OPEN_VIEWING_STATUSES.includes(viewing.status)) {
+      return res.status(409).json({ error: 'Invalid viewing status', message: `Cannot reschedule a ${viewing.status} viewing` });
+    }
+
+    const currentMinutes = Math.round((viewing.endTime - viewing.startTime) / 60000);
+    const { start, end, error } = parseViewingTime(req.body.startTime, req.body.durationMinutes ?? currentMinutes);
+    if (error) return res.status(400).json({ error: 'Validation failed', message: error });
+
+    const actor = actorFromRequest(req);
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    const status = viewing.status;
+
+    viewing.startTime = start;
+    viewing.endTime = end;
+    viewing.sequence += 1;
+    viewing.reminderSentAt = null;
+    viewing.history.push({
+      action: 'reschedule', from: status, to: status, startTime: start, endTime: end, reason: reason || undefined, changedBy: actor
+    });
+
+    const saved = await reserveViewingTime(
+      { propertyId: viewing.propertyId, customerId: viewing.customer.userId, start, end, excludeId: viewing._id },
+      { requireSlot: false },
+      () => saveGuarded(viewing, status)
+    );
+    if (!saved) return staleViewing(res);
+
+    console.log(`🔁 Viewing ${viewing._id} rescheduled to ${start.toISOString()} by ${actor.email}`);
+    await notifyViewing(viewing, 'rescheduled', { actor, reason });
+
+    res.json({ success: true, viewing });
+  } catch (err) {
+    if (SCHEDULE_ERROR_CODES.includes(err.code)) return sendScheduleError(res, err);
+    console.error('Error rescheduling viewing:', err);
+    res.status(500).json({ error: 'Failed to reschedule viewing', details: err.message });
+  }
+};
+
+// POST /api/viewings/:id/cancel - admins, or the customer who requested it
+// Body: { reason }
+exports.cancelViewing = async (req, res) => {
+  try {
+    const viewing = await Viewing.findById(req.params.id);
+    if (!viewing) return res.status(404).json({ error: 'Viewing not found' });
+    if (req.user.role !== 'admin' && !isCustomer(req.user, viewing)) {
+      return res.status(403).json({ error: 'Access denied', message: 'Only admins or the customer can cancel this viewing' });
+    }
+    if (!OPEN_VIEWING_STATUSES.includes(viewing.status)) {
+      return res.status(409).json({ error: 'Invalid viewing status', message: `Cannot cancel a ${viewing.status} viewing` });
+    }
+
+    const actor = actorFromRequest(req);
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+    const status = viewing.status;
+
+    viewing.status = 'cancelled';
+    viewing.cancelledAt = new Date();
+    viewing.cancellationReason = reason || undefined;
+    viewing.sequence += 1;
+    viewing.history.push({ action: 'cancel', from: status, to: 'cancelled', reason: reason || undefined, changedBy: actor });
+
+    if (!(await saveGuarded(viewing, status))) return staleViewing(res);
+
+    console.log(`🚫 Viewing ${viewing._id} cancelled by ${actor.email}`);
+    await notifyViewing(viewing, 'cancelled', { actor, reason, wasConfirmed: status === 'confirmed' });
+
+    res.json({ success: true, viewing });
+  } catch (err) {
+    console.error('Error cancelling viewing:', err);
+    res.status(500).json({ error: 'Failed to cancel viewing', details: err.message });
+  }
+};
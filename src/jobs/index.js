@@ -0,0 +1,84 @@
+// src/jobs/index.js
+// In-process scheduler for periodic background jobs. Set DISABLE_JOBS=true on
+// instances that should not run them.
+//
+// Every other server instance runs every job, possibly at the same moment.
+// Jobs therefore claim each item with a conditional update (or an idempotent
+// key or unique index) before acting on it, so no item is handled twice.
+const { runViewingReminders } = require('./viewingReminders');
+const { runOfferExpiry } = require('./offerExpiry');
+const { runPurgeDeleted } = require('./purgeDeleted');
+const { runLeaseBilling } = require('./leaseBilling');
+const { runLedgerSync } = require('./ledgerSync');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const JOBS = [
+  {
+    name: 'viewing-reminders',
+    run: runViewingReminders,
+    intervalMs: (parseInt(process.env.VIEWING_REMINDER_INTERVAL_MINUTES) || 10) * MINUTE_MS
+  },
+  {
+    name: 'offer-expiry',
+    run: runOfferExpiry,
+    intervalMs: (parseInt(process.env.OFFER_EXPIRY_INTERVAL_MINUTES) || 5) * MINUTE_MS
+  },
+  {
+    name: 'purge-deleted',
+    run: runPurgeDeleted,
+    intervalMs: (parseInt(process.env.PURGE_DELETED_INTERVAL_HOURS) || 24) * HOUR_MS
+  },
+  {
+    name: 'lease-billing',
+    run: runLeaseBilling,
+    intervalMs: (parseInt(process.env.LEASE_BILLING_INTERVAL_MINUTES) || 60) * MINUTE_MS
+  },
+  {
+    name: 'ledger-sync',
+    run: runLedgerSync,
+    intervalMs: (parseInt(process.env.LEDGER_SYNC_INTERVAL_MINUTES) || 30) * MINUTE_MS
+  }
+];
+
+const timers = [];
+
+// Runs a job on its interval, skipping a tick while the previous run is still going
+const schedule = (job) => {
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await job.run();
+    } catch (err) {
+      console.error(`❌ Job ${job.name} failed:`, err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, job.intervalMs);
+  timer.unref();
+  timers.push(timer);
+  tick();
+};
+
+const startJobs = () => {
+  if (process.env.DISABLE_JOBS === 'true') {
+    console.log('⏸️ Background jobs disabled (DISABLE_JOBS=true)');
+    return;
+  }
+  JOBS.forEach(schedule);
+  console.log(`⏱️ Background jobs started: ${JOBS.map(job => job.name).join(', ')}`);
+};
+
+const stopJobs = () => {
+  timers.splice(0).forEach(clearInterval);
+};
+
+module.exports = {
+  startJobs,
+  stopJobs
+};
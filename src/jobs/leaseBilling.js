@@ -0,0 +1,63 @@
+// src/jobs/leaseBilling.js
+// Issues monthly rent invoices, ends leases whose term is over, adds late fees
+// and reminds tenants of overdue invoices.
+const Lease = require('../models/Lease');
+const Invoice = require('../models/Invoice');
+const { addDays } = require('../utils/rentalCalendar');
+const {
+  INVOICE_LEAD_DAYS,
+  OVERDUE_REMINDER_DAYS,
+  MAX_OVERDUE_REMINDERS,
+  issueDueInvoices,
+  applyLateFee,
+  remindOverdue
+} = require('../utils/leaseBilling');
+
+/**
+ * Invoices, late fees and reminders are each claimed through utils/leaseBilling.
+ * @returns {Promise<{ issued: number, ended: number, lateFees: number, reminded: number }>}
+ */
+const runLeaseBilling = async (now = new Date()) => {
+  const billable = await Lease.find({
+    status: 'active',
+    nextPeriodStart: { $ne: null, $lte: addDays(now, INVOICE_LEAD_DAYS) }
+  });
+  let issued = 0;
+  for (const lease of billable) {
+    issued += (await issueDueInvoices(lease, now)).length;
+  }
+
+  const { modifiedCount: ended } = await Lease.updateMany(
+    { status: 'active', nextPeriodStart: null, endDate: { $lte: now } },
+    { $set: { status: 'ended', endedAt: now } }
+  );
+
+  const late = await Invoice.find({ status: 'open', lateFeeAppliedAt: null, lateFeeAt: { $lte: now } });
+  let lateFees = 0;
+  for (const invoice of late) {
+    if (await applyLateFee(invoice, now)) lateFees++;
+  }
+
+  const overdue = await Invoice.find({
+    status: 'open',
+    dueDate: { $lt: now },
+    reminderCount: { $lt: MAX_OVERDUE_REMINDERS },
+    $or: [
+      { lastReminderAt: null },
+      { lastReminderAt: { $lte: addDays(now, -OVERDUE_REMINDER_DAYS) } }
+    ]
+  });
+  let reminded = 0;
+  for (const invoice of overdue) {
+    if (await remindOverdue(invoice, now)) reminded++;
+  }
+
+  if (issued > 0 || ended > 0 || lateFees > 0 || reminded > 0) {
+    console.log(`🧾 Lease billing: ${issued} invoice(s) issued, ${ended} lease(s) ended, ${lateFees} late fee(s), ${reminded} reminder(s)`);
+  }
+  return { issued, ended, lateFees, reminded };
+};
+
+module.exports = {
+  runLeaseBilling
+};
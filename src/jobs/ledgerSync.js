@@ -0,0 +1,27 @@
+// src/jobs/ledgerSync.js
+// Posts money movements the live hooks missed to the ledger. The first run
+// against an empty ledger backfills everything recorded before it existed.
+const JournalEntry = require('../models/JournalEntry');
+const { syncLedger } = require('../utils/ledger');
+
+// Postings are retried for records changed within this window
+const LOOKBACK_HOURS = parseInt(process.env.LEDGER_SYNC_LOOKBACK_HOURS) || 48;
+
+/**
+ * @returns {Promise<{ transactions: number, invoices: number, escrow: number }>} - Entries posted
+ */
+const runLedgerSync = async (now = new Date()) => {
+  const backfill = !(await JournalEntry.exists({}));
+  const since = backfill ? null : new Date(now.getTime() - LOOKBACK_HOURS * 60 * 60 * 1000);
+  const counts = await syncLedger({ since });
+
+  const posted = counts.transactions + counts.invoices + counts.escrow;
+  if (posted > 0) {
+    console.log(`📒 Ledger ${backfill ? 'backfill' : 'sync'}: ${posted} entr${posted === 1 ? 'y' : 'ies'} posted (${counts.transactions} payment/refund, ${counts.invoices} invoice, ${counts.escrow} escrow)`);
+  }
+  return counts;
+};
+
+module.exports = {
+  runLedgerSync
+};
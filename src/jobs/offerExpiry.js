@@ -0,0 +1,31 @@
+// src/jobs/offerExpiry.js
+// Expires offers nobody answered in time and accepted offers left unpaid.
+const Offer = require('../models/Offer');
+const { OPEN_OFFER_STATUSES, expireOffer } = require('../utils/offerNegotiation');
+
+/**
+ * Offers are closed by utils/offerNegotiation expireOffer, guarded on the status read here.
+ * @returns {Promise<{ expired: number, unpaid: number }>}
+ */
+const runOfferExpiry = async (now = new Date()) => {
+  const lapsed = await Offer.find({ status: { $in: OPEN_OFFER_STATUSES }, expiresAt: { $lte: now } });
+  let expired = 0;
+  for (const offer of lapsed) {
+    if (await expireOffer(offer, 'No response before the offer expired', now)) expired++;
+  }
+
+  const overdue = await Offer.find({ status: 'accepted', paymentDueAt: { $lte: now } });
+  let unpaid = 0;
+  for (const offer of overdue) {
+    if (await expireOffer(offer, 'Payment not completed in time', now)) unpaid++;
+  }
+
+  if (expired > 0 || unpaid > 0) {
+    console.log(`⌛ Offer expiry: ${expired} unanswered, ${unpaid} unpaid offer(s) expired`);
+  }
+  return { expired, unpaid };
+};
+
+module.exports = {
+  runOfferExpiry
+};
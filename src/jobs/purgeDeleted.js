@@ -0,0 +1,72 @@
+// src/jobs/purgeDeleted.js
+// Permanently removes soft-deleted properties, owners, profiles and transactions
+// once the retention window has passed, with the files and records they kept.
+const Property = require('../models/Property');
+const Owner = require('../models/Owner');
+const Profile = require('../models/Profile');
+const Transaction = require('../models/Transaction');
+const PriceHistory = require('../models/PriceHistory');
+const RentalBlock = require('../models/RentalBlock');
+const Refund = require('../models/Refund');
+const { removeStoredImages } = require('../utils/imageUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RETENTION_DAYS = parseInt(process.env.SOFT_DELETE_RETENTION_DAYS) || 30;
+
+// What each model kept around for a restore, removed with the document
+const PURGE_TARGETS = [
+  {
+    name: 'properties',
+    model: Property,
+    cleanup: async (property) => {
+      await removeStoredImages(property.images);
+      await PriceHistory.deleteMany({ propertyId: property._id });
+      await RentalBlock.deleteMany({ propertyId: property._id });
+    }
+  },
+  {
+    name: 'owners',
+    model: Owner,
+    cleanup: (owner) => removeStoredImages([{ variants: owner.photoVariants }])
+  },
+  {
+    name: 'profiles',
+    model: Profile,
+    cleanup: (profile) => removeStoredImages([{ variants: profile.photoVariants }])
+  },
+  {
+    name: 'transactions',
+    model: Transaction,
+    cleanup: (transaction) => Refund.deleteMany({ transactionId: transaction._id })
+  }
+];
+
+/**
+ * Each document is removed with a delete conditional on its deletedAt, so one
+ * restored in the meantime survives.
+ * @returns {Promise<Object>} - Purged count per collection
+ */
+const runPurgeDeleted = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - RETENTION_DAYS * DAY_MS);
+  const purged = {};
+
+  for (const { name, model, cleanup } of PURGE_TARGETS) {
+    purged[name] = 0;
+    for await (const doc of model.find({ deletedAt: { $lte: cutoff } }).cursor()) {
+      const result = await model.deleteOne({ _id: doc._id, deletedAt: { $lte: cutoff } });
+      if (result.deletedCount === 0) continue;
+      await cleanup(doc);
+      purged[name]++;
+    }
+  }
+
+  const total = Object.values(purged).reduce((sum, count) => sum + count, 0);
+  if (total > 0) {
+    console.log(`🧹 Purged deleted records older than ${RETENTION_DAYS} days:`, purged);
+  }
+  return purged;
+};
+
+module.exports = {
+  runPurgeDeleted
+};
@@ -0,0 +1,50 @@
+// src/jobs/viewingReminders.js
+// Reminds customers and owners of confirmed viewings and closes past ones.
+const Viewing = require('../models/Viewing');
+const { notifyViewing } = require('../utils/viewingNotifications');
+
+const HOUR_MS = 60 * 60 * 1000;
+const REMINDER_LEAD_HOURS = parseInt(process.env.VIEWING_REMINDER_HOURS) || 24;
+
+/**
+ * Sends the reminder of every confirmed viewing starting within the lead time.
+ * A viewing is claimed by setting reminderSentAt before its reminder goes out.
+ * @returns {Promise<{ reminded: number, completed: number }>}
+ */
+const runViewingReminders = async (now = new Date()) => {
+  const due = await Viewing.find({
+    status: 'confirmed',
+    reminderSentAt: null,
+    startTime: { $gt: now, $lte: new Date(now.getTime() + REMINDER_LEAD_HOURS * HOUR_MS) }
+  }).select('_id');
+
+  let reminded = 0;
+  for (const { _id } of due) {
+    const viewing = await Viewing.findOneAndUpdate(
+      { _id, status: 'confirmed', reminderSentAt: null },
+      { $set: { reminderSentAt: now } },
+      { new: true }
+    );
+    if (!viewing) continue;
+    await notifyViewing(viewing, 'reminder');
+    reminded++;
+  }
+
+  // Confirmed viewings whose time has passed are marked completed
+  const completed = await Viewing.updateMany(
+    { status: 'confirmed', endTime: { $lte: now } },
+    {
+      $set: { status: 'completed' },
+      $push: { history: { action: 'complete', from: 'confirmed', to: 'completed', changedAt: now } }
+    }
+  );
+
+  if (reminded > 0 || completed.modifiedCount > 0) {
+    console.log(`⏰ Viewing reminders: ${reminded} sent, ${completed.modifiedCount} viewing(s) completed`);
+  }
+  return { reminded, completed: completed.modifiedCount };
+};
+
+module.exports = {
+  runViewingReminders
+};
@@ -1,4 +1,5 @@
 // backend/src/middleware/authMiddleware.js
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User'); // ✅ Use User model (where admin login happens)
 
@@ -125,8 +126,48 @@ const requireAdmin = async (req, res, next) => {
   }
 };
 
-// ✅ Export both functions
+/**
+ * Authenticates the request when a token is present and lets anonymous
+ * requests through (req.user stays undefined). Invalid tokens are still rejected.
+ */
+const optionalAuth = (req, res, next) => {
+  const hasBearer = req.headers.authorization?.startsWith('Bearer ');
+  if (!req.cookies?.authToken && !hasBearer) {
+    return next();
+  }
+  return verifyToken(req, res, next);
+};
+
+/**
+ * Syndication feeds: partner portals send one of the FEED_API_KEYS
+ * (comma-separated) in the X-API-Key header; anyone else needs an admin token.
+ */
+const requireFeedAccess = (req, res, next) => {
+  const apiKey = req.headers['x-api-key'];
+  const feedKeys = (process.env.FEED_API_KEYS || '').split(',').map(key => key.trim()).filter(Boolean);
+
+  if (apiKey) {
+    const provided = Buffer.from(String(apiKey));
+    const valid = feedKeys.some((key) => {
+      const expected = Buffer.from(key);
+      return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+    });
+    if (!valid) {
+      console.log('❌ Invalid feed API key');
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid API key'
+      });
+    }
+    return next();
+  }
+
+  return verifyToken(req, res, () => requireAdmin(req, res, next));
+};
+
 module.exports = {
   verifyToken,
-  requireAdmin
+  requireAdmin,
+  optionalAuth,
+  requireFeedAccess
 };
\ No newline at end of file
@@ -0,0 +1,122 @@
+// src/middleware/idempotency.js
+// Idempotency-Key support for endpoints that must not run twice (payments).
+// The first request with a key runs normally and its response is stored for
+// 24 hours; a retry with the same key and body gets the stored response back
+// (with an Idempotent-Replayed header) instead of running again. Requests
+// without the header are unaffected.
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const IDEMPOTENCY_TTL_MS = 24 * 60 * 60 * 1000;
+// A request still marked processing after this long is assumed to have died
+const STALE_PROCESSING_MS = 60 * 1000;
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+// JSON with object keys sorted, so key order does not change the fingerprint
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const fingerprintRequest = (req) =>
+  crypto.createHash('sha256').update(canonicalJson(req.body || {})).digest('hex');
+
+// Stores the response once it has been sent; server errors free the key for a retry
+const recordResponse = (req, res, record) => {
+  let body;
+  const json = res.json.bind(res);
+  res.json = (payload) => {
+    body = payload;
+    return json(payload);
+  };
+
+  res.on('finish', () => {
+    const update = res.statusCode >= 500
+      ? IdempotencyKey.deleteOne({ _id: record._id, status: 'processing' })
+      : IdempotencyKey.updateOne(
+        { _id: record._id },
+        { $set: { status: 'completed', responseStatus: res.statusCode, responseBody: body === undefined ? null : body } }
+      );
+    update.catch(err => console.error('⚠️ Failed to store idempotent response:', err.message));
+  });
+};
+
+/**
+ * @param {string} scope - Name of the endpoint, keys are unique per scope
+ */
+const idempotency = (scope) => async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+
+  if (!KEY_PATTERN.test(key)) {
+    return res.status(400).json({
+      error: 'Invalid Idempotency-Key',
+      message: 'Idempotency-Key must be 1-255 printable characters without spaces'
+    });
+  }
+
+  try {
+    const fingerprint = fingerprintRequest(req);
+    const now = new Date();
+
+    let record;
+    try {
+      record = await IdempotencyKey.create({
+        key,
+        scope,
+        fingerprint,
+        expiresAt: new Date(now.getTime() + IDEMPOTENCY_TTL_MS)
+      });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+    }
+
+    if (!record) {
+      const existing = await IdempotencyKey.findOne({ key, scope });
+      if (!existing) {
+        // Expired between the insert and the lookup - the client can simply retry
+        return res.status(409).json({ error: 'Request in progress', message: 'Retry the request' });
+      }
+      if (existing.fingerprint !== fingerprint) {
+        return res.status(409).json({
+          error: 'Idempotency key reused',
+          message: 'This Idempotency-Key was already used with a different request body'
+        });
+      }
+      if (existing.status === 'completed') {
+        console.log(`🔁 Replaying ${scope} response for Idempotency-Key ${key}`);
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.responseStatus).json(existing.responseBody);
+      }
+
+      // Still processing: wait for it, unless the request that claimed it died
+      record = await IdempotencyKey.findOneAndUpdate(
+        { _id: existing._id, status: 'processing', updatedAt: { $lt: new Date(now.getTime() - STALE_PROCESSING_MS) } },
+        { $set: { updatedAt: now } },
+        { new: true, timestamps: false }
+      );
+      if (!record) {
+        res.set('Retry-After', '1');
+        return res.status(409).json({
+          error: 'Request in progress',
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+    }
+
+    req.idempotencyKey = key;
+    recordResponse(req, res, record);
+    next();
+  } catch (err) {
+    console.error('Idempotency check failed:', err);
+    res.status(500).json({ error: 'Failed to check Idempotency-Key', details: err.message });
+  }
+};
+
+module.exports = {
+  idempotency,
+  fingerprintRequest
+};
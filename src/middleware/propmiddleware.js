@@ -1,7 +1,7 @@
 const multer = require('multer');
 const path = require('path');
 
-// --- Memory storage for base64 conversion ---
+// --- Memory storage - images are processed before anything is written ---
 const memoryStorage = multer.memoryStorage();
 
 // --- File filter for images only ---
@@ -21,68 +21,92 @@ const imageFilter = (req, file, cb) => {
   }
 };
 
-// --- Base64 conversion middleware ---
-const convertToBase64 = (req, res, next) => {
-  try {
-    // Handle .fields() approach for property photo
-    if (req.files && req.files.photo && req.files.photo[0] && req.files.photo[0].buffer) {
-      const file = req.files.photo[0];
-      const base64Data = file.buffer.toString('base64');
-      const mimeType = file.mimetype;
-      const dataUrl = `data:${mimeType};base64,${base64Data}`;
-      
-      // Add base64 data to request object
-      req.photoBase64 = dataUrl;
-      req.photoInfo = {
-        originalName: file.originalname,
-        mimeType: file.mimetype,
-        size: file.size,
-        uploadDate: new Date()
-      };
-      
-      console.log(`📸 Converted property photo to base64: ${file.originalname} (${file.size} bytes)`);
-      console.log(`💾 Base64 length: ${dataUrl.length} characters`);
-    }
-
-    // Handle single file approach (if needed for other routes)
-    if (req.file && req.file.buffer) {
-      const base64Data = req.file.buffer.toString('base64');
-      const mimeType = req.file.mimetype;
-      const dataUrl = `data:${mimeType};base64,${base64Data}`;
-      
-      req.photoBase64 = dataUrl;
-      req.photoInfo = {
-        originalName: req.file.originalname,
-        mimeType: req.file.mimetype,
-        size: req.file.size,
-        uploadDate: new Date()
-      };
-      
-      console.log(`📸 Converted single property photo to base64: ${req.file.originalname}`);
-    }
-
-    next();
-  } catch (error) {
-    console.error('❌ Error converting to base64:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Base64 conversion failed',
-      message: error.message
-    });
+// --- Uploaded photo middleware ---
+// Hands the raw upload to the controller as req.photoUpload. The controller
+// stores it through utils/imageUtils, which generates resized, recompressed
+// variants with EXIF removed - the full-size original is never persisted.
+const attachPhotoUpload = (req, res, next) => {
+  const file = (req.files && req.files.photo && req.files.photo[0]) || req.file;
+
+  if (file && file.buffer) {
+    req.photoUpload = {
+      buffer: file.buffer,
+      originalName: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size,
+      uploadDate: new Date()
+    };
+    console.log(`📸 Received property photo: ${file.originalname} (${file.size} bytes)`);
   }
+
+  next();
 };
 
 // --- Multer configuration ---
 const uploadPropertyPhotoMulter = multer({
   storage: memoryStorage,
   limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit (base64 is larger than binary)
+    fileSize: 10 * 1024 * 1024, // 10MB limit
   },
   fileFilter: imageFilter
 }).fields([{ name: 'photo', maxCount: 1 }]);
 
+// --- Gallery uploads: several files in the "images" field ---
+const MAX_IMAGES_PER_UPLOAD = 10;
+
+const uploadPropertyImagesMulter = multer({
+  storage: memoryStorage,
+  limits: {
+    fileSize: 10 * 1024 * 1024,
+    files: MAX_IMAGES_PER_UPLOAD
+  },
+  fileFilter: imageFilter
+}).array('images', MAX_IMAGES_PER_UPLOAD);
+
+// --- Bulk import: one CSV or XLSX sheet in the "file" field ---
+const importFileFilter = (req, file, cb) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+  if (['.csv', '.xlsx'].includes(extension)) {
+    return cb(null, true);
+  }
+  console.log(`❌ Import file rejected: ${file.originalname}`);
+  cb(new Error('Only .csv and .xlsx files can be imported'));
+};
+
+const uploadImportFileMulter = multer({
+  storage: memoryStorage,
+  limits: {
+    fileSize: 5 * 1024 * 1024,
+    files: 1
+  },
+  fileFilter: importFileFilter
+}).single('file');
+
+// --- Message attachments: images and PDFs in the "attachments" field ---
+const MAX_MESSAGE_ATTACHMENTS = 5;
+
+const attachmentFilter = (req, file, cb) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+  const isImage = /jpeg|jpg|png|gif|webp/.test(file.mimetype) && /\.(jpe?g|png|gif|webp)$/.test(extension);
+  const isPdf = file.mimetype === 'application/pdf' && extension === '.pdf';
+  if (isImage || isPdf) {
+    return cb(null, true);
+  }
+  console.log(`❌ Attachment rejected: ${file.originalname}`);
+  cb(new Error('Only images (jpeg, jpg, png, gif, webp) and PDF files can be attached'));
+};
+
+const uploadMessageAttachmentsMulter = multer({
+  storage: memoryStorage,
+  limits: {
+    fileSize: 10 * 1024 * 1024,
+    files: MAX_MESSAGE_ATTACHMENTS
+  },
+  fileFilter: attachmentFilter
+}).array('attachments', MAX_MESSAGE_ATTACHMENTS);
+
 // --- Error handling wrapper ---
-const handleUploadError = (uploadFunction) => {
+const handleUploadError = (uploadFunction, maxFiles = 1, maxFileSizeMB = 10) => {
   return (req, res, next) => {
     uploadFunction(req, res, (err) => {
       if (err instanceof multer.MulterError) {
@@ -90,13 +114,13 @@ const handleUploadError = (uploadFunction) => {
         
         if (err.code === 'LIMIT_FILE_SIZE') {
           return res.status(400).json({
-            error: 'File too large - File size should not exceed 10MB'
+            error: `File too large - File size should not exceed ${maxFileSizeMB}MB`
           });
         }
         
         if (err.code === 'LIMIT_FILE_COUNT') {
           return res.status(400).json({
-            error: 'Too many files - Maximum 1 photo allowed'
+            error: `Too many files - Maximum ${maxFiles} photo${maxFiles === 1 ? '' : 's'} allowed`
           });
         }
         
@@ -127,9 +151,22 @@ const handleUploadError = (uploadFunction) => {
 // --- Combined middleware chain ---
 const uploadPropertyPhoto = [
   handleUploadError(uploadPropertyPhotoMulter),
-  convertToBase64
+  attachPhotoUpload
 ];
 
+// --- Gallery upload: files stay as buffers in req.files for the storage backend ---
+const uploadPropertyImages = handleUploadError(uploadPropertyImagesMulter, MAX_IMAGES_PER_UPLOAD);
+
+// --- Import upload: the sheet stays in memory as req.file.buffer ---
+const uploadImportFile = handleUploadError(uploadImportFileMulter, 1, 5);
+
+// --- Message attachments: buffers in req.files, stored by the controller ---
+const uploadMessageAttachments = handleUploadError(uploadMessageAttachmentsMulter, MAX_MESSAGE_ATTACHMENTS);
+
 module.exports = {
-  uploadPropertyPhoto
+  uploadPropertyPhoto,
+  uploadPropertyImages,
+  uploadImportFile,
+  uploadMessageAttachments,
+  MAX_IMAGES_PER_UPLOAD
 };
\ No newline at end of file
@@ -42,6 +42,27 @@ const requireOwner = (req, res, next) => {
   next();
 };
 
+// Listing management middleware - owners, agents and admins
+const requireListingManager = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ 
+      ok: false,
+      error: 'Authentication required' 
+    });
+  }
+
+  if (!['owner', 'agent', 'admin'].includes(req.user.role)) {
+    console.log(`⚠️ Unauthorized listing access attempt by: ${req.user.email} (Role: ${req.user.role})`);
+    return res.status(403).json({ 
+      ok: false,
+      error: 'Owner, agent or admin privileges required. Access denied.',
+      currentRole: req.user.role
+    });
+  }
+
+  next();
+};
+
 // User authorization middleware (verified users only)
 const requireVerifiedUser = (req, res, next) => {
   if (!req.user) {
@@ -101,6 +122,7 @@ const requireResourceOwner = (resourceUserIdField = 'userId') => {
 module.exports = {
   requireAdmin,
   requireOwner,
+  requireListingManager,
   requireVerifiedUser,
   requireResourceOwner
 };
\ No newline at end of file
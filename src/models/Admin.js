@@ -1,5 +1,6 @@
 // backend/src/models/Admin.js
 const mongoose = require('mongoose');
+const { ImageVariantsSchema } = require('./schemas/imageVariants');
 
 const adminSchema = new mongoose.Schema({
   // ✅ Email is REQUIRED - links to User model
@@ -24,6 +25,11 @@ const adminSchema = new mongoose.Schema({
     type: String, 
     default: "" 
   },
+  // Responsive photo variants - { small, medium, large }; photo holds the large URL
+  photoVariants: {
+    type: ImageVariantsSchema,
+    default: undefined
+  },
   
   // Role/Status fields (optional, inherited from User)
   role: {
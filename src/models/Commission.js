@@ -0,0 +1,57 @@
+// models/Commission.js
+// Split of one payment between the platform and the listing owner, worked out
+// once from the commission rule in force (see utils/commissions) and kept as
+// it was, even when the rule changes later. Refunds are shared in the same
+// proportion in the ledger.
+const mongoose = require('mongoose');
+
+const commissionSchema = new mongoose.Schema({
+  // transaction:<id> or invoice-payment:<invoiceId>:<paymentId>
+  key: { type: String, required: true },
+  source: {
+    type: String,
+    enum: ['transaction', 'invoice_payment'],
+    required: true
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property'
+  },
+  ownerId: { type: Number, required: true },
+  purchaseType: {
+    type: String,
+    enum: ['rent', 'buy'],
+    required: true
+  },
+  // Minor units: grossAmount = commissionAmount + ownerAmount
+  currency: { type: String, required: true, uppercase: true },
+  grossAmount: { type: Number, required: true, min: 0 },
+  commissionAmount: { type: Number, required: true, min: 0 },
+  ownerAmount: { type: Number, required: true, min: 0 },
+  // The rule that applied
+  rule: {
+    ruleId: { type: mongoose.Schema.Types.ObjectId, ref: 'CommissionRule', default: null },
+    scope: { type: String },
+    type: { type: String },
+    percent: { type: Number },
+    flatAmount: { type: Number }
+  },
+  // When the payment was made
+  occurredAt: { type: Date, required: true }
+}, {
+  timestamps: true
+});
+
+commissionSchema.index({ key: 1 }, { unique: true });
+commissionSchema.index({ ownerId: 1, occurredAt: -1 });
+commissionSchema.index({ transactionId: 1 });
+
+module.exports = mongoose.model('Commission', commissionSchema);
@@ -0,0 +1,46 @@
+// models/CommissionRule.js
+// Commission the platform keeps on an owner's transactions. A rule for the
+// owner wins over one for their agency (Owner.agency), which wins over the
+// default rule; rent and buy are configured separately (utils/commissions).
+const mongoose = require('mongoose');
+const { MoneySchema } = require('./schemas/money');
+
+const ActorSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  email: { type: String },
+  role: { type: String }
+}, { _id: false });
+
+const CommissionTermsSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['percent', 'flat'],
+    required: true
+  },
+  // Of the gross amount, for type 'percent'
+  percent: { type: Number, min: 0, max: 100 },
+  // Per transaction, for type 'flat' - never more than the gross amount
+  flat: { type: MoneySchema, default: undefined }
+}, { _id: false });
+
+const commissionRuleSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['default', 'agency', 'owner'],
+    required: true
+  },
+  // Property.ownerId, for scope 'owner'
+  ownerId: { type: Number, default: null },
+  // Owner.agency lower-cased, for scope 'agency'
+  agency: { type: String, trim: true, lowercase: true, default: null },
+  rent: { type: CommissionTermsSchema, required: true },
+  buy: { type: CommissionTermsSchema, required: true },
+  note: { type: String, trim: true },
+  updatedBy: ActorSchema
+}, {
+  timestamps: true
+});
+
+commissionRuleSchema.index({ scope: 1, ownerId: 1, agency: 1 }, { unique: true });
+
+module.exports = mongoose.model('CommissionRule', commissionRuleSchema);
@@ -0,0 +1,67 @@
+// models/Conversation.js
+// Message thread between a customer and the owner of a property.
+// One thread per property and customer; admins can join for support.
+const mongoose = require('mongoose');
+
+const conversationSchema = new mongoose.Schema({
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  propertyName: { type: String, trim: true },
+  customer: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    name: { type: String, trim: true },
+    email: { type: String, trim: true, lowercase: true }
+  },
+  owner: {
+    ownerId: { type: String, required: true }, // Owner.ownerId
+    // App account of the owner (User with the Owner record's email), if any
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    name: { type: String, trim: true },
+    email: { type: String, trim: true, lowercase: true }
+  },
+  // Users who receive the thread's messages
+  participants: {
+    type: [mongoose.Schema.Types.ObjectId],
+    ref: 'User',
+    default: [],
+    index: true
+  },
+  // Read receipts: when each participant last read the thread
+  reads: {
+    type: [{
+      _id: false,
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      lastReadAt: { type: Date }
+    }],
+    default: []
+  },
+  lastMessage: {
+    text: { type: String },
+    senderId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    hasAttachments: { type: Boolean, default: false },
+    sentAt: { type: Date }
+  },
+  lastMessageAt: { type: Date, default: Date.now },
+  messageCount: { type: Number, default: 0 }
+}, {
+  timestamps: true
+});
+
+conversationSchema.index({ propertyId: 1, 'customer.userId': 1 }, { unique: true });
+conversationSchema.index({ participants: 1, lastMessageAt: -1 });
+
+conversationSchema.methods.isParticipant = function(userId) {
+  return this.participants.some(id => id.toString() === String(userId));
+};
+
+conversationSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Conversation', conversationSchema);
@@ -0,0 +1,62 @@
+// models/EscrowAccount.js
+// Money held on behalf of a customer for one purchase: a rental deposit or
+// purchase earnest money. The running totals are kept next to the ledger
+// (EscrowEntry) so a release can never take out more than is held, even when
+// two requests race; utils/escrow changes both in one database transaction.
+const mongoose = require('mongoose');
+
+const ESCROW_KINDS = ['rental_deposit', 'earnest_money'];
+
+const escrowAccountSchema = new mongoose.Schema({
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ESCROW_KINDS,
+    required: true
+  },
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  propertyName: { type: String, trim: true },
+  // Property.ownerId of the listing
+  ownerId: { type: Number },
+  leaseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lease',
+    default: null
+  },
+  customer: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    name: { type: String, trim: true },
+    email: { type: String, trim: true, lowercase: true, required: true }
+  },
+  currency: { type: String, required: true, uppercase: true },
+  // Minor units. balance = held - released - deducted
+  held: { type: Number, default: 0 },
+  released: { type: Number, default: 0 },
+  deducted: { type: Number, default: 0 },
+  balance: { type: Number, default: 0, min: 0 },
+  // Requested releases and deductions awaiting an admin
+  pendingOut: { type: Number, default: 0, min: 0 }
+}, {
+  timestamps: true
+});
+
+escrowAccountSchema.index({ transactionId: 1, kind: 1 }, { unique: true });
+escrowAccountSchema.index({ propertyId: 1 });
+escrowAccountSchema.index({ 'customer.email': 1 });
+escrowAccountSchema.index({ ownerId: 1, updatedAt: -1 });
+
+escrowAccountSchema.virtual('available').get(function() {
+  return Math.max(0, this.balance - this.pendingOut);
+});
+
+escrowAccountSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('EscrowAccount', escrowAccountSchema);
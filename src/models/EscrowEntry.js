@@ -0,0 +1,92 @@
+// models/EscrowEntry.js
+// One line of the escrow ledger. A hold puts money into an EscrowAccount; a
+// release returns it to the customer and a deduction keeps it for the owner
+// (damages, unpaid rent, earnest money applied at closing). Releases and
+// deductions only count once an admin approves them. Entries are never
+// deleted - every status change is kept in history.
+const mongoose = require('mongoose');
+
+const ActorSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  email: { type: String },
+  role: { type: String }
+}, { _id: false });
+
+const ESCROW_ENTRY_STATUSES = ['pending', 'posted', 'rejected'];
+
+const escrowEntrySchema = new mongoose.Schema({
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EscrowAccount',
+    required: true
+  },
+  // Copied from the account for ledger queries
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  customerEmail: { type: String, lowercase: true },
+  kind: {
+    type: String,
+    enum: ['rental_deposit', 'earnest_money'],
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['hold', 'release', 'deduction'],
+    required: true
+  },
+  // Minor units, in the account's currency
+  amount: { type: Number, required: true, min: 1 },
+  currency: { type: String, required: true, uppercase: true },
+  status: {
+    type: String,
+    enum: ESCROW_ENTRY_STATUSES,
+    default: 'pending'
+  },
+  reason: { type: String, trim: true },
+  // Invoice number, bank reference or receipt number
+  reference: { type: String, trim: true },
+  // Deposit invoice a hold was posted from
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  source: {
+    type: String,
+    enum: ['invoice', 'admin', 'manager'],
+    required: true
+  },
+  requestedBy: ActorSchema,
+  decidedBy: ActorSchema,
+  decidedAt: { type: Date },
+  decisionNote: { type: String, trim: true },
+  postedAt: { type: Date },
+  history: {
+    type: [{
+      from: { type: String, default: null },
+      to: { type: String, enum: ESCROW_ENTRY_STATUSES },
+      note: { type: String },
+      changedBy: ActorSchema,
+      changedAt: { type: Date, default: Date.now }
+    }],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+escrowEntrySchema.index({ accountId: 1, createdAt: 1 });
+escrowEntrySchema.index({ status: 1, createdAt: 1 });
+escrowEntrySchema.index({ propertyId: 1, createdAt: -1 });
+escrowEntrySchema.index({ customerEmail: 1, createdAt: -1 });
+// A paid deposit invoice is held once, however often its payment is replayed
+escrowEntrySchema.index({ invoiceId: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('EscrowEntry', escrowEntrySchema);
@@ -0,0 +1,40 @@
+// models/IdempotencyKey.js
+// Responses of requests sent with an Idempotency-Key header, replayed when the
+// client retries with the same key (see middleware/idempotency). Removed by the
+// TTL index once expiresAt passes.
+const mongoose = require('mongoose');
+
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  // Endpoint the key was used on (e.g. "save-transaction")
+  scope: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the request body - a retry must send the same one
+  fingerprint: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  responseStatus: { type: Number },
+  responseBody: { type: mongoose.Schema.Types.Mixed },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+idempotencyKeySchema.index({ key: 1, scope: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,102 @@
+// models/Invoice.js
+// Bill for one lease period (or the deposit). Paid through a Stripe
+// PaymentIntent or with offline payments recorded by the owner; an unpaid
+// invoice gets the lease's late fee once its grace period is over.
+const mongoose = require('mongoose');
+
+const ActorSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  email: { type: String },
+  role: { type: String }
+}, { _id: false });
+
+const INVOICE_PAYMENT_METHODS = ['stripe', 'cash', 'bank_transfer', 'cheque', 'other'];
+
+const invoiceSchema = new mongoose.Schema({
+  number: { type: String, required: true }, // INV-<sequence>
+  leaseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lease',
+    required: true
+  },
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  propertyName: { type: String, trim: true },
+  // Copied from the lease for the tenant's invoice list
+  tenant: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    name: { type: String },
+    email: { type: String }
+  },
+  kind: {
+    type: String,
+    enum: ['rent', 'deposit'],
+    required: true
+  },
+  // [periodStart, periodEnd) covered by a rent invoice
+  periodStart: { type: Date },
+  periodEnd: { type: Date },
+  lines: {
+    type: [{
+      kind: { type: String, enum: ['rent', 'deposit', 'late_fee'], required: true },
+      description: { type: String, trim: true },
+      amount: { type: Number, required: true, min: 0 }
+    }],
+    default: []
+  },
+  // Minor units - the sum of the lines
+  amount: { type: Number, required: true, min: 0 },
+  currency: { type: String, required: true, uppercase: true },
+  amountPaid: { type: Number, default: 0 },
+  issuedAt: { type: Date, default: Date.now },
+  dueDate: { type: Date, required: true },
+  // When the late fee applies if the invoice is still open
+  lateFeeAt: { type: Date },
+  lateFeeAppliedAt: { type: Date, default: null },
+  status: {
+    type: String,
+    enum: ['open', 'paid', 'void'],
+    default: 'open'
+  },
+  paidAt: { type: Date },
+  // Latest PaymentIntent handed to the tenant
+  paymentIntentId: { type: String },
+  payments: {
+    type: [{
+      method: { type: String, enum: INVOICE_PAYMENT_METHODS, required: true },
+      amount: { type: Number, required: true, min: 1 },
+      // PaymentIntent id, or the receipt / bank reference of an offline payment
+      reference: { type: String, required: true },
+      note: { type: String, trim: true },
+      source: { type: String, enum: ['client', 'webhook', 'admin'] },
+      recordedBy: ActorSchema,
+      paidAt: { type: Date, default: Date.now }
+    }],
+    default: []
+  },
+  reminderCount: { type: Number, default: 0 },
+  lastReminderAt: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+invoiceSchema.index({ number: 1 }, { unique: true });
+// One invoice per lease period, even with several instances running the job
+invoiceSchema.index(
+  { leaseId: 1, periodStart: 1 },
+  { unique: true, partialFilterExpression: { kind: 'rent' } }
+);
+invoiceSchema.index({ status: 1, lateFeeAt: 1 });
+invoiceSchema.index({ status: 1, dueDate: 1 });
+invoiceSchema.index({ 'tenant.userId': 1, dueDate: -1 });
+
+invoiceSchema.virtual('amountDue').get(function() {
+  return Math.max(0, this.amount - (this.amountPaid || 0));
+});
+
+invoiceSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
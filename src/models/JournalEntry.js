@@ -0,0 +1,136 @@
+// models/JournalEntry.js
+// Double-entry ledger entry. Every money movement (payment, refund, rent
+// invoice, escrow, commission, payout) posts one balanced entry - debits equal
+// credits - in a single currency. Entries are append-only: a mistake is corrected with a
+// reversing entry, never by editing or deleting (see utils/ledger).
+const mongoose = require('mongoose');
+
+const ActorSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  email: { type: String },
+  role: { type: String }
+}, { _id: false });
+
+const journalLineSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    enum: ['cash', 'customer_receivable', 'escrow', 'owner_payable', 'platform_revenue', 'refunds'],
+    required: true
+  },
+  // Minor units - exactly one side is set
+  debit: { type: Number, default: 0, min: 0 },
+  credit: { type: Number, default: 0, min: 0 },
+  // Sub-ledgers: whose money the line is about
+  ownerId: { type: Number },
+  customerEmail: { type: String, lowercase: true },
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property'
+  }
+}, { _id: false });
+
+const journalEntrySchema = new mongoose.Schema({
+  // Identifies the movement, so replays and the sync job never post it twice
+  key: { type: String, required: true },
+  kind: {
+    type: String,
+    enum: [
+      'purchase', 'refund',
+      'invoice_issued', 'late_fee', 'invoice_payment', 'invoice_void',
+      'escrow_hold', 'escrow_release', 'escrow_deduction',
+      'commission', 'commission_refund', 'payout',
+      'reversal'
+    ],
+    required: true
+  },
+  description: { type: String, trim: true },
+  currency: { type: String, required: true, uppercase: true },
+  // When the movement happened, which may be before it was posted
+  date: { type: Date, required: true },
+  lines: {
+    type: [journalLineSchema],
+    required: true
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property'
+  },
+  refundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund'
+  },
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  escrowEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EscrowEntry'
+  },
+  payoutBatchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayoutBatch'
+  },
+  // Entry a reversal cancels
+  reverses: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry'
+  },
+  // Admin who posted a manual entry; automatic postings have none
+  postedBy: ActorSchema
+}, {
+  timestamps: { createdAt: 'postedAt', updatedAt: false }
+});
+
+journalEntrySchema.index({ key: 1 }, { unique: true });
+journalEntrySchema.index({ 'lines.account': 1, currency: 1, date: 1 });
+journalEntrySchema.index({ 'lines.ownerId': 1, date: 1 });
+journalEntrySchema.index({ 'lines.customerEmail': 1, date: 1 });
+journalEntrySchema.index({ transactionId: 1 });
+journalEntrySchema.index({ kind: 1, date: -1 });
+
+journalEntrySchema.pre('validate', function(next) {
+  if (this.lines.length < 2) {
+    return next(new Error('A journal entry needs at least two lines'));
+  }
+  let debits = 0;
+  let credits = 0;
+  for (const line of this.lines) {
+    const sides = [line.debit, line.credit].filter(Boolean);
+    if (sides.length !== 1 || !Number.isInteger(sides[0])) {
+      return next(new Error(`Line on ${line.account} must have either a debit or a credit in whole minor units`));
+    }
+    debits += line.debit;
+    credits += line.credit;
+  }
+  if (debits !== credits) {
+    return next(new Error(`Journal entry ${this.key} does not balance: ${debits} debit vs ${credits} credit`));
+  }
+  next();
+});
+
+// Entries are never edited or deleted once posted
+const rejectChange = function(next) {
+  next(new Error('Journal entries are append-only - post a reversal instead'));
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteMany', 'findOneAndDelete'].forEach((hook) => {
+  journalEntrySchema.pre(hook, rejectChange);
+});
+journalEntrySchema.pre('deleteOne', { document: true, query: true }, rejectChange);
+journalEntrySchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error('Journal entries are append-only - post a reversal instead'));
+  next();
+});
+
+journalEntrySchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('JournalEntry', journalEntrySchema);
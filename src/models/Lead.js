@@ -0,0 +1,92 @@
+// models/Lead.js
+// Inquiry about a property, routed to its owner and tracked through the sales
+// pipeline: new -> contacted -> viewing -> negotiating -> won | lost.
+const mongoose = require('mongoose');
+
+const LEAD_STAGES = ['new', 'contacted', 'viewing', 'negotiating', 'won', 'lost'];
+
+const ActorSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  email: { type: String },
+  role: { type: String }
+}, { _id: false });
+
+const leadSchema = new mongoose.Schema({
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  propertyName: { type: String, trim: true },
+  // Owner.ownerId of the listing the lead is routed to
+  ownerId: {
+    type: String,
+    required: true
+  },
+  contact: {
+    name: { type: String, trim: true, required: true, maxlength: 100 },
+    email: { type: String, trim: true, lowercase: true, default: null },
+    phone: { type: String, trim: true, default: null },
+    // Digits only (plus a leading +), used to match transactions
+    phoneNormalized: { type: String, default: null }
+  },
+  // Signed-in user who sent the inquiry, if any
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Every inquiry message from this contact about the property
+  inquiries: {
+    type: [{
+      message: { type: String, trim: true, maxlength: 2000 },
+      createdAt: { type: Date, default: Date.now }
+    }],
+    default: []
+  },
+  source: {
+    type: String,
+    enum: ['inquiry', 'manual'],
+    default: 'inquiry'
+  },
+  stage: {
+    type: String,
+    enum: LEAD_STAGES,
+    default: 'new'
+  },
+  stageHistory: {
+    type: [{
+      from: { type: String, default: null },
+      to: { type: String, enum: LEAD_STAGES },
+      reason: { type: String },
+      changedBy: ActorSchema,
+      changedAt: { type: Date, default: Date.now }
+    }],
+    default: []
+  },
+  lostReason: { type: String, trim: true },
+  // Transaction that closed the lead as won
+  wonTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+  closedAt: { type: Date, default: null },
+  lastInquiryAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true
+});
+
+leadSchema.index({ ownerId: 1, stage: 1, updatedAt: -1 });
+leadSchema.index({ stage: 1, updatedAt: -1 });
+leadSchema.index({ propertyId: 1, 'contact.email': 1 });
+leadSchema.index({ propertyId: 1, 'contact.phoneNormalized': 1 });
+
+leadSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Lead', leadSchema);
@@ -0,0 +1,67 @@
+// models/Lease.js
+// Monthly rental agreement created from a rent purchase. The purchase pays for
+// the booked dates; every later period is billed with an Invoice on the lease's
+// billing day (utils/leaseBilling, jobs/leaseBilling) until the term ends.
+const mongoose = require('mongoose');
+const { MoneySchema } = require('./schemas/money');
+
+const ActorSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  email: { type: String },
+  role: { type: String }
+}, { _id: false });
+
+const leaseSchema = new mongoose.Schema({
+  // The rent purchase the lease was created from
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  propertyName: { type: String, trim: true },
+  // Property.ownerId of the listing
+  ownerId: { type: Number, required: true },
+  tenant: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    name: { type: String, trim: true, required: true },
+    email: { type: String, trim: true, lowercase: true },
+    phone: { type: String, trim: true }
+  },
+  rent: { type: MoneySchema, required: true }, // Per month
+  deposit: { type: MoneySchema, default: undefined },
+  // Day of the month each period starts and its rent is due (1-28)
+  billingDay: { type: Number, required: true, min: 1, max: 28 },
+  termMonths: { type: Number, required: true, min: 1 },
+  // [startDate, endDate) - UTC days, like RentalBlock
+  startDate: { type: Date, required: true },
+  endDate: { type: Date, required: true },
+  // Start of the next period to invoice; null once the whole term is invoiced
+  nextPeriodStart: { type: Date, default: null },
+  lateFee: {
+    amount: { type: Number, default: 0, min: 0 }, // Flat fee, minor units
+    percent: { type: Number, default: 0, min: 0, max: 100 }, // Of the overdue invoice
+    graceDays: { type: Number, default: 5, min: 0 }
+  },
+  status: {
+    type: String,
+    enum: ['active', 'ended'],
+    default: 'active'
+  },
+  endedAt: { type: Date },
+  createdBy: ActorSchema
+}, {
+  timestamps: true
+});
+
+leaseSchema.index({ transactionId: 1 }, { unique: true });
+leaseSchema.index({ status: 1, nextPeriodStart: 1 });
+leaseSchema.index({ ownerId: 1, createdAt: -1 });
+leaseSchema.index({ 'tenant.userId': 1 });
+leaseSchema.index({ 'tenant.email': 1 });
+
+module.exports = mongoose.model('Lease', leaseSchema);
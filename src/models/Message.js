@@ -0,0 +1,99 @@
+// models/Message.js
+// A message in a Conversation. Unread tracking follows Notification:
+// recipients are listed once and add themselves to readBy when they read it.
+const mongoose = require('mongoose');
+
+const AttachmentSchema = new mongoose.Schema({
+  kind: { type: String, enum: ['image', 'file'], required: true },
+  fileName: { type: String, trim: true },
+  mimeType: { type: String },
+  size: { type: Number },
+  width: { type: Number },
+  height: { type: Number },
+  // Storage keys - never sent to clients, files are served through the API
+  key: { type: String, required: true },
+  variants: { type: Object }
+});
+
+const messageSchema = new mongoose.Schema({
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  senderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  senderRole: {
+    type: String,
+    enum: ['customer', 'owner', 'admin'],
+    required: true
+  },
+  text: {
+    type: String,
+    trim: true,
+    // A message needs text unless it carries attachments
+    required: [function() { return this.attachments.length === 0; }, 'A message needs text or at least one attachment'],
+    maxlength: [5000, 'Messages cannot exceed 5000 characters']
+  },
+  attachments: {
+    type: [AttachmentSchema],
+    default: []
+  },
+  recipients: {
+    type: [mongoose.Schema.Types.ObjectId],
+    ref: 'User',
+    default: []
+  },
+  readBy: {
+    type: [mongoose.Schema.Types.ObjectId],
+    ref: 'User',
+    default: [],
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+messageSchema.index({ conversationId: 1, _id: -1 });
+messageSchema.index({ recipients: 1, readBy: 1 });
+
+// ========== Static Methods ==========
+
+// Unread messages across every conversation of a user
+messageSchema.statics.getUnreadCountForUser = async function(userId) {
+  return await this.countDocuments({
+    recipients: userId,
+    readBy: { $nin: [userId] }
+  });
+};
+
+// Marks every message of a conversation as read by the user
+messageSchema.statics.markConversationAsRead = async function(conversationId, userId) {
+  return await this.updateMany(
+    { conversationId, recipients: userId, readBy: { $nin: [userId] } },
+    { $addToSet: { readBy: userId } }
+  );
+};
+
+// Attachments are downloaded through the conversation API, not the storage URL
+messageSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    ret.attachments = (ret.attachments || []).map(attachment => ({
+      _id: attachment._id,
+      kind: attachment.kind,
+      fileName: attachment.fileName,
+      mimeType: attachment.mimeType,
+      size: attachment.size,
+      width: attachment.width,
+      height: attachment.height,
+      url: `/api/conversations/${ret.conversationId}/messages/${ret._id}/attachments/${attachment._id}`
+    }));
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Message', messageSchema);
@@ -24,7 +24,23 @@ const notificationSchema = new mongoose.Schema(
         "Apartment", "Commercial", "Land",
         // General
         "booking", "payment", "cancellation", "message", "alert",
-        "owner_added", "owner_updated", "owner_deleted", "customer"
+        "owner_added", "owner_updated", "owner_deleted", "customer",
+        // Listing workflow
+        "listing_submitted", "listing_approved", "listing_rejected",
+        "listing_archived", "listing_reopened",
+        // Leads
+        "lead_created", "lead_won",
+        // Offers
+        "offer_submitted", "offer_countered", "offer_accepted", "offer_rejected",
+        "offer_withdrawn", "offer_expired", "offer_completed",
+        // Soft delete
+        "record_restored",
+        // Lease invoices
+        "invoice_issued", "invoice_overdue", "invoice_paid",
+        // Escrow
+        "escrow_held", "escrow_requested", "escrow_approved", "escrow_rejected",
+        // Owner payouts
+        "payout_batch_created", "payout_batch_approved", "payout_batch_paid"
       ],
     },
     target: {
@@ -0,0 +1,111 @@
+// models/Offer.js
+// Purchase offer on a for-sale listing, negotiated in rounds between the buyer
+// and the listing's owner (or an admin/agent acting for them).
+// pending <-> countered -> accepted -> completed, or rejected / withdrawn /
+// expired while open. An accepted offer holds the property's offerLock until
+// it is paid or its payment window lapses.
+const mongoose = require('mongoose');
+const { MoneySchema } = require('./schemas/money');
+
+const OFFER_STATUSES = ['pending', 'countered', 'accepted', 'rejected', 'withdrawn', 'expired', 'completed'];
+
+const ActorSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  email: { type: String },
+  role: { type: String }
+}, { _id: false });
+
+const offerSchema = new mongoose.Schema({
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  propertyName: { type: String, trim: true },
+  // Owner.ownerId of the listing
+  ownerId: { type: String, default: null },
+  buyer: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    name: { type: String, trim: true, required: true },
+    email: { type: String, trim: true, lowercase: true, required: true },
+    phone: { type: String, trim: true }
+  },
+  // Listed sale price when the offer was made
+  listPrice: { type: MoneySchema, default: undefined },
+  // Terms on the table - the amount of the latest round
+  amount: { type: MoneySchema, required: true },
+  status: {
+    type: String,
+    enum: OFFER_STATUSES,
+    default: 'pending'
+  },
+  // Side that has to answer the latest round; null once the offer is closed
+  awaiting: {
+    type: String,
+    enum: ['buyer', 'seller', null],
+    default: 'seller'
+  },
+  // Expiry of the latest round
+  expiresAt: { type: Date, required: true },
+
+  rounds: {
+    type: [{
+      by: { type: String, enum: ['buyer', 'seller'], required: true },
+      amount: { type: MoneySchema, required: true },
+      message: { type: String, trim: true, maxlength: 1000 },
+      expiresAt: { type: Date },
+      actor: ActorSchema,
+      createdAt: { type: Date, default: Date.now }
+    }],
+    default: []
+  },
+
+  // Set on acceptance: the Stripe PaymentIntent for the agreed amount and the
+  // time the property stays reserved for it
+  acceptedAt: { type: Date },
+  acceptedBy: ActorSchema,
+  paymentIntentId: { type: String, default: null },
+  paymentDueAt: { type: Date, default: null },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+
+  closedAt: { type: Date, default: null },
+  closeReason: { type: String, trim: true },
+
+  history: {
+    type: [{
+      action: { type: String, enum: ['submit', 'counter', 'accept', 'reject', 'withdraw', 'expire', 'complete'] },
+      from: { type: String, default: null },
+      to: { type: String },
+      reason: { type: String },
+      changedBy: ActorSchema,
+      changedAt: { type: Date, default: Date.now }
+    }],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+// One open offer per buyer and property - later rounds go through counter
+offerSchema.index(
+  { propertyId: 1, 'buyer.userId': 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['pending', 'countered', 'accepted'] } } }
+);
+offerSchema.index({ propertyId: 1, status: 1, updatedAt: -1 });
+offerSchema.index({ 'buyer.userId': 1, createdAt: -1 });
+offerSchema.index({ ownerId: 1, status: 1, updatedAt: -1 });
+offerSchema.index({ status: 1, expiresAt: 1 });
+offerSchema.index({ paymentIntentId: 1 }, { sparse: true });
+
+offerSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Offer', offerSchema);
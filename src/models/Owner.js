@@ -1,5 +1,14 @@
 // models/Owner.js
 const mongoose = require('mongoose');
+const { ImageVariantsSchema } = require('./schemas/imageVariants');
+const softDelete = require('./plugins/softDelete');
+
+const PayoutAccountSchema = new mongoose.Schema({
+  accountName: { type: String, trim: true },
+  accountNumber: { type: String, trim: true },
+  bankCode: { type: String, trim: true, uppercase: true }, // IFSC / sort code / routing number
+  bankName: { type: String, trim: true }
+}, { _id: false });
 
 const OwnerSchema = new mongoose.Schema({
   name: { 
@@ -35,11 +44,17 @@ const OwnerSchema = new mongoose.Schema({
     trim: true 
   },
   
-  // Base64 photo storage - stores complete data URL
+  // Photo URL (largest variant). Older records may still hold a base64 data URL.
   photo: { 
-    type: String, // Will store: "data:image/jpeg;base64,/9j/4AAQ..."
+    type: String,
     required: false
   },
+
+  // Responsive photo variants - { small, medium, large }
+  photoVariants: {
+    type: ImageVariantsSchema,
+    default: undefined
+  },
   
   // Photo metadata
   // photoInfo: {
@@ -71,6 +86,14 @@ const OwnerSchema = new mongoose.Schema({
     trim: true 
   },
 
+  // Bank account commission payouts are sent to. Never selected by default -
+  // set and read through the payout endpoints only.
+  payoutAccount: {
+    type: PayoutAccountSchema,
+    select: false,
+    default: undefined
+  },
+
   // Property Stats - These will be AUTO-CALCULATED from Property collection
   totalListing: { 
     type: Number, 
@@ -107,14 +130,21 @@ OwnerSchema.index({ city: 1 });
 OwnerSchema.index({ status: 1 });
 OwnerSchema.index({ createdAt: -1 });
 
+// Deleted owners are kept (deletedAt) until purged
+OwnerSchema.plugin(softDelete);
+
 // Virtual to check if owner has photo
 OwnerSchema.virtual('hasPhoto').get(function() {
-  return !!(this.photo && this.photo.startsWith('data:'));
+  return !!this.photo;
 });
 
 // Method to get photo size in KB
 OwnerSchema.methods.getPhotoSize = function() {
   if (!this.photo) return 0;
+
+  if (this.photoVariants && this.photoVariants.large) {
+    return Math.round((this.photoVariants.large.size || 0) / 1024);
+  }
   
   // Calculate approximate size in KB
   const base64Length = this.photo.length;
@@ -128,8 +158,9 @@ OwnerSchema.methods.getPhotoSize = function() {
 OwnerSchema.methods.getPhotoFormat = function() {
   if (!this.photo) return null;
   
-  const match = this.photo.match(/^data:image\/([^;]+);base64,/);
-  return match ? match[1] : null;
+  const match = this.photo.match(/^data:image\/([^;]+);base64,/) ||
+    this.photo.match(/\.([a-z0-9]+)$/i);
+  return match ? match[1].toLowerCase() : null;
 };
 
 // Method to manually recalculate property stats (utility method)
@@ -160,8 +191,8 @@ OwnerSchema.methods.recalculatePropertyStats = async function() {
 
 // Pre-save middleware to validate and process data
 OwnerSchema.pre('save', function(next) {
-  // Validate base64 photo if provided
-  if (this.photo && this.photo.length > 0) {
+  // Validate legacy base64 photos (stored photos are plain URLs)
+  if (this.photo && this.photo.startsWith('data:')) {
     if (!this.photo.startsWith('data:image/')) {
       return next(new Error('Photo must be a valid base64 data URL'));
     }
@@ -187,7 +218,7 @@ OwnerSchema.set('toJSON', {
     delete ret.__v;
     
     // Add computed fields
-    ret.hasPhoto = !!(ret.photo && ret.photo.startsWith('data:'));
+    ret.hasPhoto = !!ret.photo;
     
     // Optionally exclude photo for list views
     if (options.excludePhoto) {
@@ -205,8 +236,7 @@ OwnerSchema.statics.findOwnersWithoutPhotos = function() {
     $or: [
       { photo: { $exists: false } },
       { photo: null },
-      { photo: '' },
-      { photo: { $not: /^data:image\// } }
+      { photo: '' }
     ]
   });
 };
@@ -215,7 +245,7 @@ OwnerSchema.statics.findOwnersWithoutPhotos = function() {
 OwnerSchema.statics.getPhotoStats = async function() {
   const totalOwners = await this.countDocuments();
   const ownersWithPhotos = await this.countDocuments({
-    photo: { $exists: true, $ne: null, $ne: '', $regex: /^data:image\// }
+    photo: { $exists: true, $nin: [null, ''] }
   });
   
   return {
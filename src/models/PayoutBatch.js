@@ -0,0 +1,74 @@
+// models/PayoutBatch.js
+// Bank payout of what the platform owes owners (the owner_payable balance in
+// the ledger). An admin creates the batch, another step approves it and it is
+// marked paid once the bank transfer went out, which posts it to the ledger.
+// Only one batch per currency is open (draft or approved) at a time, so no
+// balance is paid twice.
+const mongoose = require('mongoose');
+
+const ActorSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  email: { type: String },
+  role: { type: String }
+}, { _id: false });
+
+const PAYOUT_STATUSES = ['draft', 'approved', 'paid', 'cancelled'];
+
+const payoutBatchSchema = new mongoose.Schema({
+  number: { type: String, required: true }, // PAY-<sequence>
+  currency: { type: String, required: true, uppercase: true },
+  status: {
+    type: String,
+    enum: PAYOUT_STATUSES,
+    default: 'draft'
+  },
+  // true while draft or approved
+  open: { type: Boolean, default: true },
+  items: {
+    type: [{
+      ownerId: { type: Number, required: true },
+      ownerName: { type: String },
+      ownerEmail: { type: String },
+      // Minor units
+      amount: { type: Number, required: true, min: 1 },
+      // Bank details as they were when the batch was created
+      account: {
+        accountName: { type: String },
+        accountNumber: { type: String },
+        bankCode: { type: String },
+        bankName: { type: String }
+      }
+    }],
+    default: []
+  },
+  total: { type: Number, required: true, min: 0 },
+  createdBy: ActorSchema,
+  approvedBy: ActorSchema,
+  approvedAt: { type: Date },
+  paidBy: ActorSchema,
+  paidAt: { type: Date },
+  // Bank's reference of the transfer file
+  bankReference: { type: String, trim: true },
+  cancelledBy: ActorSchema,
+  cancelledAt: { type: Date },
+  cancelReason: { type: String, trim: true },
+  history: {
+    type: [{
+      from: { type: String, default: null },
+      to: { type: String, enum: PAYOUT_STATUSES },
+      note: { type: String },
+      changedBy: ActorSchema,
+      changedAt: { type: Date, default: Date.now }
+    }],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+payoutBatchSchema.index({ number: 1 }, { unique: true });
+payoutBatchSchema.index({ currency: 1 }, { unique: true, partialFilterExpression: { open: true } });
+payoutBatchSchema.index({ status: 1, createdAt: -1 });
+payoutBatchSchema.index({ 'items.ownerId': 1, createdAt: -1 });
+
+module.exports = mongoose.model('PayoutBatch', payoutBatchSchema);
@@ -0,0 +1,61 @@
+// models/PriceHistory.js
+// One entry per price change of a property. The first entry of each field
+// (source 'listing') is the price the property was listed at.
+const mongoose = require('mongoose');
+const { MoneySchema } = require('./schemas/money');
+
+const priceHistorySchema = new mongoose.Schema({
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  field: {
+    type: String,
+    enum: ['price', 'rentPrice', 'salePrice'],
+    required: true
+  },
+  oldPrice: { type: MoneySchema, default: undefined }, // Empty for the listing entry
+  newPrice: { type: MoneySchema, default: undefined }, // Empty when the price was cleared
+
+  // Signed difference in minor units and percent of the old price.
+  // Only set when both prices exist and share a currency.
+  changeAmount: { type: Number },
+  changePercent: { type: Number },
+
+  source: {
+    type: String,
+    enum: ['listing', 'update'],
+    default: 'update'
+  },
+
+  // Who made the change - empty for unauthenticated requests
+  changedBy: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    email: { type: String },
+    role: { type: String }
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+priceHistorySchema.index({ propertyId: 1, changedAt: 1 });
+priceHistorySchema.index({ changedAt: -1 });
+
+// Chronological history of one property, optionally for a single field
+priceHistorySchema.statics.findByProperty = function(propertyId, field) {
+  const filter = { propertyId };
+  if (field) filter.field = field;
+  return this.find(filter).sort({ changedAt: 1, _id: 1 });
+};
+
+priceHistorySchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('PriceHistory', priceHistorySchema);
@@ -1,5 +1,7 @@
 // Profile.js
 const mongoose = require("mongoose");
+const { ImageVariantsSchema } = require("./schemas/imageVariants");
+const softDelete = require("./plugins/softDelete");
 
 const profileSchema = new mongoose.Schema({
   // userId: { 
@@ -54,11 +56,17 @@ const profileSchema = new mongoose.Schema({
     validate: {
       validator: function(v) {
         if (!v) return true;
+        // Stored photo URL, or a legacy base64 data URL
         const base64Regex = /^data:image\/(jpeg|jpg|png|gif|webp|bmp|svg\+xml);base64,/i;
-        return base64Regex.test(v);
+        return base64Regex.test(v) || /^(\/|https?:\/\/)/i.test(v);
       },
-      message: "Photo must be a valid base64 image data URL"
+      message: "Photo must be an image URL or a valid base64 image data URL"
     }
+  },
+  // Responsive photo variants - { small, medium, large }; photo holds the large URL
+  photoVariants: {
+    type: ImageVariantsSchema,
+    default: undefined
   }
 }, {
   timestamps: true
@@ -68,6 +76,9 @@ const profileSchema = new mongoose.Schema({
 profileSchema.index({ email: 1 });
 profileSchema.index({ userId: 1 });
 
+// Deleted profiles are kept (deletedAt) until purged
+profileSchema.plugin(softDelete);
+
 // Virtual for full name
 profileSchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.lastName}`;
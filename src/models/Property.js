@@ -1,5 +1,43 @@
 // models/property.js
 const mongoose = require('mongoose');
+const { ImageVariantsSchema } = require('./schemas/imageVariants');
+const { MoneySchema } = require('./schemas/money');
+const softDelete = require('./plugins/softDelete');
+
+// GeoJSON point - coordinates are stored as [longitude, latitude]
+const PointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    required: true
+  },
+  coordinates: {
+    type: [Number],
+    required: true,
+    validate: {
+      validator: (v) => v.length === 2 &&
+        v[0] >= -180 && v[0] <= 180 &&
+        v[1] >= -90 && v[1] <= 90,
+      message: 'Coordinates must be [longitude, latitude]'
+    }
+  }
+}, { _id: false });
+
+// Gallery image - the file itself lives in the storage backend (utils/storage)
+const PropertyImageSchema = new mongoose.Schema({
+  key: { type: String, required: true }, // Storage key of the largest variant
+  url: { type: String, required: true },
+  variants: { type: ImageVariantsSchema, default: undefined }, // small / medium / large
+  width: { type: Number },
+  height: { type: Number },
+  caption: { type: String, trim: true, default: '' },
+  order: { type: Number, default: 0 },
+  isCover: { type: Boolean, default: false },
+  mimeType: { type: String },
+  size: { type: Number }, // Size in bytes
+  originalName: { type: String },
+  uploadedAt: { type: Date, default: Date.now }
+});
 
 const PropertySchema = new mongoose.Schema({
   name: { 
@@ -8,9 +46,23 @@ const PropertySchema = new mongoose.Schema({
     trim: true 
   },
   
-  // Base64 photo storage - stores complete data URL
+  // Cover image URL, kept in sync with the cover entry of `images`.
+  // Legacy records may still hold a base64 data URL until
+  // scripts/migratePropertyPhotos.js has been run.
   photo: { 
-    type: String // Will store: "data:image/jpeg;base64,/9j/4AAQ..."
+    type: String
+  },
+
+  // Responsive variants of the cover image, for list cards and thumbnails
+  photoVariants: {
+    type: ImageVariantsSchema,
+    default: undefined
+  },
+
+  // Ordered photo gallery
+  images: {
+    type: [PropertyImageSchema],
+    default: []
   },
 
   size: { 
@@ -51,12 +103,38 @@ const PropertySchema = new mongoose.Schema({
     type: String,
     trim: true 
   },
+
+  // Map position (set from the request or by the offline gazetteer geocoder)
+  geoLocation: {
+    type: PointSchema,
+    default: undefined
+  },
+  geocodeSource: {
+    type: String,
+    enum: ['manual', 'gazetteer']
+  },
+
   visits: { type: Number, default: 0 },
   
-  // Price fields - keep as mixed to handle both strings and numbers
-  price: { type: mongoose.Schema.Types.Mixed }, // Fallback generic price
-  rentPrice: { type: mongoose.Schema.Types.Mixed }, // Specific rent price
-  salePrice: { type: mongoose.Schema.Types.Mixed }, // Specific sale price
+  // Price fields - { amount (minor units), currency (ISO 4217) }, see utils/money
+  price: { type: MoneySchema, default: undefined }, // Fallback generic price
+  rentPrice: { type: MoneySchema, default: undefined }, // Specific rent price
+  salePrice: { type: MoneySchema, default: undefined }, // Specific sale price
+
+  // Price tracking - full history lives in the PriceHistory collection.
+  // listingPrices holds the first known price of each field and
+  // priceReduction the percent the current price is below it (negative = above).
+  listingPrices: {
+    price: { type: MoneySchema, default: undefined },
+    rentPrice: { type: MoneySchema, default: undefined },
+    salePrice: { type: MoneySchema, default: undefined }
+  },
+  priceReduction: {
+    price: { type: Number },
+    rentPrice: { type: Number },
+    salePrice: { type: Number }
+  },
+  priceChangedAt: { type: Date },
 
   rating: { type: Number, default: 4.5 },
   ownerId: { type: Number, required: true },
@@ -67,12 +145,61 @@ const PropertySchema = new mongoose.Schema({
     trim: true 
   },
   
+  // Listing workflow (utils/listingWorkflow). createProperty starts listings
+  // as drafts; there is deliberately no schema default so records created
+  // before the workflow keep no status and stay treated as published.
+  listingStatus: {
+    type: String,
+    enum: ['draft', 'pending_review', 'published', 'rejected', 'archived']
+  },
+  rejectionReason: { type: String, trim: true },
+  submittedAt: { type: Date },
+  publishedAt: { type: Date },
+  archivedAt: { type: Date },
+  reviewedBy: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    email: { type: String }
+  },
+  reviewedAt: { type: Date },
+  statusHistory: {
+    type: [{
+      from: { type: String },
+      to: { type: String },
+      reason: { type: String },
+      changedBy: {
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        email: { type: String },
+        role: { type: String }
+      },
+      changedAt: { type: Date, default: Date.now }
+    }],
+    default: []
+  },
+
+  // Number of the latest PropertyRevision (edit audit trail)
+  revision: { type: Number, default: 0 },
+
   // ✅ NEW: Track sold status
   soldDate: { type: Date },
   soldTo: { type: String }, // Customer name or ID
   soldTransactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' },
-  
-  createdAt: { type: Date, default: Date.now }
+  // Listing status before the sale, restored if the sale is refunded
+  statusBeforeSale: { type: String, enum: ['sale', 'both'] },
+
+  // Short-lived lock while a rental booking checks and writes the calendar (utils/rentalCalendar)
+  calendarLockedUntil: { type: Date, select: false },
+
+  // Reservation held by an accepted offer until it is paid (utils/offerNegotiation)
+  offerLock: {
+    offerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Offer' },
+    lockedUntil: { type: Date }
+  },
+
+  createdAt: { type: Date, default: Date.now },
+  // Maintained by the timestamps option; missing on records not touched since it was added
+  updatedAt: { type: Date }
+}, {
+  timestamps: true
 });
 
 // Indexes for better performance
@@ -81,10 +208,16 @@ PropertySchema.index({ type: 1 });
 PropertySchema.index({ status: 1 });
 PropertySchema.index({ city: 1 });
 PropertySchema.index({ createdAt: -1 });
+PropertySchema.index({ geoLocation: '2dsphere' });
+PropertySchema.index({ listingStatus: 1, createdAt: -1 });
+PropertySchema.index({ updatedAt: 1, _id: 1 });
+
+// Deleted properties are kept (deletedAt) with their images until purged
+PropertySchema.plugin(softDelete);
 
 // Virtual to check if property has photo
 PropertySchema.virtual('hasPhoto').get(function() {
-  return !!(this.photo && this.photo.startsWith('data:'));
+  return !!this.photo;
 });
 
 // ✅ NEW: Virtual to check if property is sold
@@ -123,18 +256,42 @@ PropertySchema.methods.getPhotoFormat = function() {
 };
 
 // ✅ NEW: Method to mark property as sold
-PropertySchema.methods.markAsSold = async function(transactionData) {
+// Only a property still for sale is updated: if another purchase sold it first,
+// save() rejects with a DocumentNotFoundError. Pass { session } to join a transaction.
+PropertySchema.methods.markAsSold = async function(transactionData, options = {}) {
+  this.statusBeforeSale = this.status;
   this.status = 'sold';
   this.soldDate = new Date();
   this.soldTo = transactionData.customerName;
   this.soldTransactionId = transactionData.transactionId;
-  
-  await this.save();
+
+  this.$where = { status: { $in: ['sale', 'both'] } };
+  await this.save({ session: options.session });
   
   console.log(`✅ Property "${this.name}" marked as SOLD to ${transactionData.customerName}`);
   return this;
 };
 
+// Puts the property back on the market after the sale recorded by transactionId
+// was refunded. Returns false when the property was not sold by that transaction.
+PropertySchema.methods.reverseSale = async function(transactionId) {
+  if (this.status !== 'sold' || String(this.soldTransactionId) !== String(transactionId)) {
+    return false;
+  }
+
+  this.status = this.statusBeforeSale || 'sale';
+  this.soldDate = undefined;
+  this.soldTo = undefined;
+  this.soldTransactionId = undefined;
+  this.statusBeforeSale = undefined;
+
+  this.$where = { status: 'sold', soldTransactionId: transactionId };
+  await this.save();
+
+  console.log(`↩️ Sale of property "${this.name}" reversed - back to ${this.status}`);
+  return true;
+};
+
 // ✅ NEW: Static method to get all sold properties
 PropertySchema.statics.findSoldProperties = function() {
   return this.find({ status: 'sold' }).sort({ soldDate: -1 });
@@ -142,13 +299,47 @@ PropertySchema.statics.findSoldProperties = function() {
 
 // ✅ NEW: Static method to get all available properties (excluding sold)
 PropertySchema.statics.findAvailableProperties = function() {
-  return this.find({ status: { $in: ['rent', 'sale', 'both'] } });
+  return this.find({
+    status: { $in: ['rent', 'sale', 'both'] },
+    listingStatus: { $in: ['published', null] }
+  });
+};
+
+// Keeps gallery order contiguous, guarantees a single cover image and
+// mirrors the cover URL into `photo` for clients that only read one image
+PropertySchema.methods.syncGallery = function() {
+  const images = [...this.images].sort((a, b) => a.order - b.order);
+  let cover = images.find(image => image.isCover);
+
+  if (!cover && images.length > 0) cover = images[0];
+
+  images.forEach((image, index) => {
+    image.order = index;
+    image.isCover = image === cover;
+  });
+
+  this.images = images;
+
+  if (cover) {
+    this.photo = cover.url;
+    this.photoVariants = cover.variants;
+  } else if (this.photo && !this.photo.startsWith('data:')) {
+    // Last gallery image was removed
+    this.photo = '';
+    this.photoVariants = undefined;
+  }
+
+  return this;
 };
 
 // Pre-save middleware to validate and process data
 PropertySchema.pre('save', function(next) {
-  // Validate base64 photo if provided
-  if (this.photo && this.photo.length > 0) {
+  if (this.isModified('images')) {
+    this.syncGallery();
+  }
+
+  // Legacy base64 photos are still accepted until they are migrated
+  if (this.photo && this.photo.startsWith('data:')) {
     if (!this.photo.startsWith('data:image/')) {
       return next(new Error('Photo must be a valid base64 data URL'));
     }
@@ -171,7 +362,7 @@ PropertySchema.set('toJSON', {
     delete ret.__v;
     
     // Add computed fields
-    ret.hasPhoto = !!(ret.photo && ret.photo.startsWith('data:'));
+    ret.hasPhoto = !!ret.photo;
     ret.isSold = ret.status === 'sold';
     
     // Optionally exclude photo for list views (if query param says so)
@@ -190,25 +381,37 @@ PropertySchema.set('toObject', { virtuals: true });
 // Static method to find properties without photos (for migration purposes)
 PropertySchema.statics.findPropertiesWithoutPhotos = function() {
   return this.find({
+    'images.0': { $exists: false },
     $or: [
       { photo: { $exists: false } },
       { photo: null },
-      { photo: '' },
-      { photo: { $not: /^data:image\// } }
+      { photo: '' }
     ]
   });
 };
 
+// Static method to find properties whose photo is still a base64 blob
+PropertySchema.statics.findPropertiesWithBase64Photos = function() {
+  return this.find({ photo: /^data:image\// });
+};
+
 // Static method to get photo statistics
 PropertySchema.statics.getPhotoStats = async function() {
   const totalProperties = await this.countDocuments();
   const propertiesWithPhotos = await this.countDocuments({
-    photo: { $exists: true, $ne: null, $ne: '', $regex: /^data:image\// }
+    $or: [
+      { 'images.0': { $exists: true } },
+      { photo: { $exists: true, $nin: [null, ''] } }
+    ]
+  });
+  const propertiesWithBase64Photos = await this.countDocuments({
+    photo: /^data:image\//
   });
   
   return {
     totalProperties,
     propertiesWithPhotos,
+    propertiesWithBase64Photos,
     propertiesWithoutPhotos: totalProperties - propertiesWithPhotos,
     photoPercentage: totalProperties > 0 ? Math.round((propertiesWithPhotos / totalProperties) * 100) : 0
   };
@@ -0,0 +1,65 @@
+// models/PropertyRevision.js
+// Append-only edit log of a property (see utils/propertyRevisions).
+// Revisions are numbered per property from Property.revision.
+const mongoose = require('mongoose');
+
+const FieldChangeSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  from: { type: mongoose.Schema.Types.Mixed, default: null },
+  to: { type: mongoose.Schema.Types.Mixed, default: null }
+}, { _id: false });
+
+const propertyRevisionSchema = new mongoose.Schema({
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'revert'],
+    required: true
+  },
+  changes: {
+    type: [FieldChangeSchema],
+    default: []
+  },
+  revertedTo: { type: Number }, // Target revision of a revert
+  changedBy: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    email: { type: String },
+    role: { type: String }
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+});
+
+propertyRevisionSchema.index({ propertyId: 1, revision: -1 }, { unique: true });
+
+// Revisions are never edited once written
+const rejectUpdate = function(next) {
+  next(new Error('Property revisions are append-only'));
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'].forEach((hook) => {
+  propertyRevisionSchema.pre(hook, rejectUpdate);
+});
+propertyRevisionSchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error('Property revisions are append-only'));
+  next();
+});
+
+propertyRevisionSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('PropertyRevision', propertyRevisionSchema);
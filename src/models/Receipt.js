@@ -0,0 +1,83 @@
+// models/Receipt.js
+// Receipt of a completed transaction, or credit note of one of its refunds.
+// Everything printed on the PDF (utils/receiptPdf) is copied here when the
+// document is issued, so a re-download always shows the same figures even
+// after the property, the owner or the tax rates change.
+const mongoose = require('mongoose');
+
+const receiptSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['receipt', 'credit_note'],
+    required: true
+  },
+  // RCPT-<sequence> / CN-<sequence>
+  number: { type: String, required: true },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+  customTransactionId: { type: String, required: true },
+  // Credit notes only: the refund and the receipt it corrects
+  refundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund'
+  },
+  receiptNumber: { type: String },
+  reason: { type: String, trim: true },
+  issuedAt: { type: Date, required: true },
+  customer: {
+    name: { type: String },
+    email: { type: String },
+    phone: { type: String }
+  },
+  property: {
+    propertyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Property' },
+    name: { type: String },
+    address: { type: String },
+    city: { type: String }
+  },
+  owner: {
+    ownerId: { type: Number },
+    name: { type: String },
+    email: { type: String }
+  },
+  purchaseType: {
+    type: String,
+    enum: ['buy', 'rent'],
+    required: true
+  },
+  leaseStartDate: { type: Date },
+  leaseEndDate: { type: Date },
+  paymentMethod: { type: String },
+  stripePaymentId: { type: String },
+  // Minor units. amount includes the tax: amount = taxableAmount + tax.amount
+  currency: { type: String, required: true, uppercase: true },
+  amount: { type: Number, required: true, min: 0 },
+  taxableAmount: { type: Number, required: true, min: 0 },
+  tax: {
+    label: { type: String },
+    ratePercent: { type: Number, min: 0 },
+    amount: { type: Number, min: 0 }
+  },
+  // Set once the PDF was emailed to the customer
+  emailedAt: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+receiptSchema.index({ number: 1 }, { unique: true });
+// One receipt per transaction and one credit note per refund
+receiptSchema.index({ transactionId: 1, kind: 1 }, { unique: true, partialFilterExpression: { kind: 'receipt' } });
+receiptSchema.index({ refundId: 1 }, { unique: true, sparse: true });
+receiptSchema.index({ transactionId: 1, issuedAt: 1 });
+
+receiptSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Receipt', receiptSchema);
@@ -0,0 +1,51 @@
+// models/Refund.js
+// A Stripe refund of a transaction, full or partial. Refunds issued by an admin
+// are recorded before Stripe is called; refunds made in the Stripe dashboard
+// arrive through the charge.refunded webhook.
+const mongoose = require('mongoose');
+
+const ActorSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  email: { type: String },
+  role: { type: String }
+}, { _id: false });
+
+const refundSchema = new mongoose.Schema({
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+  paymentIntentId: { type: String, required: true },
+  stripeRefundId: { type: String },
+  // Minor units, in the transaction's currency
+  amount: { type: Number, required: true, min: 1 },
+  currency: { type: String, required: true, uppercase: true },
+  reason: { type: String, trim: true, required: true },
+  // Reason reported to Stripe
+  stripeReason: {
+    type: String,
+    enum: ['duplicate', 'fraudulent', 'requested_by_customer', null],
+    default: null
+  },
+  // Stripe refund status; 'failed' is also used when Stripe rejected the request
+  status: {
+    type: String,
+    enum: ['pending', 'requires_action', 'succeeded', 'failed', 'canceled'],
+    default: 'pending'
+  },
+  failureReason: { type: String },
+  source: {
+    type: String,
+    enum: ['admin', 'webhook'],
+    required: true
+  },
+  actor: ActorSchema
+}, {
+  timestamps: true
+});
+
+refundSchema.index({ stripeRefundId: 1 }, { unique: true, sparse: true });
+refundSchema.index({ transactionId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Refund', refundSchema);
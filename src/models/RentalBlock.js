@@ -0,0 +1,73 @@
+// models/RentalBlock.js
+// A blocked range on a property's rental calendar. Ranges are whole UTC days,
+// start inclusive and end exclusive: a lease from 2025-01-01 to 2025-02-01
+// frees the property again on 2025-02-01.
+const mongoose = require('mongoose');
+
+const rentalBlockSchema = new mongoose.Schema({
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true,
+    validate: {
+      validator: function(value) {
+        return !this.startDate || value > this.startDate;
+      },
+      message: 'endDate must be after startDate'
+    }
+  },
+  type: {
+    type: String,
+    enum: ['lease', 'owner_block', 'maintenance'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+  // Rent transaction that created a lease block
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  note: { type: String, trim: true },
+  createdBy: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    email: { type: String },
+    role: { type: String }
+  },
+  cancelledAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+rentalBlockSchema.index({ propertyId: 1, status: 1, startDate: 1, endDate: 1 });
+rentalBlockSchema.index({ transactionId: 1 }, { sparse: true });
+
+// Active blocks of a property that intersect [start, end)
+rentalBlockSchema.statics.findOverlapping = function(propertyId, start, end) {
+  return this.find({
+    propertyId,
+    status: 'active',
+    startDate: { $lt: end },
+    endDate: { $gt: start }
+  }).sort({ startDate: 1 });
+};
+
+rentalBlockSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('RentalBlock', rentalBlockSchema);
@@ -0,0 +1,42 @@
+// models/StripeEvent.js
+// Stripe webhook events already received. Stripe delivers at least once, so
+// an event marked processed is acknowledged again without being re-applied.
+const mongoose = require('mongoose');
+
+const stripeEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'ignored', 'failed'],
+    default: 'processing'
+  },
+  // PaymentIntent the event is about, and the transaction it touched
+  paymentIntentId: { type: String, default: null },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+  // What the handler did (e.g. "recorded", "Pending -> Completed", "unmatched")
+  outcome: { type: String },
+  error: { type: String },
+  attempts: { type: Number, default: 0 },
+  livemode: { type: Boolean },
+  stripeCreatedAt: { type: Date },
+  processedAt: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+stripeEventSchema.index({ paymentIntentId: 1, createdAt: -1 });
+stripeEventSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('StripeEvent', stripeEventSchema);
@@ -1,5 +1,7 @@
 // src/models/Transaction.js
 const mongoose = require('mongoose');
+const { DEFAULT_CURRENCY, isValidCurrency, fromMinorUnits, formatMoney } = require('../utils/money');
+const softDelete = require('./plugins/softDelete');
 
 const transactionSchema = new mongoose.Schema(
   {
@@ -40,14 +42,24 @@ const transactionSchema = new mongoose.Schema(
       type: String,
       default: null
     },
-    // Transaction details
+    // Transaction details - amount is in minor units of currency (see utils/money)
     amount: {
       type: Number,
       required: true,
+      min: [0, 'Amount cannot be negative'],
+      validate: {
+        validator: Number.isInteger,
+        message: 'Amount must be an integer number of minor units',
+      },
     },
     currency: {
       type: String,
-      default: 'dollar',
+      uppercase: true,
+      default: DEFAULT_CURRENCY,
+      validate: {
+        validator: isValidCurrency,
+        message: props => `${props.value} is not a supported ISO 4217 currency code`,
+      },
     },
     // NEW: Purchase type field
     purchaseType: {
@@ -67,15 +79,65 @@ const transactionSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
+    // Lease period of a rent transaction - whole UTC days, end exclusive
+    leaseStartDate: {
+      type: Date,
+      default: null,
+    },
+    leaseEndDate: {
+      type: Date,
+      default: null,
+    },
+    // Calendar block holding the lease dates (see models/RentalBlock)
+    rentalBlockId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RentalBlock',
+      default: null,
+    },
     paymentMethod: {
       type: String,
       default: 'card',
     },
+    // Payment state, driven by the client, admins and the Stripe webhook (see
+    // utils/paymentStateMachine): Pending -> Completed | Failed,
+    // Completed -> PartiallyRefunded -> Refunded
     status: {
       type: String,
-      enum: ['Completed', 'Pending', 'Failed'],
+      enum: ['Completed', 'Pending', 'Failed', 'PartiallyRefunded', 'Refunded'],
       default: 'Completed',
     },
+    failureReason: {
+      type: String,
+      default: null,
+    },
+    // Refunded so far, in minor units - equals amount once fully refunded
+    refundedAmount: {
+      type: Number,
+      default: 0,
+    },
+    refundedAt: {
+      type: Date,
+      default: null,
+    },
+    // Latest chargeback opened on the payment
+    dispute: {
+      id: { type: String },
+      status: { type: String },
+      reason: { type: String },
+      amount: { type: Number },
+      openedAt: { type: Date },
+    },
+    statusHistory: {
+      type: [{
+        from: { type: String, default: null },
+        to: { type: String },
+        source: { type: String, enum: ['client', 'webhook', 'admin'] },
+        eventId: { type: String },
+        reason: { type: String },
+        changedAt: { type: Date, default: Date.now },
+      }],
+      default: [],
+    },
   },
   {
     timestamps: true,
@@ -91,6 +153,19 @@ transactionSchema.index({ customerPhone: 1, createdAt: -1 });
 // NEW: Index for purchase type queries
 transactionSchema.index({ purchaseType: 1 });
 transactionSchema.index({ purchaseType: 1, createdAt: -1 });
+transactionSchema.index({ property: 1, purchaseType: 1, leaseStartDate: 1 });
+
+// Deleted transactions are kept (deletedAt) and left out of reports until purged
+transactionSchema.plugin(softDelete);
+
+// Major-unit value and display string alongside the raw minor-unit amount
+transactionSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    ret.amountValue = fromMinorUnits(ret.amount, ret.currency);
+    ret.amountFormatted = formatMoney(ret.amount, ret.currency);
+    return ret;
+  },
+});
 
 const Transaction = mongoose.model('Transaction', transactionSchema);
 module.exports = Transaction;
\ No newline at end of file
@@ -29,7 +29,7 @@ const UserSchema = new mongoose.Schema({
   },
   role: { 
     type: String, 
-    enum: ['user', 'admin'], 
+    enum: ['user', 'owner', 'agent', 'admin'], 
     default: 'user'
   },
   isVerified: {
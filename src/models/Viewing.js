@@ -0,0 +1,82 @@
+// models/Viewing.js
+// Site-visit appointment requested by a customer for a property.
+// requested -> confirmed -> completed, or cancelled from either open state.
+const mongoose = require('mongoose');
+
+const VIEWING_STATUSES = ['requested', 'confirmed', 'cancelled', 'completed'];
+
+const ActorSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  email: { type: String },
+  role: { type: String }
+}, { _id: false });
+
+const viewingSchema = new mongoose.Schema({
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  customer: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    name: { type: String, trim: true, required: true },
+    email: { type: String, trim: true, lowercase: true, required: true },
+    phone: { type: String, trim: true }
+  },
+  startTime: {
+    type: Date,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    required: true,
+    validate: {
+      validator: function(value) {
+        return !this.startTime || value > this.startTime;
+      },
+      message: 'endTime must be after startTime'
+    }
+  },
+  status: {
+    type: String,
+    enum: VIEWING_STATUSES,
+    default: 'requested'
+  },
+  message: { type: String, trim: true, maxlength: 1000 },
+  cancellationReason: { type: String, trim: true },
+
+  // Bumped on every change sent to calendars (iCalendar SEQUENCE)
+  sequence: { type: Number, default: 0 },
+  confirmedAt: { type: Date },
+  cancelledAt: { type: Date },
+  reminderSentAt: { type: Date, default: null },
+
+  history: {
+    type: [{
+      action: { type: String, enum: ['request', 'confirm', 'reschedule', 'cancel', 'complete'] },
+      from: { type: String, default: null },
+      to: { type: String },
+      startTime: { type: Date },
+      endTime: { type: Date },
+      reason: { type: String },
+      changedBy: ActorSchema,
+      changedAt: { type: Date, default: Date.now }
+    }],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+viewingSchema.index({ propertyId: 1, status: 1, startTime: 1 });
+viewingSchema.index({ 'customer.userId': 1, startTime: -1 });
+viewingSchema.index({ status: 1, reminderSentAt: 1, startTime: 1 });
+
+viewingSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Viewing', viewingSchema);
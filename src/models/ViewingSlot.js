@@ -0,0 +1,51 @@
+// models/ViewingSlot.js
+// A time window in which an owner accepts site visits for a property.
+// Customers request viewings inside these windows (see models/Viewing).
+const mongoose = require('mongoose');
+
+const viewingSlotSchema = new mongoose.Schema({
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  startTime: {
+    type: Date,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    required: true,
+    validate: {
+      validator: function(value) {
+        return !this.startTime || value > this.startTime;
+      },
+      message: 'endTime must be after startTime'
+    }
+  },
+  note: { type: String, trim: true },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+  createdBy: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    email: { type: String },
+    role: { type: String }
+  },
+  cancelledAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+viewingSlotSchema.index({ propertyId: 1, status: 1, startTime: 1 });
+
+viewingSlotSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('ViewingSlot', viewingSlotSchema);
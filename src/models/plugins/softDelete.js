@@ -0,0 +1,109 @@
+// models/plugins/softDelete.js
+// Soft deletion: softDelete() stamps deletedAt/deletedBy instead of removing the
+// document, and queries, counts, updates and aggregations leave stamped documents
+// out. To see them, filter on deletedAt yourself (e.g. { deletedAt: { $ne: null } }),
+// pass the query or aggregate option { withDeleted: true }, or start a pipeline
+// with a $match on deletedAt. deleteOne/deleteMany still remove documents for good - the purge
+// job (jobs/purgeDeleted) uses them once the retention window has passed.
+const mongoose = require('mongoose');
+
+const ActorSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  email: { type: String },
+  role: { type: String }
+}, { _id: false });
+
+const FILTERED_QUERIES = [
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'countDocuments',
+  'distinct',
+  'updateOne',
+  'updateMany',
+  'replaceOne'
+];
+
+const NOT_DELETED = { deletedAt: null };
+
+const mentionsDeletedAt = (filter) => Boolean(filter) && Object.prototype.hasOwnProperty.call(filter, 'deletedAt');
+
+function excludeDeletedFromQuery() {
+  const { withDeleted } = this.getOptions();
+  delete this.options.withDeleted;
+  if (withDeleted || mentionsDeletedAt(this.getFilter())) return;
+  this.where(NOT_DELETED);
+}
+
+function excludeDeletedFromAggregate() {
+  const { withDeleted } = this.options;
+  delete this.options.withDeleted;
+  if (withDeleted) return;
+
+  const pipeline = this.pipeline();
+  const first = pipeline[0];
+
+  // $geoNear has to stay the first stage, so the condition joins its query
+  if (first && first.$geoNear) {
+    if (!mentionsDeletedAt(first.$geoNear.query)) {
+      first.$geoNear.query = { ...(first.$geoNear.query || {}), ...NOT_DELETED };
+    }
+    return;
+  }
+  if (first && first.$match && mentionsDeletedAt(first.$match)) return;
+  pipeline.unshift({ $match: NOT_DELETED });
+}
+
+module.exports = function softDeletePlugin(schema) {
+  schema.add({
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: ActorSchema, default: undefined }
+  });
+  schema.index({ deletedAt: 1 }, { sparse: true });
+
+  schema.pre(FILTERED_QUERIES, excludeDeletedFromQuery);
+  schema.pre('aggregate', excludeDeletedFromAggregate);
+
+  /**
+   * Marks the document deleted. Returns false when it already was.
+   * @param {Object} [actor] - { userId, email, role } (utils/priceHistory actorFromRequest)
+   */
+  schema.methods.softDelete = async function(actor) {
+    const deletedAt = new Date();
+    const result = await this.constructor.updateOne(
+      { _id: this._id },
+      { $set: { deletedAt, deletedBy: actor } }
+    );
+    if (result.modifiedCount === 0) return false;
+    this.set({ deletedAt, deletedBy: actor });
+    return true;
+  };
+
+  // Brings a deleted document back. Returns false when it was not deleted.
+  schema.methods.restore = async function() {
+    const result = await this.constructor.updateOne(
+      { _id: this._id, deletedAt: { $ne: null } },
+      { $set: { deletedAt: null }, $unset: { deletedBy: 1 } }
+    );
+    if (result.modifiedCount === 0) return false;
+    this.set({ deletedAt: null, deletedBy: undefined });
+    return true;
+  };
+
+  /**
+   * Marks every matching document deleted
+   * @returns {Promise<number>} - How many were deleted by this call
+   */
+  schema.statics.softDeleteMany = async function(filter, actor) {
+    const result = await this.updateMany(
+      { ...filter, deletedAt: null },
+      { $set: { deletedAt: new Date(), deletedBy: actor } }
+    );
+    return result.modifiedCount;
+  };
+
+  schema.statics.findDeleted = function(filter = {}) {
+    return this.find({ ...filter, deletedAt: { $ne: null } });
+  };
+};
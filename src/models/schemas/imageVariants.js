@@ -0,0 +1,20 @@
+// models/schemas/imageVariants.js
+// Shared sub-schemas for responsive image variants produced by utils/imageUtils
+const mongoose = require('mongoose');
+
+const ImageVariantSchema = new mongoose.Schema({
+  key: { type: String, required: true }, // Storage key
+  url: { type: String, required: true },
+  width: { type: Number },
+  height: { type: Number },
+  size: { type: Number } // Size in bytes
+}, { _id: false });
+
+// { small, medium, large } - see IMAGE_VARIANTS for the sizes
+const ImageVariantsSchema = new mongoose.Schema({
+  small: { type: ImageVariantSchema },
+  medium: { type: ImageVariantSchema },
+  large: { type: ImageVariantSchema }
+}, { _id: false });
+
+module.exports = { ImageVariantSchema, ImageVariantsSchema };
@@ -0,0 +1,33 @@
+// models/schemas/money.js
+// { amount, currency } - integer minor units + ISO 4217 code (see utils/money)
+const mongoose = require('mongoose');
+const { DEFAULT_CURRENCY, isValidCurrency, serializeMoney } = require('../../utils/money');
+
+const MoneySchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Amount cannot be negative'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Amount must be an integer number of minor units'
+    }
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    default: DEFAULT_CURRENCY,
+    validate: {
+      validator: isValidCurrency,
+      message: props => `${props.value} is not a supported ISO 4217 currency code`
+    }
+  }
+}, { _id: false });
+
+// Responses carry the major-unit value and a display string next to the raw amount
+MoneySchema.set('toJSON', {
+  transform: (doc, ret) => serializeMoney(ret)
+});
+
+module.exports = { MoneySchema };
@@ -0,0 +1,20 @@
+// routes/commissions.js
+const express = require('express');
+const router = express.Router();
+const commissionController = require('../controllers/commissionController');
+const { verifyToken } = require('../middleware/authMiddleware');
+const { requireAdmin, requireListingManager } = require('../middleware/roleCheck');
+
+// Commission per payment - admins see every owner, owners their own
+// (query: ownerId, purchaseType, currency, from, to, page, limit)
+router.get('/', verifyToken, requireListingManager, commissionController.getCommissions);
+
+// Rules: owner beats agency beats default. Body: { rent: terms, buy: terms, note }
+// terms: { type: 'percent', percent } or { type: 'flat', amount, currency }
+router.get('/rules', verifyToken, requireAdmin, commissionController.getRules);
+router.put('/rules/default', verifyToken, requireAdmin, commissionController.setDefaultRule);
+router.put('/rules/owners/:ownerId', verifyToken, requireAdmin, commissionController.setOwnerRule);
+router.put('/rules/agencies/:agency', verifyToken, requireAdmin, commissionController.setAgencyRule);
+router.delete('/rules/:id', verifyToken, requireAdmin, commissionController.deleteRule);
+
+module.exports = router;
@@ -0,0 +1,34 @@
+// routes/conversations.js
+const express = require('express');
+const router = express.Router();
+const conversationController = require('../controllers/conversationController');
+const { uploadMessageAttachments } = require('../middleware/propmiddleware');
+const { verifyToken } = require('../middleware/authMiddleware');
+
+// Every conversation route needs a signed-in user
+router.use(verifyToken);
+
+// Ask the owner of a property a question (opens or continues the thread)
+// JSON { propertyId, text } or multipart with up to 5 "attachments"
+router.post('/', uploadMessageAttachments, conversationController.startConversation);
+
+// The caller's threads with unread counts (query: page, limit, propertyId, all=true for admins)
+router.get('/', conversationController.getConversations);
+
+// Unread messages across all threads (must be BEFORE /:id)
+router.get('/unread-count', conversationController.getUnreadCount);
+
+router.get('/:id', conversationController.getConversationById);
+
+// Newest first (query: before=<messageId>, limit)
+router.get('/:id/messages', conversationController.getMessages);
+
+// JSON { text } or multipart with "attachments"
+router.post('/:id/messages', uploadMessageAttachments, conversationController.sendMessage);
+
+// Mark everything read and notify the other participants
+router.post('/:id/read', conversationController.markConversationAsRead);
+
+router.get('/:id/messages/:messageId/attachments/:attachmentId', conversationController.downloadAttachment);
+
+module.exports = router;
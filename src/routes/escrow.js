@@ -0,0 +1,34 @@
+// routes/escrow.js
+const express = require('express');
+const router = express.Router();
+const escrowController = require('../controllers/escrowController');
+const { verifyToken } = require('../middleware/authMiddleware');
+const { requireAdmin, requireListingManager } = require('../middleware/roleCheck');
+const { idempotency } = require('../middleware/idempotency');
+
+// Money received into escrow - body: { transactionId, kind, amount, currency, reference, note }
+router.post('/holds', verifyToken, requireAdmin, idempotency('escrow-hold'), escrowController.recordHold);
+
+// Accounts of managed listings (query: propertyId, customerEmail, kind, open, page, limit)
+router.get('/accounts', verifyToken, requireListingManager, escrowController.getAccounts);
+
+// Account with its ledger - managers and the customer
+router.get('/accounts/:id', verifyToken, escrowController.getAccountById);
+
+// Release to the customer / deduction for the owner, pending admin approval
+// Body: { amount, currency, reason, reference }
+router.post('/accounts/:id/releases', verifyToken, requireListingManager, idempotency('escrow-release'), escrowController.requestRelease);
+router.post('/accounts/:id/deductions', verifyToken, requireListingManager, idempotency('escrow-deduction'), escrowController.requestDeduction);
+
+// Ledger and approval queue (query: status, type, propertyId, customerEmail, page, limit)
+router.get('/entries', verifyToken, requireAdmin, escrowController.getEntries);
+
+// Body: { note } - required to reject
+router.post('/entries/:entryId/approve', verifyToken, requireAdmin, escrowController.approveEntry);
+router.post('/entries/:entryId/reject', verifyToken, requireAdmin, escrowController.rejectEntry);
+
+// Balances per property (managers) and per customer (admins or the customer)
+router.get('/balances/properties/:propertyId', verifyToken, requireListingManager, escrowController.getPropertyBalance);
+router.get('/balances/customers/:email', verifyToken, escrowController.getCustomerBalance);
+
+module.exports = router;
@@ -187,9 +187,32 @@ router.use('/notifications', require('./notification'));
 
 router.use('/owners', require('./ownerRoutes'));
 
+// Site-visit appointments - slots are public, everything else needs a token
+router.use('/viewings', require('./viewings'));
+
+// Customer-to-owner message threads (token required, realtime events over Socket.IO)
+router.use('/conversations', require('./conversations'));
+
+// Lead pipeline for owners, agents and admins
+router.use('/leads', require('./leads'));
+
+// Purchase offers and counter-offers between buyers and listing owners
+router.use('/offers', require('./offers'));
+
+// Leases from rent purchases and their monthly invoices
+router.use('/leases', require('./leases'));
+
+// Deposits and earnest money held in escrow; releases and deductions need an admin
+router.use('/escrow', require('./escrow'));
+
+// Commission rules and owner payouts; owners read their own statements
+router.use('/commissions', require('./commissions'));
+router.use('/payouts', require('./payouts'));
+
 // ===== ADMIN ONLY ROUTES (Admin role required) =====
 router.use('/admin', verifyToken, requireAdmin, require('./adminRoutes'));
 router.use('/stats', require('./stats'));
+router.use('/ledger', require('./ledger'));
 router.use('/sales', require('./sales'));
 
 // ===== UTILITY ROUTES =====
@@ -229,6 +252,14 @@ router.get('/endpoints', (req, res) => {
       'GET /api/favorites/*',
       'GET /api/profiles/*',
       'GET /api/payment/*',
+      'GET /api/viewings/* (slots are public)',
+      'GET /api/conversations/*',
+      'GET /api/leads/* (owners, agents, admins)',
+      'GET /api/offers/*',
+      'GET /api/leases/*',
+      'GET /api/escrow/*',
+      'GET /api/commissions (owners see their own; rules are admin only)',
+      'GET /api/payouts/* (owners see their own; batches are admin only)',
       'GET /api/notifications/mobile (requires token)',
       'GET /api/notifications/mobile/unread-count (requires token)'
     ],
@@ -246,6 +277,7 @@ router.get('/endpoints', (req, res) => {
       'GET /api/notifications (admin)',
       'GET /api/owners/*',
       'GET /api/stats/*',
+      'GET /api/ledger/*',
       'GET /api/sales/*'
     ]
   });
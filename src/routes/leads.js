@@ -0,0 +1,23 @@
+// routes/leads.js
+const express = require('express');
+const router = express.Router();
+const leadController = require('../controllers/leadController');
+const { verifyToken } = require('../middleware/authMiddleware');
+const { requireAdmin, requireListingManager } = require('../middleware/roleCheck');
+
+// Inquiries are created through POST /api/property/:id/inquiries
+
+// Pipeline board grouped by stage with conversion rates (must be BEFORE /:id)
+// Query: from, to, ownerId, propertyId, limit (cards per stage)
+router.get('/board', verifyToken, requireAdmin, leadController.getLeadBoard);
+
+// Leads of managed listings (query: stage, propertyId, ownerId, q, page, limit)
+router.get('/', verifyToken, requireListingManager, leadController.getLeads);
+
+router.get('/:id', verifyToken, requireListingManager, leadController.getLeadById);
+
+// Move through new -> contacted -> viewing -> negotiating -> won | lost
+// Body: { stage, reason } (reason required for lost)
+router.patch('/:id/stage', verifyToken, requireListingManager, leadController.updateLeadStage);
+
+module.exports = router;
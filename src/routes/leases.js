@@ -0,0 +1,35 @@
+// routes/leases.js
+const express = require('express');
+const router = express.Router();
+const leaseController = require('../controllers/leaseController');
+const { verifyToken } = require('../middleware/authMiddleware');
+const { requireListingManager } = require('../middleware/roleCheck');
+const { idempotency } = require('../middleware/idempotency');
+
+// Lease of a completed rent purchase
+// Body: { transactionId, termMonths, billingDay, rent, deposit, currency, lateFee: { amount, percent, graceDays } }
+router.post('/', verifyToken, requireListingManager, leaseController.createLease);
+
+// Leases on managed listings (query: status, propertyId, page, limit)
+router.get('/', verifyToken, requireListingManager, leaseController.getLeases);
+
+// The caller's leases as a tenant, with their open invoices
+router.get('/mine', verifyToken, leaseController.getMyLeases);
+
+// Invoices - open to the tenant and to whoever manages the listing
+router.get('/invoices/:invoiceId', verifyToken, leaseController.getInvoice);
+
+// Tenant only - PaymentIntent for the amount still due
+router.post('/invoices/:invoiceId/pay', verifyToken, leaseController.payInvoice);
+
+// Tenant only - body: { paymentIntentId }
+router.post('/invoices/:invoiceId/confirm', verifyToken, leaseController.confirmInvoicePayment);
+
+// Offline payment recorded by the listing owner
+// Body: { amount, currency, method, reference, note, paidAt }
+router.post('/invoices/:invoiceId/payments', verifyToken, idempotency('invoice-payment'), leaseController.recordOfflinePayment);
+
+// Lease with all its invoices
+router.get('/:id', verifyToken, leaseController.getLeaseById);
+
+module.exports = router;
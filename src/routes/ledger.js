@@ -0,0 +1,28 @@
+// routes/ledger.js - double-entry ledger, admin only
+const express = require('express');
+const router = express.Router();
+const ledgerController = require('../controllers/ledgerController');
+const { verifyToken } = require('../middleware/authMiddleware');
+const { requireAdmin } = require('../middleware/roleCheck');
+
+router.use(verifyToken, requireAdmin);
+
+// Chart of accounts
+router.get('/accounts', ledgerController.getAccounts);
+
+// Query: asOf (YYYY-MM-DD, inclusive), currency
+router.get('/trial-balance', ledgerController.getTrialBalance);
+
+// Query: from, to (YYYY-MM-DD, inclusive), currency, ownerId, customerEmail, page, limit
+router.get('/accounts/:account/statement', ledgerController.getAccountStatement);
+
+// Query: kind, transactionId, from, to, page, limit
+router.get('/entries', ledgerController.getEntries);
+
+// Body: { reason }
+router.post('/entries/:id/reverse', ledgerController.reverseEntry);
+
+// Post missing entries - body: { full }
+router.post('/sync', ledgerController.syncLedger);
+
+module.exports = router;
@@ -0,0 +1,36 @@
+// routes/offers.js
+const express = require('express');
+const router = express.Router();
+const offerController = require('../controllers/offerController');
+const { verifyToken } = require('../middleware/authMiddleware');
+const { requireListingManager } = require('../middleware/roleCheck');
+
+// Make an offer on a for-sale listing
+// Body: { propertyId, amount, currency, message, expiresInHours, name, phone }
+router.post('/', verifyToken, offerController.submitOffer);
+
+// The caller's own offers (query: status)
+router.get('/mine', verifyToken, offerController.getMyOffers);
+
+// Offers on managed listings (query: status, propertyId, page, limit)
+router.get('/', verifyToken, requireListingManager, offerController.getOffers);
+
+// Everything below is open to the buyer and to whoever manages the listing
+router.get('/:id', verifyToken, offerController.getOfferById);
+
+// Answer the latest round - body: { amount, currency, message, expiresInHours }
+router.post('/:id/counter', verifyToken, offerController.counterOffer);
+
+// Agree to the latest round: reserves the property and creates the PaymentIntent
+router.post('/:id/accept', verifyToken, offerController.acceptOffer);
+
+// Body: { reason }
+router.post('/:id/reject', verifyToken, offerController.rejectOffer);
+
+// Buyer only - body: { reason }
+router.post('/:id/withdraw', verifyToken, offerController.withdrawOffer);
+
+// Client secret of the accepted offer's PaymentIntent (buyer only)
+router.get('/:id/payment', verifyToken, offerController.getOfferPayment);
+
+module.exports = router;
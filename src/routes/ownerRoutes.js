@@ -2,6 +2,8 @@
 const express = require('express');
 const router = express.Router();
 const ownerController = require('../controllers/ownerController');
+const { verifyToken, optionalAuth } = require('../middleware/authMiddleware');
+const { requireAdmin } = require('../middleware/roleCheck');
 
 // --- Utility Routes (MUST come before parameterized routes) ---
 
@@ -30,8 +32,11 @@ router.get('/:ownerId', ownerController.getOwnerById);
 // Update owner with optional new photo (accepts JSON)
 router.put('/:ownerId', ownerController.updateOwner);
 
-// Delete owner
-router.delete('/:ownerId', ownerController.deleteOwner);
+// Delete owner (soft delete; the caller is recorded when signed in)
+router.delete('/:ownerId', optionalAuth, ownerController.deleteOwner);
+
+// Restore a deleted owner (admin)
+router.post('/:ownerId/restore', verifyToken, requireAdmin, ownerController.restoreOwner);
 
 // --- Photo-specific Routes ---
 
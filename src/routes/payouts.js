@@ -0,0 +1,28 @@
+// routes/payouts.js
+const express = require('express');
+const router = express.Router();
+const payoutController = require('../controllers/payoutController');
+const { verifyToken } = require('../middleware/authMiddleware');
+const { requireAdmin, requireListingManager } = require('../middleware/roleCheck');
+const { idempotency } = require('../middleware/idempotency');
+
+// What the signed-in owner is owed (query: currency)
+router.get('/mine', verifyToken, requireListingManager, payoutController.getMyPayouts);
+
+// Owner statement and bank details - admins or the owner
+router.get('/owners/:ownerId/statement', verifyToken, requireListingManager, payoutController.getOwnerStatement);
+router.put('/owners/:ownerId/account', verifyToken, requireListingManager, payoutController.setPayoutAccount);
+
+// Batches: draft -> approved -> paid (or cancelled)
+// Body: { currency, ownerIds, minimumAmount }
+router.post('/batches', verifyToken, requireAdmin, idempotency('payout-batch'), payoutController.createBatch);
+router.get('/batches', verifyToken, requireAdmin, payoutController.getBatches);
+router.get('/batches/:id', verifyToken, requireAdmin, payoutController.getBatchById);
+router.get('/batches/:id/export.csv', verifyToken, requireAdmin, payoutController.exportBatch);
+router.post('/batches/:id/approve', verifyToken, requireAdmin, payoutController.approveBatch);
+// Body: { bankReference }
+router.post('/batches/:id/paid', verifyToken, requireAdmin, payoutController.markBatchPaid);
+// Body: { reason }
+router.post('/batches/:id/cancel', verifyToken, requireAdmin, payoutController.cancelBatch);
+
+module.exports = router;
@@ -1,6 +1,8 @@
 // src/routes/profileRoutes.js
 const express = require("express");
 const router = express.Router();
+const { verifyToken, optionalAuth } = require("../middleware/authMiddleware");
+const { requireAdmin } = require("../middleware/roleCheck");
 
 const { 
   addProfile, 
@@ -12,6 +14,7 @@ const {
   updateProfilePhotoByEmail,
   updateProfilePhotoById,
   deleteProfile,
+  restoreProfile,
   checkEmailExists,
   getProfilePhoto,
   removeProfilePhoto,
@@ -66,8 +69,11 @@ router.get('/:id', getProfileById);
 // Update profile with duplicate email check
 router.put('/:id', updateProfile);
 
-// Delete profile
-router.delete('/:id', deleteProfile);
+// Delete profile (soft delete; the caller is recorded when signed in)
+router.delete('/:id', optionalAuth, deleteProfile);
+
+// Restore a deleted profile (admin)
+router.post('/:id/restore', verifyToken, requireAdmin, restoreProfile);
 
 // --- Photo-specific Routes ---
 
@@ -81,6 +87,6 @@ router.patch('/:id/photo', updateProfilePhotoById);
 router.delete('/:id/photo', removeProfilePhoto);
 
 // Bulk operations
-router.post('/bulk/delete', bulkDeleteProfiles);
+router.post('/bulk/delete', optionalAuth, bulkDeleteProfiles);
 
 module.exports = router;
\ No newline at end of file
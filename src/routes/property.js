@@ -2,6 +2,17 @@
 const express = require('express');
 const router = express.Router();
 const propertyController = require('../controllers/propertyController');
+const propertyImageController = require('../controllers/propertyImageController');
+const listingController = require('../controllers/listingController');
+const propertyRevisionController = require('../controllers/propertyRevisionController');
+const propertyImportController = require('../controllers/propertyImportController');
+const propertyExportController = require('../controllers/propertyExportController');
+const rentalCalendarController = require('../controllers/rentalCalendarController');
+const leadController = require('../controllers/leadController');
+const rateLimit = require('express-rate-limit');
+const { uploadPropertyPhoto, uploadPropertyImages, uploadImportFile } = require('../middleware/propmiddleware');
+const { verifyToken, optionalAuth, requireFeedAccess } = require('../middleware/authMiddleware');
+const { requireAdmin, requireListingManager } = require('../middleware/roleCheck');
 
 // ============ AVAILABILITY CHECK ROUTES ============
 
@@ -11,9 +22,107 @@ router.get('/sold-out', propertyController.getSoldOutProperties);
 // Get all available properties (excluding sold ones)
 router.get('/available', propertyController.getAvailableProperties);
 
+// ============ GEOSPATIAL SEARCH ROUTES ============
+
+// Properties within radiusKm of lat/lng, sorted by distance
+router.get('/nearby', propertyController.getNearbyProperties);
+
+// Properties inside a map viewport (swLat, swLng, neLat, neLng)
+router.get('/within-bounds', propertyController.getPropertiesInBounds);
+
+// ============ LISTING WORKFLOW ROUTES ============
+// draft -> pending_review -> published -> archived (see utils/listingWorkflow)
+
+// Pending listings awaiting an admin decision
+router.get('/review-queue', verifyToken, requireAdmin, listingController.getReviewQueue);
+
+// Listings in any status - owners see their own (query: listingStatus, plus list filters)
+router.get('/manage', verifyToken, requireListingManager, listingController.getManagedListings);
+
+router.post('/:id/submit', verifyToken, requireListingManager, listingController.submitListing);
+router.post('/:id/approve', verifyToken, requireAdmin, listingController.approveListing);
+// Body: { reason } (required)
+router.post('/:id/reject', verifyToken, requireAdmin, listingController.rejectListing);
+router.post('/:id/archive', verifyToken, requireListingManager, listingController.archiveListing);
+router.post('/:id/reopen', verifyToken, requireListingManager, listingController.reopenListing);
+
+// ============ BULK IMPORT ROUTES ============
+
+// Import a .csv/.xlsx sheet (multipart "file") as draft listings
+// Query: dryRun=true (validation report only), skipInvalid=true, submitForReview=true
+router.post('/import', verifyToken, requireListingManager, uploadImportFile, propertyImportController.importProperties);
+
+// ============ EXPORT FEED ROUTES ============
+// Streamed exports of published listings for partner portals (X-API-Key or admin token).
+// Accept the list filters of GET / plus updatedSince=<ISO date> for incremental syncs,
+// which also returns listings unpublished since then, flagged as removed.
+
+router.get('/export/csv', requireFeedAccess, propertyExportController.exportCsv);
+router.get('/export/json-feed', requireFeedAccess, propertyExportController.exportJsonFeed);
+router.get('/export/reso', requireFeedAccess, propertyExportController.exportReso);
+
+// ============ REVISION HISTORY ROUTES ============
+
+// Field-level edit log, newest first (query: field, page, limit)
+router.get('/:id/revisions', verifyToken, requireListingManager, propertyRevisionController.getPropertyRevisions);
+
+// Restore the tracked fields to how they were after a revision (recorded as a new revision)
+router.post('/:id/revisions/:revision/revert', verifyToken, requireAdmin, propertyRevisionController.revertToRevision);
+
+// ============ RENTAL CALENDAR ROUTES ============
+// Blocked date ranges of rent listings (whole days, end exclusive). Lease
+// blocks are created by rent transactions; public availability is
+// GET /:id/availability.
+
+// Blocks with lease details (query: from, to, includeCancelled)
+router.get('/:id/calendar', verifyToken, requireListingManager, rentalCalendarController.getCalendar);
+
+// Block dates by hand - body: { startDate, endDate, type: owner_block|maintenance, note }
+router.post('/:id/calendar/blocks', verifyToken, requireListingManager, rentalCalendarController.createCalendarBlock);
+
+// Free a manual block (lease blocks cannot be removed here)
+router.delete('/:id/calendar/blocks/:blockId', verifyToken, requireListingManager, rentalCalendarController.deleteCalendarBlock);
+
+// ============ INQUIRY ROUTES ============
+
+// Public "I'm interested" form - limited per IP to keep spam out of the pipeline
+const inquiryLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 10,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: { error: 'Too many inquiries', message: 'Please wait a few minutes before sending another inquiry' }
+});
+
+// Creates a lead routed to the owner - body: { name, email, phone, message }
+router.post('/:id/inquiries', inquiryLimiter, optionalAuth, leadController.createInquiry);
+
+// ============ IMAGE GALLERY ROUTES ============
+
+// List gallery images in display order (unpublished listings only for the people managing them)
+router.get('/:id/images', optionalAuth, propertyImageController.getPropertyImages);
+
+// Add images - multipart "images" (max 10 per request) or JSON { images: [{ data, caption }] }
+router.post('/:id/images', verifyToken, requireListingManager, uploadPropertyImages, propertyImageController.addPropertyImages);
+
+// Reorder images - body: { imageIds: [...] } (must be BEFORE /:id/images/:imageId)
+router.patch('/:id/images/reorder', verifyToken, requireListingManager, propertyImageController.reorderPropertyImages);
+
+// Update caption / cover flag
+router.patch('/:id/images/:imageId', verifyToken, requireListingManager, propertyImageController.updatePropertyImage);
+
+// Make an image the cover
+router.put('/:id/images/:imageId/cover', verifyToken, requireListingManager, propertyImageController.setCoverImage);
+
+// Delete an image and its stored file
+router.delete('/:id/images/:imageId', verifyToken, requireListingManager, propertyImageController.deletePropertyImage);
+
 // ============ EXISTING PROPERTY ROUTES ============
 
-// Get all properties (with optional includePhotos query param)
+// Get all properties - search, filters, sorting and page/cursor pagination
+// Query: q, city, type, status, facilities, ownerId, min/maxBedrooms, min/maxBath,
+//        min/maxRentPrice, min/maxSalePrice (major units of `currency`, default INR),
+//        sortBy, order, page, limit, cursor, includePhotos
 router.get('/', propertyController.getAllProperties);
 
 // Get properties by category/type
@@ -22,23 +131,30 @@ router.get('/category/:type', propertyController.getPropertiesByCategory);
 // Get properties by owner
 router.get('/owner/:ownerId', propertyController.getPropertiesByOwner);
 
-// Check if a specific property is available for purchase
+// Sale status and rental availability over a date range (query: from, to - default the next 90 days)
 // Must be BEFORE the generic /:id route to avoid route conflicts
-router.get('/:id/availability', propertyController.checkPropertyAvailability);
+router.get('/:id/availability', optionalAuth, propertyController.checkPropertyAvailability);
+
+// Price changes in chronological order plus listing prices and reduction percent
+router.get('/:id/price-history', optionalAuth, propertyController.getPriceHistory);
 
 // Get property with owner details
-router.get('/:id/with-owner', propertyController.getPropertyWithOwner);
+router.get('/:id/with-owner', optionalAuth, propertyController.getPropertyWithOwner);
+
+// Get property by ID (unpublished listings only for the people managing them)
+router.get('/:id', optionalAuth, propertyController.getPropertyById);
 
-// Get property by ID
-router.get('/:id', propertyController.getPropertyById);
+// Create new property as a draft (JSON with base64 image, or multipart with a "photo" file)
+// Owners, agents and admins only; body submitForReview=true skips the draft stage
+router.post('/', verifyToken, requireListingManager, uploadPropertyPhoto, propertyController.createProperty);
 
-// Create new property (handles JSON with base64 image)
-router.post('/', propertyController.createProperty);
+// Update property (price changes are recorded in the price history)
+router.put('/:id', verifyToken, requireListingManager, uploadPropertyPhoto, propertyController.updateProperty);
 
-// Update property
-router.put('/:id', propertyController.updateProperty);
+// Delete property - published listings are archived, admins can add ?permanent=true
+router.delete('/:id', verifyToken, requireListingManager, propertyController.deleteProperty);
 
-// Delete property
-router.delete('/:id', propertyController.deleteProperty);
+// Restore a deleted property (admin)
+router.post('/:id/restore', verifyToken, requireAdmin, propertyController.restoreProperty);
 
 module.exports = router;
\ No newline at end of file
@@ -3,18 +3,43 @@
 const express = require('express');
 const router = express.Router();
 const paymentController = require('../controllers/paymentController');
+const stripeWebhookController = require('../controllers/stripeWebhookController');
+const refundController = require('../controllers/refundController');
+const receiptController = require('../controllers/receiptController');
+const { idempotency } = require('../middleware/idempotency');
+const { verifyToken, optionalAuth } = require('../middleware/authMiddleware');
+const { requireAdmin } = require('../middleware/roleCheck');
+
+// Both accept an Idempotency-Key header - a retry with the same key replays the first response
 
 // Create payment intent
-router.post('/create-payment-intent', paymentController.createPaymentIntent);
+router.post('/create-payment-intent', idempotency('create-payment-intent'), paymentController.createPaymentIntent);
 
 // Save transaction details
-router.post('/save-transaction', paymentController.saveTransaction);
+router.post('/save-transaction', idempotency('save-transaction'), paymentController.saveTransaction);
+
+// Stripe events (signed with STRIPE_WEBHOOK_SECRET; the raw body is kept by server.js)
+router.post('/webhook', stripeWebhookController.handleStripeWebhook);
 
 // Get all transactions
 router.get('/transactions', paymentController.getAllTransactions);
 
-// Delete a specific transaction by customTransactionId
-router.delete('/transactions/:transactionId', paymentController.deleteTransaction);
+// Delete a specific transaction by customTransactionId (soft delete; the caller is recorded when signed in)
+router.delete('/transactions/:transactionId', optionalAuth, paymentController.deleteTransaction);
+
+// Restore a deleted transaction (admin)
+router.post('/transactions/:transactionId/restore', verifyToken, requireAdmin, paymentController.restoreTransaction);
+
+// Refund a transaction through Stripe, fully or partially (admin, accepts Idempotency-Key)
+router.post('/transactions/:transactionId/refunds', verifyToken, requireAdmin, idempotency('refund'), refundController.createRefund);
+
+// Refunds of a transaction (admin)
+router.get('/transactions/:transactionId/refunds', verifyToken, requireAdmin, refundController.getRefunds);
+
+// Receipt and credit note PDFs - the customer, the listing's managers and admins
+router.get('/transactions/:transactionId/receipt', verifyToken, receiptController.downloadReceipt);
+router.get('/transactions/:transactionId/credit-notes/:refundId', verifyToken, receiptController.downloadCreditNote);
+router.get('/transactions/:transactionId/documents', verifyToken, receiptController.getDocuments);
 
 // Get monthly buyers count
 router.get('/buyers', paymentController.getMonthlyBuyers);
@@ -26,7 +51,7 @@ router.get('/customers', paymentController.getAllCustomers);
 router.get('/customer/:phone', paymentController.getCustomerByPhone);
 
 // Delete customer (removes all their transactions)
-router.delete('/customer/:phone', paymentController.deleteCustomer);
+router.delete('/customer/:phone', optionalAuth, paymentController.deleteCustomer);
 
 // Get customer transaction statistics
 router.get('/customer/:phone/stats', paymentController.getCustomerStats);
@@ -0,0 +1,44 @@
+// routes/viewings.js
+const express = require('express');
+const router = express.Router();
+const viewingController = require('../controllers/viewingController');
+const { verifyToken } = require('../middleware/authMiddleware');
+const { requireAdmin, requireListingManager } = require('../middleware/roleCheck');
+
+// ============ AVAILABILITY WINDOW ROUTES ============
+
+// Published windows with their free times (query: from, to - default the next 30 days)
+router.get('/property/:propertyId/slots', viewingController.getPropertySlots);
+
+// Publish a window - body: { startTime, endTime, note }
+router.post('/property/:propertyId/slots', verifyToken, requireListingManager, viewingController.createSlot);
+
+// Withdraw a window that has no open viewings
+router.delete('/slots/:slotId', verifyToken, requireListingManager, viewingController.deleteSlot);
+
+// ============ VIEWING ROUTES ============
+
+// Request a viewing inside a published window
+// Body: { propertyId, startTime, durationMinutes, name, phone, message }
+router.post('/', verifyToken, viewingController.requestViewing);
+
+// The caller's own viewings (query: status, upcoming=true)
+router.get('/mine', verifyToken, viewingController.getMyViewings);
+
+// Viewings of managed listings (query: status, propertyId, from, to, page, limit)
+router.get('/', verifyToken, requireListingManager, viewingController.getViewings);
+
+router.get('/:id', verifyToken, viewingController.getViewingById);
+
+// iCalendar file of a confirmed viewing
+router.get('/:id/ics', verifyToken, viewingController.downloadViewingIcs);
+
+router.post('/:id/confirm', verifyToken, requireAdmin, viewingController.confirmViewing);
+
+// Body: { startTime, durationMinutes, reason }
+router.post('/:id/reschedule', verifyToken, requireAdmin, viewingController.rescheduleViewing);
+
+// Admins or the requesting customer - body: { reason }
+router.post('/:id/cancel', verifyToken, viewingController.cancelViewing);
+
+module.exports = router;
@@ -0,0 +1,67 @@
+// scripts/geocodeProperties.js
+// Backfills Property.geoLocation from the offline gazetteer for properties
+// that have no map position yet. Positions set by hand are never touched.
+// Usage: node src/scripts/geocodeProperties.js [--dry-run]
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Property = require('../models/Property');
+const { geocodeAddress } = require('../utils/geoUtils');
+
+async function geocodeProperties() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    console.log(`\n🚀 Starting property geocoding${dryRun ? ' (dry run)' : ''}...\n`);
+
+    await mongoose.connect(process.env.MONGO_URI || process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    const properties = await Property.find({ geoLocation: { $exists: false } })
+      .select('name address city zip country');
+    console.log(`📊 Found ${properties.length} properties without a location\n`);
+
+    let geocodedCount = 0;
+    const unmatched = [];
+
+    for (const property of properties) {
+      const match = geocodeAddress({
+        city: property.city,
+        zip: property.zip,
+        country: property.country
+      });
+
+      if (!match) {
+        unmatched.push(property);
+        continue;
+      }
+
+      if (!dryRun) {
+        await Property.updateOne(
+          { _id: property._id },
+          { $set: { geoLocation: match.point, geocodeSource: 'gazetteer' } }
+        );
+      }
+
+      geocodedCount++;
+      console.log(`✅ ${property.name}: ${match.place} (${match.matchedOn})`);
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log('📈 GEOCODING SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`✅ Geocoded: ${geocodedCount}`);
+    console.log(`⚠️  No gazetteer match: ${unmatched.length}`);
+    unmatched.forEach(p => console.log(`   - ${p.name} (${p.city || 'no city'}, ${p.country || 'no country'})`));
+    console.log('='.repeat(60) + '\n');
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('\n💥 CRITICAL ERROR:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+geocodeProperties();
@@ -0,0 +1,114 @@
+// scripts/migrateMessageAttachments.js
+// Moves message attachments stored before private storage existed from
+// messages/<conversationId> (publicly served under /uploads) to
+// private/messages/<conversationId>, which is only reachable through the
+// conversation API. Safe to re-run: attachments already private are skipped.
+// Usage: node src/scripts/migrateMessageAttachments.js [--dry-run]
+
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Message = require('../models/Message');
+const { PRIVATE_FOLDER, getStorage } = require('../utils/storage');
+
+const isPrivate = (key) => key.startsWith(`${PRIVATE_FOLDER}/`);
+const privateKeyFor = (key) => path.posix.join(PRIVATE_FOLDER, key);
+
+// Copies one file to its private key; the public copy is removed after the message is updated
+const copyToPrivate = async (storage, key) => {
+  const buffer = await storage.read(key);
+  const target = privateKeyFor(key);
+  return storage.save(buffer, {
+    folder: path.posix.dirname(target),
+    filename: path.posix.basename(target)
+  });
+};
+
+async function migrateMessageAttachments() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    console.log(`\n🚀 Starting message attachment migration${dryRun ? ' (dry run)' : ''}...\n`);
+
+    await mongoose.connect(process.env.MONGO_URI || process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    const storage = getStorage();
+    const ids = await Message.find({
+      attachments: { $elemMatch: { key: { $not: new RegExp(`^${PRIVATE_FOLDER}/`) } } }
+    }).distinct('_id');
+    console.log(`📊 Found ${ids.length} messages with public attachments\n`);
+
+    let movedCount = 0;
+    const failed = [];
+
+    for (const id of ids) {
+      const message = await Message.findById(id).select('attachments').lean();
+      if (!message) continue;
+
+      const publicKeys = [];
+      try {
+        const attachments = [];
+        for (const attachment of message.attachments) {
+          if (isPrivate(attachment.key)) {
+            attachments.push(attachment);
+            continue;
+          }
+
+          const variants = {};
+          for (const [name, variant] of Object.entries(attachment.variants || {})) {
+            if (!variant || !variant.key || isPrivate(variant.key)) {
+              variants[name] = variant;
+              continue;
+            }
+            if (!dryRun) await copyToPrivate(storage, variant.key);
+            publicKeys.push(variant.key);
+            variants[name] = { ...variant, key: privateKeyFor(variant.key), url: null };
+          }
+          // Image attachments point at their large variant, copied above
+          if (!publicKeys.includes(attachment.key)) {
+            if (!dryRun) await copyToPrivate(storage, attachment.key);
+            publicKeys.push(attachment.key);
+          }
+          attachments.push({
+            ...attachment,
+            key: privateKeyFor(attachment.key),
+            ...(attachment.variants ? { variants } : {})
+          });
+        }
+
+        if (dryRun) {
+          movedCount += publicKeys.length;
+          console.log(`📝 Would move ${publicKeys.length} file(s) of message ${message._id}`);
+          continue;
+        }
+
+        await Message.updateOne({ _id: message._id }, { $set: { attachments } });
+        for (const key of publicKeys) {
+          await storage.remove(key);
+        }
+        movedCount += publicKeys.length;
+        console.log(`✅ Message ${message._id}: ${publicKeys.length} file(s) moved`);
+      } catch (error) {
+        failed.push({ id: message._id, reason: error.message });
+      }
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log('📈 MIGRATION SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`✅ ${dryRun ? 'Would move' : 'Moved'}: ${movedCount} file(s)`);
+    console.log(`❌ Failed: ${failed.length}`);
+    failed.forEach(f => console.log(`   - ${f.id}: ${f.reason}`));
+    console.log('='.repeat(60) + '\n');
+
+    await mongoose.disconnect();
+    process.exit(failed.length > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('\n💥 CRITICAL ERROR:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+migrateMessageAttachments();
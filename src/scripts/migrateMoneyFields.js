@@ -0,0 +1,140 @@
+// scripts/migrateMoneyFields.js
+// Converts legacy money values to { amount (minor units), currency (ISO 4217) }.
+//  - Property price/rentPrice/salePrice: Mixed numbers or strings like "₹25,000"
+//    are parsed as major units of DEFAULT_CURRENCY.
+//  - Transaction amount/currency: records whose currency is not an upper-case
+//    ISO code still hold major-unit amounts. The old schema defaulted currency
+//    to 'dollar' while every payment intent was created in INR, so that default
+//    maps to LEGACY_TRANSACTION_CURRENCY (INR unless set).
+// Safe to re-run: converted records no longer match the legacy filters.
+// Usage: node src/scripts/migrateMoneyFields.js [--dry-run]
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Property = require('../models/Property');
+const Transaction = require('../models/Transaction');
+const { PRICE_FIELDS } = require('../utils/propertyUtils');
+const { DEFAULT_CURRENCY, normalizeCurrency, parseMoney, toMinorUnits } = require('../utils/money');
+
+const LEGACY_TRANSACTION_CURRENCY = (process.env.LEGACY_TRANSACTION_CURRENCY || 'INR').toUpperCase();
+
+// Raw collection access - the models would silently drop values that no longer cast
+async function migrateProperties(dryRun, failed) {
+  const collection = Property.collection;
+  const cursor = collection.find({
+    $or: PRICE_FIELDS.map(field => ({ [field]: { $exists: true, $not: { $type: 'object' } } }))
+  }, { projection: { name: 1, price: 1, rentPrice: 1, salePrice: 1 } });
+
+  let migratedCount = 0;
+
+  for await (const property of cursor) {
+    const guard = { _id: property._id };
+    const $set = {};
+    const $unset = {};
+    let parseFailed = false;
+
+    PRICE_FIELDS.forEach((field) => {
+      const value = property[field];
+      if (value === undefined || (value !== null && typeof value === 'object')) return;
+
+      guard[field] = value;
+      const { money, error } = parseMoney(value, DEFAULT_CURRENCY);
+      if (error) {
+        parseFailed = true;
+        failed.push({ name: `Property "${property.name}"`, reason: `${field}: ${error}` });
+      } else if (money) {
+        $set[field] = money;
+      } else {
+        $unset[field] = 1;
+      }
+    });
+
+    if (parseFailed) continue;
+
+    if (!dryRun) {
+      const update = {};
+      if (Object.keys($set).length > 0) update.$set = $set;
+      if (Object.keys($unset).length > 0) update.$unset = $unset;
+      await collection.updateOne(guard, update);
+    }
+
+    migratedCount++;
+    console.log(`✅ Property "${property.name}": ${JSON.stringify($set)}`);
+  }
+
+  return migratedCount;
+}
+
+async function migrateTransactions(dryRun, failed) {
+  const collection = Transaction.collection;
+  const cursor = collection.find({
+    $or: [
+      { currency: { $exists: false } },
+      { currency: { $not: /^[A-Z]{3}$/ } }
+    ]
+  }, { projection: { customTransactionId: 1, amount: 1, currency: 1 } });
+
+  let migratedCount = 0;
+
+  for await (const transaction of cursor) {
+    const legacyCurrency = transaction.currency;
+    const currency = !legacyCurrency || legacyCurrency === 'dollar'
+      ? LEGACY_TRANSACTION_CURRENCY
+      : normalizeCurrency(legacyCurrency);
+
+    if (!currency || typeof transaction.amount !== 'number') {
+      failed.push({
+        name: `Transaction ${transaction.customTransactionId}`,
+        reason: `cannot convert amount ${transaction.amount} ${legacyCurrency}`
+      });
+      continue;
+    }
+
+    const amount = toMinorUnits(transaction.amount, currency);
+
+    if (!dryRun) {
+      await collection.updateOne(
+        { _id: transaction._id, currency: legacyCurrency },
+        { $set: { amount, currency } }
+      );
+    }
+
+    migratedCount++;
+    console.log(`✅ ${transaction.customTransactionId}: ${transaction.amount} ${legacyCurrency || '(none)'} -> ${amount} ${currency}`);
+  }
+
+  return migratedCount;
+}
+
+async function migrateMoneyFields() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    console.log(`\n🚀 Starting money field migration${dryRun ? ' (dry run)' : ''}...\n`);
+
+    await mongoose.connect(process.env.MONGO_URI || process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    const failed = [];
+    const propertyCount = await migrateProperties(dryRun, failed);
+    const transactionCount = await migrateTransactions(dryRun, failed);
+
+    console.log('\n' + '='.repeat(60));
+    console.log('📈 MIGRATION SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`🏠 Properties ${dryRun ? 'to convert' : 'converted'}: ${propertyCount}`);
+    console.log(`💳 Transactions ${dryRun ? 'to convert' : 'converted'}: ${transactionCount}`);
+    console.log(`❌ Failed: ${failed.length}`);
+    failed.forEach(f => console.log(`   - ${f.name}: ${f.reason}`));
+    console.log('='.repeat(60) + '\n');
+
+    await mongoose.disconnect();
+    process.exit(failed.length > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('\n💥 CRITICAL ERROR:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+migrateMoneyFields();
@@ -0,0 +1,101 @@
+// scripts/migratePropertyPhotos.js
+// Moves legacy base64 Property.photo values out of MongoDB into the configured
+// storage backend and makes each one the cover image of the property gallery.
+// Safe to re-run: only photos that are still data URLs are touched.
+// Usage: node src/scripts/migratePropertyPhotos.js [--dry-run]
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Property = require('../models/Property');
+const { parseDataUrl, storeImage, removeStoredImages } = require('../utils/imageUtils');
+
+async function migratePropertyPhotos() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    console.log(`\n🚀 Starting property photo migration${dryRun ? ' (dry run)' : ''}...\n`);
+
+    await mongoose.connect(process.env.MONGO_URI || process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    // Only ids are loaded up front - each photo is fetched on its own to keep memory flat
+    const ids = await Property.find({ photo: /^data:/ }).distinct('_id');
+    console.log(`📊 Found ${ids.length} properties with base64 photos\n`);
+
+    let migratedCount = 0;
+    let freedBytes = 0;
+    const failed = [];
+
+    for (const id of ids) {
+      const property = await Property.findById(id).select('name photo images').lean();
+      if (!property || !property.photo || !property.photo.startsWith('data:')) continue;
+
+      const parsed = parseDataUrl(property.photo);
+      if (!parsed) {
+        failed.push({ name: property.name, reason: 'unsupported or malformed data URL' });
+        continue;
+      }
+
+      if (dryRun) {
+        migratedCount++;
+        freedBytes += Buffer.byteLength(property.photo, 'utf8');
+        console.log(`📝 Would migrate ${property.name} (${parsed.mimeType}, ${parsed.buffer.length} bytes)`);
+        continue;
+      }
+
+      let stored = null;
+      try {
+        stored = await storeImage(parsed.buffer, {
+          folder: `properties/${property._id}`,
+          mimeType: parsed.mimeType,
+          originalName: null
+        });
+
+        // Existing gallery images move down one position behind the new cover
+        const images = (property.images || []).map(image => ({
+          ...image,
+          order: image.order + 1,
+          isCover: false
+        }));
+        images.unshift({ ...stored, caption: '', order: 0, isCover: true, uploadedAt: new Date() });
+
+        // Guarded on the photo still being base64 so concurrent edits are not overwritten
+        const result = await Property.updateOne(
+          { _id: property._id, photo: property.photo },
+          { $set: { images, photo: stored.url, photoVariants: stored.variants } }
+        );
+
+        if (result.modifiedCount === 0) {
+          await removeStoredImages([stored]);
+          failed.push({ name: property.name, reason: 'photo changed during migration' });
+          continue;
+        }
+
+        migratedCount++;
+        freedBytes += Buffer.byteLength(property.photo, 'utf8');
+        console.log(`✅ ${property.name} -> ${stored.url}`);
+      } catch (error) {
+        if (stored) await removeStoredImages([stored]);
+        failed.push({ name: property.name, reason: error.message });
+      }
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log('📈 MIGRATION SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`✅ ${dryRun ? 'Would migrate' : 'Migrated'}: ${migratedCount}`);
+    console.log(`💾 Base64 removed from MongoDB: ${(freedBytes / (1024 * 1024)).toFixed(2)} MB`);
+    console.log(`❌ Failed: ${failed.length}`);
+    failed.forEach(f => console.log(`   - ${f.name}: ${f.reason}`));
+    console.log('='.repeat(60) + '\n');
+
+    await mongoose.disconnect();
+    process.exit(failed.length > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('\n💥 CRITICAL ERROR:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+migratePropertyPhotos();
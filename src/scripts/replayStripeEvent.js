@@ -0,0 +1,44 @@
+// scripts/replayStripeEvent.js
+// Posts a recorded Stripe event (a JSON fixture, e.g. saved from the dashboard
+// or `stripe events retrieve`) to the webhook with a valid Stripe-Signature
+// header, so the handlers can be exercised locally without the Stripe CLI.
+// Pair it with stripe-mock (see utils/stripeClient) for the API calls the
+// handlers make.
+// Usage: node src/scripts/replayStripeEvent.js <event.json> [webhook url]
+//   (default url http://localhost:$PORT/api/payment/webhook, secret STRIPE_WEBHOOK_SECRET)
+
+const fs = require('fs');
+require('dotenv').config();
+const stripe = require('../utils/stripeClient');
+
+async function replayStripeEvent(file, url) {
+  const secret = process.env.STRIPE_WEBHOOK_SECRET;
+  if (!secret) throw new Error('STRIPE_WEBHOOK_SECRET is not set');
+
+  const payload = fs.readFileSync(file, 'utf8');
+  const event = JSON.parse(payload);
+  const signature = stripe.webhooks.generateTestHeaderString({ payload, secret });
+
+  console.log(`📤 Replaying ${event.type} (${event.id}) to ${url}`);
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature },
+    body: payload
+  });
+  const body = await response.text();
+  console.log(`${response.ok ? '✅' : '❌'} ${response.status} ${body}`);
+  return response.ok;
+}
+
+const [file, url = `http://localhost:${process.env.PORT || 5000}/api/payment/webhook`] = process.argv.slice(2);
+if (!file) {
+  console.error('Usage: node src/scripts/replayStripeEvent.js <event.json> [webhook url]');
+  process.exit(1);
+}
+
+replayStripeEvent(file, url)
+  .then(ok => process.exit(ok ? 0 : 1))
+  .catch(err => {
+    console.error('❌ Replay failed:', err.message);
+    process.exit(1);
+  });
@@ -0,0 +1,97 @@
+// src/socket.js
+// Socket.IO server. Clients that send their JWT (auth.token, the authToken
+// cookie or an Authorization header) join a private room per user so events
+// can be delivered to one person; anonymous clients still get broadcasts.
+const { Server } = require('socket.io');
+const jwt = require('jsonwebtoken');
+const User = require('./models/User');
+
+let io = null;
+
+const userRoom = (userId) => `user:${userId}`;
+const ADMIN_ROOM = 'admins';
+
+// Reads the authToken cookie from a raw Cookie header
+const cookieToken = (cookieHeader = '') => {
+  const match = cookieHeader.split(';').map(part => part.trim()).find(part => part.startsWith('authToken='));
+  return match ? decodeURIComponent(match.slice('authToken='.length)) : null;
+};
+
+const handshakeToken = (handshake) => {
+  if (handshake.auth && handshake.auth.token) return handshake.auth.token;
+  const fromCookie = cookieToken(handshake.headers.cookie);
+  if (fromCookie) return fromCookie;
+  const header = handshake.headers.authorization;
+  return header && header.startsWith('Bearer ') ? header.split(' ')[1] : null;
+};
+
+// Same checks as authMiddleware.verifyToken; a bad token refuses the connection
+const authenticateSocket = async (socket, next) => {
+  const token = handshakeToken(socket.handshake);
+  if (!token) return next();
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded.id).select('email role isVerified');
+    if (!user || !user.isVerified) return next(new Error('Authentication failed'));
+
+    socket.data.user = { id: user._id, email: user.email, role: user.role };
+    next();
+  } catch (err) {
+    next(new Error('Authentication failed'));
+  }
+};
+
+/**
+ * Creates the Socket.IO server on top of the HTTP server
+ * @param {http.Server} server
+ * @param {Object} options - { origins }
+ * @returns {Server}
+ */
+const initSocket = (server, { origins } = {}) => {
+  io = new Server(server, {
+    cors: {
+      origin: origins,
+      methods: ["GET", "POST", "PUT", "DELETE", "PATCH"],
+      credentials: true
+    }
+  });
+
+  io.use(authenticateSocket);
+
+  io.on('connection', (socket) => {
+    const user = socket.data.user;
+    console.log('✅ Client connected:', socket.id, user ? `(${user.email})` : '(anonymous)');
+
+    if (user) {
+      socket.join(userRoom(user.id));
+      if (user.role === 'admin') socket.join(ADMIN_ROOM);
+    }
+
+    socket.on('disconnect', () => {
+      console.log('❌ Client disconnected:', socket.id);
+    });
+  });
+
+  return io;
+};
+
+const getIO = () => io;
+
+/**
+ * Emits an event to every connected socket of the given users
+ * @param {Array|ObjectId|string} userIds
+ */
+const emitToUsers = (userIds, eventName, data) => {
+  if (!io) return;
+  const rooms = [].concat(userIds).filter(Boolean).map(userRoom);
+  if (rooms.length > 0) io.to(rooms).emit(eventName, data);
+};
+
+module.exports = {
+  ADMIN_ROOM,
+  userRoom,
+  initSocket,
+  getIO,
+  emitToUsers
+};
@@ -0,0 +1,115 @@
+// src/utils/commissions.js
+// Works out the platform's commission on an owner's payments. The owner's own
+// rule wins, then their agency's, then the default rule, then
+// DEFAULT_COMMISSION_PERCENT. The ledger (utils/ledger) moves the owner's
+// share from platform revenue to owner payable when it posts the payment.
+const CommissionRule = require('../models/CommissionRule');
+const Commission = require('../models/Commission');
+const Owner = require('../models/Owner');
+
+const DEFAULT_COMMISSION_PERCENT = process.env.DEFAULT_COMMISSION_PERCENT !== undefined
+  ? Number(process.env.DEFAULT_COMMISSION_PERCENT)
+  : 10;
+
+// Payments before this date were settled with owners outside the platform
+const COMMISSIONS_START_DATE = process.env.COMMISSIONS_START_DATE
+  ? new Date(process.env.COMMISSIONS_START_DATE)
+  : null;
+
+const RULE_PRECEDENCE = ['owner', 'agency', 'default'];
+
+const agencyKey = (agency) => (agency ? String(agency).trim().toLowerCase() : null);
+
+/**
+ * Commission on `gross` under the given terms; null when a flat fee is in
+ * another currency and cannot apply
+ */
+const commissionUnder = (terms, gross, currency) => {
+  if (terms.type === 'percent') return Math.round((gross * terms.percent) / 100);
+  if (terms.flat.currency !== currency) return null;
+  return Math.min(terms.flat.amount, gross);
+};
+
+/**
+ * The commission of one payment under the rules in force
+ * @param {Object} payment - { ownerId, purchaseType, grossAmount, currency }
+ * @returns {Promise<{ commissionAmount: number, ownerAmount: number, rule: Object }>}
+ */
+const calculateCommission = async ({ ownerId, purchaseType, grossAmount, currency }) => {
+  const owner = await Owner.findOne({ ownerId: String(ownerId) })
+    .setOptions({ withDeleted: true })
+    .select('agency');
+  const agency = agencyKey(owner && owner.agency);
+
+  const rules = await CommissionRule.find({
+    $or: [
+      { scope: 'owner', ownerId },
+      ...(agency ? [{ scope: 'agency', agency }] : []),
+      { scope: 'default' }
+    ]
+  });
+  rules.sort((a, b) => RULE_PRECEDENCE.indexOf(a.scope) - RULE_PRECEDENCE.indexOf(b.scope));
+
+  for (const rule of rules) {
+    const terms = rule[purchaseType];
+    const commissionAmount = commissionUnder(terms, grossAmount, currency);
+    if (commissionAmount === null) continue;
+    return {
+      commissionAmount,
+      ownerAmount: grossAmount - commissionAmount,
+      rule: {
+        ruleId: rule._id,
+        scope: rule.scope,
+        type: terms.type,
+        percent: terms.percent,
+        flatAmount: terms.flat ? terms.flat.amount : undefined
+      }
+    };
+  }
+
+  const commissionAmount = Math.round((grossAmount * DEFAULT_COMMISSION_PERCENT) / 100);
+  return {
+    commissionAmount,
+    ownerAmount: grossAmount - commissionAmount,
+    rule: { ruleId: null, scope: 'fallback', type: 'percent', percent: DEFAULT_COMMISSION_PERCENT }
+  };
+};
+
+/**
+ * Commission of a payment, worked out the first time it is asked for and
+ * read back afterwards, so the split never changes once posted
+ * @param {Object} payment - { key, source, transactionId, invoiceId, propertyId, ownerId,
+ *   purchaseType, grossAmount, currency, occurredAt }
+ * @returns {Promise<Document|null>} - null when the payment predates COMMISSIONS_START_DATE
+ *   or has no owner
+ */
+const recordCommission = async (payment) => {
+  const existing = await Commission.findOne({ key: payment.key });
+  if (existing) return existing;
+  if (payment.ownerId === undefined || payment.ownerId === null) return null;
+  if (COMMISSIONS_START_DATE && payment.occurredAt < COMMISSIONS_START_DATE) return null;
+
+  const split = await calculateCommission(payment);
+  try {
+    return await Commission.create({ ...payment, ...split });
+  } catch (err) {
+    if (err.code === 11000) return Commission.findOne({ key: payment.key });
+    throw err;
+  }
+};
+
+/**
+ * Owner's part of a refund - refunds are shared like the payment was
+ */
+const ownerShareOf = (commission, amount) => (commission.grossAmount > 0
+  ? Math.round((amount * commission.ownerAmount) / commission.grossAmount)
+  : 0);
+
+module.exports = {
+  DEFAULT_COMMISSION_PERCENT,
+  COMMISSIONS_START_DATE,
+  agencyKey,
+  calculateCommission,
+  recordCommission,
+  ownerShareOf
+};
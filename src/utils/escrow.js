@@ -0,0 +1,342 @@
+// src/utils/escrow.js
+// Escrow ledger: holds, releases and deductions of money kept on behalf of a
+// customer. Every change writes an EscrowEntry, moves the EscrowAccount
+// totals and posts the journal entry (utils/ledger) in the same database
+// transaction, so the escrow ledger, the balances and the books never disagree.
+const mongoose = require('mongoose');
+const EscrowAccount = require('../models/EscrowAccount');
+const EscrowEntry = require('../models/EscrowEntry');
+const Lease = require('../models/Lease');
+const User = require('../models/User');
+const notificationController = require('../controllers/notificationController');
+const { formatMoney } = require('./money');
+const { sendMail } = require('./mailer');
+const { postEscrowEntry } = require('./ledger');
+
+const ESCROW_KINDS = ['rental_deposit', 'earnest_money'];
+const OUTFLOW_TYPES = ['release', 'deduction'];
+
+// event -> notification type and title
+const ESCROW_EVENTS = {
+  held: { type: 'escrow_held', title: 'Escrow Funds Held' },
+  requested: { type: 'escrow_requested', title: 'Escrow Approval Needed' },
+  approved: { type: 'escrow_approved', title: 'Escrow Entry Approved' },
+  rejected: { type: 'escrow_rejected', title: 'Escrow Entry Rejected' }
+};
+
+const escrowError = (code, message, extra = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, extra);
+  return error;
+};
+
+const KIND_LABELS = {
+  rental_deposit: 'Security deposit',
+  earnest_money: 'Earnest money'
+};
+
+/**
+ * Account of a purchase's escrow kind, created on first use.
+ * Throws code ESCROW_CURRENCY when the account already holds another currency.
+ * @param {Object} details - { transactionId, kind, propertyId, propertyName, ownerId,
+ *   leaseId, customer: { userId, name, email }, currency }
+ */
+const openAccount = async (details, session) => {
+  const { transactionId, kind, ...rest } = details;
+  const account = await EscrowAccount.findOneAndUpdate(
+    { transactionId, kind },
+    { $setOnInsert: rest },
+    { new: true, upsert: true, session }
+  );
+  if (account.currency !== details.currency) {
+    throw escrowError('ESCROW_CURRENCY', `This escrow account is kept in ${account.currency}`);
+  }
+  return account;
+};
+
+const historyEntry = (from, to, actor, note) => ({ from, to, changedBy: actor, note, changedAt: new Date() });
+
+/**
+ * Puts money into escrow. Holds are posted straight away: they are recorded by
+ * an admin or come from a paid deposit invoice.
+ * @param {Object} details - Account details (see openAccount)
+ * @param {Object} hold - { amount, reference, reason, invoiceId, source, actor }
+ * @returns {Promise<{ account: Document, entry: Document }>}
+ */
+const postHold = (details, { amount, reference, reason, invoiceId, source, actor = null }) =>
+  mongoose.connection.transaction(async (session) => {
+    const account = await openAccount(details, session);
+    const now = new Date();
+    const [entry] = await EscrowEntry.create([{
+      accountId: account._id,
+      transactionId: account.transactionId,
+      propertyId: account.propertyId,
+      customerEmail: account.customer.email,
+      kind: account.kind,
+      type: 'hold',
+      amount,
+      currency: account.currency,
+      status: 'posted',
+      reason,
+      reference,
+      invoiceId,
+      source,
+      requestedBy: actor,
+      postedAt: now,
+      history: [historyEntry(null, 'posted', actor, reason)]
+    }], { session });
+    const updated = await EscrowAccount.findByIdAndUpdate(
+      account._id,
+      { $inc: { held: amount, balance: amount } },
+      { new: true, session }
+    );
+    await postEscrowEntry(entry, updated, session);
+    return { account: updated, entry };
+  });
+
+/**
+ * Asks for a release (back to the customer) or a deduction (kept for the owner).
+ * The amount is set aside from the available balance until an admin decides.
+ * Throws code ESCROW_INSUFFICIENT when more is asked than is available.
+ * @param {Document} account
+ * @param {Object} request - { type: release | deduction, amount, reason, reference, source, actor }
+ * @returns {Promise<{ account: Document, entry: Document }>}
+ */
+const requestOutflow = (account, { type, amount, reason, reference, source, actor }) =>
+  mongoose.connection.transaction(async (session) => {
+    const reserved = await EscrowAccount.findOneAndUpdate(
+      { _id: account._id, $expr: { $gte: [{ $subtract: ['$balance', '$pendingOut'] }, amount] } },
+      { $inc: { pendingOut: amount } },
+      { new: true, session }
+    );
+    if (!reserved) {
+      const current = await EscrowAccount.findById(account._id).session(session);
+      throw escrowError(
+        'ESCROW_INSUFFICIENT',
+        `Only ${formatMoney(current ? current.available : 0, account.currency)} is available in this escrow account`,
+        { available: current ? current.available : 0 }
+      );
+    }
+
+    const [entry] = await EscrowEntry.create([{
+      accountId: account._id,
+      transactionId: account.transactionId,
+      propertyId: account.propertyId,
+      customerEmail: account.customer.email,
+      kind: account.kind,
+      type,
+      amount,
+      currency: account.currency,
+      status: 'pending',
+      reason,
+      reference,
+      source,
+      requestedBy: actor,
+      history: [historyEntry(null, 'pending', actor, reason)]
+    }], { session });
+    return { account: reserved, entry };
+  });
+
+/**
+ * Approves (posts) or rejects a pending release or deduction.
+ * Throws code ESCROW_DECIDED when the entry is no longer pending.
+ * @param {Document} entry - As read
+ * @param {boolean} approve
+ * @param {Object} decision - { actor, note }
+ * @returns {Promise<{ account: Document, entry: Document }>}
+ */
+const decideEntry = (entry, approve, { actor, note }) =>
+  mongoose.connection.transaction(async (session) => {
+    const to = approve ? 'posted' : 'rejected';
+    const now = new Date();
+    const decided = await EscrowEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'pending' },
+      {
+        $set: {
+          status: to,
+          decidedBy: actor,
+          decidedAt: now,
+          decisionNote: note,
+          ...(approve ? { postedAt: now } : {})
+        },
+        $push: { history: historyEntry('pending', to, actor, note) }
+      },
+      { new: true, session }
+    );
+    if (!decided) throw escrowError('ESCROW_DECIDED', 'This entry has already been decided');
+
+    const amount = decided.amount;
+    const inc = approve
+      ? { pendingOut: -amount, balance: -amount, [decided.type === 'release' ? 'released' : 'deducted']: amount }
+      : { pendingOut: -amount };
+    const account = await EscrowAccount.findByIdAndUpdate(decided.accountId, { $inc: inc }, { new: true, session });
+    await postEscrowEntry(decided, account, session);
+    return { account, entry: decided };
+  });
+
+/**
+ * Escrow totals per currency and kind of the accounts matching `match`
+ * @returns {Promise<Array<{ currency, kind, accounts, held, released, deducted, balance, pendingOut }>>}
+ */
+const escrowTotals = (match) => EscrowAccount.aggregate([
+  { $match: match },
+  {
+    $group: {
+      _id: { currency: '$currency', kind: '$kind' },
+      accounts: { $sum: 1 },
+      held: { $sum: '$held' },
+      released: { $sum: '$released' },
+      deducted: { $sum: '$deducted' },
+      balance: { $sum: '$balance' },
+      pendingOut: { $sum: '$pendingOut' }
+    }
+  },
+  { $sort: { '_id.currency': 1, '_id.kind': 1 } },
+  {
+    $project: {
+      _id: 0,
+      currency: '$_id.currency',
+      kind: '$_id.kind',
+      accounts: 1,
+      held: 1,
+      released: 1,
+      deducted: 1,
+      balance: 1,
+      pendingOut: 1
+    }
+  }
+]);
+
+/**
+ * Account details of a purchase, for holds recorded against a transaction
+ * @param {Document} transaction
+ * @param {Document} property - With name and ownerId
+ * @param {string} kind
+ */
+const accountDetailsFor = async (transaction, property, kind) => {
+  const email = String(transaction.customerEmail || '').toLowerCase();
+  const [user, lease] = await Promise.all([
+    email ? User.findOne({ email }).select('_id') : null,
+    kind === 'rental_deposit' ? Lease.findOne({ transactionId: transaction._id }).select('_id') : null
+  ]);
+  return {
+    transactionId: transaction._id,
+    kind,
+    propertyId: property._id,
+    propertyName: property.name,
+    ownerId: property.ownerId,
+    leaseId: lease ? lease._id : null,
+    customer: { userId: user ? user._id : null, name: transaction.customerName, email },
+    currency: transaction.currency
+  };
+};
+
+/**
+ * Holds the security deposit of a paid deposit invoice. A replayed payment
+ * finds the hold already there and returns null.
+ * @param {Document} invoice - Paid invoice of kind 'deposit'
+ * @returns {Promise<{ account, entry }|null>}
+ */
+const holdDepositInvoice = async (invoice) => {
+  const lease = await Lease.findById(invoice.leaseId);
+  if (!lease) return null;
+
+  try {
+    const held = await postHold({
+      transactionId: lease.transactionId,
+      kind: 'rental_deposit',
+      propertyId: lease.propertyId,
+      propertyName: lease.propertyName,
+      ownerId: lease.ownerId,
+      leaseId: lease._id,
+      customer: { userId: lease.tenant.userId, name: lease.tenant.name, email: lease.tenant.email },
+      currency: invoice.currency
+    }, {
+      amount: invoice.amountPaid,
+      reference: invoice.number,
+      reason: `Deposit invoice ${invoice.number} paid`,
+      invoiceId: invoice._id,
+      source: 'invoice'
+    });
+    console.log(`🔒 Deposit of ${formatMoney(invoice.amountPaid, invoice.currency)} held in escrow for "${lease.propertyName}"`);
+    await notifyEscrow(held.account, held.entry, 'held');
+    return held;
+  } catch (err) {
+    if (err.code === 11000 && err.keyPattern && err.keyPattern.invoiceId) return null;
+    throw err;
+  }
+};
+
+// ============ NOTIFICATIONS ============
+
+const entryMessage = (account, entry, event) => {
+  const amount = formatMoney(entry.amount, entry.currency);
+  const label = `${KIND_LABELS[account.kind]} for "${account.propertyName}"`;
+  switch (event) {
+    case 'held':
+      return `${label}: ${amount} held from ${account.customer.name || account.customer.email}`;
+    case 'requested':
+      return `${label}: ${entry.type} of ${amount} requested by ${entry.requestedBy ? entry.requestedBy.email : 'the owner'}${entry.reason ? ` - ${entry.reason}` : ''}`;
+    default:
+      return `${label}: ${entry.type} of ${amount} ${event}${entry.decisionNote ? ` - ${entry.decisionNote}` : ''}`;
+  }
+};
+
+/**
+ * Tells admins about an escrow event; approved releases and deductions are
+ * also emailed to the customer. Failures are logged and never fail the entry.
+ */
+const notifyEscrow = async (account, entry, event) => {
+  const config = ESCROW_EVENTS[event];
+  try {
+    const message = entryMessage(account, entry, event);
+    await notificationController.createNotification({
+      type: config.type,
+      target: 'admin',
+      title: config.title,
+      message,
+      propertyId: account.propertyId,
+      propertyName: account.propertyName,
+      relatedId: entry._id,
+      metadata: {
+        accountId: account._id,
+        entryId: entry._id,
+        transactionId: account.transactionId,
+        type: entry.type,
+        amount: entry.amount,
+        currency: entry.currency,
+        balance: account.balance
+      }
+    });
+
+    if (event === 'approved') {
+      await sendMail({
+        to: account.customer.email,
+        subject: `${KIND_LABELS[account.kind]} ${entry.type === 'release' ? 'released' : 'deduction'} - ${account.propertyName}`,
+        text: [
+          entry.type === 'release'
+            ? `${formatMoney(entry.amount, entry.currency)} of your ${KIND_LABELS[account.kind].toLowerCase()} for ${account.propertyName} has been released to you.`
+            : `${formatMoney(entry.amount, entry.currency)} has been deducted from your ${KIND_LABELS[account.kind].toLowerCase()} for ${account.propertyName}.`,
+          entry.reason ? `Reason: ${entry.reason}` : null,
+          `Remaining in escrow: ${formatMoney(account.balance, account.currency)}`
+        ].filter(Boolean).join('\n')
+      });
+    }
+  } catch (err) {
+    console.error(`⚠️ Escrow ${event} notification failed:`, err.message);
+  }
+};
+
+module.exports = {
+  ESCROW_KINDS,
+  OUTFLOW_TYPES,
+  openAccount,
+  postHold,
+  requestOutflow,
+  decideEntry,
+  escrowTotals,
+  accountDetailsFor,
+  holdDepositInvoice,
+  notifyEscrow
+};
@@ -0,0 +1,173 @@
+// src/utils/geoUtils.js
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_GAZETTEER_PATH = path.join(__dirname, '../data/gazetteer.json');
+
+let gazetteerIndex = null;
+
+const normalize = (value) => String(value || '')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+/**
+ * Builds a GeoJSON point from a latitude/longitude pair
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @returns {{ type: 'Point', coordinates: number[] }}
+ */
+const toPoint = (latitude, longitude) => ({
+  type: 'Point',
+  coordinates: [longitude, latitude] // GeoJSON order is [lng, lat]
+});
+
+/**
+ * Validates a latitude/longitude pair
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validateLatLng = (latitude, longitude) => {
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+    return 'Latitude and longitude must be numbers';
+  }
+  if (latitude < -90 || latitude > 90) return 'Latitude must be between -90 and 90';
+  if (longitude < -180 || longitude > 180) return 'Longitude must be between -180 and 180';
+  return null;
+};
+
+/**
+ * Reads coordinates from a request body. Accepts latitude/longitude, lat/lng
+ * or a GeoJSON geoLocation object.
+ * @param {Object} body - Request body
+ * @returns {{ point: Object|null, error: string|null }}
+ */
+const parseCoordinates = (body = {}) => {
+  let latitude = body.latitude ?? body.lat;
+  let longitude = body.longitude ?? body.lng;
+
+  if (body.geoLocation && Array.isArray(body.geoLocation.coordinates)) {
+    [longitude, latitude] = body.geoLocation.coordinates;
+  }
+
+  const hasLatitude = latitude !== undefined && latitude !== null && latitude !== '';
+  const hasLongitude = longitude !== undefined && longitude !== null && longitude !== '';
+
+  if (!hasLatitude && !hasLongitude) return { point: null, error: null };
+  if (!hasLatitude || !hasLongitude) {
+    return { point: null, error: 'Both latitude and longitude are required' };
+  }
+
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  const error = validateLatLng(lat, lng);
+  if (error) return { point: null, error };
+
+  return { point: toPoint(lat, lng), error: null };
+};
+
+/**
+ * Loads the gazetteer file once and indexes it by city/country and postal code.
+ * The file is a JSON array of { name, aliases?, country, countryCode?, zip?, lat, lng }.
+ */
+const loadGazetteer = () => {
+  if (gazetteerIndex) return gazetteerIndex;
+
+  const gazetteerPath = process.env.GAZETTEER_PATH || DEFAULT_GAZETTEER_PATH;
+  gazetteerIndex = { byCity: new Map(), byZip: new Map() };
+
+  if (!fs.existsSync(gazetteerPath)) {
+    console.warn(`⚠️ Gazetteer file not found at ${gazetteerPath} - offline geocoding disabled`);
+    return gazetteerIndex;
+  }
+
+  try {
+    const entries = JSON.parse(fs.readFileSync(gazetteerPath, 'utf8'));
+
+    entries.forEach((entry) => {
+      if (validateLatLng(Number(entry.lat), Number(entry.lng))) return;
+
+      const place = {
+        name: entry.name,
+        country: entry.country,
+        countries: [normalize(entry.country), normalize(entry.countryCode)].filter(Boolean),
+        latitude: Number(entry.lat),
+        longitude: Number(entry.lng)
+      };
+
+      [entry.name, ...(entry.aliases || [])].forEach((name) => {
+        const key = normalize(name);
+        if (!gazetteerIndex.byCity.has(key)) gazetteerIndex.byCity.set(key, []);
+        gazetteerIndex.byCity.get(key).push(place);
+      });
+
+      (entry.zip || []).forEach((zip) => {
+        gazetteerIndex.byZip.set(normalize(zip), place);
+      });
+    });
+
+    console.log(`🗺️ Gazetteer loaded: ${gazetteerIndex.byCity.size} place names, ${gazetteerIndex.byZip.size} postal codes`);
+  } catch (error) {
+    console.error('❌ Failed to load gazetteer:', error.message);
+  }
+
+  return gazetteerIndex;
+};
+
+/**
+ * Resolves an address to coordinates using the local gazetteer (no network calls).
+ * Postal code wins over city; a city without a country only matches when unambiguous.
+ * @param {Object} address - { address, city, zip, country }
+ * @returns {{ point: Object, matchedOn: string, place: string }|null}
+ */
+const geocodeAddress = ({ city, zip, country } = {}) => {
+  if (process.env.GEOCODING_ENABLED === 'false') return null;
+
+  const { byCity, byZip } = loadGazetteer();
+  const countryKey = normalize(country);
+
+  if (zip) {
+    const place = byZip.get(normalize(zip));
+    if (place && (!countryKey || place.countries.includes(countryKey))) {
+      return { point: toPoint(place.latitude, place.longitude), matchedOn: 'zip', place: place.name };
+    }
+  }
+
+  if (city) {
+    const candidates = byCity.get(normalize(city)) || [];
+    const matches = countryKey
+      ? candidates.filter(place => place.countries.includes(countryKey))
+      : candidates;
+
+    if (matches.length === 1) {
+      const [place] = matches;
+      return { point: toPoint(place.latitude, place.longitude), matchedOn: 'city', place: place.name };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Builds a GeoJSON polygon for a map viewport
+ * @param {Object} bounds - { swLat, swLng, neLat, neLng }
+ */
+const boundsToPolygon = ({ swLat, swLng, neLat, neLng }) => ({
+  type: 'Polygon',
+  coordinates: [[
+    [swLng, swLat],
+    [neLng, swLat],
+    [neLng, neLat],
+    [swLng, neLat],
+    [swLng, swLat]
+  ]]
+});
+
+module.exports = {
+  toPoint,
+  validateLatLng,
+  parseCoordinates,
+  geocodeAddress,
+  boundsToPolygon
+};
@@ -0,0 +1,85 @@
+// src/utils/icsCalendar.js
+// Minimal iCalendar (RFC 5545) writer for single-event invitations.
+
+const PRODID = '-//Urban Properties//Viewings//EN';
+
+// 20250131T093000Z
+const formatUtc = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Content lines are folded at 75 octets; continuation lines start with a space
+const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= 75) return line;
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const person = (prefix, { name, email }) =>
+  `${prefix}${name ? `;CN="${String(name).replace(/"/g, '\'')}"` : ''}:mailto:${email}`;
+
+/**
+ * Builds a VCALENDAR with one VEVENT
+ * @param {Object} event - { uid, sequence, method ('REQUEST' | 'CANCEL'), start, end,
+ *   summary, description, location, url, organizer: { name, email }, attendees: [{ name, email }] }
+ * @returns {string}
+ */
+const buildCalendar = (event) => {
+  const method = event.method || 'REQUEST';
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `DTSTAMP:${formatUtc(new Date())}`,
+    `DTSTART:${formatUtc(event.start)}`,
+    `DTEND:${formatUtc(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+    `STATUS:${method === 'CANCEL' ? 'CANCELLED' : 'CONFIRMED'}`
+  ];
+
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.organizer && event.organizer.email) lines.push(person('ORGANIZER', event.organizer));
+  (event.attendees || [])
+    .filter(attendee => attendee && attendee.email)
+    .forEach(attendee => lines.push(person('ATTENDEE;ROLE=REQ-PARTICIPANT;RSVP=FALSE', attendee)));
+
+  if (method !== 'CANCEL') {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      'TRIGGER:-PT1H',
+      `DESCRIPTION:${escapeText(event.summary)}`,
+      'END:VALARM'
+    );
+  }
+
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  formatUtc,
+  escapeText,
+  buildCalendar
+};
@@ -0,0 +1,206 @@
+// src/utils/imageUtils.js
+const sharp = require('sharp');
+const { getStorage, generateFileStem } = require('./storage');
+
+const MIME_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp'
+};
+
+/**
+ * Checks whether a value is a base64 image data URL
+ * @param {string} value - Value to check
+ * @returns {boolean}
+ */
+const isImageDataUrl = (value) =>
+  typeof value === 'string' && /^data:image\/[a-z0-9.+-]+;base64,/i.test(value);
+
+/**
+ * Decodes a base64 image data URL
+ * @param {string} dataUrl - "data:image/jpeg;base64,/9j/4AAQ..."
+ * @returns {{ buffer: Buffer, mimeType: string, extension: string }|null} - null when invalid or unsupported
+ */
+const parseDataUrl = (dataUrl) => {
+  if (!isImageDataUrl(dataUrl)) return null;
+
+  const match = dataUrl.match(/^data:(image\/[a-z0-9.+-]+);base64,(.*)$/is);
+  if (!match) return null;
+
+  const mimeType = match[1].toLowerCase();
+  const extension = MIME_EXTENSIONS[mimeType];
+  if (!extension) return null;
+
+  return {
+    buffer: Buffer.from(match[2], 'base64'),
+    mimeType,
+    extension
+  };
+};
+
+/**
+ * File extension for an image mime type
+ * @param {string} mimeType - e.g. image/png
+ * @returns {string|null}
+ */
+const extensionForMimeType = (mimeType) => MIME_EXTENSIONS[String(mimeType).toLowerCase()] || null;
+
+// Responsive sizes generated for every upload. Images are only ever scaled
+// down; "large" replaces the original so full-size uploads are never kept.
+const IMAGE_VARIANTS = {
+  small: { width: 320, quality: 70 },
+  medium: { width: 768, quality: 78 },
+  large: { width: 1600, quality: 82 }
+};
+
+/**
+ * Auto-rotates, resizes and recompresses an image into every IMAGE_VARIANTS size.
+ * EXIF and other metadata are dropped (sharp only keeps it when asked to).
+ * Transparent images become WebP, everything else JPEG; animated GIFs keep their first frame.
+ * @param {Buffer} buffer - Original image bytes
+ * @returns {Promise<{ mimeType: string, extension: string, variants: Object }>}
+ */
+const generateVariants = async (buffer) => {
+  let image;
+  let metadata;
+  try {
+    image = sharp(buffer).rotate();
+    metadata = await image.metadata();
+  } catch (error) {
+    const invalid = new Error(`Unreadable image: ${error.message}`);
+    invalid.code = 'INVALID_IMAGE';
+    throw invalid;
+  }
+
+  const useWebp = !!metadata.hasAlpha;
+  const variants = {};
+
+  for (const [name, { width, quality }] of Object.entries(IMAGE_VARIANTS)) {
+    const resized = image.clone().resize({
+      width,
+      height: width,
+      fit: 'inside',
+      withoutEnlargement: true
+    });
+    const { data, info } = await (useWebp
+      ? resized.webp({ quality })
+      : resized.jpeg({ quality, mozjpeg: true })
+    ).toBuffer({ resolveWithObject: true });
+
+    variants[name] = { buffer: data, width: info.width, height: info.height };
+  }
+
+  return {
+    mimeType: useWebp ? 'image/webp' : 'image/jpeg',
+    extension: useWebp ? 'webp' : 'jpg',
+    variants
+  };
+};
+
+/**
+ * Stores an image and its responsive variants in the configured storage backend.
+ * The top-level key/url point at the "large" variant.
+ * @param {Buffer} buffer - Image bytes
+ * @param {Object} options - { folder, mimeType, originalName }
+ * @returns {Promise<{ key, url, size, width, height, mimeType, originalName, variants: Object }>}
+ */
+const storeImage = async (buffer, { folder, mimeType, originalName }) => {
+  if (!extensionForMimeType(mimeType)) {
+    const unsupported = new Error(`Unsupported image type: ${mimeType}`);
+    unsupported.code = 'INVALID_IMAGE';
+    throw unsupported;
+  }
+
+  const processed = await generateVariants(buffer);
+  const storage = getStorage();
+  const stem = generateFileStem();
+  const variants = {};
+
+  try {
+    for (const [name, variant] of Object.entries(processed.variants)) {
+      const stored = await storage.save(variant.buffer, {
+        folder,
+        filename: `${stem}-${name}.${processed.extension}`,
+        contentType: processed.mimeType
+      });
+      variants[name] = {
+        key: stored.key,
+        url: stored.url,
+        width: variant.width,
+        height: variant.height,
+        size: stored.size
+      };
+    }
+  } catch (error) {
+    await removeStoredImages([{ variants }]);
+    throw error;
+  }
+
+  const { large } = variants;
+  return {
+    key: large.key,
+    url: large.url,
+    size: large.size,
+    width: large.width,
+    height: large.height,
+    mimeType: processed.mimeType,
+    originalName: originalName || null,
+    variants
+  };
+};
+
+/**
+ * Stores a base64 image data URL in the configured storage backend
+ * @param {string} dataUrl - "data:image/jpeg;base64,..."
+ * @param {Object} options - { folder, originalName }
+ */
+const storeDataUrlImage = async (dataUrl, { folder, originalName } = {}) => {
+  const parsed = parseDataUrl(dataUrl);
+  if (!parsed) {
+    const invalid = new Error(`Invalid image data URL. Supported types: ${Object.keys(MIME_EXTENSIONS).join(', ')}`);
+    invalid.code = 'INVALID_IMAGE';
+    throw invalid;
+  }
+  return storeImage(parsed.buffer, { folder, mimeType: parsed.mimeType, originalName });
+};
+
+// Every storage key referenced by a stored image record (main file + variants).
+// Reads the variants by name - records are often mongoose subdocuments, whose
+// Object.values are internals rather than the variants.
+const storedImageKeys = (image) => {
+  if (!image) return [];
+  const variants = image.variants || {};
+  const keys = [image.key, ...Object.keys(IMAGE_VARIANTS).map(name => variants[name] && variants[name].key)];
+  return keys.filter(Boolean);
+};
+
+/**
+ * Removes stored images and their variants, logging (not throwing) on failure
+ * @param {Array<{ key?: string, variants?: Object }>} images - Stored image records
+ */
+const removeStoredImages = async (images = []) => {
+  const storage = getStorage();
+  const keys = [...new Set(images.flatMap(storedImageKeys))];
+
+  await Promise.all(keys.map(async (key) => {
+    try {
+      await storage.remove(key);
+    } catch (error) {
+      console.error(`⚠️ Failed to remove stored image ${key}:`, error.message);
+    }
+  }));
+};
+
+module.exports = {
+  MIME_EXTENSIONS,
+  isImageDataUrl,
+  parseDataUrl,
+  extensionForMimeType,
+  IMAGE_VARIANTS,
+  generateVariants,
+  storeImage,
+  storeDataUrlImage,
+  removeStoredImages
+};
@@ -0,0 +1,101 @@
+// src/utils/leadPipeline.js
+// Lead stages and the link between leads and completed transactions.
+const Lead = require('../models/Lead');
+
+const LEAD_STAGES = ['new', 'contacted', 'viewing', 'negotiating', 'won', 'lost'];
+const OPEN_LEAD_STAGES = ['new', 'contacted', 'viewing', 'negotiating'];
+const CLOSED_LEAD_STAGES = ['won', 'lost'];
+
+/**
+ * Digits of a phone number with an optional leading "+", null when empty
+ * @param {string} phone
+ * @returns {string|null}
+ */
+const normalizePhone = (phone) => {
+  if (!phone || typeof phone !== 'string') return null;
+  const trimmed = phone.trim();
+  const digits = trimmed.replace(/\D/g, '');
+  if (!digits) return null;
+  return trimmed.startsWith('+') ? `+${digits}` : digits;
+};
+
+/**
+ * Matches leads of the same contact by email or phone
+ * @returns {Object|null} - Mongo filter fragment, null when neither is given
+ */
+const contactMatchFilter = ({ email, phone }) => {
+  const conditions = [];
+  if (email) conditions.push({ 'contact.email': String(email).trim().toLowerCase() });
+  const phoneNormalized = normalizePhone(phone);
+  if (phoneNormalized) conditions.push({ 'contact.phoneNormalized': phoneNormalized });
+  return conditions.length > 0 ? { $or: conditions } : null;
+};
+
+/**
+ * Checks a manual stage change
+ * @returns {string|null} - Error message, null when allowed
+ */
+const stageChangeError = (from, to, reason) => {
+  if (!LEAD_STAGES.includes(to)) return `stage must be one of: ${LEAD_STAGES.join(', ')}`;
+  if (from === to) return `Lead is already ${to}`;
+  if (from === 'won') return 'Won leads are closed';
+  if (to === 'lost' && !reason) return 'A reason is required to mark a lead as lost';
+  return null;
+};
+
+/**
+ * Closes the open leads of a transaction's customer on the same property as won.
+ * Called after saveTransaction; never throws.
+ * @param {Document} transaction - Saved Transaction
+ * @returns {Promise<Array>} - The leads that were closed
+ */
+const closeLeadsForTransaction = async (transaction) => {
+  try {
+    const contactFilter = contactMatchFilter({ email: transaction.customerEmail, phone: transaction.customerPhone });
+    if (!contactFilter) return [];
+
+    const leads = await Lead.find({
+      propertyId: transaction.property,
+      stage: { $in: OPEN_LEAD_STAGES },
+      ...contactFilter
+    });
+
+    const now = new Date();
+    const closed = [];
+    for (const lead of leads) {
+      const result = await Lead.updateOne(
+        { _id: lead._id, stage: lead.stage },
+        {
+          $set: { stage: 'won', wonTransactionId: transaction._id, closedAt: now },
+          $push: {
+            stageHistory: {
+              from: lead.stage,
+              to: 'won',
+              reason: `${transaction.purchaseType === 'rent' ? 'Rented' : 'Bought'} - transaction ${transaction.customTransactionId}`,
+              changedAt: now
+            }
+          }
+        }
+      );
+      if (result.modifiedCount > 0) closed.push(lead);
+    }
+
+    if (closed.length > 0) {
+      console.log(`🏆 ${closed.length} lead(s) closed as won by transaction ${transaction.customTransactionId}`);
+    }
+    return closed;
+  } catch (err) {
+    console.error('⚠️ Failed to close leads for transaction:', err.message);
+    return [];
+  }
+};
+
+module.exports = {
+  LEAD_STAGES,
+  OPEN_LEAD_STAGES,
+  CLOSED_LEAD_STAGES,
+  normalizePhone,
+  contactMatchFilter,
+  stageChangeError,
+  closeLeadsForTransaction
+};
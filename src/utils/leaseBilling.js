@@ -0,0 +1,358 @@
+// src/utils/leaseBilling.js
+// Lease billing: monthly rent periods, invoice numbering, late fees, payments
+// (Stripe PaymentIntents or recorded offline payments) and the notifications
+// sent to the tenant and admins along the way.
+const mongoose = require('mongoose');
+const Lease = require('../models/Lease');
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+const notificationController = require('../controllers/notificationController');
+const stripe = require('./stripeClient');
+const { formatMoney } = require('./money');
+const { formatDay, addDays } = require('./rentalCalendar');
+const { sendMail } = require('./mailer');
+const { emitToUsers } = require('../socket');
+const { holdDepositInvoice } = require('./escrow');
+const { postInvoiceEntries } = require('./ledger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rent invoices are issued this many days before their period starts
+const INVOICE_LEAD_DAYS = parseInt(process.env.LEASE_INVOICE_LEAD_DAYS) || 7;
+const DEPOSIT_DUE_DAYS = parseInt(process.env.LEASE_DEPOSIT_DUE_DAYS) || 7;
+// Overdue invoices are reminded every few days, up to a limit
+const OVERDUE_REMINDER_DAYS = parseInt(process.env.INVOICE_REMINDER_INTERVAL_DAYS) || 3;
+const MAX_OVERDUE_REMINDERS = 5;
+const MAX_TERM_MONTHS = 120;
+
+const OFFLINE_PAYMENT_METHODS = ['cash', 'bank_transfer', 'cheque', 'other'];
+
+// event -> notification type and title
+const INVOICE_EVENTS = {
+  issued: { type: 'invoice_issued', title: 'Rent Invoice' },
+  late_fee: { type: 'invoice_overdue', title: 'Late Fee Added' },
+  reminder: { type: 'invoice_overdue', title: 'Rent Overdue' },
+  paid: { type: 'invoice_paid', title: 'Invoice Paid' }
+};
+
+// Posts an invoice change to the ledger; the ledger-sync job retries a failed posting
+const postToLedger = (invoice) => postInvoiceEntries(invoice)
+  .catch(err => console.error(`⚠️ Ledger posting of ${invoice.number} failed:`, err.message));
+
+// ============ PERIODS ============
+
+// UTC midnight of `day` in the given month (months past December roll over)
+const billingDate = (year, month, day) => new Date(Date.UTC(year, month, day));
+
+// First billing day on or after `date`
+const firstBillingDateFrom = (date, billingDay) => {
+  const candidate = billingDate(date.getUTCFullYear(), date.getUTCMonth(), billingDay);
+  return candidate >= date ? candidate : billingDate(date.getUTCFullYear(), date.getUTCMonth() + 1, billingDay);
+};
+
+// Same day `months` later, clamped to the end of shorter months
+const addMonths = (date, months) => {
+  const target = billingDate(date.getUTCFullYear(), date.getUTCMonth() + months, 1);
+  const lastDay = billingDate(target.getUTCFullYear(), target.getUTCMonth() + 1, 0).getUTCDate();
+  target.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+  return target;
+};
+
+/**
+ * The rent period starting at periodStart: a month up to the next billing day,
+ * cut short (and its rent prorated by days) where the term ends first
+ * @returns {{ periodStart: Date, periodEnd: Date, amount: number, nextStart: Date|null }}
+ */
+const rentPeriod = (lease, periodStart) => {
+  const nextBilling = billingDate(periodStart.getUTCFullYear(), periodStart.getUTCMonth() + 1, lease.billingDay);
+  const periodEnd = nextBilling < lease.endDate ? nextBilling : lease.endDate;
+  const fullDays = Math.round((nextBilling - periodStart) / DAY_MS);
+  const days = Math.round((periodEnd - periodStart) / DAY_MS);
+  return {
+    periodStart,
+    periodEnd,
+    amount: days === fullDays ? lease.rent.amount : Math.round((lease.rent.amount * days) / fullDays),
+    nextStart: nextBilling < lease.endDate ? nextBilling : null
+  };
+};
+
+// ============ INVOICES ============
+
+const nextInvoiceNumber = async () => {
+  const counter = await Counter.findByIdAndUpdate(
+    'invoiceNumber',
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return `INV-${counter.seq}`;
+};
+
+/**
+ * @param {Document} lease
+ * @param {Object} data - { kind, lines, dueDate, periodStart, periodEnd }
+ */
+const createInvoice = async (lease, { kind, lines, dueDate, periodStart, periodEnd }) => Invoice.create({
+  number: await nextInvoiceNumber(),
+  leaseId: lease._id,
+  propertyId: lease.propertyId,
+  propertyName: lease.propertyName,
+  tenant: { userId: lease.tenant.userId, name: lease.tenant.name, email: lease.tenant.email },
+  kind,
+  periodStart,
+  periodEnd,
+  lines,
+  amount: lines.reduce((sum, line) => sum + line.amount, 0),
+  currency: lease.rent.currency,
+  dueDate,
+  // Deposits carry no late fee
+  lateFeeAt: kind === 'rent' ? addDays(dueDate, lease.lateFee.graceDays) : undefined
+});
+
+/**
+ * Issues the rent invoices of every period starting within INVOICE_LEAD_DAYS.
+ * A period is billed once: invoices are unique per (lease, period) and
+ * nextPeriodStart only advances from the value read.
+ * @returns {Promise<Array<Document>>} - The invoices issued by this call
+ */
+const issueDueInvoices = async (lease, now = new Date()) => {
+  const horizon = addDays(now, INVOICE_LEAD_DAYS);
+  const issued = [];
+  let current = lease;
+
+  while (current && current.status === 'active' && current.nextPeriodStart && current.nextPeriodStart <= horizon) {
+    const period = rentPeriod(current, current.nextPeriodStart);
+    try {
+      const invoice = await createInvoice(current, {
+        kind: 'rent',
+        periodStart: period.periodStart,
+        periodEnd: period.periodEnd,
+        dueDate: period.periodStart,
+        lines: [{
+          kind: 'rent',
+          description: `Rent ${formatDay(period.periodStart)} to ${formatDay(addDays(period.periodEnd, -1))}`,
+          amount: period.amount
+        }]
+      });
+      issued.push(invoice);
+      await postToLedger(invoice);
+      await notifyInvoice(invoice, 'issued');
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+    }
+
+    current = await Lease.findOneAndUpdate(
+      { _id: current._id, nextPeriodStart: period.periodStart },
+      { $set: { nextPeriodStart: period.nextStart } },
+      { new: true }
+    );
+  }
+  return issued;
+};
+
+/**
+ * Adds the lease's late fee to an invoice still open after its grace period.
+ * The fee is the flat amount plus the percent of what is still due.
+ * @returns {Promise<Document|null>} - The updated invoice, null when another run got there first
+ */
+const applyLateFee = async (invoice, now = new Date()) => {
+  const lease = await Lease.findById(invoice.leaseId).select('lateFee');
+  const fee = lease
+    ? lease.lateFee.amount + Math.round((invoice.amountDue * lease.lateFee.percent) / 100)
+    : 0;
+
+  const update = { $set: { lateFeeAppliedAt: now } };
+  if (fee > 0) {
+    update.$push = { lines: { kind: 'late_fee', description: `Late fee - payment was due ${formatDay(invoice.dueDate)}`, amount: fee } };
+    update.$inc = { amount: fee };
+  }
+
+  const updated = await Invoice.findOneAndUpdate(
+    { _id: invoice._id, status: 'open', lateFeeAppliedAt: null },
+    update,
+    { new: true }
+  );
+  if (updated && fee > 0) {
+    await postToLedger(updated);
+    await notifyInvoice(updated, 'late_fee', { fee });
+  }
+  return updated;
+};
+
+// Sends the next overdue reminder unless another run just sent it
+const remindOverdue = async (invoice, now = new Date()) => {
+  const updated = await Invoice.findOneAndUpdate(
+    { _id: invoice._id, status: 'open', reminderCount: invoice.reminderCount },
+    { $inc: { reminderCount: 1 }, $set: { lastReminderAt: now } },
+    { new: true }
+  );
+  if (updated) await notifyInvoice(updated, 'reminder');
+  return updated;
+};
+
+// ============ PAYMENTS ============
+
+/**
+ * Records a payment once per reference and closes the invoice when it is covered
+ * @param {Document} invoice
+ * @param {Object} payment - { method, amount, reference, note, source, recordedBy, paidAt }
+ * @returns {Promise<Document|null>} - The updated invoice, null when it is no longer
+ *   open or the reference was already recorded
+ */
+const applyInvoicePayment = async (invoice, payment) => {
+  const updated = await Invoice.findOneAndUpdate(
+    { _id: invoice._id, status: 'open', 'payments.reference': { $ne: payment.reference } },
+    { $push: { payments: payment }, $inc: { amountPaid: payment.amount } },
+    { new: true }
+  );
+  if (!updated) return null;
+  await postToLedger(updated);
+  if (updated.amountPaid < updated.amount) return updated;
+
+  const paid = await Invoice.findOneAndUpdate(
+    { _id: invoice._id, status: 'open', $expr: { $gte: ['$amountPaid', '$amount'] } },
+    { $set: { status: 'paid', paidAt: payment.paidAt || new Date() } },
+    { new: true }
+  );
+  if (!paid) return updated;
+
+  console.log(`🧾 Invoice ${paid.number} paid`);
+  await notifyInvoice(paid, 'paid');
+  if (paid.kind === 'deposit') {
+    // The deposit is the tenant's money - it goes into escrow until the lease ends
+    await holdDepositInvoice(paid).catch(err => console.error(`⚠️ Escrow hold of ${paid.number} failed:`, err.message));
+  }
+  return paid;
+};
+
+// PaymentIntent for what is still due. Repeated calls for the same amount get the same intent.
+const createInvoicePaymentIntent = (invoice) => stripe.paymentIntents.create({
+  amount: invoice.amountDue,
+  currency: invoice.currency.toLowerCase(),
+  automatic_payment_methods: { enabled: true },
+  description: `${invoice.number} - ${invoice.propertyName}`,
+  metadata: {
+    invoiceId: String(invoice._id),
+    leaseId: String(invoice.leaseId),
+    invoiceNumber: invoice.number
+  }
+}, { idempotencyKey: `invoice-${invoice._id}-${invoice.amountDue}-${invoice.payments.length}` });
+
+/**
+ * Records a succeeded invoice PaymentIntent, from the tenant's confirmation or the webhook
+ * @param {Object} intent - Stripe PaymentIntent with metadata.invoiceId
+ * @param {string} source - client | webhook
+ * @returns {Promise<{ invoice?: Document, duplicate?: boolean, status?: number, error?: string, message?: string }>}
+ */
+const recordInvoiceIntent = async (intent, source) => {
+  const invoiceId = intent.metadata && intent.metadata.invoiceId;
+  const invoice = mongoose.isValidObjectId(invoiceId) ? await Invoice.findById(invoiceId) : null;
+  if (!invoice) {
+    return { status: 404, error: 'Invoice not found', message: `No invoice for PaymentIntent ${intent.id}` };
+  }
+  if (intent.status !== 'succeeded') {
+    return { status: 402, error: 'Payment not completed', message: `PaymentIntent status is ${intent.status}` };
+  }
+  if (intent.currency.toUpperCase() !== invoice.currency) {
+    return { status: 400, error: 'Payment mismatch', message: `Paid in ${intent.currency.toUpperCase()}, invoiced in ${invoice.currency}` };
+  }
+  if (invoice.payments.some(payment => payment.reference === intent.id)) {
+    return { invoice, duplicate: true };
+  }
+
+  const updated = await applyInvoicePayment(invoice, {
+    method: 'stripe',
+    amount: intent.amount,
+    reference: intent.id,
+    source,
+    paidAt: new Date()
+  });
+  if (updated) return { invoice: updated };
+
+  const current = await Invoice.findById(invoice._id);
+  if (current.payments.some(payment => payment.reference === intent.id)) {
+    return { invoice: current, duplicate: true };
+  }
+  return { status: 409, error: 'Invoice closed', message: `Invoice ${current.number} is already ${current.status}` };
+};
+
+// ============ NOTIFICATIONS ============
+
+const invoiceMessage = (invoice, event, { fee } = {}) => {
+  const label = `Invoice ${invoice.number} for "${invoice.propertyName}"`;
+  const due = formatMoney(invoice.amountDue, invoice.currency);
+  switch (event) {
+    case 'issued':
+      return `${label}: ${formatMoney(invoice.amount, invoice.currency)} due ${formatDay(invoice.dueDate)}`;
+    case 'late_fee':
+      return `${label} is overdue - a late fee of ${formatMoney(fee, invoice.currency)} was added, ${due} now due`;
+    case 'reminder':
+      return `${label} is overdue - ${due} was due ${formatDay(invoice.dueDate)}`;
+    default:
+      return `${label} is paid in full`;
+  }
+};
+
+/**
+ * Tells admins and the tenant (in-app, socket and email) about an invoice event.
+ * Failures are logged and never fail the billing step that triggered them.
+ */
+const notifyInvoice = async (invoice, event, options = {}) => {
+  const config = INVOICE_EVENTS[event];
+  try {
+    const message = invoiceMessage(invoice, event, options);
+    const base = {
+      type: config.type,
+      title: config.title,
+      message,
+      propertyId: invoice.propertyId,
+      propertyName: invoice.propertyName,
+      relatedId: invoice._id,
+      metadata: {
+        invoiceId: invoice._id,
+        leaseId: invoice.leaseId,
+        number: invoice.number,
+        amount: invoice.amount,
+        amountDue: invoice.amountDue,
+        currency: invoice.currency,
+        dueDate: invoice.dueDate
+      }
+    };
+
+    await notificationController.createNotification({ ...base, target: 'admin' });
+    if (invoice.tenant.userId) {
+      await notificationController.createNotification({ ...base, userId: invoice.tenant.userId, target: 'user' });
+      emitToUsers([invoice.tenant.userId], 'invoice-updated', { event, invoice: invoice.toJSON() });
+    }
+
+    await sendMail({
+      to: invoice.tenant.email,
+      subject: `${config.title} - ${invoice.propertyName}`,
+      text: [
+        message,
+        invoice.status === 'open' ? 'You can pay it from your lease page.' : null
+      ].filter(Boolean).join('\n')
+    });
+  } catch (err) {
+    console.error(`⚠️ Invoice ${event} notification failed:`, err.message);
+  }
+};
+
+module.exports = {
+  INVOICE_LEAD_DAYS,
+  DEPOSIT_DUE_DAYS,
+  OVERDUE_REMINDER_DAYS,
+  MAX_OVERDUE_REMINDERS,
+  MAX_TERM_MONTHS,
+  OFFLINE_PAYMENT_METHODS,
+  firstBillingDateFrom,
+  addMonths,
+  rentPeriod,
+  createInvoice,
+  issueDueInvoices,
+  applyLateFee,
+  remindOverdue,
+  applyInvoicePayment,
+  createInvoicePaymentIntent,
+  recordInvoiceIntent,
+  notifyInvoice
+};
@@ -0,0 +1,644 @@
+// src/utils/ledger.js
+// Double-entry ledger over every money movement. Each posting has a key
+// derived from what it records (purchase:<transactionId>, refund:<refundId>,
+// ...), so the live hooks and the sync job can both post the same movement
+// and only the first one counts.
+//
+// Chart of accounts:
+//   cash                 asset       Stripe and bank balance
+//   customer_receivable  asset       Rent invoiced but not yet paid
+//   escrow               liability   Deposits and earnest money held for customers
+//   owner_payable        liability   Owed to listing owners (their share after
+//                                    commission, escrow deductions) until paid out
+//   platform_revenue     revenue
+//   refunds              contra      Money given back, netted against revenue
+const JournalEntry = require('../models/JournalEntry');
+const Transaction = require('../models/Transaction');
+const Refund = require('../models/Refund');
+const Invoice = require('../models/Invoice');
+const Lease = require('../models/Lease');
+const Property = require('../models/Property');
+const EscrowEntry = require('../models/EscrowEntry');
+const EscrowAccount = require('../models/EscrowAccount');
+const { recordCommission, ownerShareOf } = require('./commissions');
+const { formatMoney } = require('./money');
+
+const LEDGER_ACCOUNTS = {
+  cash: { name: 'Cash', type: 'asset' },
+  customer_receivable: { name: 'Customer receivable', type: 'asset' },
+  escrow: { name: 'Escrow', type: 'liability' },
+  owner_payable: { name: 'Owner payable', type: 'liability' },
+  platform_revenue: { name: 'Platform revenue', type: 'revenue' },
+  refunds: { name: 'Refunds', type: 'contra_revenue' }
+};
+
+const DEBIT_NORMAL_TYPES = ['asset', 'contra_revenue'];
+
+// Transactions whose payment was captured and belongs in the ledger
+const POSTED_TRANSACTION_STATUSES = ['Completed', 'PartiallyRefunded', 'Refunded'];
+
+// Entries a purchase posts itself - its lease invoices are posted separately
+const TRANSACTION_ENTRY_KINDS = ['purchase', 'commission', 'refund', 'commission_refund'];
+
+// Balance on the account's normal side
+const balanceOf = (account, debit, credit) =>
+  DEBIT_NORMAL_TYPES.includes(LEDGER_ACCOUNTS[account].type) ? debit - credit : credit - debit;
+
+const debit = (account, amount, refs = {}) => ({ account, debit: amount, credit: 0, ...refs });
+const credit = (account, amount, refs = {}) => ({ account, debit: 0, credit: amount, ...refs });
+
+/**
+ * Posts an entry unless one with the same key exists
+ * @param {Object} data - JournalEntry fields
+ * @param {ClientSession} session - Optional, to post inside the caller's transaction
+ * @returns {Promise<Document|null>} - The new entry, null when already posted
+ */
+const postEntry = async (data, session = null) => {
+  if (await JournalEntry.exists({ key: data.key }).session(session)) return null;
+  try {
+    const [entry] = await JournalEntry.create([data], { session });
+    return entry;
+  } catch (err) {
+    if (err.code === 11000 && err.keyPattern && err.keyPattern.key) return null;
+    throw err;
+  }
+};
+
+// ============ POSTINGS ============
+
+// Moves the owner's share of a payment from revenue to owner payable
+const commissionPosting = (commission, description, refs) => ({
+  key: `commission:${commission.key}`,
+  kind: 'commission',
+  description: `${description} - owner share after ${formatMoney(commission.commissionAmount, commission.currency)} commission`,
+  date: commission.occurredAt,
+  amount: commission.ownerAmount,
+  lines: [
+    debit('platform_revenue', commission.ownerAmount, refs),
+    credit('owner_payable', commission.ownerAmount, refs)
+  ]
+});
+
+/**
+ * Posts a captured purchase and every succeeded refund of it
+ * @param {Document} transaction
+ * @returns {Promise<number>} - Entries posted by this call
+ */
+const postTransactionEntries = async (transaction) => {
+  if (!POSTED_TRANSACTION_STATUSES.includes(transaction.status) || transaction.deletedAt) return 0;
+
+  const property = await Property.findById(transaction.property)
+    .setOptions({ withDeleted: true })
+    .select('ownerId');
+  const refs = {
+    ownerId: property ? property.ownerId : undefined,
+    customerEmail: transaction.customerEmail || undefined,
+    propertyId: transaction.property
+  };
+  const base = {
+    currency: transaction.currency,
+    transactionId: transaction._id,
+    propertyId: transaction.property
+  };
+
+  const description = `${transaction.purchaseType === 'rent' ? 'Rent' : 'Sale'} ${transaction.customTransactionId}`;
+  const date = transaction.createdAt || new Date();
+  const commission = property ? await recordCommission({
+    key: `transaction:${transaction._id}`,
+    source: 'transaction',
+    transactionId: transaction._id,
+    propertyId: transaction.property,
+    ownerId: property.ownerId,
+    purchaseType: transaction.purchaseType,
+    grossAmount: transaction.amount,
+    currency: transaction.currency,
+    occurredAt: date
+  }) : null;
+
+  const postings = [{
+    key: `purchase:${transaction._id}`,
+    kind: 'purchase',
+    description,
+    date,
+    amount: transaction.amount,
+    lines: [
+      debit('cash', transaction.amount, refs),
+      credit('platform_revenue', transaction.amount, refs)
+    ]
+  }];
+  if (commission) postings.push(commissionPosting(commission, description, refs));
+
+  const refunds = await Refund.find({ transactionId: transaction._id, status: 'succeeded' });
+  for (const refund of refunds) {
+    postings.push({
+      key: `refund:${refund._id}`,
+      kind: 'refund',
+      description: `Refund of ${transaction.customTransactionId} - ${refund.reason}`,
+      date: refund.createdAt || new Date(),
+      refundId: refund._id,
+      amount: refund.amount,
+      lines: [
+        debit('refunds', refund.amount, refs),
+        credit('cash', refund.amount, refs)
+      ]
+    });
+    // The owner gives back their share of the refund
+    if (commission) {
+      const ownerShare = ownerShareOf(commission, refund.amount);
+      postings.push({
+        key: `commission-refund:${refund._id}`,
+        kind: 'commission_refund',
+        description: `Owner share of refund on ${transaction.customTransactionId}`,
+        date: refund.createdAt || new Date(),
+        refundId: refund._id,
+        amount: ownerShare,
+        lines: [
+          debit('owner_payable', ownerShare, refs),
+          credit('refunds', ownerShare, refs)
+        ]
+      });
+    }
+  }
+
+  let posted = 0;
+  for (const { amount, ...posting } of postings) {
+    if (amount > 0 && await postEntry({ ...base, ...posting })) posted++;
+  }
+  return posted;
+};
+
+/**
+ * Posts a rent invoice as it stands: the billed rent, its late fee, each
+ * payment and, once voided, the reversal of what was never paid. Deposit
+ * invoices are not revenue - their money is posted by the escrow hold.
+ * @param {Document} invoice
+ * @returns {Promise<number>} - Entries posted by this call
+ */
+const postInvoiceEntries = async (invoice) => {
+  if (invoice.kind !== 'rent') return 0;
+
+  const lease = await Lease.findById(invoice.leaseId).select('ownerId transactionId');
+  const refs = {
+    ownerId: lease ? lease.ownerId : undefined,
+    customerEmail: invoice.tenant.email || undefined,
+    propertyId: invoice.propertyId
+  };
+  const base = {
+    currency: invoice.currency,
+    transactionId: lease ? lease.transactionId : undefined,
+    propertyId: invoice.propertyId,
+    invoiceId: invoice._id
+  };
+
+  const rent = invoice.lines
+    .filter(line => line.kind !== 'late_fee')
+    .reduce((sum, line) => sum + line.amount, 0);
+  const lateFee = invoice.lines
+    .filter(line => line.kind === 'late_fee')
+    .reduce((sum, line) => sum + line.amount, 0);
+
+  const postings = [{
+    key: `invoice:${invoice._id}`,
+    kind: 'invoice_issued',
+    description: `Invoice ${invoice.number}`,
+    date: invoice.issuedAt,
+    amount: rent,
+    lines: [debit('customer_receivable', rent, refs), credit('platform_revenue', rent, refs)]
+  }];
+  if (lateFee > 0) {
+    postings.push({
+      key: `late-fee:${invoice._id}`,
+      kind: 'late_fee',
+      description: `Late fee on ${invoice.number}`,
+      date: invoice.lateFeeAppliedAt || new Date(),
+      amount: lateFee,
+      lines: [debit('customer_receivable', lateFee, refs), credit('platform_revenue', lateFee, refs)]
+    });
+  }
+  for (const payment of invoice.payments) {
+    const description = `${payment.method} payment on ${invoice.number} (${payment.reference})`;
+    postings.push({
+      key: `invoice-payment:${invoice._id}:${payment._id}`,
+      kind: 'invoice_payment',
+      description,
+      date: payment.paidAt,
+      amount: payment.amount,
+      lines: [debit('cash', payment.amount, refs), credit('customer_receivable', payment.amount, refs)]
+    });
+    // Rent is the owner's once the tenant has paid it
+    const commission = lease ? await recordCommission({
+      key: `invoice-payment:${invoice._id}:${payment._id}`,
+      source: 'invoice_payment',
+      transactionId: lease.transactionId,
+      invoiceId: invoice._id,
+      propertyId: invoice.propertyId,
+      ownerId: lease.ownerId,
+      purchaseType: 'rent',
+      grossAmount: payment.amount,
+      currency: invoice.currency,
+      occurredAt: payment.paidAt
+    }) : null;
+    if (commission) postings.push(commissionPosting(commission, description, refs));
+  }
+  const unpaid = invoice.amount - (invoice.amountPaid || 0);
+  if (invoice.status === 'void' && unpaid > 0) {
+    postings.push({
+      key: `invoice-void:${invoice._id}`,
+      kind: 'invoice_void',
+      description: `Invoice ${invoice.number} voided`,
+      date: invoice.updatedAt || new Date(),
+      amount: unpaid,
+      lines: [debit('platform_revenue', unpaid, refs), credit('customer_receivable', unpaid, refs)]
+    });
+  }
+
+  let posted = 0;
+  for (const { amount, ...posting } of postings) {
+    if (amount > 0 && await postEntry({ ...base, ...posting })) posted++;
+  }
+  return posted;
+};
+
+const ESCROW_POSTINGS = {
+  hold: { kind: 'escrow_hold', from: 'cash', to: 'escrow', label: 'held' },
+  release: { kind: 'escrow_release', from: 'escrow', to: 'cash', label: 'released' },
+  deduction: { kind: 'escrow_deduction', from: 'escrow', to: 'owner_payable', label: 'deducted' }
+};
+
+/**
+ * Posts a posted escrow entry: a hold moves cash into escrow, a release pays
+ * it back out and a deduction makes it owed to the owner
+ * @param {Document} entry - EscrowEntry with status 'posted'
+ * @param {Document} account - Its EscrowAccount
+ * @param {ClientSession} session - Optional, to post with the escrow change
+ */
+const postEscrowEntry = (entry, account, session = null) => {
+  if (entry.status !== 'posted') return Promise.resolve(null);
+  const posting = ESCROW_POSTINGS[entry.type];
+  const refs = {
+    ownerId: account.ownerId,
+    customerEmail: account.customer.email,
+    propertyId: account.propertyId
+  };
+  return postEntry({
+    key: `escrow:${entry._id}`,
+    kind: posting.kind,
+    description: `${account.kind === 'rental_deposit' ? 'Deposit' : 'Earnest money'} ${posting.label} - ${account.propertyName}${entry.reason ? ` (${entry.reason})` : ''}`,
+    currency: entry.currency,
+    date: entry.postedAt || new Date(),
+    transactionId: entry.transactionId,
+    propertyId: entry.propertyId,
+    escrowEntryId: entry._id,
+    lines: [debit(posting.from, entry.amount, refs), credit(posting.to, entry.amount, refs)]
+  }, session);
+};
+
+/**
+ * Pays an owner's payout batch item out of owner payable
+ * @param {Document} batch - PayoutBatch being marked paid
+ * @param {Object} item - { ownerId, amount }
+ * @param {ClientSession} session - Optional, to post with the batch status change
+ */
+const postPayout = (batch, item, session = null) => postEntry({
+  key: `payout:${batch._id}:${item.ownerId}`,
+  kind: 'payout',
+  description: `Payout ${batch.number} to owner ${item.ownerId}${batch.bankReference ? ` (${batch.bankReference})` : ''}`,
+  currency: batch.currency,
+  date: batch.paidAt || new Date(),
+  payoutBatchId: batch._id,
+  lines: [
+    debit('owner_payable', item.amount, { ownerId: item.ownerId }),
+    credit('cash', item.amount, { ownerId: item.ownerId })
+  ]
+}, session);
+
+/**
+ * Cancels a posted entry with its mirror image
+ * @param {Document} entry
+ * @param {Object} options - { reason, actor, key, date } - key and date default to
+ *   reversal:<entry id> and now
+ * @returns {Promise<Document|null>} - The reversal, null when the entry was already reversed
+ */
+const reverseEntry = (entry, { reason, actor, key = `reversal:${entry._id}`, date = new Date() }) => postEntry({
+  key,
+  kind: 'reversal',
+  description: `Reversal of ${entry.key} - ${reason}`,
+  currency: entry.currency,
+  date,
+  transactionId: entry.transactionId,
+  propertyId: entry.propertyId,
+  reverses: entry._id,
+  postedBy: actor,
+  lines: entry.lines.map(line => ({
+    account: line.account,
+    debit: line.credit,
+    credit: line.debit,
+    ownerId: line.ownerId,
+    customerEmail: line.customerEmail,
+    propertyId: line.propertyId
+  }))
+});
+
+// Last entry of the chain entry -> its reversal -> the reversal of that...,
+// and whether the entry is in effect (an even number of reversals)
+const reversalChainEnd = async (entry) => {
+  let latest = entry;
+  let steps = 0;
+  for (;;) {
+    const next = await JournalEntry.findOne({ reverses: latest._id });
+    if (!next) return { latest, inEffect: steps % 2 === 0 };
+    latest = next;
+    steps++;
+  }
+};
+
+/**
+ * Takes a deleted transaction out of the books: each of its entries still in
+ * effect is reversed on its own date, so reports exclude it as if it had never
+ * been posted
+ * @param {Document} transaction
+ * @param {Object} options - { actor }
+ * @returns {Promise<number>} - Reversals posted by this call
+ */
+const reverseTransactionEntries = async (transaction, { actor = null } = {}) => {
+  const entries = await JournalEntry.find({
+    transactionId: transaction._id,
+    kind: { $in: TRANSACTION_ENTRY_KINDS },
+    invoiceId: null
+  });
+  let posted = 0;
+  for (const entry of entries) {
+    const { latest, inEffect } = await reversalChainEnd(entry);
+    if (!inEffect) continue;
+    const reversal = await reverseEntry(latest, {
+      reason: `transaction ${transaction.customTransactionId} deleted`,
+      actor,
+      key: `deletion:${latest._id}`,
+      date: entry.date
+    });
+    if (reversal) posted++;
+  }
+  return posted;
+};
+
+/**
+ * Puts a restored transaction back in the books: the reversals made when it was
+ * deleted are reversed in turn (other reversals stay), then anything that
+ * arrived meanwhile is posted
+ * @param {Document} transaction - No longer deleted
+ * @param {Object} options - { actor }
+ * @returns {Promise<number>} - Entries posted by this call
+ */
+const reinstateTransactionEntries = async (transaction, { actor = null } = {}) => {
+  let posted = 0;
+  if (await JournalEntry.exists({ transactionId: transaction._id, key: /^deletion:/ })) {
+    const entries = await JournalEntry.find({
+      transactionId: transaction._id,
+      kind: { $in: TRANSACTION_ENTRY_KINDS },
+      invoiceId: null
+    });
+    for (const entry of entries) {
+      const { latest, inEffect } = await reversalChainEnd(entry);
+      if (inEffect || !latest.key.startsWith('deletion:')) continue;
+      const reinstated = await reverseEntry(latest, {
+        reason: `transaction ${transaction.customTransactionId} restored`,
+        actor,
+        key: `restore:${latest._id}`,
+        date: entry.date
+      });
+      if (reinstated) posted++;
+    }
+  }
+  return posted + await postTransactionEntries(transaction);
+};
+
+/**
+ * Posts whatever the live hooks missed (a failed posting, data from before the
+ * ledger). Only records updated since `since` are looked at; null checks all.
+ * @returns {Promise<{ transactions: number, invoices: number, escrow: number }>} - Entries posted
+ */
+const syncLedger = async ({ since = null } = {}) => {
+  const recent = since ? { updatedAt: { $gte: since } } : {};
+  const counts = { transactions: 0, invoices: 0, escrow: 0 };
+
+  // A refund only touches its Refund document, so its transaction is picked up from there
+  const refundedIds = await Refund.distinct('transactionId', { ...recent, status: 'succeeded' });
+  const transactions = Transaction.find({
+    status: { $in: POSTED_TRANSACTION_STATUSES },
+    ...(since ? { $or: [recent, { _id: { $in: refundedIds } }] } : {})
+  }).setOptions({ withDeleted: true }).cursor();
+  // Deleted transactions stay out of the books, restored ones come back in
+  for await (const transaction of transactions) {
+    counts.transactions += transaction.deletedAt
+      ? await reverseTransactionEntries(transaction)
+      : await reinstateTransactionEntries(transaction);
+  }
+
+  for await (const invoice of Invoice.find({ ...recent, kind: 'rent' }).cursor()) {
+    counts.invoices += await postInvoiceEntries(invoice);
+  }
+
+  for await (const entry of EscrowEntry.find({ ...recent, status: 'posted' }).cursor()) {
+    const account = await EscrowAccount.findById(entry.accountId);
+    if (account && await postEscrowEntry(entry, account)) counts.escrow++;
+  }
+
+  return counts;
+};
+
+// ============ REPORTS ============
+
+const withAccountInfo = (account, currency, debitTotal, creditTotal) => ({
+  account,
+  name: LEDGER_ACCOUNTS[account].name,
+  type: LEDGER_ACCOUNTS[account].type,
+  currency,
+  debit: debitTotal,
+  credit: creditTotal,
+  balance: balanceOf(account, debitTotal, creditTotal)
+});
+
+/**
+ * Debit and credit totals of every account, per currency, up to `asOf`
+ * @returns {Promise<{ accounts: Array, totals: Array<{ currency, debit, credit, balanced }> }>}
+ */
+const trialBalance = async ({ asOf = null, currency = null } = {}) => {
+  const match = {};
+  if (asOf) match.date = { $lt: asOf };
+  if (currency) match.currency = currency;
+
+  const rows = await JournalEntry.aggregate([
+    { $match: match },
+    { $unwind: '$lines' },
+    {
+      $group: {
+        _id: { currency: '$currency', account: '$lines.account' },
+        debit: { $sum: '$lines.debit' },
+        credit: { $sum: '$lines.credit' }
+      }
+    },
+    { $sort: { '_id.currency': 1, '_id.account': 1 } }
+  ]);
+
+  const accounts = rows.map(row => withAccountInfo(row._id.account, row._id.currency, row.debit, row.credit));
+  const totals = Object.values(accounts.reduce((byCurrency, row) => {
+    const total = byCurrency[row.currency] || { currency: row.currency, debit: 0, credit: 0 };
+    total.debit += row.debit;
+    total.credit += row.credit;
+    byCurrency[row.currency] = total;
+    return byCurrency;
+  }, {})).map(total => ({ ...total, balanced: total.debit === total.credit }));
+
+  return { accounts, totals };
+};
+
+/**
+ * Lines of one account in [from, to) with the running balance, oldest first.
+ * Narrowed to one owner or customer when ownerId / customerEmail are given.
+ * @returns {Promise<{ openingBalance, closingBalance, lines, total }>}
+ */
+const accountStatement = async (account, { currency, from = null, to = null, ownerId, customerEmail, page = 1, limit = 50 }) => {
+  const lineMatch = { 'lines.account': account };
+  if (ownerId !== undefined) lineMatch['lines.ownerId'] = ownerId;
+  if (customerEmail) lineMatch['lines.customerEmail'] = customerEmail;
+
+  const linesIn = (dateFilter) => [
+    { $match: { currency, 'lines.account': account, ...(dateFilter ? { date: dateFilter } : {}) } },
+    { $unwind: '$lines' },
+    { $match: lineMatch }
+  ];
+  const sums = { _id: null, debit: { $sum: '$lines.debit' }, credit: { $sum: '$lines.credit' } };
+  const balanceFrom = (result) => (result ? balanceOf(account, result.debit, result.credit) : 0);
+
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lt = to;
+  const skip = (page - 1) * limit;
+
+  const [[opening], [window]] = await Promise.all([
+    from ? JournalEntry.aggregate([...linesIn({ $lt: from }), { $group: sums }]) : [],
+    JournalEntry.aggregate([
+      ...linesIn(from || to ? range : null),
+      { $sort: { date: 1, _id: 1 } },
+      {
+        $facet: {
+          all: [{ $group: { ...sums, count: { $sum: 1 } } }],
+          // Lines on earlier pages, for the running balance
+          ...(skip > 0 ? { skipped: [{ $limit: skip }, { $group: sums }] } : {}),
+          page: [
+            { $skip: skip },
+            { $limit: limit },
+            {
+              $project: {
+                _id: 0,
+                entryId: '$_id',
+                key: 1,
+                kind: 1,
+                description: 1,
+                date: 1,
+                transactionId: 1,
+                debit: '$lines.debit',
+                credit: '$lines.credit',
+                ownerId: '$lines.ownerId',
+                customerEmail: '$lines.customerEmail',
+                propertyId: '$lines.propertyId'
+              }
+            }
+          ]
+        }
+      }
+    ])
+  ]);
+
+  const openingBalance = balanceFrom(opening);
+  let running = openingBalance + balanceFrom(window.skipped && window.skipped[0]);
+  const lines = window.page.map((line) => {
+    running += balanceOf(account, line.debit, line.credit);
+    return { ...line, balance: running };
+  });
+
+  return {
+    openingBalance,
+    closingBalance: openingBalance + balanceFrom(window.all[0]),
+    lines,
+    total: window.all[0] ? window.all[0].count : 0
+  };
+};
+
+/**
+ * What the platform owes each owner in one currency (owner payable balance)
+ * @param {Object} options - { currency, ownerIds: limit to these owners }
+ * @returns {Promise<Array<{ ownerId: number, balance: number }>>}
+ */
+const ownerPayableBalances = async ({ currency, ownerIds = null }) => {
+  const rows = await JournalEntry.aggregate([
+    { $match: { currency, 'lines.account': 'owner_payable' } },
+    { $unwind: '$lines' },
+    {
+      $match: {
+        'lines.account': 'owner_payable',
+        'lines.ownerId': ownerIds ? { $in: ownerIds } : { $ne: null }
+      }
+    },
+    { $group: { _id: '$lines.ownerId', balance: { $sum: { $subtract: ['$lines.credit', '$lines.debit'] } } } },
+    { $sort: { _id: 1 } }
+  ]);
+  return rows.map(row => ({ ownerId: row._id, balance: row.balance }));
+};
+
+// Net revenue (revenue less refunds) lines - both accounts count as credit minus debit
+const netRevenueLines = (match) => [
+  { $match: { ...match, 'lines.account': { $in: ['platform_revenue', 'refunds'] } } },
+  { $unwind: '$lines' },
+  { $match: { 'lines.account': { $in: ['platform_revenue', 'refunds'] } } }
+];
+const netRevenueSum = { $sum: { $subtract: ['$lines.credit', '$lines.debit'] } };
+
+/**
+ * Revenue net of refunds, in minor units
+ * @param {Object} options - { currency, from, to }
+ */
+const netRevenue = async ({ currency, from = null, to = null }) => {
+  const match = { currency };
+  if (from || to) match.date = { ...(from ? { $gte: from } : {}), ...(to ? { $lt: to } : {}) };
+  const [result] = await JournalEntry.aggregate([
+    ...netRevenueLines(match),
+    { $group: { _id: null, total: netRevenueSum } }
+  ]);
+  return result ? result.total : 0;
+};
+
+/**
+ * Revenue net of refunds per calendar month (UTC) of a year
+ * @returns {Promise<Array<{ month: number, total: number }>>} - Months 1-12 with entries
+ */
+const monthlyNetRevenue = async ({ currency, year }) => {
+  const rows = await JournalEntry.aggregate([
+    ...netRevenueLines({
+      currency,
+      date: { $gte: new Date(Date.UTC(year, 0, 1)), $lt: new Date(Date.UTC(year + 1, 0, 1)) }
+    }),
+    { $group: { _id: { $month: '$date' }, total: netRevenueSum } },
+    { $sort: { _id: 1 } }
+  ]);
+  return rows.map(row => ({ month: row._id, total: row.total }));
+};
+
+module.exports = {
+  LEDGER_ACCOUNTS,
+  balanceOf,
+  postEntry,
+  postTransactionEntries,
+  postInvoiceEntries,
+  postEscrowEntry,
+  postPayout,
+  reverseEntry,
+  reverseTransactionEntries,
+  reinstateTransactionEntries,
+  syncLedger,
+  trialBalance,
+  accountStatement,
+  ownerPayableBalances,
+  netRevenue,
+  monthlyNetRevenue
+};
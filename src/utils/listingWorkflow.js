@@ -0,0 +1,71 @@
+// src/utils/listingWorkflow.js
+// Listing lifecycle: draft -> pending_review -> published -> archived.
+// Admins approve or reject pending listings; rejected listings go back to
+// pending_review once resubmitted and archived listings can be reopened as drafts.
+const Owner = require('../models/Owner');
+
+const LISTING_STATUSES = ['draft', 'pending_review', 'published', 'rejected', 'archived'];
+
+// Roles allowed to create and edit listings
+const LISTING_MANAGER_ROLES = ['owner', 'agent', 'admin'];
+
+// action -> allowed source statuses, target status, admin-only flag
+const LISTING_TRANSITIONS = {
+  submit: { from: ['draft', 'rejected'], to: 'pending_review', adminOnly: false },
+  approve: { from: ['pending_review'], to: 'published', adminOnly: true },
+  reject: { from: ['pending_review'], to: 'rejected', adminOnly: true },
+  archive: { from: ['published'], to: 'archived', adminOnly: false },
+  reopen: { from: ['archived'], to: 'draft', adminOnly: false }
+};
+
+// Public queries only see published listings. Records created before the
+// workflow existed have no listingStatus and were already live.
+const PUBLISHED_FILTER = { listingStatus: { $in: ['published', null] } };
+
+const isPublished = (property) => !property.listingStatus || property.listingStatus === 'published';
+
+/**
+ * Checks whether an action may move a listing out of its current status
+ * @returns {string|null} - Error message, null when allowed
+ */
+const transitionError = (action, currentStatus) => {
+  const transition = LISTING_TRANSITIONS[action];
+  if (!transition) return `Unknown listing action: ${action}`;
+  const status = currentStatus || 'published';
+  if (!transition.from.includes(status)) {
+    return `Cannot ${action} a listing that is ${status} (allowed from: ${transition.from.join(', ')})`;
+  }
+  return null;
+};
+
+/**
+ * Owner numeric ids linked to an 'owner' account (Owner records share its email)
+ */
+const ownerIdsForUser = async (user) => {
+  if (!user || !user.email) return [];
+  const owners = await Owner.find({ email: user.email.toLowerCase() }).select('ownerId');
+  return owners.map(owner => parseInt(owner.ownerId)).filter(id => !isNaN(id));
+};
+
+/**
+ * Admins and agents manage every listing, owners only their own
+ * @param {Object} user - req.user
+ * @param {Object} property - Property document (needs ownerId)
+ */
+const canManageListing = async (user, property) => {
+  if (!user || !LISTING_MANAGER_ROLES.includes(user.role)) return false;
+  if (user.role !== 'owner') return true;
+  const ownerIds = await ownerIdsForUser(user);
+  return ownerIds.includes(property.ownerId);
+};
+
+module.exports = {
+  LISTING_STATUSES,
+  LISTING_MANAGER_ROLES,
+  LISTING_TRANSITIONS,
+  PUBLISHED_FILTER,
+  isPublished,
+  transitionError,
+  ownerIdsForUser,
+  canManageListing
+};
@@ -0,0 +1,44 @@
+// src/utils/mailer.js
+// Shared transactional mail transport (same account as the auth OTP emails).
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      service: 'gmail',
+      auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASS
+      }
+    });
+  }
+  return transporter;
+};
+
+/**
+ * Sends an email without throwing - a failed email never fails the request
+ * @param {Object} message - nodemailer message (to, subject, html, icalEvent, attachments...)
+ * @returns {Promise<boolean>} - true when the message was accepted
+ */
+const sendMail = async (message) => {
+  if (!process.env.EMAIL_USER) {
+    console.warn(`⚠️ EMAIL_USER not configured, skipping email "${message.subject}"`);
+    return false;
+  }
+  if (!message.to || (Array.isArray(message.to) && message.to.length === 0)) return false;
+
+  try {
+    await getTransporter().sendMail({ from: process.env.EMAIL_USER, ...message });
+    console.log(`📧 Email sent: "${message.subject}" → ${[].concat(message.to).join(', ')}`);
+    return true;
+  } catch (err) {
+    console.error(`❌ Failed to send email "${message.subject}":`, err.message);
+    return false;
+  }
+};
+
+module.exports = {
+  sendMail
+};
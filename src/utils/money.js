@@ -0,0 +1,170 @@
+// src/utils/money.js
+// Money is stored as { amount, currency }: an integer amount in the currency's
+// minor unit (paise, cents, ...) and an ISO 4217 code. Request bodies may send
+// plain major-unit values ("₹25,000", 25000) which are converted here.
+// Aggregated report figures (dashboards, analytics) are returned in major
+// units of the reporting currency.
+
+const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || 'INR').toUpperCase();
+
+// Values the old schema stored in Transaction.currency
+const LEGACY_CURRENCY_ALIASES = {
+  dollar: 'USD',
+  dollars: 'USD',
+  $: 'USD',
+  rupee: 'INR',
+  rupees: 'INR',
+  rs: 'INR',
+  '₹': 'INR'
+};
+
+const SUPPORTED_CURRENCIES = new Set(Intl.supportedValuesOf('currency'));
+const minorDigitsCache = new Map();
+
+/**
+ * Checks whether a value is a supported ISO 4217 currency code
+ * @param {string} code - e.g. "INR"
+ */
+const isValidCurrency = (code) => typeof code === 'string' && SUPPORTED_CURRENCIES.has(code);
+
+/**
+ * Normalizes a currency code or legacy alias to an upper-case ISO 4217 code
+ * @param {string} value - e.g. "inr", "INR", "rupee"
+ * @returns {string|null} - null when the value is not a known currency
+ */
+const normalizeCurrency = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const raw = String(value).trim();
+  const alias = LEGACY_CURRENCY_ALIASES[raw.toLowerCase()];
+  const code = alias || raw.toUpperCase();
+  return isValidCurrency(code) ? code : null;
+};
+
+/**
+ * Number of minor-unit digits for a currency (INR 2, JPY 0, KWD 3)
+ */
+const minorUnitDigits = (currency) => {
+  if (!minorDigitsCache.has(currency)) {
+    const { maximumFractionDigits } = new Intl.NumberFormat('en', {
+      style: 'currency',
+      currency
+    }).resolvedOptions();
+    minorDigitsCache.set(currency, maximumFractionDigits);
+  }
+  return minorDigitsCache.get(currency);
+};
+
+/**
+ * Converts a major-unit value (e.g. 250.75 rupees) to integer minor units (25075 paise)
+ */
+const toMinorUnits = (value, currency = DEFAULT_CURRENCY) =>
+  Math.round(Number(value) * 10 ** minorUnitDigits(currency));
+
+/**
+ * Converts integer minor units back to a major-unit number
+ */
+const fromMinorUnits = (amount, currency = DEFAULT_CURRENCY) =>
+  Number(amount) / 10 ** minorUnitDigits(currency);
+
+// Strips currency symbols, thousands separators and suffixes such as "/month"
+const parseMajorValue = (input) => {
+  if (typeof input === 'number') return Number.isFinite(input) ? input : null;
+  if (typeof input !== 'string') return null;
+
+  const cleaned = input.replace(/[^\d.-]/g, '');
+  if (!cleaned) return null;
+  const value = parseFloat(cleaned);
+  return Number.isFinite(value) ? value : null;
+};
+
+/**
+ * Parses money from a request body. Accepts a major-unit number or string
+ * ("₹25,000", 25000) in `currency`, or a { amount, currency } object that is
+ * already in minor units (the shape returned by the API).
+ * @param {*} input - Raw value
+ * @param {string} currency - Currency for plain values
+ * @returns {{ money: { amount: number, currency: string }|null, error: string|null }}
+ */
+const parseMoney = (input, currency = DEFAULT_CURRENCY) => {
+  if (input === undefined || input === null || input === '') {
+    return { money: null, error: null };
+  }
+
+  if (typeof input === 'object') {
+    const code = normalizeCurrency(input.currency || currency);
+    if (!code) return { money: null, error: `Unsupported currency: ${input.currency}` };
+    if (!Number.isInteger(Number(input.amount)) || Number(input.amount) < 0) {
+      return { money: null, error: 'amount must be a non-negative integer in minor units' };
+    }
+    return { money: { amount: Number(input.amount), currency: code }, error: null };
+  }
+
+  const code = normalizeCurrency(currency);
+  if (!code) return { money: null, error: `Unsupported currency: ${currency}` };
+
+  const value = parseMajorValue(input);
+  if (value === null) return { money: null, error: `Invalid amount: ${input}` };
+  if (value < 0) return { money: null, error: 'Amount cannot be negative' };
+
+  return { money: { amount: toMinorUnits(value, code), currency: code }, error: null };
+};
+
+/**
+ * Formats minor units for display, e.g. formatMoney(2500000, 'INR') -> "₹25,000.00"
+ * @param {number} amount - Minor units
+ * @param {string} currency - ISO 4217 code
+ * @param {string} locale - BCP 47 locale (MONEY_LOCALE or en-IN by default)
+ */
+const formatMoney = (amount, currency = DEFAULT_CURRENCY, locale = process.env.MONEY_LOCALE || 'en-IN') => {
+  if (amount === undefined || amount === null) return null;
+  return new Intl.NumberFormat(locale, { style: 'currency', currency })
+    .format(fromMinorUnits(amount, currency));
+};
+
+/**
+ * Response shape for a money value: { amount, currency, value, formatted }
+ * @param {{ amount: number, currency: string }} money - Stored money
+ */
+const serializeMoney = (money) => {
+  if (!money || money.amount === undefined || money.amount === null) return null;
+  const currency = money.currency || DEFAULT_CURRENCY;
+  return {
+    amount: money.amount,
+    currency,
+    value: fromMinorUnits(money.amount, currency),
+    formatted: formatMoney(money.amount, currency)
+  };
+};
+
+/**
+ * Serializes the given money fields of a plain object (e.g. an aggregation result)
+ */
+const serializeMoneyFields = (doc, fields) => {
+  if (!doc) return doc;
+  const result = { ...doc };
+  fields.forEach((field) => {
+    if (result[field] !== undefined) result[field] = serializeMoney(result[field]);
+  });
+  return result;
+};
+
+/**
+ * Aggregation expression converting a minor-unit amount to major units
+ */
+const toMajorUnitsExpr = (expression, currency = DEFAULT_CURRENCY) => ({
+  $divide: [expression, 10 ** minorUnitDigits(currency)]
+});
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  isValidCurrency,
+  normalizeCurrency,
+  minorUnitDigits,
+  toMinorUnits,
+  fromMinorUnits,
+  parseMoney,
+  formatMoney,
+  serializeMoney,
+  serializeMoneyFields,
+  toMajorUnitsExpr
+};
@@ -0,0 +1,354 @@
+// src/utils/offerNegotiation.js
+// Offer expiry, the property reservation held by an accepted offer, its Stripe
+// PaymentIntent and the notifications sent at every step of a negotiation.
+const Offer = require('../models/Offer');
+const Property = require('../models/Property');
+const Owner = require('../models/Owner');
+const User = require('../models/User');
+const notificationController = require('../controllers/notificationController');
+const stripe = require('./stripeClient');
+const { formatMoney } = require('./money');
+const { sendMail } = require('./mailer');
+const { purchaseMetadata } = require('./paymentVerification');
+const { emitToUsers } = require('../socket');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const OPEN_OFFER_STATUSES = ['pending', 'countered'];
+// Offers that still count against the one-offer-per-buyer rule
+const ACTIVE_OFFER_STATUSES = ['pending', 'countered', 'accepted'];
+
+const DEFAULT_OFFER_EXPIRY_HOURS = parseInt(process.env.OFFER_EXPIRY_HOURS) || 72;
+const MAX_OFFER_EXPIRY_HOURS = 14 * 24;
+// How long an accepted offer reserves the property for its payment
+const OFFER_PAYMENT_HOURS = parseInt(process.env.OFFER_PAYMENT_HOURS) || 48;
+
+// event -> notification type and title
+const OFFER_EVENTS = {
+  submitted: { type: 'offer_submitted', title: 'New Offer' },
+  countered: { type: 'offer_countered', title: 'Counter-Offer' },
+  accepted: { type: 'offer_accepted', title: 'Offer Accepted' },
+  rejected: { type: 'offer_rejected', title: 'Offer Rejected' },
+  withdrawn: { type: 'offer_withdrawn', title: 'Offer Withdrawn' },
+  expired: { type: 'offer_expired', title: 'Offer Expired' },
+  completed: { type: 'offer_completed', title: 'Offer Completed' }
+};
+
+const offerError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Expiry of a new round from an expiresInHours value (default OFFER_EXPIRY_HOURS)
+ * @returns {{ expiresAt: Date|null, error: string|null }}
+ */
+const parseOfferExpiry = (value, now = new Date()) => {
+  if (value === undefined || value === null || value === '') {
+    return { expiresAt: new Date(now.getTime() + DEFAULT_OFFER_EXPIRY_HOURS * HOUR_MS), error: null };
+  }
+  const hours = Number(value);
+  if (!Number.isInteger(hours) || hours < 1 || hours > MAX_OFFER_EXPIRY_HOURS) {
+    return { expiresAt: null, error: `expiresInHours must be a whole number between 1 and ${MAX_OFFER_EXPIRY_HOURS}` };
+  }
+  return { expiresAt: new Date(now.getTime() + hours * HOUR_MS), error: null };
+};
+
+/**
+ * Whether an accepted offer other than exceptOfferId currently reserves the property
+ */
+const isUnderOffer = (property, exceptOfferId = null, now = new Date()) => {
+  const lock = property.offerLock;
+  if (!lock || !lock.offerId || !lock.lockedUntil || lock.lockedUntil <= now) return false;
+  return !exceptOfferId || String(lock.offerId) !== String(exceptOfferId);
+};
+
+/**
+ * Reserves a for-sale property for an accepted offer until the given time.
+ * Throws code PROPERTY_UNDER_OFFER when another offer holds it, NOT_FOR_SALE
+ * when it was sold or taken off sale meanwhile.
+ */
+const lockPropertyForOffer = async (offer, lockedUntil, now = new Date()) => {
+  const locked = await Property.findOneAndUpdate(
+    {
+      _id: offer.propertyId,
+      status: { $in: ['sale', 'both'] },
+      $or: [
+        { 'offerLock.offerId': null },
+        { 'offerLock.lockedUntil': { $lte: now } },
+        { 'offerLock.offerId': offer._id }
+      ]
+    },
+    { $set: { offerLock: { offerId: offer._id, lockedUntil } } },
+    { new: true, timestamps: false, projection: { _id: 1 } }
+  );
+  if (locked) return;
+
+  const property = await Property.findById(offer.propertyId).select('status offerLock');
+  if (property && ['sale', 'both'].includes(property.status)) {
+    throw offerError('PROPERTY_UNDER_OFFER', 'Another offer on this property has been accepted and is awaiting payment');
+  }
+  throw offerError('NOT_FOR_SALE', 'This property is no longer for sale');
+};
+
+// Keeps the reservation of an offer whose payment is settling past its due time
+const extendOfferLock = (propertyId, offerId, lockedUntil) => Property.updateOne(
+  { _id: propertyId, 'offerLock.offerId': offerId },
+  { $set: { 'offerLock.lockedUntil': lockedUntil } },
+  { timestamps: false }
+);
+
+// Drops the reservation if it still belongs to the offer
+const releaseOfferLock = (propertyId, offerId) => Property.updateOne(
+  { _id: propertyId, 'offerLock.offerId': offerId },
+  { $unset: { offerLock: 1 } },
+  { timestamps: false }
+);
+
+/**
+ * PaymentIntent for the agreed amount. The idempotency key makes a retried
+ * acceptance reuse the intent instead of creating a second one.
+ */
+const createOfferPaymentIntent = (offer) => stripe.paymentIntents.create({
+  amount: offer.amount.amount,
+  currency: offer.amount.currency.toLowerCase(),
+  automatic_payment_methods: { enabled: true },
+  metadata: {
+    ...purchaseMetadata({
+      purchaseType: 'buy',
+      customerName: offer.buyer.name,
+      customerPhone: offer.buyer.phone,
+      customerEmail: offer.buyer.email
+    }, offer.propertyId),
+    offerId: String(offer._id),
+    buyerUserId: String(offer.buyer.userId)
+  }
+}, { idempotencyKey: `offer-${offer._id}-accept-${offer.rounds.length}` });
+
+// PaymentIntent states in which the buyer's money is already on its way
+const SETTLING_INTENT_STATUSES = ['succeeded', 'processing', 'requires_capture'];
+
+/**
+ * Cancels an offer's PaymentIntent unless the payment went through or is settling.
+ * @returns {Promise<boolean>} - false when nothing was cancelled: the payment
+ *   succeeded, is still settling, or the cancellation failed
+ */
+const cancelOfferPaymentIntent = async (paymentIntentId) => {
+  if (!paymentIntentId) return true;
+  try {
+    const intent = await stripe.paymentIntents.retrieve(paymentIntentId);
+    if (SETTLING_INTENT_STATUSES.includes(intent.status)) return false;
+    if (intent.status !== 'canceled') await stripe.paymentIntents.cancel(paymentIntentId);
+    return true;
+  } catch (err) {
+    console.error(`⚠️ Failed to cancel PaymentIntent ${paymentIntentId}:`, err.message);
+    return false;
+  }
+};
+
+/**
+ * Sends the in-app notifications, socket event and emails of an offer event.
+ * Admins always get one; buyer and owner hear about the steps they did not take.
+ * Never throws - delivery problems are logged.
+ * @param {Document} offer
+ * @param {string} event - Key of OFFER_EVENTS
+ * @param {Object} options - { actor, reason }
+ */
+const notifyOffer = async (offer, event, { actor, reason } = {}) => {
+  const config = OFFER_EVENTS[event];
+  try {
+    const amount = formatMoney(offer.amount.amount, offer.amount.currency);
+    const message = `${config.title}: ${amount} for "${offer.propertyName}" - ${offer.buyer.name}${reason ? ` (${reason})` : ''}`;
+    const base = {
+      type: config.type,
+      title: config.title,
+      message,
+      propertyId: offer.propertyId,
+      propertyName: offer.propertyName,
+      relatedId: offer._id,
+      metadata: {
+        offerId: offer._id,
+        status: offer.status,
+        amount: offer.amount.amount,
+        currency: offer.amount.currency,
+        expiresAt: offer.expiresAt,
+        paymentDueAt: offer.paymentDueAt
+      }
+    };
+    const actorId = actor?.userId ? String(actor.userId) : null;
+
+    await notificationController.createNotification({ ...base, userId: actorId, target: 'admin' });
+
+    const owner = offer.ownerId ? await Owner.findOne({ ownerId: offer.ownerId }) : null;
+    const ownerUser = owner?.email ? await User.findOne({ email: owner.email }).select('_id') : null;
+
+    if (String(offer.buyer.userId) !== actorId) {
+      await notificationController.createNotification({ ...base, userId: offer.buyer.userId, target: 'user' });
+    }
+    if (owner && (!ownerUser || String(ownerUser._id) !== actorId)) {
+      await notificationController.createNotification({ ...base, userId: ownerUser?._id || null, target: 'owner' });
+    }
+
+    emitToUsers([offer.buyer.userId, ownerUser?._id], 'offer-updated', { event, offer: offer.toJSON() });
+
+    const recipients = [offer.buyer.email, owner?.email]
+      .filter(email => email && email !== actor?.email);
+    for (const to of recipients) {
+      await sendMail({
+        to,
+        subject: `${config.title} - ${offer.propertyName}`,
+        text: [
+          message,
+          offer.status === 'accepted' && offer.paymentDueAt
+            ? `The property is reserved for payment until ${offer.paymentDueAt.toISOString()}.`
+            : null,
+          OPEN_OFFER_STATUSES.includes(offer.status)
+            ? `A response is due by ${offer.expiresAt.toISOString()}.`
+            : null
+        ].filter(Boolean).join('\n')
+      });
+    }
+  } catch (err) {
+    console.error(`⚠️ Offer ${event} notification failed:`, err.message);
+  }
+};
+
+/**
+ * Closes an open or unpaid accepted offer as expired, releasing its reservation.
+ * Accepted offers whose payment succeeded or is still settling stay accepted,
+ * with the reservation held another hour; the next run checks them again.
+ * @returns {Promise<boolean>} - true when this call expired the offer
+ */
+const expireOffer = async (offer, reason, now = new Date()) => {
+  if (offer.status === 'accepted' && !(await cancelOfferPaymentIntent(offer.paymentIntentId))) {
+    await extendOfferLock(offer.propertyId, offer._id, new Date(now.getTime() + HOUR_MS));
+    console.log(`⚠️ Offer ${offer._id} lapsed but its payment is going through - waiting for the transaction`);
+    return false;
+  }
+
+  const expired = await Offer.findOneAndUpdate(
+    { _id: offer._id, status: offer.status },
+    {
+      $set: { status: 'expired', awaiting: null, closedAt: now, closeReason: reason },
+      $push: { history: { action: 'expire', from: offer.status, to: 'expired', reason, changedAt: now } }
+    },
+    { new: true }
+  );
+  if (!expired) return false;
+
+  if (offer.status === 'accepted') await releaseOfferLock(offer.propertyId, offer._id);
+  await notifyOffer(expired, 'expired', { reason });
+  return true;
+};
+
+/**
+ * Checks a purchase against accepted offers: a payment made for an offer must
+ * match its agreed amount, and nobody else can buy a property reserved for one.
+ * @returns {Promise<{ offer: Document|null, status?: number, error?: string, message?: string }>}
+ */
+const checkOfferPurchase = async (property, stripePaymentId, money, now = new Date()) => {
+  const offer = stripePaymentId
+    ? await Offer.findOne({ paymentIntentId: stripePaymentId, status: 'accepted' })
+    : null;
+
+  if (offer) {
+    if (String(offer.propertyId) !== String(property._id)) {
+      return { offer: null, status: 400, error: 'Offer mismatch', message: 'This payment belongs to an offer on another property' };
+    }
+    if (offer.amount.amount !== money.amount || offer.amount.currency !== money.currency) {
+      return {
+        offer: null,
+        status: 400,
+        error: 'Amount mismatch',
+        message: `The accepted offer is for ${formatMoney(offer.amount.amount, offer.amount.currency)}`
+      };
+    }
+    return { offer };
+  }
+
+  if (isUnderOffer(property, null, now)) {
+    return {
+      offer: null,
+      status: 409,
+      error: 'Property under offer',
+      message: 'An accepted offer reserves this property until it is paid'
+    };
+  }
+  return { offer: null };
+};
+
+/**
+ * After a sale: completes the offer that was paid and closes every other
+ * active offer on the property. Never throws.
+ * @param {Document} property
+ * @param {Document} transaction - Saved Transaction
+ * @param {Document|null} paidOffer - Offer the payment was made for
+ */
+const closeOffersForSale = async (property, transaction, paidOffer) => {
+  try {
+    const now = new Date();
+    if (paidOffer) {
+      const completed = await Offer.findOneAndUpdate(
+        { _id: paidOffer._id, status: 'accepted' },
+        {
+          $set: { status: 'completed', transactionId: transaction._id, closedAt: now },
+          $push: {
+            history: {
+              action: 'complete',
+              from: 'accepted',
+              to: 'completed',
+              reason: `Paid - transaction ${transaction.customTransactionId}`,
+              changedAt: now
+            }
+          }
+        },
+        { new: true }
+      );
+      await releaseOfferLock(property._id, paidOffer._id);
+      if (completed) await notifyOffer(completed, 'completed');
+    }
+
+    const others = await Offer.find({
+      propertyId: property._id,
+      status: { $in: ACTIVE_OFFER_STATUSES },
+      ...(paidOffer && { _id: { $ne: paidOffer._id } })
+    });
+    const reason = 'Property sold';
+    for (const offer of others) {
+      if (offer.status === 'accepted') await cancelOfferPaymentIntent(offer.paymentIntentId);
+      const rejected = await Offer.findOneAndUpdate(
+        { _id: offer._id, status: offer.status },
+        {
+          $set: { status: 'rejected', awaiting: null, closedAt: now, closeReason: reason },
+          $push: { history: { action: 'reject', from: offer.status, to: 'rejected', reason, changedAt: now } }
+        },
+        { new: true }
+      );
+      if (rejected) await notifyOffer(rejected, 'rejected', { reason });
+    }
+
+    if (paidOffer || others.length > 0) {
+      console.log(`🤝 Offers closed by transaction ${transaction.customTransactionId}: ${paidOffer ? 1 : 0} completed, ${others.length} rejected`);
+    }
+  } catch (err) {
+    console.error('⚠️ Failed to close offers for sale:', err.message);
+  }
+};
+
+module.exports = {
+  OPEN_OFFER_STATUSES,
+  ACTIVE_OFFER_STATUSES,
+  OFFER_PAYMENT_HOURS,
+  OFFER_EVENTS,
+  parseOfferExpiry,
+  isUnderOffer,
+  lockPropertyForOffer,
+  releaseOfferLock,
+  createOfferPaymentIntent,
+  cancelOfferPaymentIntent,
+  notifyOffer,
+  expireOffer,
+  checkOfferPurchase,
+  closeOffersForSale
+};
@@ -0,0 +1,63 @@
+// src/utils/paymentStateMachine.js
+// Allowed Transaction.status changes. The client (save-transaction), admins
+// (refunds) and the Stripe webhook move transactions through them, in whatever
+// order they arrive, so every change is guarded on the status it was read in.
+const Transaction = require('../models/Transaction');
+
+const TRANSACTION_TRANSITIONS = {
+  Pending: ['Completed', 'Failed'],
+  // A failed attempt can still succeed when the customer retries the same PaymentIntent
+  Failed: ['Completed'],
+  Completed: ['PartiallyRefunded', 'Refunded'],
+  PartiallyRefunded: ['PartiallyRefunded', 'Refunded'],
+  Refunded: []
+};
+
+// Transactions whose money was captured - revenue counts them net of refunds
+const REVENUE_FILTER = { status: { $nin: ['Pending', 'Failed'] } };
+const netAmountExpr = { $subtract: ['$amount', { $ifNull: ['$refundedAmount', 0] }] };
+
+const canTransition = (from, to) => (TRANSACTION_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * History entry for a status change
+ * @param {Object} options - { source: client | webhook | admin, eventId, reason }
+ */
+const statusChange = (from, to, { source, eventId, reason } = {}) => ({
+  from,
+  to,
+  source,
+  eventId,
+  reason,
+  changedAt: new Date()
+});
+
+/**
+ * Applies a status change that has no side effects beyond the transaction itself
+ * @param {Document} transaction - As read
+ * @param {string} to - Target status
+ * @param {Object} options - { source, eventId, reason, set: extra fields to $set,
+ *   where: extra conditions the stored transaction must meet }
+ * @returns {Promise<Document|null>} - The updated transaction, null when the change
+ *   is not allowed from the current status or another update got there first
+ */
+const transitionTransaction = (transaction, to, { set = {}, where = {}, ...change } = {}) => {
+  if (!canTransition(transaction.status, to)) return Promise.resolve(null);
+  return Transaction.findOneAndUpdate(
+    { ...where, _id: transaction._id, status: transaction.status },
+    {
+      $set: { status: to, ...set },
+      $push: { statusHistory: statusChange(transaction.status, to, change) }
+    },
+    { new: true }
+  );
+};
+
+module.exports = {
+  TRANSACTION_TRANSITIONS,
+  REVENUE_FILTER,
+  netAmountExpr,
+  canTransition,
+  statusChange,
+  transitionTransaction
+};
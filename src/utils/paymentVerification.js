@@ -0,0 +1,122 @@
+// src/utils/paymentVerification.js
+// Server-side checks of a Stripe PaymentIntent before a purchase is recorded -
+// the client only reports the intent id, the amount comes from Stripe.
+const stripe = require('./stripeClient');
+const { formatMoney } = require('./money');
+
+/**
+ * Current listed price for a purchase type: salePrice or rentPrice, falling
+ * back to the generic price
+ * @returns {{ amount: number, currency: string }|null}
+ */
+const listedPrice = (property, purchaseType) => {
+  const specific = purchaseType === 'rent' ? property.rentPrice : property.salePrice;
+  const price = specific && specific.amount !== undefined ? specific : property.price;
+  return price && price.amount !== undefined ? { amount: price.amount, currency: price.currency } : null;
+};
+
+/**
+ * Retrieves the PaymentIntent and checks it was paid (or is being paid) for this property
+ * @param {string} paymentIntentId
+ * @param {Document} property
+ * @param {Object} [intent] - The PaymentIntent when the caller already has it (webhook events)
+ * @returns {Promise<{ intent?: Object, money?: Object, pending?: boolean, status?: number, error?: string, message?: string }>}
+ *   money is the { amount, currency } in minor units; pending is true while Stripe is still processing it
+ */
+const retrievePaidIntent = async (paymentIntentId, property, intent = null) => {
+  if (!paymentIntentId || typeof paymentIntentId !== 'string') {
+    return { status: 400, error: 'Payment missing', message: 'transactionDetails.id must be the Stripe PaymentIntent id' };
+  }
+
+  if (!intent || intent.id !== paymentIntentId) {
+    try {
+      intent = await stripe.paymentIntents.retrieve(paymentIntentId);
+    } catch (err) {
+      if (err.type === 'StripeInvalidRequestError') {
+        return { status: 400, error: 'Unknown payment', message: `No PaymentIntent ${paymentIntentId}` };
+      }
+      throw err;
+    }
+  }
+
+  if (!['succeeded', 'processing'].includes(intent.status)) {
+    return { status: 402, error: 'Payment not completed', message: `PaymentIntent status is ${intent.status}` };
+  }
+  if (intent.metadata && intent.metadata.propertyId && intent.metadata.propertyId !== String(property._id)) {
+    return { status: 400, error: 'Payment mismatch', message: 'This payment was made for another property' };
+  }
+
+  return {
+    intent,
+    money: { amount: intent.amount, currency: intent.currency.toUpperCase() },
+    pending: intent.status === 'processing'
+  };
+};
+
+/**
+ * Compares the captured amount with the price the customer should have paid
+ * @param {{ amount: number, currency: string }} money - Captured amount
+ * @param {{ amount: number, currency: string }|null} expected
+ * @returns {{ status: number, error: string, message: string }|null} - null when it matches
+ */
+const priceMismatch = (money, expected) => {
+  if (!expected) {
+    return { status: 400, error: 'Price not set', message: 'This property has no price for this purchase type' };
+  }
+  if (money.amount !== expected.amount || money.currency !== expected.currency) {
+    return {
+      status: 400,
+      error: 'Amount mismatch',
+      message: `Paid ${formatMoney(money.amount, money.currency)} but the price is ${formatMoney(expected.amount, expected.currency)}`
+    };
+  }
+  return null;
+};
+
+// Purchase details copied onto a PaymentIntent, so the webhook can record the
+// purchase when the client never calls save-transaction
+const PURCHASE_METADATA_KEYS = ['purchaseType', 'customerName', 'customerPhone', 'customerEmail', 'leaseStartDate', 'leaseEndDate'];
+
+/**
+ * PaymentIntent metadata for a purchase (Stripe caps values at 500 characters)
+ * @param {Object} details - purchaseType, customer fields and lease dates
+ * @param {string} [propertyId]
+ * @returns {Object}
+ */
+const purchaseMetadata = (details = {}, propertyId = null) => {
+  const metadata = propertyId ? { propertyId: String(propertyId) } : {};
+  for (const key of PURCHASE_METADATA_KEYS) {
+    if (typeof details[key] === 'string' && details[key].trim()) {
+      metadata[key] = details[key].trim().slice(0, 500);
+    }
+  }
+  return metadata;
+};
+
+/**
+ * save-transaction details rebuilt from a PaymentIntent's metadata
+ * @returns {Object|null} - null when the intent does not carry enough to record it
+ */
+const detailsFromIntent = (intent) => {
+  const metadata = intent.metadata || {};
+  if (!metadata.propertyId || !metadata.customerName || !metadata.customerPhone) return null;
+  return {
+    id: intent.id,
+    purchaseType: metadata.purchaseType || 'buy',
+    property: { id: metadata.propertyId },
+    customerName: metadata.customerName,
+    customerPhone: metadata.customerPhone,
+    customerEmail: metadata.customerEmail,
+    leaseStartDate: metadata.leaseStartDate,
+    leaseEndDate: metadata.leaseEndDate,
+    paymentMethod: (intent.payment_method_types && intent.payment_method_types[0]) || 'card'
+  };
+};
+
+module.exports = {
+  purchaseMetadata,
+  detailsFromIntent,
+  listedPrice,
+  retrievePaidIntent,
+  priceMismatch
+};
@@ -0,0 +1,107 @@
+// src/utils/priceHistory.js
+const PriceHistory = require('../models/PriceHistory');
+const { PRICE_FIELDS } = require('./propertyUtils');
+
+const hasAmount = (money) => !!money && money.amount !== undefined && money.amount !== null;
+
+const samePrice = (a, b) => {
+  if (!hasAmount(a) && !hasAmount(b)) return true;
+  if (!hasAmount(a) || !hasAmount(b)) return false;
+  return a.amount === b.amount && a.currency === b.currency;
+};
+
+// Plain { amount, currency } copy of a money subdocument
+const plainMoney = (money) => (hasAmount(money)
+  ? { amount: money.amount, currency: money.currency }
+  : undefined);
+
+/**
+ * Percent the current price is below the reference price, to one decimal
+ * (negative when it went up). null when either price is missing, the
+ * currencies differ or the reference is zero.
+ */
+const reductionPercent = (reference, current) => {
+  if (!hasAmount(reference) || !hasAmount(current)) return null;
+  if (reference.currency !== current.currency || reference.amount === 0) return null;
+  return Math.round(((reference.amount - current.amount) / reference.amount) * 1000) / 10;
+};
+
+/**
+ * Actor recorded on history entries, from the optional auth middleware
+ */
+const actorFromRequest = (req) => (req.user
+  ? { userId: req.user.id, email: req.user.email, role: req.user.role }
+  : undefined);
+
+/**
+ * Lists the price fields whose value differs between the stored property
+ * and the parsed update (fields absent from the update are unchanged)
+ * @param {Object} property - Property document before the update
+ * @param {Object} prices - Output of parsePriceFields
+ * @returns {Array<{ field, oldPrice, newPrice }>}
+ */
+const diffPrices = (property, prices) => PRICE_FIELDS
+  .filter(field => prices[field] !== undefined && !samePrice(property[field], prices[field]))
+  .map(field => ({
+    field,
+    oldPrice: plainMoney(property[field]),
+    newPrice: plainMoney(prices[field])
+  }));
+
+/**
+ * Update fields keeping listingPrices / priceReduction / priceChangedAt in step
+ * with a set of price changes. Properties listed before price tracking existed
+ * use the price being replaced as their listing price.
+ */
+const priceTrackingFields = (property, changes, changedAt = new Date()) => {
+  const fields = {};
+  if (changes.length === 0) return fields;
+
+  const listingPrices = property.listingPrices || {};
+
+  changes.forEach(({ field, oldPrice, newPrice }) => {
+    let listed = plainMoney(listingPrices[field]);
+    if (!listed) {
+      listed = oldPrice || newPrice;
+      if (listed) fields[`listingPrices.${field}`] = listed;
+    }
+    fields[`priceReduction.${field}`] = reductionPercent(listed, newPrice);
+  });
+
+  fields.priceChangedAt = changedAt;
+  return fields;
+};
+
+/**
+ * Writes one history entry per change
+ * @param {ObjectId} propertyId
+ * @param {Array<{ field, oldPrice, newPrice }>} changes
+ * @param {Object} options - { actor, source, changedAt }
+ */
+const recordPriceChanges = async (propertyId, changes, { actor, source = 'update', changedAt = new Date() } = {}) => {
+  if (changes.length === 0) return [];
+
+  return PriceHistory.insertMany(changes.map(({ field, oldPrice, newPrice }) => {
+    const comparable = hasAmount(oldPrice) && hasAmount(newPrice) && oldPrice.currency === newPrice.currency;
+    const changePercent = reductionPercent(oldPrice, newPrice);
+    return {
+      propertyId,
+      field,
+      oldPrice,
+      newPrice,
+      changeAmount: comparable ? newPrice.amount - oldPrice.amount : undefined,
+      changePercent: changePercent === null ? undefined : -changePercent,
+      source,
+      changedBy: actor,
+      changedAt
+    };
+  }));
+};
+
+module.exports = {
+  reductionPercent,
+  actorFromRequest,
+  diffPrices,
+  priceTrackingFields,
+  recordPriceChanges
+};
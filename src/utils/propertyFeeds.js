@@ -0,0 +1,264 @@
+// src/utils/propertyFeeds.js
+// Row/item formatters for the syndication exports (propertyExportController).
+// Every formatter takes a plain property, its Owner (or null) and a
+// context of { baseUrl, siteUrl }, and never emits base64 photo blobs.
+const { fromMinorUnits, serializeMoney } = require('./money');
+const { isPublished } = require('./listingWorkflow');
+
+// ============ SHARED HELPERS ============
+
+// Resolves storage URLs ("/uploads/...") against the public base URL
+const absoluteUrl = (url, baseUrl) => {
+  if (!url || url.startsWith('data:')) return null;
+  if (/^https?:\/\//i.test(url)) return url;
+  return `${baseUrl.replace(/\/$/, '')}/${url.replace(/^\//, '')}`;
+};
+
+// Gallery in display order, falling back to the cover photo of un-migrated records
+const imageList = (property, baseUrl) => {
+  const images = [...(property.images || [])]
+    .sort((a, b) => a.order - b.order)
+    .map(image => ({
+      url: absoluteUrl(image.url, baseUrl),
+      width: image.width || null,
+      height: image.height || null,
+      caption: image.caption || '',
+      isCover: !!image.isCover
+    }))
+    .filter(image => image.url);
+
+  if (images.length === 0) {
+    const cover = absoluteUrl(property.photo, baseUrl);
+    if (cover) images.push({ url: cover, width: null, height: null, caption: '', isCover: true });
+  }
+  return images;
+};
+
+const majorValue = (money) => (money && money.amount !== undefined && money.amount !== null
+  ? fromMinorUnits(money.amount, money.currency)
+  : null);
+
+const coordinates = (property) => {
+  const point = property.geoLocation && property.geoLocation.coordinates;
+  return point ? { latitude: point[1], longitude: point[0] } : { latitude: null, longitude: null };
+};
+
+const listingUrl = (property, context) => (context.siteUrl
+  ? `${context.siteUrl.replace(/\/$/, '')}/properties/${property._id}`
+  : `${context.baseUrl.replace(/\/$/, '')}/api/property/${property._id}`);
+
+// Incremental exports also carry listings that left the published state or
+// were deleted, so partners can take them down. Those rows carry the id and nothing else.
+const isRemoved = (property) => Boolean(property.deletedAt) || !isPublished(property);
+
+// ============ CSV ============
+
+const CSV_COLUMNS = [
+  'id', 'name', 'type', 'status', 'listingStatus', 'removed',
+  'price', 'priceCurrency', 'rentPrice', 'rentPriceCurrency', 'salePrice', 'salePriceCurrency',
+  'bedrooms', 'bath', 'size', 'floor', 'address', 'city', 'zip', 'country',
+  'latitude', 'longitude', 'facilities', 'about', 'photo', 'images',
+  'ownerId', 'ownerName', 'ownerEmail', 'ownerContact', 'url', 'createdAt', 'updatedAt'
+];
+
+// Quotes when needed and defuses spreadsheet formulas (=, +, -, @)
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvHeader = () => `${CSV_COLUMNS.join(',')}\r\n`;
+
+const toCsvRow = (property, owner, context) => {
+  if (isRemoved(property)) {
+    return `${CSV_COLUMNS.map(column => csvCell({ id: property._id, removed: true }[column])).join(',')}\r\n`;
+  }
+  const images = imageList(property, context.baseUrl);
+  const { latitude, longitude } = coordinates(property);
+  const row = {
+    id: property._id,
+    name: property.name,
+    type: property.type,
+    status: property.status,
+    listingStatus: property.listingStatus || 'published',
+    removed: isRemoved(property),
+    price: majorValue(property.price),
+    priceCurrency: property.price?.currency,
+    rentPrice: majorValue(property.rentPrice),
+    rentPriceCurrency: property.rentPrice?.currency,
+    salePrice: majorValue(property.salePrice),
+    salePriceCurrency: property.salePrice?.currency,
+    bedrooms: property.bedrooms,
+    bath: property.bath,
+    size: property.size,
+    floor: property.floor,
+    address: property.address,
+    city: property.city,
+    zip: property.zip,
+    country: property.country,
+    latitude,
+    longitude,
+    facilities: (property.facility || []).join('; '),
+    about: property.about,
+    photo: images.find(image => image.isCover)?.url || images[0]?.url,
+    images: images.map(image => image.url).join(' '),
+    ownerId: property.ownerId,
+    ownerName: owner?.name || property.ownerName,
+    ownerEmail: owner?.email,
+    ownerContact: owner?.contact,
+    url: listingUrl(property, context),
+    createdAt: property.createdAt,
+    updatedAt: property.updatedAt || property.createdAt
+  };
+  return `${CSV_COLUMNS.map(column => csvCell(row[column])).join(',')}\r\n`;
+};
+
+// ============ JSON FEED 1.1 ============
+
+const toJsonFeedItem = (property, owner, context) => {
+  if (isRemoved(property)) return { id: String(property._id), _property: { removed: true } };
+  const images = imageList(property, context.baseUrl);
+  const { latitude, longitude } = coordinates(property);
+  return {
+    id: String(property._id),
+    url: listingUrl(property, context),
+    title: property.name,
+    content_text: property.about || property.name,
+    summary: [property.type, property.city, property.status].filter(Boolean).join(' · '),
+    image: images[0]?.url,
+    date_published: (property.publishedAt || property.createdAt)?.toISOString?.(),
+    date_modified: (property.updatedAt || property.createdAt)?.toISOString?.(),
+    authors: [{ name: owner?.name || property.ownerName }],
+    tags: [property.type, property.status, property.city].filter(Boolean),
+    // JSON Feed extension objects start with an underscore
+    _property: {
+      removed: isRemoved(property),
+      listingStatus: property.listingStatus || 'published',
+      type: property.type,
+      status: property.status,
+      prices: {
+        price: serializeMoney(property.price),
+        rentPrice: serializeMoney(property.rentPrice),
+        salePrice: serializeMoney(property.salePrice)
+      },
+      bedrooms: property.bedrooms ?? null,
+      bath: property.bath ?? null,
+      size: property.size || null,
+      floor: property.floor || null,
+      address: property.address || null,
+      city: property.city || null,
+      zip: property.zip || null,
+      country: property.country || null,
+      latitude,
+      longitude,
+      facilities: property.facility || [],
+      images,
+      owner: owner ? {
+        ownerId: owner.ownerId,
+        name: owner.name,
+        email: owner.email || null,
+        contact: owner.contact || null,
+        agency: owner.agency || null
+      } : { ownerId: String(property.ownerId), name: property.ownerName }
+    }
+  };
+};
+
+// ============ RESO DATA DICTIONARY ============
+
+const RESO_PROPERTY_TYPES = {
+  commercial: { sale: 'CommercialSale', lease: 'CommercialLease' },
+  land: { sale: 'Land', lease: 'Land' }
+};
+
+const RESO_SUB_TYPES = {
+  apartment: 'Apartment',
+  house: 'SingleFamilyResidence',
+  villa: 'SingleFamilyResidence',
+  condo: 'Condominium',
+  townhouse: 'Townhouse'
+};
+
+const resoStandardStatus = (property) => {
+  if (isRemoved(property)) return 'Withdrawn';
+  return property.status === 'sold' ? 'Closed' : 'Active';
+};
+
+const resoPropertyType = (property) => {
+  const kind = property.status === 'rent' ? 'lease' : 'sale';
+  const group = RESO_PROPERTY_TYPES[String(property.type || '').toLowerCase()];
+  if (group) return group[kind];
+  return kind === 'lease' ? 'ResidentialLease' : 'Residential';
+};
+
+// Leading number of free-text sizes such as "1,200 sqft"
+const livingArea = (size) => {
+  const match = String(size || '').replace(/,/g, '').match(/\d+(\.\d+)?/);
+  return match ? Number(match[0]) : null;
+};
+
+const toResoListing = (property, owner, context) => {
+  if (isRemoved(property)) {
+    return { ListingKey: String(property._id), ListingId: String(property._id), StandardStatus: 'Withdrawn' };
+  }
+  const images = imageList(property, context.baseUrl);
+  const { latitude, longitude } = coordinates(property);
+  const salePrice = property.salePrice || (property.status !== 'rent' ? property.price : null);
+  const rentPrice = property.rentPrice || (property.status === 'rent' ? property.price : null);
+
+  return {
+    ListingKey: String(property._id),
+    ListingId: String(property._id),
+    StandardStatus: resoStandardStatus(property),
+    PropertyType: resoPropertyType(property),
+    PropertySubType: RESO_SUB_TYPES[String(property.type || '').toLowerCase()] || null,
+    ListPrice: majorValue(salePrice),
+    ClosePrice: property.status === 'sold' ? majorValue(salePrice) : null,
+    LeaseAmount: majorValue(rentPrice),
+    LeaseAmountFrequency: rentPrice ? 'Monthly' : null,
+    // The Data Dictionary has no currency field; local fields use the X_ prefix
+    X_CurrencyCode: (salePrice || rentPrice)?.currency || null,
+    BedroomsTotal: property.bedrooms ?? null,
+    BathroomsTotalInteger: property.bath ?? null,
+    LivingArea: livingArea(property.size),
+    UnparsedAddress: property.address || null,
+    City: property.city || null,
+    PostalCode: property.zip || null,
+    Country: property.country || null,
+    Latitude: latitude,
+    Longitude: longitude,
+    PublicRemarks: property.about || null,
+    X_Facilities: property.facility || [],
+    OwnerName: owner?.name || property.ownerName,
+    OwnerPhone: owner?.contact || null,
+    X_OwnerKey: String(property.ownerId),
+    X_OwnerEmail: owner?.email || null,
+    OriginalEntryTimestamp: property.createdAt,
+    OnMarketDate: property.publishedAt || property.createdAt,
+    CloseDate: property.soldDate || null,
+    ModificationTimestamp: property.updatedAt || property.createdAt,
+    PhotosCount: images.length,
+    Media: images.map((image, index) => ({
+      MediaKey: `${property._id}-${index + 1}`,
+      MediaCategory: 'Photo',
+      MediaURL: image.url,
+      Order: index + 1,
+      ShortDescription: image.caption || null,
+      ImageWidth: image.width,
+      ImageHeight: image.height,
+      PreferredPhotoYN: image.isCover
+    }))
+  };
+};
+
+module.exports = {
+  CSV_COLUMNS,
+  absoluteUrl,
+  csvCell,
+  csvHeader,
+  toCsvRow,
+  toJsonFeedItem,
+  toResoListing
+};
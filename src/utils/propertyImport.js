@@ -0,0 +1,232 @@
+// src/utils/propertyImport.js
+// Reads a CSV/XLSX sheet of properties and validates each row against the
+// Property schema before anything is written (see propertyImportController).
+const { Readable } = require('stream');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const Property = require('../models/Property');
+const { parsePriceFields } = require('./propertyUtils');
+const { parseCoordinates, geocodeAddress } = require('./geoUtils');
+
+const MAX_IMPORT_ROWS = 1000;
+const IMPORT_STATUSES = ['rent', 'sale', 'both'];
+
+// Normalized header -> Property field
+const COLUMN_ALIASES = {
+  name: 'name', title: 'name', propertyname: 'name',
+  type: 'type', category: 'type', propertytype: 'type',
+  status: 'status', listingtype: 'status',
+  price: 'price',
+  rentprice: 'rentPrice', rent: 'rentPrice',
+  saleprice: 'salePrice', sale: 'salePrice',
+  currency: 'currency',
+  bedrooms: 'bedrooms', beds: 'bedrooms',
+  bath: 'bath', baths: 'bath', bathrooms: 'bath',
+  size: 'size', area: 'size',
+  floor: 'floor',
+  address: 'address',
+  zip: 'zip', zipcode: 'zip', postalcode: 'zip', pincode: 'zip',
+  city: 'city',
+  country: 'country',
+  rating: 'rating',
+  about: 'about', description: 'about',
+  facility: 'facility', facilities: 'facility', amenities: 'facility',
+  ownerid: 'ownerId', owner: 'ownerId',
+  latitude: 'latitude', lat: 'latitude',
+  longitude: 'longitude', lng: 'longitude', lon: 'longitude'
+};
+
+const REQUIRED_COLUMNS = ['name', 'status', 'ownerId'];
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const importError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_IMPORT';
+  return error;
+};
+
+/**
+ * Detects the file format from the upload
+ * @returns {'csv'|'xlsx'|null}
+ */
+const detectFormat = (file) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  if (extension === '.csv' || file.mimetype === 'text/csv') return 'csv';
+  if (extension === '.xlsx' ||
+      file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
+    return 'xlsx';
+  }
+  return null;
+};
+
+/**
+ * Loads the first worksheet and returns one object per data row, keyed by
+ * Property field. Unknown columns are reported and ignored.
+ * @param {Object} file - Multer file ({ buffer, originalname, mimetype })
+ * @returns {Promise<{ rows: Array<{ rowNumber, values }>, unknownColumns: string[] }>}
+ */
+const readSpreadsheet = async (file) => {
+  const format = detectFormat(file);
+  if (!format) throw importError('Only .csv and .xlsx files can be imported');
+
+  const workbook = new ExcelJS.Workbook();
+  let worksheet;
+  try {
+    if (format === 'xlsx') {
+      await workbook.xlsx.load(file.buffer);
+      worksheet = workbook.worksheets[0];
+    } else {
+      // Keep every cell as text - the row validation does the parsing
+      worksheet = await workbook.csv.read(Readable.from(file.buffer), {
+        map: value => value
+      });
+    }
+  } catch (error) {
+    throw importError(`Could not read ${format.toUpperCase()} file: ${error.message}`);
+  }
+
+  if (!worksheet || worksheet.rowCount < 2) {
+    throw importError('The file needs a header row and at least one data row');
+  }
+
+  const columns = {};
+  const unknownColumns = [];
+  worksheet.getRow(1).eachCell((cell, columnNumber) => {
+    const field = COLUMN_ALIASES[normalizeHeader(cell.text)];
+    if (field) {
+      columns[columnNumber] = field;
+    } else if (cell.text.trim()) {
+      unknownColumns.push(cell.text.trim());
+    }
+  });
+
+  const mapped = Object.values(columns);
+  const missing = REQUIRED_COLUMNS.filter(field => !mapped.includes(field));
+  if (missing.length > 0) {
+    throw importError(`Missing required column(s): ${missing.join(', ')}`);
+  }
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const values = {};
+    Object.entries(columns).forEach(([columnNumber, field]) => {
+      const text = row.getCell(Number(columnNumber)).text.trim();
+      if (text) values[field] = text;
+    });
+    if (Object.keys(values).length > 0) rows.push({ rowNumber, values });
+  });
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw importError(`At most ${MAX_IMPORT_ROWS} rows can be imported at once (file has ${rows.length})`);
+  }
+
+  return { rows, unknownColumns };
+};
+
+const parseInteger = (value, field, errors) => {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    errors.push(`${field} must be a whole number`);
+    return undefined;
+  }
+  return number;
+};
+
+/**
+ * Validates one row and builds the Property document data for it
+ * @param {Object} values - Row values keyed by field
+ * @param {Map<number, Object>} ownersById - Owners referenced by the file
+ * @returns {{ data: Object|null, errors: string[] }}
+ */
+const buildPropertyFromRow = (values, ownersById) => {
+  const errors = [];
+
+  if (!values.name) errors.push('name is required');
+
+  const status = values.status ? values.status.toLowerCase() : '';
+  if (!IMPORT_STATUSES.includes(status)) {
+    errors.push(`status must be one of: ${IMPORT_STATUSES.join(', ')}`);
+  }
+
+  const ownerId = Number(values.ownerId);
+  const owner = Number.isInteger(ownerId) ? ownersById.get(ownerId) : null;
+  if (!values.ownerId) {
+    errors.push('ownerId is required');
+  } else if (!Number.isInteger(ownerId)) {
+    errors.push('ownerId must be a number');
+  } else if (!owner) {
+    errors.push(`No owner found with ID: ${ownerId}`);
+  }
+
+  const { prices, errors: priceErrors } = parsePriceFields(values);
+  errors.push(...priceErrors);
+
+  const { point, error: coordinatesError } = parseCoordinates(values);
+  if (coordinatesError) errors.push(coordinatesError);
+
+  let rating;
+  if (values.rating !== undefined) {
+    rating = Number(values.rating);
+    if (!Number.isFinite(rating) || rating < 0 || rating > 5) {
+      errors.push('rating must be a number between 0 and 5');
+      rating = undefined;
+    }
+  }
+
+  const data = {
+    name: values.name,
+    type: values.type || 'Apartment',
+    status,
+    ...prices,
+    bedrooms: parseInteger(values.bedrooms, 'bedrooms', errors),
+    bath: parseInteger(values.bath, 'bath', errors),
+    size: values.size,
+    floor: values.floor,
+    address: values.address,
+    zip: values.zip,
+    city: values.city,
+    country: values.country,
+    rating: rating ?? 4.5,
+    about: values.about,
+    facility: values.facility
+      ? values.facility.split(/[,;|]/).map(f => f.trim()).filter(Boolean)
+      : [],
+    ownerId,
+    ownerName: owner ? owner.name : undefined
+  };
+  Object.keys(data).forEach((key) => {
+    if (data[key] === undefined || data[key] === null) delete data[key];
+  });
+
+  if (point) {
+    data.geoLocation = point;
+    data.geocodeSource = 'manual';
+  } else {
+    const match = geocodeAddress({ city: data.city, zip: data.zip, country: data.country });
+    if (match) {
+      data.geoLocation = match.point;
+      data.geocodeSource = 'gazetteer';
+    }
+  }
+
+  if (errors.length > 0) return { data: null, errors };
+
+  // Let the schema have the last word (enums, casting, nested validators)
+  const validationError = new Property(data).validateSync();
+  if (validationError) {
+    return { data: null, errors: Object.values(validationError.errors).map(e => e.message) };
+  }
+
+  return { data, errors: [] };
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  COLUMN_ALIASES,
+  readSpreadsheet,
+  buildPropertyFromRow
+};
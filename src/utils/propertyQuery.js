@@ -0,0 +1,303 @@
+// src/utils/propertyQuery.js
+const mongoose = require('mongoose');
+const { DEFAULT_CURRENCY, normalizeCurrency, toMinorUnits } = require('./money');
+const { LISTING_STATUSES, PUBLISHED_FILTER } = require('./listingWorkflow');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const VALID_STATUSES = ['rent', 'sale', 'both', 'sold'];
+
+// Price amounts (minor units) lifted to top-level fields so range filters,
+// sorting and cursors can treat them like any other sort key
+const PRICE_VALUE_FIELDS = {
+  rentPriceValue: { $ifNull: ['$rentPrice.amount', null] },
+  salePriceValue: { $ifNull: ['$salePrice.amount', null] }
+};
+
+// Public sort keys mapped to the field used in the pipeline
+const SORT_FIELDS = {
+  createdAt: 'createdAt',
+  name: 'name',
+  rating: 'rating',
+  visits: 'visits',
+  bedrooms: 'bedrooms',
+  bath: 'bath',
+  rentPrice: 'rentPriceValue',
+  salePrice: 'salePriceValue'
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Splits a comma-separated query value (or repeated query param) into a clean list
+ * @param {string|string[]} value - Raw query value
+ * @returns {string[]} - Trimmed, non-empty values
+ */
+const parseList = (value) => {
+  if (value === undefined || value === null) return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(v => String(v).trim()).filter(Boolean);
+};
+
+/**
+ * Parses a numeric query value
+ * @param {string} value - Raw query value
+ * @returns {number|undefined|null} - undefined when absent, null when invalid
+ */
+const parseNumber = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const numericValue = Number(value);
+  return Number.isFinite(numericValue) ? numericValue : null;
+};
+
+const caseInsensitiveIn = (values) => ({
+  $in: values.map(v => new RegExp(`^${escapeRegex(v)}$`, 'i'))
+});
+
+/**
+ * Adds a { $gte, $lte } range to the filter for a pair of min/max query params
+ */
+const applyRange = (filter, field, query, minKey, maxKey, errors, toValue = value => value) => {
+  const min = parseNumber(query[minKey]);
+  const max = parseNumber(query[maxKey]);
+
+  if (min === null) errors.push(`${minKey} must be a number`);
+  if (max === null) errors.push(`${maxKey} must be a number`);
+  if (typeof min === 'number' && typeof max === 'number' && min > max) {
+    errors.push(`${minKey} cannot be greater than ${maxKey}`);
+  }
+
+  const range = {};
+  if (typeof min === 'number') range.$gte = toValue(min);
+  if (typeof max === 'number') range.$lte = toValue(max);
+  if (Object.keys(range).length > 0) filter[field] = range;
+};
+
+/**
+ * Builds the match filters for a property list query
+ * @param {Object} query - Express req.query
+ * @param {Object} options - { publishedOnly: false } lets `listingStatus` select
+ *   unpublished listings (management views); public queries only see published ones
+ * @returns {{ baseFilter: Object, priceFilter: Object, errors: string[] }}
+ */
+const buildPropertyFilters = (query = {}, { publishedOnly = true } = {}) => {
+  const errors = [];
+  const baseFilter = publishedOnly ? { ...PUBLISHED_FILTER } : {};
+  const priceFilter = {};
+
+  if (!publishedOnly) {
+    const listingStatuses = parseList(query.listingStatus);
+    if (listingStatuses.some(s => !LISTING_STATUSES.includes(s))) {
+      errors.push(`listingStatus must be one of: ${LISTING_STATUSES.join(', ')}`);
+    }
+    if (listingStatuses.length > 0) {
+      baseFilter.listingStatus = listingStatuses.includes('published')
+        ? { $in: [...listingStatuses, null] }
+        : { $in: listingStatuses };
+    }
+  }
+
+  if (query.q && String(query.q).trim()) {
+    const pattern = new RegExp(escapeRegex(String(query.q).trim()), 'i');
+    baseFilter.$or = [
+      { name: pattern },
+      { address: pattern },
+      { city: pattern },
+      { country: pattern },
+      { zip: pattern }
+    ];
+  }
+
+  const cities = parseList(query.city);
+  if (cities.length > 0) baseFilter.city = caseInsensitiveIn(cities);
+
+  const types = parseList(query.type);
+  if (types.length > 0) baseFilter.type = caseInsensitiveIn(types);
+
+  const statuses = parseList(query.status).map(s => s.toLowerCase());
+  if (statuses.length > 0) {
+    const invalid = statuses.filter(s => !VALID_STATUSES.includes(s));
+    if (invalid.length > 0) {
+      errors.push(`status must be one of: ${VALID_STATUSES.join(', ')}`);
+    }
+    baseFilter.status = { $in: statuses };
+  }
+
+  const facilities = parseList(query.facilities || query.facility);
+  if (facilities.length > 0) {
+    baseFilter.facility = {
+      $all: facilities.map(f => new RegExp(`^${escapeRegex(f)}$`, 'i'))
+    };
+  }
+
+  if (query.ownerId !== undefined && query.ownerId !== '') {
+    const ownerId = parseInt(query.ownerId);
+    if (isNaN(ownerId)) {
+      errors.push('ownerId must be a number');
+    } else {
+      baseFilter.ownerId = ownerId;
+    }
+  }
+
+  applyRange(baseFilter, 'bedrooms', query, 'minBedrooms', 'maxBedrooms', errors);
+  applyRange(baseFilter, 'bath', query, 'minBath', 'maxBath', errors);
+  // Price bounds are given in major units of `currency` and only match listings in that currency
+  const currency = normalizeCurrency(query.currency || DEFAULT_CURRENCY);
+  if (!currency) {
+    errors.push(`currency must be an ISO 4217 code, received: ${query.currency}`);
+  } else {
+    const toAmount = value => toMinorUnits(value, currency);
+    applyRange(priceFilter, 'rentPriceValue', query, 'minRentPrice', 'maxRentPrice', errors, toAmount);
+    applyRange(priceFilter, 'salePriceValue', query, 'minSalePrice', 'maxSalePrice', errors, toAmount);
+    if (priceFilter.rentPriceValue) baseFilter['rentPrice.currency'] = currency;
+    if (priceFilter.salePriceValue) baseFilter['salePrice.currency'] = currency;
+  }
+
+  return { baseFilter, priceFilter, errors };
+};
+
+/**
+ * Resolves the sort keys for a list query. Documents without a value for the
+ * sort field always come last, and _id breaks ties so cursors stay stable.
+ * @param {Object} query - Express req.query
+ * @returns {{ sortKeys: Array<{ field: string, direction: number }>, sortBy: string, order: string, errors: string[] }}
+ */
+const buildSort = (query = {}) => {
+  const errors = [];
+  // Repeated params arrive as arrays; anything but a single value fails validation
+  const rawSortBy = query.sortBy || 'createdAt';
+  const rawOrder = query.order || (rawSortBy === 'createdAt' ? 'desc' : 'asc');
+  const sortBy = typeof rawSortBy === 'string' ? rawSortBy : '';
+  const order = typeof rawOrder === 'string' ? rawOrder.toLowerCase() : '';
+
+  if (!Object.hasOwn(SORT_FIELDS, sortBy)) {
+    errors.push(`sortBy must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`);
+  }
+  if (!['asc', 'desc'].includes(order)) {
+    errors.push('order must be either "asc" or "desc"');
+  }
+
+  const direction = order === 'asc' ? 1 : -1;
+  const sortKeys = [
+    { field: '_sortMissing', direction: 1 },
+    { field: Object.hasOwn(SORT_FIELDS, sortBy) ? SORT_FIELDS[sortBy] : 'createdAt', direction },
+    { field: '_id', direction }
+  ];
+
+  return { sortKeys, sortBy, order, errors };
+};
+
+// ---- Cursor helpers ----
+
+const encodeValue = (value) => {
+  if (value instanceof Date) return { t: 'date', v: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { t: 'oid', v: value.toString() };
+  return { t: 'raw', v: value === undefined ? null : value };
+};
+
+const decodeValue = ({ t, v }) => {
+  if (t === 'date') return new Date(v);
+  if (t === 'oid') return new mongoose.Types.ObjectId(v);
+  return v;
+};
+
+/**
+ * Encodes the sort values of the last document of a page into an opaque cursor
+ */
+const encodeCursor = (doc, sortKeys) => {
+  const values = sortKeys.map(key => encodeValue(doc[key.field]));
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+};
+
+/**
+ * Decodes a cursor produced by encodeCursor
+ * @returns {Array|null} - Sort values, or null when the cursor is malformed
+ */
+const decodeCursor = (cursor, sortKeys) => {
+  try {
+    const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!Array.isArray(values) || values.length !== sortKeys.length) return null;
+    return values.map(decodeValue);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Builds a $match that selects documents positioned after the cursor
+ * for a lexicographic sort over sortKeys
+ */
+const buildCursorMatch = (sortKeys, values) => {
+  const clauses = [];
+
+  sortKeys.forEach((key, index) => {
+    const value = values[index];
+    // Nothing sorts "after" a missing value inside its own group
+    if (value === null || value === undefined) return;
+
+    const clause = {};
+    for (let i = 0; i < index; i++) {
+      clause[sortKeys[i].field] = values[i];
+    }
+    clause[key.field] = { [key.direction === 1 ? '$gt' : '$lt']: value };
+    clauses.push(clause);
+  });
+
+  return clauses.length > 0 ? { $or: clauses } : { _id: { $exists: false } };
+};
+
+/**
+ * Parses page/limit/cursor query params
+ */
+const parsePagination = (query = {}) => {
+  const errors = [];
+  const limit = query.limit !== undefined ? parseInt(query.limit) : DEFAULT_LIMIT;
+  const page = query.page !== undefined ? parseInt(query.page) : 1;
+
+  if (isNaN(limit) || limit < 1) errors.push('limit must be a positive integer');
+  if (isNaN(page) || page < 1) errors.push('page must be a positive integer');
+
+  return {
+    limit: Math.min(isNaN(limit) ? DEFAULT_LIMIT : limit, MAX_LIMIT),
+    page: isNaN(page) ? 1 : page,
+    cursor: query.cursor || null,
+    errors
+  };
+};
+
+// Joins the owner in the same pipeline (Property.ownerId is a Number, Owner.ownerId a String)
+const ownerLookupStages = (includePhotos = true) => [
+  {
+    $lookup: {
+      from: 'owners',
+      let: { ownerId: { $toString: '$ownerId' } },
+      pipeline: [
+        { $match: { $expr: { $eq: ['$ownerId', '$$ownerId'] } } },
+        { $project: includePhotos ? { __v: 0 } : { __v: 0, photo: 0 } }
+      ],
+      as: 'ownerDetails'
+    }
+  },
+  {
+    $addFields: {
+      ownerDetails: { $ifNull: [{ $arrayElemAt: ['$ownerDetails', 0] }, null] }
+    }
+  }
+];
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  PRICE_VALUE_FIELDS,
+  SORT_FIELDS,
+  parseList,
+  parseNumber,
+  buildPropertyFilters,
+  buildSort,
+  parsePagination,
+  encodeCursor,
+  decodeCursor,
+  buildCursorMatch,
+  ownerLookupStages
+};
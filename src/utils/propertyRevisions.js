@@ -0,0 +1,85 @@
+// src/utils/propertyRevisions.js
+const { isDeepStrictEqual } = require('util');
+const Property = require('../models/Property');
+const PropertyRevision = require('../models/PropertyRevision');
+
+// Fields tracked in the revision log. Gallery fields (photo, images) are left
+// out - their files are deleted from storage when replaced, so they cannot be
+// reverted - as are derived fields such as priceReduction.
+const REVISION_FIELDS = [
+  'name', 'type', 'status', 'bedrooms', 'bath', 'size', 'floor',
+  'address', 'zip', 'country', 'city', 'geoLocation', 'geocodeSource',
+  'price', 'rentPrice', 'salePrice', 'rating', 'about', 'facility', 'ownerId', 'ownerName'
+];
+
+// Plain JSON value of a field, null when unset
+const fieldValue = (doc, field) => {
+  const value = doc ? doc[field] : undefined;
+  if (value === undefined || value === null) return null;
+  const plain = typeof value.toObject === 'function' ? value.toObject() : value;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+/**
+ * Field-level differences between two versions of a property
+ * @param {Object} before - Document or plain object (null for a new property)
+ * @param {Object} after - Document or plain object
+ * @returns {Array<{ field, from, to }>}
+ */
+const diffProperties = (before, after) => REVISION_FIELDS
+  .map(field => ({ field, from: fieldValue(before, field), to: fieldValue(after, field) }))
+  .filter(change => !isDeepStrictEqual(change.from, change.to));
+
+/**
+ * Appends a revision for a set of changes, numbering it from Property.revision
+ * @param {ObjectId} propertyId
+ * @param {Array<{ field, from, to }>} changes
+ * @param {Object} options - { action, actor, revertedTo }
+ * @returns {Promise<Document|null>} - null when nothing changed
+ */
+const recordRevision = async (propertyId, changes, { action = 'update', actor, revertedTo } = {}) => {
+  if (changes.length === 0) return null;
+
+  const { revision } = await Property.findByIdAndUpdate(
+    propertyId,
+    { $inc: { revision: 1 } },
+    { new: true, projection: { revision: 1 } }
+  );
+
+  return PropertyRevision.create({
+    propertyId,
+    revision,
+    action,
+    changes,
+    changedBy: actor,
+    revertedTo
+  });
+};
+
+/**
+ * Field values a property had right after `revision`, obtained by undoing
+ * every later revision (newest first). Only fields changed since are returned.
+ * @param {ObjectId} propertyId
+ * @param {number} revision
+ * @returns {Promise<Object>} - field -> value (null = unset)
+ */
+const stateAtRevision = async (propertyId, revision) => {
+  const later = await PropertyRevision.find({ propertyId, revision: { $gt: revision } })
+    .sort({ revision: -1 })
+    .lean();
+
+  const state = {};
+  later.forEach((entry) => {
+    entry.changes.forEach((change) => {
+      state[change.field] = change.from;
+    });
+  });
+  return state;
+};
+
+module.exports = {
+  REVISION_FIELDS,
+  diffProperties,
+  recordRevision,
+  stateAtRevision
+};
@@ -1,40 +1,82 @@
 const Owner = require('../models/Owner');
+const { DEFAULT_CURRENCY, parseMoney, serializeMoney, serializeMoneyFields } = require('./money');
 
-exports.cleanPrice = (priceInput) => {
-  if (!priceInput) return null;
-  if (typeof priceInput === 'number') return priceInput;
-  if (typeof priceInput === 'string') {
-    const cleaned = priceInput.replace(/[^\d.-]/g, '');
-    const numericValue = parseFloat(cleaned);
-    return !isNaN(numericValue) ? numericValue : null;
+const PRICE_FIELDS = ['price', 'rentPrice', 'salePrice'];
+exports.PRICE_FIELDS = PRICE_FIELDS;
+
+/**
+ * Parses the price fields present in a request body into money values.
+ * Plain values ("₹25,000", 25000) are read in body.currency (default DEFAULT_CURRENCY);
+ * { amount, currency } objects are taken as minor units. Empty values clear the price.
+ * @param {Object} body - Request body
+ * @returns {{ prices: Object, errors: string[] }} - prices only holds fields that were sent
+ */
+exports.parsePriceFields = (body = {}) => {
+  const prices = {};
+  const errors = [];
+  const currency = body.currency || DEFAULT_CURRENCY;
+
+  PRICE_FIELDS.forEach((field) => {
+    if (body[field] === undefined) return;
+
+    const { money, error } = parseMoney(body[field], currency);
+    if (error) {
+      errors.push(`${field}: ${error}`);
+    } else {
+      prices[field] = money;
+    }
+  });
+
+  return { prices, errors };
+};
+
+// Money fields of a plain property object (aggregation results) in response shape
+const serializePropertyPrices = (property) => {
+  const result = serializeMoneyFields(property, PRICE_FIELDS);
+  if (result && result.listingPrices) {
+    result.listingPrices = serializeMoneyFields(result.listingPrices, PRICE_FIELDS);
   }
-  return null;
+  return result;
 };
+exports.serializePropertyPrices = serializePropertyPrices;
+
+// Price snapshot for notification metadata
+exports.priceMetadata = (property) => ({
+  price: serializeMoney(property.price),
+  rentPrice: serializeMoney(property.rentPrice),
+  salePrice: serializeMoney(property.salePrice)
+});
 
 exports.populateOwnerDetails = async (properties) => {
   if (!Array.isArray(properties)) {
     if (properties.ownerId) {
       const owner = await Owner.findOne({ ownerId: properties.ownerId });
       return {
-        ...properties.toObject(),
+        ...serializePropertyPrices(properties.toObject()),
         ownerDetails: owner || null
       };
     }
-    return properties.toObject();
+    return serializePropertyPrices(properties.toObject());
   }
 
-  const propertiesWithOwners = await Promise.all(
-    properties.map(async (property) => {
-      if (property.ownerId) {
-        const owner = await Owner.findOne({ ownerId: property.ownerId });
-        return {
-          ...property.toObject(),
-          ownerDetails: owner || null
-        };
-      }
-      return property.toObject();
-    })
-  );
-
-  return propertiesWithOwners;
-};
\ No newline at end of file
+  // Fetch every owner in one query instead of one findOne per property
+  const ownerIds = [...new Set(
+    properties
+      .filter(property => property.ownerId)
+      .map(property => String(property.ownerId))
+  )];
+  const owners = ownerIds.length > 0
+    ? await Owner.find({ ownerId: { $in: ownerIds } })
+    : [];
+  const ownersById = new Map(owners.map(owner => [String(owner.ownerId), owner]));
+
+  return properties.map((property) => {
+    if (property.ownerId) {
+      return {
+        ...serializePropertyPrices(property.toObject()),
+        ownerDetails: ownersById.get(String(property.ownerId)) || null
+      };
+    }
+    return serializePropertyPrices(property.toObject());
+  });
+};
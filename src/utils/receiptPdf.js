@@ -0,0 +1,141 @@
+// src/utils/receiptPdf.js
+// Renders a Receipt document (receipt or credit note) as an A4 PDF.
+const PDFDocument = require('pdfkit');
+const { fromMinorUnits } = require('./money');
+const { formatDay, addDays } = require('./rentalCalendar');
+
+const ISSUER = {
+  name: process.env.RECEIPT_ISSUER_NAME || 'Urban Properties',
+  address: process.env.RECEIPT_ISSUER_ADDRESS || '',
+  taxId: process.env.RECEIPT_ISSUER_TAX_ID || ''
+};
+
+// The built-in PDF fonts only cover Latin-1; RECEIPT_FONT (a .ttf path) is
+// needed for names in other scripts
+const FONTS = process.env.RECEIPT_FONT
+  ? { regular: process.env.RECEIPT_FONT, bold: process.env.RECEIPT_FONT_BOLD || process.env.RECEIPT_FONT }
+  : { regular: 'Helvetica', bold: 'Helvetica-Bold' };
+
+const TITLES = {
+  receipt: 'RECEIPT',
+  credit_note: 'CREDIT NOTE'
+};
+
+const PAGE_MARGIN = 50;
+const CONTENT_WIDTH = 595.28 - PAGE_MARGIN * 2; // A4
+const AMOUNT_WIDTH = 140;
+
+// "INR 25,000.00" - the currency code, since the built-in fonts have no ₹ glyph
+const pdfMoney = (amount, currency) => new Intl.NumberFormat(process.env.MONEY_LOCALE || 'en-IN', {
+  style: 'currency',
+  currency,
+  currencyDisplay: 'code'
+}).format(fromMinorUnits(amount, currency));
+
+const lineDescription = (receipt) => {
+  const property = receipt.property.name || 'Property';
+  if (receipt.purchaseType !== 'rent') return `Purchase of ${property}`;
+  // leaseEndDate is exclusive; the last day of the lease is printed
+  const period = receipt.leaseStartDate && receipt.leaseEndDate
+    ? ` (${formatDay(receipt.leaseStartDate)} to ${formatDay(addDays(receipt.leaseEndDate, -1))})`
+    : '';
+  return `Rent of ${property}${period}`;
+};
+
+const labelled = (doc, label, value) => {
+  if (!value) return;
+  doc.font(FONTS.bold).text(`${label}: `, { continued: true }).font(FONTS.regular).text(String(value));
+};
+
+const amountRow = (doc, label, value, { bold = false } = {}) => {
+  const y = doc.y;
+  doc.font(bold ? FONTS.bold : FONTS.regular)
+    .text(label, PAGE_MARGIN, y, { width: CONTENT_WIDTH - AMOUNT_WIDTH })
+    .text(value, PAGE_MARGIN + CONTENT_WIDTH - AMOUNT_WIDTH, y, { width: AMOUNT_WIDTH, align: 'right' });
+  doc.moveDown(0.4);
+};
+
+const rule = (doc) => {
+  doc.moveDown(0.3)
+    .moveTo(PAGE_MARGIN, doc.y)
+    .lineTo(PAGE_MARGIN + CONTENT_WIDTH, doc.y)
+    .lineWidth(0.5)
+    .strokeColor('#999999')
+    .stroke();
+  doc.moveDown(0.6);
+};
+
+/**
+ * @param {Document} receipt - Receipt model document
+ * @returns {Promise<Buffer>}
+ */
+const renderReceiptPdf = (receipt) => new Promise((resolve, reject) => {
+  const creditNote = receipt.kind === 'credit_note';
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    info: {
+      Title: `${TITLES[receipt.kind]} ${receipt.number}`,
+      Author: ISSUER.name,
+      // Fixed, so every download of a document is the same file
+      CreationDate: receipt.issuedAt
+    }
+  });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  // Issuer and document
+  doc.font(FONTS.bold).fontSize(18).text(ISSUER.name);
+  doc.font(FONTS.regular).fontSize(9);
+  if (ISSUER.address) doc.text(ISSUER.address);
+  if (ISSUER.taxId) doc.text(`Tax ID: ${ISSUER.taxId}`);
+  doc.moveDown();
+
+  doc.font(FONTS.bold).fontSize(14).text(TITLES[receipt.kind]);
+  doc.fontSize(10);
+  labelled(doc, 'Number', receipt.number);
+  labelled(doc, 'Date', formatDay(receipt.issuedAt));
+  labelled(doc, 'Transaction', receipt.customTransactionId);
+  if (creditNote) labelled(doc, 'Against receipt', receipt.receiptNumber);
+  rule(doc);
+
+  // Parties
+  doc.font(FONTS.bold).text(creditNote ? 'Credited to' : 'Billed to');
+  doc.font(FONTS.regular);
+  [receipt.customer.name, receipt.customer.email, receipt.customer.phone].filter(Boolean).forEach(line => doc.text(line));
+  doc.moveDown(0.6);
+
+  doc.font(FONTS.bold).text('Property');
+  doc.font(FONTS.regular).text(receipt.property.name || '-');
+  const address = [receipt.property.address, receipt.property.city].filter(Boolean).join(', ');
+  if (address) doc.text(address);
+  if (receipt.owner.name) {
+    doc.text(`Owner: ${receipt.owner.name}${receipt.owner.ownerId !== undefined && receipt.owner.ownerId !== null ? ` (#${receipt.owner.ownerId})` : ''}`);
+  }
+  doc.text(`Purchase type: ${receipt.purchaseType === 'rent' ? 'Rent' : 'Buy'}`);
+  rule(doc);
+
+  // Amounts
+  amountRow(doc, 'Description', 'Amount', { bold: true });
+  amountRow(doc, creditNote ? `Refund - ${lineDescription(receipt)}` : lineDescription(receipt), pdfMoney(receipt.taxableAmount, receipt.currency));
+  amountRow(doc, `${receipt.tax.label} (${receipt.tax.ratePercent}%)`, pdfMoney(receipt.tax.amount, receipt.currency));
+  rule(doc);
+  amountRow(doc, creditNote ? 'Total credited' : 'Total paid', pdfMoney(receipt.amount, receipt.currency), { bold: true });
+  doc.moveDown();
+
+  doc.font(FONTS.regular).fontSize(9);
+  if (creditNote && receipt.reason) doc.text(`Reason: ${receipt.reason}`, PAGE_MARGIN);
+  if (receipt.paymentMethod) doc.text(`Payment method: ${receipt.paymentMethod}`, PAGE_MARGIN);
+  if (receipt.stripePaymentId) doc.text(`Payment reference: ${receipt.stripePaymentId}`, PAGE_MARGIN);
+  doc.moveDown();
+  doc.fillColor('#666666')
+    .text(`Amounts include ${receipt.tax.label} at the rate shown. This is a computer-generated document and needs no signature.`, PAGE_MARGIN);
+
+  doc.end();
+});
+
+module.exports = {
+  renderReceiptPdf
+};
@@ -0,0 +1,210 @@
+// src/utils/receipts.js
+// Receipts of completed transactions and credit notes of their refunds. Each
+// document is issued once, with the figures of that moment, and emailed to the
+// customer as a PDF (utils/receiptPdf).
+const Receipt = require('../models/Receipt');
+const Refund = require('../models/Refund');
+const Property = require('../models/Property');
+const Owner = require('../models/Owner');
+const Counter = require('../models/Counter');
+const { formatMoney } = require('./money');
+const { sendMail } = require('./mailer');
+const { renderReceiptPdf } = require('./receiptPdf');
+
+// Prices are tax-inclusive; rates are percentages per purchase type
+const TAX_LABEL = process.env.RECEIPT_TAX_LABEL || 'GST';
+const TAX_RATES = {
+  buy: Number(process.env.RECEIPT_TAX_RATE_BUY || 0),
+  rent: Number(process.env.RECEIPT_TAX_RATE_RENT || 0)
+};
+
+const RECEIPTED_STATUSES = ['Completed', 'PartiallyRefunded', 'Refunded'];
+
+const DOCUMENT_PREFIXES = {
+  receipt: { counter: 'receiptNumber', prefix: 'RCPT' },
+  credit_note: { counter: 'creditNoteNumber', prefix: 'CN' }
+};
+
+const nextDocumentNumber = async (kind) => {
+  const { counter: name, prefix } = DOCUMENT_PREFIXES[kind];
+  const counter = await Counter.findByIdAndUpdate(
+    name,
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return `${prefix}-${counter.seq}`;
+};
+
+/**
+ * Splits a tax-inclusive amount
+ * @returns {{ taxableAmount: number, tax: { label, ratePercent, amount } }}
+ */
+const taxBreakdown = (amount, ratePercent) => {
+  const taxableAmount = Math.round((amount * 100) / (100 + ratePercent));
+  return {
+    taxableAmount,
+    tax: { label: TAX_LABEL, ratePercent, amount: amount - taxableAmount }
+  };
+};
+
+// Property and owner as printed on the documents
+const partiesOf = async (transaction) => {
+  const property = await Property.findById(transaction.property)
+    .setOptions({ withDeleted: true })
+    .select('name address city ownerId');
+  const owner = property
+    ? await Owner.findOne({ ownerId: String(property.ownerId) })
+      .setOptions({ withDeleted: true })
+      .select('name email')
+    : null;
+  return {
+    property: {
+      propertyId: transaction.property,
+      name: property ? property.name : undefined,
+      address: property ? property.address : undefined,
+      city: property ? property.city : undefined
+    },
+    owner: {
+      ownerId: property ? property.ownerId : undefined,
+      name: owner ? owner.name : transaction.ownerName,
+      email: owner ? owner.email : undefined
+    }
+  };
+};
+
+// Creates the document unless a concurrent call already did; null in that case
+const createDocument = async (data) => {
+  try {
+    return await Receipt.create({ ...data, number: await nextDocumentNumber(data.kind) });
+  } catch (err) {
+    if (err.code === 11000 && err.keyPattern && (err.keyPattern.transactionId || err.keyPattern.refundId)) return null;
+    throw err;
+  }
+};
+
+const pdfFileName = (document) => `${document.number}.pdf`;
+
+/**
+ * Emails a receipt or credit note to the customer as a PDF attachment
+ * @returns {Promise<boolean>} - true when the email was sent
+ */
+const emailDocument = async (document) => {
+  if (!document.customer.email) return false;
+  const creditNote = document.kind === 'credit_note';
+  const amount = formatMoney(document.amount, document.currency);
+  const sent = await sendMail({
+    to: document.customer.email,
+    subject: `${creditNote ? 'Credit note' : 'Receipt'} ${document.number} - ${document.property.name || document.customTransactionId}`,
+    text: [
+      `Hello ${document.customer.name || ''},`.trim(),
+      '',
+      creditNote
+        ? `${amount} has been refunded on transaction ${document.customTransactionId}. Your credit note is attached.`
+        : `Thank you for your payment of ${amount} (transaction ${document.customTransactionId}). Your receipt is attached.`
+    ].join('\n'),
+    attachments: [{
+      filename: pdfFileName(document),
+      content: await renderReceiptPdf(document),
+      contentType: 'application/pdf'
+    }]
+  });
+  if (sent) await Receipt.updateOne({ _id: document._id }, { $set: { emailedAt: new Date() } });
+  return sent;
+};
+
+/**
+ * Receipt of a completed transaction, issued the first time it is asked for
+ * @param {Document} transaction
+ * @param {Object} options - { email: send the PDF to the customer when issued now }
+ * @returns {Promise<Document|null>} - null while the transaction is not completed
+ */
+const issueReceipt = async (transaction, { email = true } = {}) => {
+  if (!RECEIPTED_STATUSES.includes(transaction.status)) return null;
+  const existing = await Receipt.findOne({ transactionId: transaction._id, kind: 'receipt' });
+  if (existing) return existing;
+
+  const receipt = await createDocument({
+    kind: 'receipt',
+    transactionId: transaction._id,
+    customTransactionId: transaction.customTransactionId,
+    issuedAt: new Date(),
+    customer: {
+      name: transaction.customerName,
+      email: transaction.customerEmail || undefined,
+      phone: transaction.customerPhone
+    },
+    ...(await partiesOf(transaction)),
+    purchaseType: transaction.purchaseType,
+    leaseStartDate: transaction.leaseStartDate || undefined,
+    leaseEndDate: transaction.leaseEndDate || undefined,
+    paymentMethod: transaction.paymentMethod,
+    stripePaymentId: transaction.stripePaymentId,
+    currency: transaction.currency,
+    amount: transaction.amount,
+    ...taxBreakdown(transaction.amount, TAX_RATES[transaction.purchaseType] || 0)
+  });
+  if (!receipt) return Receipt.findOne({ transactionId: transaction._id, kind: 'receipt' });
+
+  console.log(`🧾 Receipt ${receipt.number} issued for ${transaction.customTransactionId}`);
+  if (email) await emailDocument(receipt);
+  return receipt;
+};
+
+/**
+ * Credit notes of the transaction's succeeded refunds that have none yet.
+ * The tax is split at the rate of the receipt the refund corrects.
+ * @param {Document} transaction
+ * @param {Object} options - { email: send each new credit note to the customer }
+ * @returns {Promise<Document[]>} - Credit notes issued by this call
+ */
+const issueCreditNotes = async (transaction, { email = true } = {}) => {
+  const refunds = await Refund.find({ transactionId: transaction._id, status: 'succeeded' }).sort({ createdAt: 1 });
+  if (refunds.length === 0) return [];
+  const noted = new Set((await Receipt.find({ refundId: { $in: refunds.map(refund => refund._id) } })
+    .select('refundId')).map(note => String(note.refundId)));
+  const pending = refunds.filter(refund => !noted.has(String(refund._id)));
+  if (pending.length === 0) return [];
+
+  const receipt = await issueReceipt(transaction, { email });
+  if (!receipt) return [];
+
+  const issued = [];
+  for (const refund of pending) {
+    const note = await createDocument({
+      kind: 'credit_note',
+      transactionId: transaction._id,
+      customTransactionId: transaction.customTransactionId,
+      refundId: refund._id,
+      receiptNumber: receipt.number,
+      reason: refund.reason,
+      issuedAt: new Date(),
+      customer: receipt.customer,
+      property: receipt.property,
+      owner: receipt.owner,
+      purchaseType: receipt.purchaseType,
+      leaseStartDate: receipt.leaseStartDate,
+      leaseEndDate: receipt.leaseEndDate,
+      paymentMethod: receipt.paymentMethod,
+      stripePaymentId: receipt.stripePaymentId,
+      currency: refund.currency,
+      amount: refund.amount,
+      ...taxBreakdown(refund.amount, receipt.tax.ratePercent)
+    });
+    if (!note) continue;
+    console.log(`🧾 Credit note ${note.number} issued for refund of ${formatMoney(refund.amount, refund.currency)} on ${transaction.customTransactionId}`);
+    if (email) await emailDocument(note);
+    issued.push(note);
+  }
+  return issued;
+};
+
+module.exports = {
+  TAX_LABEL,
+  TAX_RATES,
+  RECEIPTED_STATUSES,
+  taxBreakdown,
+  pdfFileName,
+  issueReceipt,
+  issueCreditNotes,
+  emailDocument
+};
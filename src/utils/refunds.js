@@ -0,0 +1,156 @@
+// src/utils/refunds.js
+// Applies Stripe refunds to transactions. The charge's amount_refunded is the
+// authoritative total, so admin refunds and the charge.refunded webhook both
+// sync it the same way. A full refund also undoes the purchase: the property
+// goes back on the market, or the lease dates are freed.
+const Property = require('../models/Property');
+const RentalBlock = require('../models/RentalBlock');
+const Lease = require('../models/Lease');
+const Invoice = require('../models/Invoice');
+const { postInvoiceEntries } = require('./ledger');
+const Refund = require('../models/Refund');
+const notificationController = require('../controllers/notificationController');
+const { updateOwnerStatsAfterTransaction } = require('../controllers/paymentController');
+const { transitionTransaction } = require('./paymentStateMachine');
+const { formatMoney } = require('./money');
+
+const REFUNDABLE_STATUSES = ['Completed', 'PartiallyRefunded'];
+
+/**
+ * Undoes a fully refunded purchase: a sale is reversed (property back to sale
+ * or both), a rental's lease blocks are cancelled and its lease ended. Owner
+ * stats are recounted.
+ * @param {Document} transaction - The refunded transaction
+ * @param {Object} options - { io }
+ * @returns {Promise<string|null>} - What was undone, for logs and outcomes
+ */
+const reverseRefundedPurchase = async (transaction, { io = null } = {}) => {
+  let undone = null;
+
+  if (transaction.purchaseType === 'buy') {
+    const property = await Property.findById(transaction.property);
+    if (property && await property.reverseSale(transaction._id)) {
+      undone = `property back to ${property.status}`;
+      if (io) {
+        io.emit('property-sale-reversed', {
+          propertyId: property._id.toString(),
+          propertyName: property.name,
+          status: property.status,
+          transactionId: transaction.customTransactionId
+        });
+      }
+    }
+  } else {
+    const result = await RentalBlock.updateMany(
+      { transactionId: transaction._id, status: 'active' },
+      { $set: { status: 'cancelled', cancelledAt: new Date() } }
+    );
+    if (result.modifiedCount > 0) undone = 'lease dates freed';
+
+    // No more rent is billed for a refunded rental; unpaid invoices are voided
+    const lease = await Lease.findOneAndUpdate(
+      { transactionId: transaction._id, status: 'active' },
+      { $set: { status: 'ended', endedAt: new Date(), nextPeriodStart: null } },
+      { new: true }
+    );
+    if (lease) {
+      const unpaidIds = (await Invoice.find({ leaseId: lease._id, status: 'open', amountPaid: 0 }).select('_id'))
+        .map(invoice => invoice._id);
+      await Invoice.updateMany({ _id: { $in: unpaidIds }, status: 'open', amountPaid: 0 }, { $set: { status: 'void' } });
+      for (const voided of await Invoice.find({ _id: { $in: unpaidIds }, status: 'void' })) {
+        await postInvoiceEntries(voided).catch(err => console.error(`⚠️ Ledger posting of ${voided.number} failed:`, err.message));
+      }
+      undone = undone ? `${undone}, lease ended` : 'lease ended';
+    }
+  }
+
+  if (undone) {
+    await updateOwnerStatsAfterTransaction(transaction.property, transaction.purchaseType);
+    console.log(`↩️ Transaction ${transaction.customTransactionId} refunded - ${undone}`);
+  }
+  return undone;
+};
+
+/**
+ * Raises a transaction's refunded total to what Stripe reports. The status
+ * becomes PartiallyRefunded, or Refunded once the whole amount is back, in
+ * which case the purchase is reversed.
+ * @param {Document} transaction - As read
+ * @param {number} refundedTotal - Total refunded so far, in minor units
+ * @param {Object} options - { source, eventId, reason, io }
+ * @returns {Promise<{ transaction: Document, undone: string|null }|null>} - null when
+ *   the total is not higher than the recorded one or the transaction is not refundable
+ */
+const syncRefundedTotal = async (transaction, refundedTotal, { source, eventId, reason, io = null } = {}) => {
+  if (!REFUNDABLE_STATUSES.includes(transaction.status)) return null;
+  if (refundedTotal <= (transaction.refundedAmount || 0)) return null;
+
+  const to = refundedTotal >= transaction.amount ? 'Refunded' : 'PartiallyRefunded';
+  const amount = formatMoney(refundedTotal, transaction.currency);
+  const updated = await transitionTransaction(transaction, to, {
+    source,
+    eventId,
+    reason: reason || `${amount} refunded in total`,
+    set: { refundedAmount: refundedTotal, refundedAt: new Date() },
+    // Never lower a total another refund already raised
+    where: {
+      $or: [
+        { refundedAmount: { $lt: refundedTotal } },
+        { refundedAmount: { $exists: false } }
+      ]
+    }
+  });
+  if (!updated) return null;
+
+  const undone = to === 'Refunded' ? await reverseRefundedPurchase(updated, { io }) : null;
+
+  await notificationController.createNotification({
+    type: 'payment',
+    target: 'admin',
+    title: to === 'Refunded' ? 'Payment Refunded' : 'Partial Refund',
+    message: `Transaction ${updated.customTransactionId} - ${amount} of ${formatMoney(updated.amount, updated.currency)} refunded${undone ? ` (${undone})` : ''}`,
+    relatedId: updated._id,
+    propertyId: updated.property,
+    metadata: { stripePaymentId: updated.stripePaymentId, refundedAmount: refundedTotal, source }
+  });
+
+  return { transaction: updated, undone };
+};
+
+/**
+ * Records refunds listed on a Stripe charge that were not issued by an admin
+ * here (e.g. from the Stripe dashboard); known ones only get their status updated
+ * @param {Document} transaction
+ * @param {Array<Object>} stripeRefunds - Stripe Refund objects
+ */
+const recordStripeRefunds = (transaction, stripeRefunds = []) => Promise.all(
+  stripeRefunds.map((stripeRefund) => {
+    // Admin refunds carry their Refund id, which may not have its stripeRefundId yet
+    const refundId = stripeRefund.metadata && stripeRefund.metadata.refundId;
+    if (refundId) {
+      return Refund.updateOne(
+        { _id: refundId },
+        { $set: { stripeRefundId: stripeRefund.id, status: stripeRefund.status } }
+      );
+    }
+    return Refund.updateOne({ stripeRefundId: stripeRefund.id }, {
+      $set: { status: stripeRefund.status },
+      $setOnInsert: {
+        transactionId: transaction._id,
+        paymentIntentId: transaction.stripePaymentId,
+        amount: stripeRefund.amount,
+        currency: stripeRefund.currency.toUpperCase(),
+        reason: (stripeRefund.metadata && stripeRefund.metadata.reason) || 'Refunded in Stripe',
+        stripeReason: stripeRefund.reason || null,
+        source: 'webhook'
+      }
+    }, { upsert: true });
+  })
+);
+
+module.exports = {
+  REFUNDABLE_STATUSES,
+  syncRefundedTotal,
+  reverseRefundedPurchase,
+  recordStripeRefunds
+};
@@ -0,0 +1,172 @@
+// src/utils/rentalCalendar.js
+// Date-range helpers for rental calendars (see models/RentalBlock).
+const mongoose = require('mongoose');
+const Property = require('../models/Property');
+const RentalBlock = require('../models/RentalBlock');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_QUERY_DAYS = 731; // Availability windows up to two years
+const MAX_LEASE_DAYS = 3660; // Leases up to ten years
+const CALENDAR_LOCK_MS = 15 * 1000;
+
+/**
+ * Parses a date ("2025-01-31" or a full ISO string) to UTC midnight of that day
+ * @returns {Date|null}
+ */
+const parseDay = (value) => {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) return null;
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+/**
+ * Parses and validates a [start, end) day range
+ * @param {*} startValue
+ * @param {*} endValue
+ * @param {Object} options - { startKey, endKey, maxDays, allowPast }
+ * @returns {{ start: Date|null, end: Date|null, error: string|null }}
+ */
+const parseDateRange = (startValue, endValue, {
+  startKey = 'startDate',
+  endKey = 'endDate',
+  maxDays = MAX_LEASE_DAYS,
+  allowPast = false
+} = {}) => {
+  const start = parseDay(startValue);
+  const end = parseDay(endValue);
+
+  if (!start || !end) {
+    return { start: null, end: null, error: `${startKey} and ${endKey} must be valid dates (YYYY-MM-DD)` };
+  }
+  if (end <= start) {
+    return { start, end, error: `${endKey} must be after ${startKey}` };
+  }
+  if ((end - start) / DAY_MS > maxDays) {
+    return { start, end, error: `Date range cannot exceed ${maxDays} days` };
+  }
+  if (!allowPast && start < parseDay(new Date())) {
+    return { start, end, error: `${startKey} cannot be in the past` };
+  }
+  return { start, end, error: null };
+};
+
+/**
+ * Free gaps inside [from, to) once the blocks are removed
+ * @param {Array<{ startDate, endDate }>} blocks - Sorted by startDate
+ * @returns {Array<{ start: string, end: string }>}
+ */
+const freeRanges = (blocks, from, to) => {
+  const ranges = [];
+  let cursor = from;
+
+  blocks.forEach((block) => {
+    if (block.startDate > cursor) {
+      ranges.push({ start: formatDay(cursor), end: formatDay(block.startDate < to ? block.startDate : to) });
+    }
+    if (block.endDate > cursor) cursor = block.endDate;
+  });
+
+  if (cursor < to) ranges.push({ start: formatDay(cursor), end: formatDay(to) });
+  return ranges;
+};
+
+const calendarConflictError = (conflicts) => {
+  const error = new Error('The property is already booked or blocked for part of these dates');
+  error.code = 'CALENDAR_CONFLICT';
+  error.conflicts = conflicts.map(block => ({
+    start: formatDay(block.startDate),
+    end: formatDay(block.endDate),
+    type: block.type
+  }));
+  return error;
+};
+
+/**
+ * Runs fn while holding a short-lived lock on the property's calendar, so the
+ * overlap check and the insert of a new block cannot interleave with another
+ * booking. The lock expires on its own if the process dies mid-way.
+ * Throws code CALENDAR_BUSY when another booking holds the lock.
+ */
+const withCalendarLock = async (propertyId, fn) => {
+  const now = new Date();
+  const lockedUntil = new Date(now.getTime() + CALENDAR_LOCK_MS);
+
+  const locked = await Property.findOneAndUpdate(
+    {
+      _id: propertyId,
+      $or: [{ calendarLockedUntil: null }, { calendarLockedUntil: { $lt: now } }]
+    },
+    { $set: { calendarLockedUntil: lockedUntil } },
+    { new: true, timestamps: false, projection: { _id: 1 } }
+  );
+
+  if (!locked) {
+    const error = new Error('Another booking for this property is in progress, please retry');
+    error.code = 'CALENDAR_BUSY';
+    throw error;
+  }
+
+  try {
+    return await fn(lockedUntil);
+  } finally {
+    await Property.updateOne(
+      { _id: propertyId, calendarLockedUntil: lockedUntil },
+      { $unset: { calendarLockedUntil: 1 } },
+      { timestamps: false }
+    );
+  }
+};
+
+/**
+ * Adds a block after checking it does not overlap an active one.
+ * Throws code CALENDAR_CONFLICT (with .conflicts) or CALENDAR_BUSY.
+ * @param {Object} blockData - RentalBlock fields (propertyId, startDate, endDate, type, ...)
+ * @param {Function} beforeInsert - Optional async step run under the lock once the
+ *   range is known to be free (e.g. saving the rent transaction). It gets the
+ *   session and commits together with the block, so a paid lease is never
+ *   recorded without its dates; its result is passed to the block as
+ *   transactionId when it returns a document
+ */
+const reserveRange = (blockData, beforeInsert) => withCalendarLock(blockData.propertyId, async (lockedUntil) => {
+  const conflicts = await RentalBlock.findOverlapping(blockData.propertyId, blockData.startDate, blockData.endDate);
+  if (conflicts.length > 0) throw calendarConflictError(conflicts);
+
+  return mongoose.connection.transaction(async (session) => {
+    const linked = beforeInsert ? await beforeInsert(session) : null;
+    const [block] = await RentalBlock.create([{
+      ...blockData,
+      transactionId: linked ? linked._id : blockData.transactionId
+    }], { session });
+
+    // A slow write can outlive the lock; if another booking took it over since
+    // the overlap check, nothing is committed
+    const held = await Property.updateOne(
+      { _id: blockData.propertyId, calendarLockedUntil: lockedUntil },
+      { $set: { calendarLockedUntil: lockedUntil } },
+      { session, timestamps: false }
+    );
+    if (held.matchedCount === 0) {
+      const error = new Error('The calendar lock expired before the booking was saved, please retry');
+      error.code = 'CALENDAR_BUSY';
+      throw error;
+    }
+    return { block, linked };
+  });
+});
+
+module.exports = {
+  MAX_QUERY_DAYS,
+  MAX_LEASE_DAYS,
+  parseDay,
+  formatDay,
+  addDays,
+  parseDateRange,
+  freeRanges,
+  withCalendarLock,
+  reserveRange
+};
@@ -0,0 +1,60 @@
+// src/utils/storage/index.js
+// Pluggable file storage. Every driver exposes the same interface:
+//   save(buffer, { folder, filename, contentType }) -> { key, url, size }
+//   remove(key), read(key) -> Buffer, getUrl(key) -> string
+// Files saved under PRIVATE_FOLDER must not be publicly reachable: drivers
+// keep them out of any statically served location and getUrl returns null.
+// Select a driver with STORAGE_DRIVER (default: local).
+const crypto = require('crypto');
+
+const PRIVATE_FOLDER = 'private';
+
+const drivers = {
+  local: () => require('./localStorage')
+};
+
+let activeDriver = null;
+
+/**
+ * Returns the configured storage driver
+ */
+const getStorage = () => {
+  if (activeDriver) return activeDriver;
+
+  const driverName = process.env.STORAGE_DRIVER || 'local';
+  if (!drivers[driverName]) {
+    throw new Error(`Unknown storage driver "${driverName}". Available: ${Object.keys(drivers).join(', ')}`);
+  }
+
+  activeDriver = drivers[driverName]();
+  console.log(`💾 File storage driver: ${activeDriver.name}`);
+  return activeDriver;
+};
+
+/**
+ * Registers an additional storage driver (e.g. an S3 driver)
+ * @param {string} name - Value of STORAGE_DRIVER that selects it
+ * @param {Function} factory - Returns an object implementing the driver interface
+ */
+const registerDriver = (name, factory) => {
+  drivers[name] = factory;
+};
+
+/**
+ * Generates a unique file name stem (no extension)
+ */
+const generateFileStem = () => `${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
+
+/**
+ * Generates a unique file name that keeps the original extension
+ * @param {string} extension - File extension without the dot
+ */
+const generateFilename = (extension) => `${generateFileStem()}.${extension}`;
+
+module.exports = {
+  PRIVATE_FOLDER,
+  getStorage,
+  registerDriver,
+  generateFileStem,
+  generateFilename
+};
@@ -0,0 +1,76 @@
+// src/utils/storage/localStorage.js
+const fs = require('fs');
+const path = require('path');
+const { ensureDirectoryExists } = require('../fileUtils');
+const { PRIVATE_FOLDER } = require('./index');
+
+// Files are served by the /uploads static mount in server.js
+const ROOT_DIR = process.env.UPLOAD_DIR || path.join(__dirname, '../../../uploads');
+const PUBLIC_PATH = (process.env.UPLOADS_PUBLIC_PATH || '/uploads').replace(/\/$/, '');
+// Keys under PRIVATE_FOLDER live outside ROOT_DIR and are only read through the API
+const PRIVATE_DIR = process.env.PRIVATE_UPLOAD_DIR || path.join(__dirname, '../../../private_uploads');
+
+const isPrivateKey = (key) => key.startsWith(`${PRIVATE_FOLDER}/`);
+
+// Resolves a storage key to an absolute path, refusing keys that escape their root
+const resolveKey = (key) => {
+  const root = isPrivateKey(key) ? PRIVATE_DIR : ROOT_DIR;
+  const relative = isPrivateKey(key) ? key.slice(PRIVATE_FOLDER.length + 1) : key;
+  const filePath = path.resolve(root, relative);
+  if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+/**
+ * Writes a file under ROOT_DIR/<folder>/<filename>
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options - { folder, filename, contentType }
+ * @returns {Promise<{ key: string, url: string, size: number }>}
+ */
+const save = async (buffer, { folder, filename }) => {
+  const key = path.posix.join(folder, filename);
+  const filePath = resolveKey(key);
+
+  ensureDirectoryExists(path.dirname(filePath));
+  await fs.promises.writeFile(filePath, buffer);
+
+  return { key, url: getUrl(key), size: buffer.length };
+};
+
+/**
+ * Deletes a stored file. Missing files are ignored.
+ * @param {string} key - Storage key returned by save()
+ */
+const remove = async (key) => {
+  try {
+    await fs.promises.unlink(resolveKey(key));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+/**
+ * Reads a stored file
+ * @param {string} key - Storage key returned by save()
+ * @returns {Promise<Buffer>}
+ */
+const read = (key) => fs.promises.readFile(resolveKey(key));
+
+/**
+ * Public URL for a storage key, null for private keys
+ * @param {string} key - Storage key returned by save()
+ */
+const getUrl = (key) => (isPrivateKey(key) ? null : `${PUBLIC_PATH}/${key}`);
+
+module.exports = {
+  name: 'local',
+  ROOT_DIR,
+  PUBLIC_PATH,
+  PRIVATE_DIR,
+  save,
+  remove,
+  read,
+  getUrl
+};
@@ -0,0 +1,15 @@
+// src/utils/stripeClient.js
+// Shared Stripe client configured from STRIPE_SECRET_KEY. STRIPE_API_HOST
+// (with STRIPE_API_PORT / STRIPE_API_PROTOCOL) points it at stripe-mock for
+// local testing, e.g. STRIPE_API_HOST=localhost STRIPE_API_PORT=12111 STRIPE_API_PROTOCOL=http
+const Stripe = require('stripe');
+
+const stripe = Stripe(process.env.STRIPE_SECRET_KEY, {
+  ...(process.env.STRIPE_API_HOST && {
+    host: process.env.STRIPE_API_HOST,
+    port: process.env.STRIPE_API_PORT || 443,
+    protocol: process.env.STRIPE_API_PROTOCOL || 'https'
+  })
+});
+
+module.exports = stripe;
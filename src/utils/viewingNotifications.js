@@ -0,0 +1,152 @@
+// src/utils/viewingNotifications.js
+// In-app notifications, emails and .ics invitations for viewing appointments.
+const Property = require('../models/Property');
+const Owner = require('../models/Owner');
+const notificationController = require('../controllers/notificationController');
+const { sendMail } = require('./mailer');
+const { buildCalendar } = require('./icsCalendar');
+
+const VIEWING_TIMEZONE = process.env.VIEWING_TIMEZONE || 'Asia/Kolkata';
+
+// event -> notification type, title and email subject
+const VIEWING_EVENTS = {
+  requested: { type: 'booking', title: 'Viewing Requested', subject: 'New viewing request' },
+  confirmed: { type: 'booking', title: 'Viewing Confirmed', subject: 'Viewing confirmed' },
+  rescheduled: { type: 'booking', title: 'Viewing Rescheduled', subject: 'Viewing rescheduled' },
+  cancelled: { type: 'cancellation', title: 'Viewing Cancelled', subject: 'Viewing cancelled' },
+  reminder: { type: 'booking', title: 'Viewing Reminder', subject: 'Reminder: upcoming viewing' }
+};
+
+const escapeHtml = (value) => String(value || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatViewingTime = (date) => new Date(date).toLocaleString('en-IN', {
+  timeZone: VIEWING_TIMEZONE,
+  dateStyle: 'full',
+  timeStyle: 'short'
+});
+
+const propertyAddress = (property) =>
+  [property.address, property.city, property.zip, property.country].filter(Boolean).join(', ');
+
+/**
+ * Property and Owner records a viewing's messages refer to
+ * @returns {Promise<{ property, owner }>}
+ */
+const loadViewingContext = async (viewing) => {
+  const property = await Property.findById(viewing.propertyId)
+    .select('name address city zip country ownerId ownerName');
+  const owner = property ? await Owner.findOne({ ownerId: String(property.ownerId) }) : null;
+  return { property, owner };
+};
+
+/**
+ * iCalendar invitation for a viewing; method CANCEL withdraws it from calendars
+ * @returns {string}
+ */
+const viewingCalendar = (viewing, { property, owner }, method = 'REQUEST') => buildCalendar({
+  uid: `viewing-${viewing._id}@${process.env.ICS_DOMAIN || 'urban-properties'}`,
+  sequence: viewing.sequence,
+  method,
+  start: viewing.startTime,
+  end: viewing.endTime,
+  summary: `Property viewing: ${property?.name || 'Property'}`,
+  description: [
+    `Viewing of ${property?.name || 'the property'} with ${viewing.customer.name}.`,
+    viewing.customer.phone ? `Customer phone: ${viewing.customer.phone}` : null,
+    owner?.contact ? `Owner contact: ${owner.contact}` : null,
+    viewing.message ? `Message: ${viewing.message}` : null
+  ].filter(Boolean).join('\n'),
+  location: property ? propertyAddress(property) : '',
+  organizer: process.env.EMAIL_USER ? { name: 'Urban Properties', email: process.env.EMAIL_USER } : null,
+  attendees: [
+    { name: viewing.customer.name, email: viewing.customer.email },
+    owner?.email ? { name: owner.name, email: owner.email } : null
+  ]
+});
+
+const emailBody = (viewing, property, event, reason) => {
+  const lines = [
+    `<h3>${escapeHtml(VIEWING_EVENTS[event].title)}</h3>`,
+    `<p><strong>Property:</strong> ${escapeHtml(property?.name)}</p>`,
+    `<p><strong>Address:</strong> ${escapeHtml(property ? propertyAddress(property) : '')}</p>`,
+    `<p><strong>When:</strong> ${escapeHtml(formatViewingTime(viewing.startTime))} (${VIEWING_TIMEZONE})</p>`,
+    `<p><strong>Customer:</strong> ${escapeHtml(viewing.customer.name)}${viewing.customer.phone ? `, ${escapeHtml(viewing.customer.phone)}` : ''}</p>`
+  ];
+  if (reason) lines.push(`<p><strong>Reason:</strong> ${escapeHtml(reason)}</p>`);
+  if (event === 'requested') lines.push('<p>The request is waiting for confirmation.</p>');
+  if (['confirmed', 'rescheduled', 'reminder'].includes(event) && viewing.status === 'confirmed') {
+    lines.push('<p>The attached invitation adds the visit to your calendar.</p>');
+  }
+  return lines.join('\n');
+};
+
+/**
+ * Sends the notifications and emails for a viewing event. Confirmed visits carry
+ * an .ics invitation, cancelled ones a CANCEL for calendars that already have it.
+ * Never throws - delivery problems are logged.
+ * @param {Document} viewing
+ * @param {string} event - Key of VIEWING_EVENTS
+ * @param {Object} options - { actor, reason, wasConfirmed, context: { property, owner } }
+ */
+const notifyViewing = async (viewing, event, { actor, reason, wasConfirmed = false, context } = {}) => {
+  const config = VIEWING_EVENTS[event];
+  try {
+    const { property, owner } = context || await loadViewingContext(viewing);
+    const when = formatViewingTime(viewing.startTime);
+    const message = `${config.title}: ${viewing.customer.name} - "${property?.name || 'Property'}" on ${when}${reason ? ` (${reason})` : ''}`;
+    const base = {
+      type: config.type,
+      title: config.title,
+      message,
+      propertyId: viewing.propertyId,
+      propertyName: property?.name,
+      relatedId: viewing._id,
+      metadata: {
+        event: `viewing_${event}`,
+        viewingId: viewing._id,
+        startTime: viewing.startTime,
+        endTime: viewing.endTime,
+        status: viewing.status
+      }
+    };
+
+    if (event !== 'reminder') {
+      await notificationController.createNotification({ ...base, userId: actor?.userId || null, target: 'admin' });
+    }
+    if (event !== 'requested') {
+      await notificationController.createNotification({ ...base, userId: viewing.customer.userId, target: 'user' });
+    }
+
+    // Calendar invitation: REQUEST while confirmed, CANCEL once a confirmed visit is called off
+    let icalEvent;
+    if (viewing.status === 'confirmed' && event !== 'requested') {
+      icalEvent = { filename: 'viewing.ics', method: 'REQUEST', content: viewingCalendar(viewing, { property, owner }) };
+    } else if (event === 'cancelled' && wasConfirmed) {
+      icalEvent = { filename: 'viewing.ics', method: 'CANCEL', content: viewingCalendar(viewing, { property, owner }, 'CANCEL') };
+    }
+
+    const subject = `${config.subject} - ${property?.name || 'Property'}`;
+    const html = emailBody(viewing, property, event, reason);
+    const recipients = event === 'requested'
+      ? [owner?.email]
+      : [viewing.customer.email, owner?.email];
+
+    for (const to of recipients.filter(Boolean)) {
+      await sendMail({ to, subject, html, ...(icalEvent && { icalEvent }) });
+    }
+  } catch (err) {
+    console.error(`⚠️ Viewing ${event} notification failed:`, err.message);
+  }
+};
+
+module.exports = {
+  VIEWING_EVENTS,
+  formatViewingTime,
+  loadViewingContext,
+  viewingCalendar,
+  notifyViewing
+};
@@ -0,0 +1,161 @@
+// src/utils/viewingSchedule.js
+// Time validation and conflict detection for site-visit viewings.
+const Viewing = require('../models/Viewing');
+const ViewingSlot = require('../models/ViewingSlot');
+const { withCalendarLock } = require('./rentalCalendar');
+
+const MINUTE_MS = 60 * 1000;
+const DEFAULT_VIEWING_MINUTES = 30;
+const MIN_VIEWING_MINUTES = 15;
+const MAX_VIEWING_MINUTES = 180;
+const MAX_SLOT_HOURS = 12;
+const BOOKING_HORIZON_DAYS = 90;
+
+// Viewings that hold their time on the property's schedule
+const OPEN_VIEWING_STATUSES = ['requested', 'confirmed'];
+
+const parseTime = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Validates a viewing start time and duration
+ * @returns {{ start: Date|null, end: Date|null, error: string|null }}
+ */
+const parseViewingTime = (startValue, durationValue, now = new Date()) => {
+  const start = parseTime(startValue);
+  if (!start) return { start: null, end: null, error: 'startTime must be a valid ISO 8601 date-time' };
+
+  const duration = durationValue === undefined || durationValue === null || durationValue === ''
+    ? DEFAULT_VIEWING_MINUTES
+    : Number(durationValue);
+  if (!Number.isInteger(duration) || duration < MIN_VIEWING_MINUTES || duration > MAX_VIEWING_MINUTES) {
+    return {
+      start,
+      end: null,
+      error: `durationMinutes must be a whole number between ${MIN_VIEWING_MINUTES} and ${MAX_VIEWING_MINUTES}`
+    };
+  }
+
+  if (start <= now) return { start, end: null, error: 'startTime must be in the future' };
+  if (start - now > BOOKING_HORIZON_DAYS * 24 * 60 * MINUTE_MS) {
+    return { start, end: null, error: `Viewings can be booked at most ${BOOKING_HORIZON_DAYS} days ahead` };
+  }
+
+  return { start, end: new Date(start.getTime() + duration * MINUTE_MS), error: null };
+};
+
+/**
+ * Validates an owner availability window
+ * @returns {{ start: Date|null, end: Date|null, error: string|null }}
+ */
+const parseSlotWindow = (startValue, endValue, now = new Date()) => {
+  const start = parseTime(startValue);
+  const end = parseTime(endValue);
+  if (!start || !end) {
+    return { start, end, error: 'startTime and endTime must be valid ISO 8601 date-times' };
+  }
+  if (end <= start) return { start, end, error: 'endTime must be after startTime' };
+  if (end - start < MIN_VIEWING_MINUTES * MINUTE_MS) {
+    return { start, end, error: `Windows must be at least ${MIN_VIEWING_MINUTES} minutes long` };
+  }
+  if (end - start > MAX_SLOT_HOURS * 60 * MINUTE_MS) {
+    return { start, end, error: `Windows cannot be longer than ${MAX_SLOT_HOURS} hours` };
+  }
+  if (end <= now) return { start, end, error: 'The window must end in the future' };
+  return { start, end, error: null };
+};
+
+const overlapFilter = (start, end) => ({ startTime: { $lt: end }, endTime: { $gt: start } });
+
+/**
+ * Gaps inside [start, end) not covered by the busy intervals
+ * @param {Array<{ startTime, endTime }>} busy - Sorted by startTime
+ * @returns {Array<{ startTime: Date, endTime: Date }>}
+ */
+const freeIntervals = (start, end, busy) => {
+  const intervals = [];
+  let cursor = start;
+  busy.forEach((interval) => {
+    if (interval.startTime > cursor) {
+      intervals.push({ startTime: cursor, endTime: interval.startTime < end ? interval.startTime : end });
+    }
+    if (interval.endTime > cursor) cursor = interval.endTime;
+  });
+  if (cursor < end) intervals.push({ startTime: cursor, endTime: end });
+  return intervals.filter(interval => interval.endTime - interval.startTime >= MIN_VIEWING_MINUTES * MINUTE_MS);
+};
+
+const scheduleError = (code, message, conflicts = []) => {
+  const error = new Error(message);
+  error.code = code;
+  error.conflicts = conflicts.map(viewing => ({
+    viewingId: viewing._id,
+    startTime: viewing.startTime,
+    endTime: viewing.endTime,
+    status: viewing.status
+  }));
+  return error;
+};
+
+/**
+ * Checks a viewing time against the property's schedule and runs write()
+ * under the property's calendar lock. Throws code OUTSIDE_AVAILABILITY,
+ * VIEWING_CONFLICT, CUSTOMER_CONFLICT or CALENDAR_BUSY.
+ * @param {Object} booking - { propertyId, customerId, start, end, excludeId }
+ * @param {Object} options - { requireSlot } - admins may book outside published windows
+ * @param {Function} write - async step that saves the viewing
+ */
+const reserveViewingTime = (booking, { requireSlot = true } = {}, write) =>
+  withCalendarLock(booking.propertyId, async () => {
+    const { propertyId, customerId, start, end, excludeId } = booking;
+    const others = excludeId ? { _id: { $ne: excludeId } } : {};
+
+    if (requireSlot) {
+      const slot = await ViewingSlot.findOne({
+        propertyId,
+        status: 'active',
+        startTime: { $lte: start },
+        endTime: { $gte: end }
+      });
+      if (!slot) {
+        throw scheduleError('OUTSIDE_AVAILABILITY', 'The owner has not published availability for this time');
+      }
+    }
+
+    const propertyConflicts = await Viewing.find({
+      ...others,
+      propertyId,
+      status: { $in: OPEN_VIEWING_STATUSES },
+      ...overlapFilter(start, end)
+    });
+    if (propertyConflicts.length > 0) {
+      throw scheduleError('VIEWING_CONFLICT', 'Another viewing is already booked at this time', propertyConflicts);
+    }
+
+    if (customerId) {
+      const customerConflicts = await Viewing.find({
+        ...others,
+        'customer.userId': customerId,
+        status: { $in: OPEN_VIEWING_STATUSES },
+        ...overlapFilter(start, end)
+      });
+      if (customerConflicts.length > 0) {
+        throw scheduleError('CUSTOMER_CONFLICT', 'The customer already has a viewing at this time', customerConflicts);
+      }
+    }
+
+    return write();
+  });
+
+module.exports = {
+  DEFAULT_VIEWING_MINUTES,
+  OPEN_VIEWING_STATUSES,
+  parseViewingTime,
+  parseSlotWindow,
+  overlapFilter,
+  freeIntervals,
+  reserveViewingTime
+};